@@ -3,10 +3,24 @@
  * Description: Logic for Owner/Admin Dashboard.
  * Integrates: Authorization Check, Post Approval System, User Management (Ban/Unban).
  * FIX: Enhanced content loading to handle 'Pending_Review' (AI filtered posts).
+ * FIX: Plagiarism matches (fingerprint.js) are shown beside the pending post for comparison.
+ * FIX: Search index rebuild for approved poems (search_index.js).
+ * FIX: Approved poems add their words to the "did you mean" vocabulary (search_spelling.js).
+ * FIX: Translation provider and glossary settings (translation.js).
+ * FIX: The search index rebuild also fills in the facet fields ('license', 'isTokenGated').
+ * FIX: Prosody violation messages are escaped before going into the pending post tooltip.
+ * FIX: Titles, author names, co-authors and plagiarism matches are escaped in the pending list and comparison.
  */
 
 // --- 1. FIREBASE & FIRESTORE IMPORTS ---
 import { auth, db } from "./auth.js";
+import { formatReleaseTime } from "./schedule.js";
+import { allCoAuthorsAccepted } from "./coauthors.js";
+import { creditPoemEarnings } from "./monetize.js";
+import { computeFingerprint, fingerprintBands, normalizeForFingerprint, getCorpusEntry } from "./fingerprint.js";
+import { buildSearchTokens, normalizeTamilText } from "./search_index.js";
+import { updateSearchVocabulary } from "./search_spelling.js";
+import { resolveLicenseId, DEFAULT_LICENSE_ID } from "./licenses.js";
 import { 
     collection, 
     query, 
@@ -17,8 +31,10 @@ import {
     getDoc,
     orderBy,
     limit,
+    setDoc,
     serverTimestamp
 } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { escapeHtml } from "./html_escape.js";
 
 // --- 2. CORE AUTHORIZATION CHECK ---
 
@@ -104,14 +120,25 @@ window.loadPendingPosts = async function() {
         const post = doc.data();
         const media = (post.media?.imageUrl ? '🖼️ படம்' : '') + (post.media?.audioUrl ? ' 🎧 ஆடியோ' : '');
         
-        // FIX: Display AI Score if available
+        // FIX: Display AI Score and detected prosody form if available
         const aiScore = post.aiAnalysis?.aiScore;
+        const prosody = post.aiAnalysis?.prosody;
+        const prosodyInfo = prosody ? `<br><small title="${escapeHtml((prosody.violations || []).map(v => `அடி ${v.line}: ${v.message}`).join('\n'))}">${escapeHtml(prosody.formName)} (${(prosody.violations || []).length} யாப்புப் பிழைகள்)</small>` : '';
         const statusClass = post.status === 'Pending_Review' ? 'style="background-color: #fce3e3;"' : '';
-
+        const releaseInfo = post.scheduledAt ? `<br><small><i class="fas fa-clock"></i> வெளியீடு: ${formatReleaseTime(post.scheduledAt.toDate(), post.scheduledTimezone)}</small>` : '';
+        const coAuthorInfo = (post.coAuthors || []).filter(coAuthor => coAuthor.uid)
+            .map(coAuthor => `<br><small>+ ${escapeHtml(coAuthor.displayName)} (${escapeHtml(coAuthor.share)}%, ${escapeHtml(coAuthor.status)})</small>`).join('');
+        const match = post.plagiarismCheck;
+        const matchInfo = match?.flagged
+            ? `<br><small style="color: var(--error-color);"><i class="fas fa-copy"></i> ${Math.round(match.similarity * 100)}% ஒற்றுமை: "${escapeHtml(match.title)}" (${escapeHtml(match.authorName)})</small>
+               <br><button class="compare-btn" onclick="showPlagiarismComparison('${doc.id}')">ஒப்பிடு</button>`
+            : '';
+
+        const row = document.createElement('tr');
         row.innerHTML = `
-            <td ${statusClass}><a href="poem_view?id=${doc.id}" target="_blank" style="color:var(--primary-color);">${post.title}</a></td>
-            <td ${statusClass}>${post.authorName}</td>
-            <td ${statusClass}>${media || 'உள்ளடக்கம் மட்டும்'} <br> ${aiScore ? `(AI Score: ${aiScore})` : ''}</td>
+            <td ${statusClass}><a href="poem_view?id=${doc.id}" target="_blank" style="color:var(--primary-color);">${escapeHtml(post.title)}</a></td>
+            <td ${statusClass}>${escapeHtml(post.authorName)}${coAuthorInfo}${releaseInfo}</td>
+            <td ${statusClass}>${media || 'உள்ளடக்கம் மட்டும்'} <br> ${aiScore ? `(யாப்பு மதிப்பெண்: ${aiScore})` : ''}${prosodyInfo}${matchInfo}</td>
             <td ${statusClass}>
                 <button class="approve-btn" onclick="handlePostAction('${doc.id}', 'Approved')">ஒப்புதல்</button>
                 <button class="reject-btn" onclick="handlePostAction('${doc.id}', 'Rejected')">நிராகரி</button>
@@ -121,22 +148,176 @@ window.loadPendingPosts = async function() {
     });
 }
 
+/**
+ * Renders poem lines, marking those that also appear in the other text.
+ * The heading and lines are submitted text and are escaped here.
+ */
+function comparisonColumnHtml(heading, text, otherText) {
+    const other = normalizeForFingerprint(otherText);
+    const lines = (text || '').split('\n').map(line => {
+        const normalized = normalizeForFingerprint(line);
+        const shared = normalized.length > 3 && other.includes(normalized);
+        return `<div class="${shared ? 'compare-shared' : ''}">${line ? escapeHtml(line) : '&nbsp;'}</div>`;
+    }).join('');
+    return `<div class="compare-column"><h4>${escapeHtml(heading)}</h4>${lines}</div>`;
+}
+
+/**
+ * Side-by-side view of a flagged submission and the source it matched.
+ * @param {string} postId - The flagged 'kavithai' document ID.
+ */
+window.showPlagiarismComparison = async function(postId) {
+    if (!await isAdminCheck()) return;
+
+    try {
+        const postSnap = await getDoc(doc(db, "kavithai", postId));
+        const post = postSnap.data();
+        const match = post?.plagiarismCheck;
+        if (!match) return;
+
+        let source = null;
+        if (match.source === 'corpus') {
+            const entry = getCorpusEntry(match.corpusId);
+            source = entry ? { title: entry.title, authorName: entry.author, content: entry.text } : null;
+        } else if (match.poemId) {
+            const sourceSnap = await getDoc(doc(db, "kavithai", match.poemId));
+            source = sourceSnap.exists() ? sourceSnap.data() : null;
+        }
+        if (!source) {
+            window.showToastNotification("பொருந்திய மூலம் கிடைக்கவில்லை (நீக்கப்பட்டிருக்கலாம்).", 'warning');
+            return;
+        }
+
+        document.getElementById('compare-modal')?.remove();
+        const modal = document.createElement('div');
+        modal.id = 'compare-modal';
+        modal.className = 'compare-modal';
+        modal.innerHTML = `
+            <div class="compare-dialog">
+                <div class="compare-header">
+                    <h3><i class="fas fa-copy"></i> ஒப்பீடு — ${Math.round(match.similarity * 100)}% ஒற்றுமை</h3>
+                    <button type="button" class="compare-close" title="மூடு"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="compare-grid">
+                    ${comparisonColumnHtml(`சமர்ப்பிப்பு: ${post.title} (${post.authorName})`, post.content, source.content)}
+                    ${comparisonColumnHtml(`${match.source === 'corpus' ? 'பொதுக் களம்' : 'வெளியிடப்பட்டது'}: ${source.title} (${source.authorName})`, source.content, post.content)}
+                </div>
+                <div class="compare-actions">
+                    <button class="approve-btn" onclick="handlePostAction('${postId}', 'Approved'); document.getElementById('compare-modal').remove();">ஒப்புதல் (அசல் படைப்பு)</button>
+                    <button class="reject-btn" onclick="handlePostAction('${postId}', 'Rejected'); document.getElementById('compare-modal').remove();">நிராகரி</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        modal.querySelector('.compare-close').addEventListener('click', () => modal.remove());
+        modal.addEventListener('click', (e) => { if (e.target === modal) modal.remove(); });
+    } catch (error) {
+        console.error("Error loading comparison:", error);
+        window.showToastNotification("ஒப்பீட்டை ஏற்றுவதில் பிழை.", 'error');
+    }
+}
+
+/**
+ * Fingerprints approved poems published before fingerprinting existed, so new submissions are checked against them.
+ */
+window.backfillFingerprints = async function() {
+    if (!await isAdminCheck()) return;
+    if (!confirm("கைரேகை இல்லாத அனைத்து வெளியிடப்பட்ட கவிதைகளுக்கும் கைரேகை கணக்கிடவா?")) return;
+
+    try {
+        const querySnapshot = await getDocs(query(collection(db, "kavithai"), where("status", "==", "Approved")));
+        const missing = querySnapshot.docs.filter(poemDoc => !(poemDoc.data().fingerprintBands || []).length);
+        for (const poemDoc of missing) {
+            const fingerprint = computeFingerprint(poemDoc.data().content);
+            await updateDoc(poemDoc.ref, { fingerprint, fingerprintBands: fingerprintBands(fingerprint.signature) });
+        }
+        window.showToastNotification(`${missing.length} கவிதைகளுக்குக் கைரேகை சேர்க்கப்பட்டது.`, 'success');
+    } catch (error) {
+        console.error("Error backfilling fingerprints:", error);
+        window.showToastNotification("கைரேகை கணக்கிடுவதில் பிழை.", 'error');
+    }
+}
+
+/**
+ * Rebuilds 'searchTokens', the facet fields search.js filters on in Firestore (media flags,
+ * canonical license id, 'isTokenGated') and the spelling vocabulary for every approved poem
+ * (poems published before the index existed, or after a change to the normalisation rules in
+ * search_index.js).
+ */
+window.rebuildSearchIndex = async function() {
+    if (!await isAdminCheck()) return;
+    if (!confirm("அனைத்து வெளியிடப்பட்ட கவிதைகளுக்கும் தேடல் அட்டவணையை மீண்டும் உருவாக்கவா?")) return;
+
+    try {
+        const querySnapshot = await getDocs(query(collection(db, "kavithai"), where("status", "==", "Approved")));
+        for (const poemDoc of querySnapshot.docs) {
+            const poem = poemDoc.data();
+            await updateDoc(poemDoc.ref, {
+                searchTokens: buildSearchTokens(poem),
+                hasAudio: !!poem.media?.audioUrl,
+                hasImage: !!poem.media?.imageUrl,
+                license: resolveLicenseId(poem.license) || DEFAULT_LICENSE_ID,
+                isTokenGated: !!poem.isTokenGated
+            });
+            await updateSearchVocabulary(poem);
+        }
+        window.showToastNotification(`${querySnapshot.size} கவிதைகளின் தேடல் அட்டவணை புதுப்பிக்கப்பட்டது.`, 'success');
+    } catch (error) {
+        console.error("Error rebuilding search index:", error);
+        window.showToastNotification("தேடல் அட்டவணையை உருவாக்குவதில் பிழை.", 'error');
+    }
+}
+
 /**
  * Handles the approval or rejection of a post.
+ * Approving a post with a future 'scheduledAt' puts it in the release queue as 'Scheduled';
+ * the releaseScheduledPosts function (functions/index.js) flips it to 'Approved' on time.
+ * @param {string} postId - The 'kavithai' document ID.
+ * @param {string} newStatus - 'Approved', 'Rejected' or 'Pending_Approval' (unschedule).
+ * @param {boolean} releaseNow - Ignore the schedule and publish immediately.
  */
-window.handlePostAction = async function(postId, newStatus) {
+window.handlePostAction = async function(postId, newStatus, releaseNow = false) {
     if (!await isAdminCheck()) return;
 
     try {
         const postRef = doc(db, "kavithai", postId);
-        await updateDoc(postRef, {
-            status: newStatus,
+        const postSnap = await getDoc(postRef);
+        const post = postSnap.data() || {};
+
+        // Co-authored poems wait until every invitee has accepted (coauthors.js)
+        if (newStatus === 'Approved' && !await allCoAuthorsAccepted(postId, post)) {
+            window.showToastNotification("அனைத்து கூட்டுப் படைப்பாளர்களும் அழைப்பை ஏற்கும் வரை ஒப்புதல் அளிக்க முடியாது.", 'warning');
+            return;
+        }
+
+        let finalStatus = newStatus;
+        const isFutureRelease = post.scheduledAt && post.scheduledAt.toMillis() > Date.now();
+        if (newStatus === 'Approved' && isFutureRelease && !releaseNow) {
+            finalStatus = 'Scheduled';
+        }
+
+        const update = {
+            status: finalStatus,
             reviewedBy: auth.currentUser.uid,
             reviewDate: serverTimestamp() 
-        });
-
-        window.showToastNotification(`பதிவு ${newStatus === 'Approved' ? 'ஒப்புதல் அளிக்கப்பட்டது' : 'நிராகரிக்கப்பட்டது'}!`, 'success');
+        };
+        if (finalStatus === 'Approved') {
+            update.publishedAt = serverTimestamp();
+            if (releaseNow) update.timestamp = serverTimestamp();
+        }
+        await updateDoc(postRef, update);
+        // Not awaited: the spelling vocabulary is a search aid and must not hold up the review queue
+        if (finalStatus === 'Approved' || finalStatus === 'Scheduled') updateSearchVocabulary(post);
+
+        const messages = {
+            Approved: 'ஒப்புதல் அளிக்கப்பட்டது',
+            Rejected: 'நிராகரிக்கப்பட்டது',
+            Scheduled: `திட்டமிடப்பட்டது (${post.scheduledAt ? formatReleaseTime(post.scheduledAt.toDate(), post.scheduledTimezone) : ''})`,
+            Pending_Approval: 'மீண்டும் ஒப்புதல் வரிசைக்கு அனுப்பப்பட்டது'
+        };
+        window.showToastNotification(`பதிவு ${messages[finalStatus]}!`, 'success');
         window.loadPendingPosts(); 
+        window.loadScheduledPosts();
 
     } catch (error) {
         console.error("Error updating post status:", error);
@@ -144,6 +325,49 @@ window.handlePostAction = async function(postId, newStatus) {
     }
 }
 
+/**
+ * Loads the release queue: approved posts waiting for their scheduled time.
+ */
+window.loadScheduledPosts = async function() {
+    const tableBody = document.querySelector('#scheduled-posts-table tbody');
+    if (!tableBody) return;
+
+    const q = query(
+        collection(db, "kavithai"),
+        where("status", "==", "Scheduled"),
+        orderBy("scheduledAt", "asc"),
+        limit(20)
+    );
+
+    try {
+        const querySnapshot = await getDocs(q);
+        tableBody.innerHTML = '';
+
+        if (querySnapshot.empty) {
+            tableBody.innerHTML = '<tr><td colspan="4" style="text-align:center;">திட்டமிட்ட வெளியீடுகள் இல்லை.</td></tr>';
+            return;
+        }
+
+        querySnapshot.forEach((postDoc) => {
+            const post = postDoc.data();
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><a href="poem_view?id=${postDoc.id}" target="_blank" style="color:var(--primary-color);">${escapeHtml(post.title)}</a></td>
+                <td>${escapeHtml(post.authorName)}</td>
+                <td>${formatReleaseTime(post.scheduledAt.toDate(), post.scheduledTimezone)}</td>
+                <td>
+                    <button class="approve-btn" onclick="handlePostAction('${postDoc.id}', 'Approved', true)">இப்போதே வெளியிடு</button>
+                    <button class="reject-btn" onclick="handlePostAction('${postDoc.id}', 'Pending_Approval')">ஒத்திவை</button>
+                </td>
+            `;
+            tableBody.appendChild(row);
+        });
+    } catch (error) {
+        console.error("Error loading release queue:", error);
+        tableBody.innerHTML = '<tr><td colspan="4" style="text-align:center;">வெளியீட்டு வரிசையை ஏற்ற முடியவில்லை.</td></tr>';
+    }
+}
+
 
 // --- 4. USER MANAGEMENT (Ban/Unban - KEEPING ORIGINAL LOGIC) ---
 
@@ -165,6 +389,8 @@ async function loadOwnerSettings() {
     if (docSnap.exists()) {
         currentOwnerSettings = docSnap.data();
         document.getElementById('conversion-rate').textContent = `${currentOwnerSettings.conversionRate || 0} TK = 1 USD (MOCK)`;
+        const thresholdDisplay = document.getElementById('ai-threshold-display');
+        if (thresholdDisplay) thresholdDisplay.textContent = currentOwnerSettings.aiFilterThreshold ?? 30;
     } else {
          // Create default if not found
          currentOwnerSettings = {
@@ -198,6 +424,8 @@ window.updateAIFilterThreshold = async function() {
             aiFilterThreshold: thresholdNum
         });
         currentOwnerSettings.aiFilterThreshold = thresholdNum; // Update local state
+        const thresholdDisplay = document.getElementById('ai-threshold-display');
+        if (thresholdDisplay) thresholdDisplay.textContent = thresholdNum;
         window.showToastNotification(`AI Filter Threshold வெற்றிகரமாக ${thresholdNum} ஆகப் புதுப்பிக்கப்பட்டது!`, 'success');
     } catch (error) {
         console.error("Error updating AI Threshold:", error);
@@ -205,6 +433,90 @@ window.updateAIFilterThreshold = async function() {
     }
 }
 
+/**
+ * Chooses the machine translation provider (translation.js): 'glossary' (local word list) or
+ * 'server' (self-hosted LibreTranslate-style server at the given address).
+ */
+window.updateTranslationProvider = async function() {
+    if (!await isAdminCheck()) return;
+
+    const providerId = prompt("மொழிபெயர்ப்பு வழங்கி ('glossary' அல்லது 'server'):", currentOwnerSettings.translationProvider || 'glossary')?.trim();
+    if (!providerId) return;
+    if (!['glossary', 'server'].includes(providerId)) {
+        window.showToastNotification("'glossary' அல்லது 'server' என உள்ளிடவும்.", 'error');
+        return;
+    }
+    const serverUrl = providerId === 'server'
+        ? prompt("மொழிபெயர்ப்பு சர்வர் முகவரி:", currentOwnerSettings.translationServerUrl || '')?.trim()
+        : currentOwnerSettings.translationServerUrl || '';
+    if (providerId === 'server' && !serverUrl) return;
+
+    try {
+        await updateDoc(doc(db, "settings", "owner_defaults"), { translationProvider: providerId, translationServerUrl: serverUrl });
+        currentOwnerSettings.translationProvider = providerId;
+        currentOwnerSettings.translationServerUrl = serverUrl;
+        window.showToastNotification("மொழிபெயர்ப்பு வழங்கி புதுப்பிக்கப்பட்டது. ஏற்கனவே சேமித்த மொழிபெயர்ப்புகள் மாறாது.", 'success');
+    } catch (error) {
+        console.error("Error updating translation provider:", error);
+        window.showToastNotification("மொழிபெயர்ப்பு அமைப்பைப் புதுப்பிப்பதில் பிழை.", 'error');
+    }
+}
+
+/**
+ * Adds words to the glossary provider's list for one language ('translation_glossary/{lang}').
+ * Entries are typed as "சொல்=meaning" pairs separated by semicolons.
+ */
+window.addGlossaryEntries = async function() {
+    if (!await isAdminCheck()) return;
+
+    const lang = prompt("இலக்கு மொழிக் குறியீடு (எ.கா. en, si):", 'en')?.trim();
+    if (!lang) return;
+    const input = prompt("சொல்=பொருள் இணைகளை ; கொண்டு பிரித்து உள்ளிடவும் (எ.கா. காதல்=love; நிலா=moon):");
+    if (!input) return;
+
+    const entries = {};
+    input.split(';').forEach(pair => {
+        const [word, meaning] = pair.split('=').map(part => (part || '').trim());
+        const key = normalizeTamilText(word || '').trim();
+        if (key && meaning) entries[key] = meaning;
+    });
+    if (Object.keys(entries).length === 0) {
+        window.showToastNotification("சரியான இணைகள் எதுவும் இல்லை.", 'error');
+        return;
+    }
+
+    try {
+        await setDoc(doc(db, "translation_glossary", lang), { entries, updatedAt: serverTimestamp() }, { merge: true });
+        window.showToastNotification(`${Object.keys(entries).length} சொற்கள் '${lang}' சொற்களஞ்சியத்தில் சேர்க்கப்பட்டன.`, 'success');
+    } catch (error) {
+        console.error("Error updating glossary:", error);
+        window.showToastNotification("சொற்களஞ்சியத்தைப் புதுப்பிப்பதில் பிழை.", 'error');
+    }
+}
+
+
+/**
+ * Credits earnings to a poem; monetize.js splits them across the author and accepted co-authors.
+ */
+window.creditPoemEarningsPrompt = async function() {
+    if (!await isAdminCheck()) return;
+
+    const poemId = prompt("வருமானம் வரவு வைக்க வேண்டிய கவிதை ID:")?.trim();
+    if (!poemId) return;
+    const amount = parseFloat(prompt("தொகை (TK):"));
+    if (isNaN(amount) || amount <= 0) {
+        window.showToastNotification("சரியான தொகையை உள்ளிடவும்.", 'error');
+        return;
+    }
+
+    try {
+        const credits = await creditPoemEarnings(poemId, amount);
+        window.showToastNotification(`${amount.toFixed(2)} TK ${credits.length} படைப்பாளர்களுக்குப் பிரித்து வரவு வைக்கப்பட்டது!`, 'success');
+    } catch (error) {
+        console.error("Error crediting earnings:", error);
+        window.showToastNotification("வருமானத்தை வரவு வைப்பதில் பிழை ஏற்பட்டது.", 'error');
+    }
+}
 
 /**
  * Placeholder: Automated Payout Reminder (Triggered manually here).
@@ -222,6 +534,7 @@ document.addEventListener('DOMContentLoaded', () => {
         
         if (isAuth) { 
             window.loadPendingPosts();
+            window.loadScheduledPosts();
             window.loadUserList();
         }
     });
@@ -0,0 +1,561 @@
+/*
+ * File: anthology.js
+ * Description: கவிதைத் தொகுப்பு ஏற்றுமதி (Anthology Export) - approved poems as EPUB 3 or a printable PDF.
+ * Integrates: Firestore 'kavithai' collection, series.js (series filter and part order),
+ *             media_library.js (cover from an uploaded image), Cache Storage (offline re-export),
+ *             anthology_sw.js (offline page shell).
+ * Purpose: Authors get their own work back out as a chapbook. Everything runs in the browser:
+ *          the EPUB is zipped here and the PDF comes from the browser's print-to-PDF.
+ * FIX: anthology_sw.js caches the page and its scripts, so the export also opens offline.
+ */
+
+// --- 1. FIREBASE IMPORTS & CONFIGURATION ---
+import { auth, db } from "./auth.js";
+import {
+    collection,
+    getDocs,
+    query,
+    where
+} from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { loadAuthorSeries } from "./series.js";
+import "./media_library.js";
+import { escapeHtml as escapeXml } from "./html_escape.js";
+
+const EXPORT_CACHE_NAME = 'naankavithai-export';
+const TAMIL_FONT_CSS_URL = 'https://fonts.googleapis.com/css2?family=Noto+Sans+Tamil:wght@400;700&display=swap';
+const FONT_SUBSETS = ['tamil', 'latin'];
+
+let authorPoems = [];
+let authorSeries = [];
+let coverSource = null; // { url } from the media library or { blob } from a local file
+
+
+// --- 2. OFFLINE CACHE ---
+
+/**
+ * Fetches a URL through Cache Storage: network first, cached copy when offline.
+ * @returns {Promise<Response|null>}
+ */
+async function cachedFetch(url) {
+    const cache = 'caches' in window ? await caches.open(EXPORT_CACHE_NAME) : null;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        if (cache) await cache.put(url, response.clone());
+        return response;
+    } catch (error) {
+        const cached = cache ? await cache.match(url) : null;
+        if (!cached) console.warn(`Offline and not cached: ${url}`, error);
+        return cached || null;
+    }
+}
+
+/**
+ * Registers anthology_sw.js so the page itself (HTML, modules, Firebase SDK, styles) also loads
+ * offline. The URLs this visit already loaded are handed over, since the worker only sees
+ * requests from the next visit on.
+ */
+async function registerOfflineShell() {
+    if (!('serviceWorker' in navigator)) return;
+    try {
+        const registration = await navigator.serviceWorker.register('/anthology_sw.js', { scope: '/anthology' });
+        await navigator.serviceWorker.ready;
+        const urls = [window.location.href, ...performance.getEntriesByType('resource').map(entry => entry.name)];
+        (registration.active || navigator.serviceWorker.controller)?.postMessage({ type: 'cache-urls', urls });
+    } catch (error) {
+        console.warn("Offline support unavailable:", error);
+    }
+}
+
+function poemCacheKey(uid) {
+    return `/__anthology/poems/${uid}`;
+}
+
+/**
+ * Loads the author's approved poems. The last successful list is kept in Cache Storage
+ * so an anthology can be rebuilt without a connection.
+ */
+async function loadApprovedPoems(uid) {
+    const cache = 'caches' in window ? await caches.open(EXPORT_CACHE_NAME) : null;
+    try {
+        const q = query(collection(db, "kavithai"), where("authorId", "==", uid), where("status", "==", "Approved"));
+        const querySnapshot = await getDocs(q);
+        const poems = querySnapshot.docs.map(poemDoc => {
+            const data = poemDoc.data();
+            return {
+                id: poemDoc.id,
+                title: data.title,
+                content: data.content,
+                tags: data.tags || [],
+                seriesId: data.seriesId || null,
+                series: data.series || '',
+                authorName: data.authorName,
+                publishedAt: data.timestamp ? data.timestamp.toMillis() : 0
+            };
+        }).sort((a, b) => a.publishedAt - b.publishedAt);
+
+        if (cache) await cache.put(poemCacheKey(uid), new Response(JSON.stringify(poems), { headers: { 'Content-Type': 'application/json' } }));
+        return poems;
+    } catch (error) {
+        const cached = cache ? await cache.match(poemCacheKey(uid)) : null;
+        if (!cached) throw error;
+        window.showToastNotification("இணைப்பு இல்லை: முன்பு சேமித்த கவிதைப் பட்டியல் பயன்படுத்தப்படுகிறது.", 'warning');
+        return cached.json();
+    }
+}
+
+
+// --- 3. SELECTION ---
+
+/**
+ * Applies the series / tag / date-range filters. A series selection keeps the series' part order.
+ * @param {object} filters - { seriesId, tag, from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }
+ */
+function filterPoems(poems, { seriesId = '', tag = '', from = '', to = '' } = {}) {
+    const fromMs = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+    const toMs = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+    const tagKey = tag.trim().replace(/^#/, '').toLowerCase();
+
+    const selected = poems.filter(poem =>
+        (!seriesId || poem.seriesId === seriesId) &&
+        (!tagKey || poem.tags.some(poemTag => poemTag.toLowerCase() === tagKey)) &&
+        poem.publishedAt >= fromMs && poem.publishedAt <= toMs
+    );
+
+    const series = seriesId ? authorSeries.find(candidate => candidate.id === seriesId) : null;
+    if (series?.poemIds?.length) {
+        const order = (id) => { const index = series.poemIds.indexOf(id); return index === -1 ? Infinity : index; };
+        selected.sort((a, b) => order(a.id) - order(b.id));
+    }
+    return selected;
+}
+
+
+// --- 4. EPUB BUILDING ---
+
+/**
+ * Poem text as XHTML: stanzas become paragraphs, line breaks are kept.
+ */
+function poemBodyXhtml(content) {
+    return content.trim().split(/\n\s*\n/).map(stanza =>
+        `<p class="stanza">${stanza.split('\n').map(escapeXml).join('<br/>')}</p>`
+    ).join('\n');
+}
+
+function xhtmlPage(title, body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="ta" lang="ta">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="../styles.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * Downloads Noto Sans Tamil (Tamil + Latin subsets, regular and bold) for embedding.
+ * @returns {Promise<Array<{href, bytes, weight, unicodeRange}>>} - Empty when unavailable offline.
+ */
+async function loadEmbeddedFonts() {
+    const cssResponse = await cachedFetch(TAMIL_FONT_CSS_URL);
+    if (!cssResponse) return [];
+
+    const css = await cssResponse.text();
+    const blocks = [...css.matchAll(/\/\*\s*([\w-]+)\s*\*\/\s*@font-face\s*{([^}]*)}/g)];
+    const fonts = [];
+    for (const [, subset, block] of blocks) {
+        if (!FONT_SUBSETS.includes(subset)) continue;
+        const url = /url\((['"]?)([^)'"]+)\1\)/.exec(block)?.[2];
+        const weight = /font-weight:\s*(\d+)/.exec(block)?.[1] || '400';
+        const unicodeRange = /unicode-range:\s*([^;]+);/.exec(block)?.[1] || '';
+        const fontResponse = url ? await cachedFetch(url) : null;
+        if (!fontResponse) continue;
+        fonts.push({
+            href: `fonts/NotoSansTamil-${weight}-${subset}.woff2`,
+            bytes: new Uint8Array(await fontResponse.arrayBuffer()),
+            weight,
+            unicodeRange
+        });
+    }
+    return fonts;
+}
+
+/**
+ * Loads the chosen cover as bytes, re-encoded to JPEG so every reader can show it.
+ * @returns {Promise<Uint8Array|null>}
+ */
+async function loadCoverImage() {
+    if (!coverSource) return null;
+    let blob = coverSource.blob || null;
+    if (!blob && coverSource.url) {
+        const response = await cachedFetch(coverSource.url);
+        blob = response ? await response.blob() : null;
+    }
+    if (!blob) return null;
+
+    const bitmap = await createImageBitmap(blob);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close?.();
+    const jpeg = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.9));
+    return new Uint8Array(await jpeg.arrayBuffer());
+}
+
+function stylesheet(fonts) {
+    const fontFaces = fonts.map(font => `@font-face {
+  font-family: "Noto Sans Tamil";
+  font-style: normal;
+  font-weight: ${font.weight};
+  src: url("${font.href}") format("woff2");
+  unicode-range: ${font.unicodeRange};
+}`).join('\n');
+
+    return `${fontFaces}
+body { font-family: "Noto Sans Tamil", sans-serif; line-height: 1.7; margin: 5%; }
+h1, h2 { text-align: center; }
+h2 { margin-top: 2em; page-break-before: always; }
+.stanza { margin: 0 0 1.2em 0; }
+.meta { text-align: center; color: #666; font-size: 0.85em; }
+.cover { text-align: center; margin: 0; padding: 0; }
+.cover img { max-width: 100%; max-height: 100%; }
+nav ol { list-style: none; padding-left: 0; }`;
+}
+
+/**
+ * Builds a valid EPUB 3 (with an EPUB 2 NCX for older readers).
+ * @param {object} book - { title, author, poems, fonts, cover }
+ * @returns {Blob}
+ */
+function buildEpub({ title, author, poems, fonts, cover }) {
+    const bookId = `urn:uuid:${crypto.randomUUID()}`;
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+    const chapters = poems.map((poem, index) => ({ ...poem, href: `text/poem-${String(index + 1).padStart(3, '0')}.xhtml`, itemId: `poem${index + 1}` }));
+
+    const files = [
+        { name: 'META-INF/container.xml', data: `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>` },
+        { name: 'OEBPS/styles.css', data: stylesheet(fonts) },
+        { name: 'OEBPS/text/title.xhtml', data: xhtmlPage(title, `<h1>${escapeXml(title)}</h1>\n<p class="meta">${escapeXml(author)}</p>\n<p class="meta">நான் கவிதை · ${new Date().getFullYear()}</p>`) },
+        ...chapters.map(poem => ({
+            name: `OEBPS/${poem.href}`,
+            data: xhtmlPage(poem.title, `<section epub:type="chapter">\n<h2>${escapeXml(poem.title)}</h2>\n${poemBodyXhtml(poem.content)}\n${poem.tags.length ? `<p class="meta">${escapeXml(poem.tags.map(tag => `#${tag}`).join(' '))}</p>` : ''}\n</section>`)
+        })),
+        { name: 'OEBPS/nav.xhtml', data: xhtmlPage('பொருளடக்கம்', `<nav epub:type="toc" id="toc">\n<h1>பொருளடக்கம்</h1>\n<ol>\n${chapters.map(poem => `<li><a href="${poem.href}">${escapeXml(poem.title)}</a></li>`).join('\n')}\n</ol>\n</nav>`).replace('href="../styles.css"', 'href="styles.css"') },
+        { name: 'OEBPS/toc.ncx', data: `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head><meta name="dtb:uid" content="${bookId}"/></head>
+<docTitle><text>${escapeXml(title)}</text></docTitle>
+<navMap>
+${chapters.map((poem, index) => `<navPoint id="nav${index + 1}" playOrder="${index + 1}"><navLabel><text>${escapeXml(poem.title)}</text></navLabel><content src="${poem.href}"/></navPoint>`).join('\n')}
+</navMap>
+</ncx>` },
+        ...fonts.map(font => ({ name: `OEBPS/${font.href}`, data: font.bytes }))
+    ];
+
+    if (cover) {
+        files.push({ name: 'OEBPS/images/cover.jpg', data: cover });
+        files.push({ name: 'OEBPS/text/cover.xhtml', data: xhtmlPage(title, `<div class="cover"><img src="../images/cover.jpg" alt="${escapeXml(title)}"/></div>`) });
+    }
+
+    const manifest = [
+        '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+        '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+        '<item id="css" href="styles.css" media-type="text/css"/>',
+        '<item id="title" href="text/title.xhtml" media-type="application/xhtml+xml"/>',
+        ...(cover ? [
+            '<item id="cover-image" href="images/cover.jpg" media-type="image/jpeg" properties="cover-image"/>',
+            '<item id="cover" href="text/cover.xhtml" media-type="application/xhtml+xml"/>'
+        ] : []),
+        ...chapters.map(poem => `<item id="${poem.itemId}" href="${poem.href}" media-type="application/xhtml+xml"/>`),
+        ...fonts.map((font, index) => `<item id="font${index + 1}" href="${font.href}" media-type="font/woff2"/>`)
+    ];
+    const spine = [
+        ...(cover ? ['<itemref idref="cover" linear="no"/>'] : []),
+        '<itemref idref="title"/>',
+        '<itemref idref="nav"/>',
+        ...chapters.map(poem => `<itemref idref="${poem.itemId}"/>`)
+    ];
+
+    files.push({ name: 'OEBPS/content.opf', data: `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="ta">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${bookId}</dc:identifier>
+    <dc:title>${escapeXml(title)}</dc:title>
+    <dc:creator>${escapeXml(author)}</dc:creator>
+    <dc:language>ta</dc:language>
+    <dc:publisher>நான் கவிதை</dc:publisher>
+    <meta property="dcterms:modified">${modified}</meta>
+    ${cover ? '<meta name="cover" content="cover-image"/>' : ''}
+  </metadata>
+  <manifest>
+    ${manifest.join('\n    ')}
+  </manifest>
+  <spine toc="ncx">
+    ${spine.join('\n    ')}
+  </spine>
+</package>` });
+
+    // The 'mimetype' entry must come first and be stored uncompressed
+    return createZip([{ name: 'mimetype', data: 'application/epub+zip' }, ...files], 'application/epub+zip');
+}
+
+
+// --- 5. ZIP WRITER (stored entries, no compression) ---
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Writes a ZIP archive with stored (method 0) entries and UTF-8 file names.
+ * @param {Array<{name: string, data: string|Uint8Array}>} entries
+ * @param {string} mimeType - Blob type.
+ * @returns {Blob}
+ */
+function createZip(entries, mimeType = 'application/zip') {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    entries.forEach(entry => {
+        const name = encoder.encode(entry.name);
+        const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, 0, true);
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        parts.push(new Uint8Array(local.buffer), name, data);
+
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, 0x02014B50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 20, true);
+        header.setUint16(8, 0x0800, true);
+        header.setUint16(10, 0, true);
+        header.setUint16(12, dosTime, true);
+        header.setUint16(14, dosDate, true);
+        header.setUint32(16, crc, true);
+        header.setUint32(20, data.length, true);
+        header.setUint32(24, data.length, true);
+        header.setUint16(28, name.length, true);
+        header.setUint32(42, offset, true);
+        central.push(new Uint8Array(header.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: mimeType });
+}
+
+
+// --- 6. PRINTABLE PDF ---
+
+/**
+ * Opens a print-styled anthology (A5, cover, contents, one poem per page) and starts printing;
+ * "Save as PDF" in the print dialog produces the print-ready file.
+ */
+function printAnthology({ title, author, poems, coverUrl }) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        window.showToastNotification("Pop-up தடுக்கப்பட்டது. அச்சிட pop-up-களை அனுமதிக்கவும்.", 'error');
+        return;
+    }
+
+    printWindow.document.write(`<!DOCTYPE html>
+<html lang="ta">
+<head>
+<meta charset="UTF-8">
+<title>${escapeXml(title)}</title>
+<link href="https://fonts.googleapis.com/css2?family=Noto+Sans+Tamil:wght@400;700&display=swap" rel="stylesheet">
+<style>
+  @page { size: A5; margin: 18mm 15mm; }
+  body { font-family: "Noto Sans Tamil", sans-serif; line-height: 1.7; color: #000; }
+  .page { page-break-after: always; }
+  .cover { text-align: center; }
+  .cover img { max-width: 100%; max-height: 120mm; }
+  h1, h2 { text-align: center; }
+  .meta { text-align: center; color: #555; font-size: 0.85em; }
+  .toc li { margin-bottom: 4px; }
+  .stanza { margin: 0 0 1.2em 0; }
+</style>
+</head>
+<body>
+  <section class="page cover">
+    ${coverUrl ? `<img src="${escapeXml(coverUrl)}" alt="">` : ''}
+    <h1>${escapeXml(title)}</h1>
+    <p class="meta">${escapeXml(author)}</p>
+  </section>
+  <section class="page toc">
+    <h2>பொருளடக்கம்</h2>
+    <ol>${poems.map(poem => `<li>${escapeXml(poem.title)}</li>`).join('')}</ol>
+  </section>
+  ${poems.map(poem => `<section class="page"><h2>${escapeXml(poem.title)}</h2>${poemBodyXhtml(poem.content)}</section>`).join('\n')}
+</body>
+</html>`);
+    printWindow.document.close();
+    // Wait for fonts and the cover image before opening the print dialog
+    printWindow.addEventListener('load', () => printWindow.document.fonts.ready.then(() => printWindow.print()));
+}
+
+
+// --- 7. PAGE LOGIC (anthology.html) ---
+
+function currentFilters() {
+    return {
+        seriesId: document.getElementById('anthology-series').value,
+        tag: document.getElementById('anthology-tag').value,
+        from: document.getElementById('anthology-from').value,
+        to: document.getElementById('anthology-to').value
+    };
+}
+
+function renderSelection() {
+    const poems = filterPoems(authorPoems, currentFilters());
+    document.getElementById('anthology-count').textContent = `${poems.length} கவிதைகள் தேர்ந்தெடுக்கப்பட்டன`;
+    document.getElementById('anthology-list').innerHTML = poems.map(poem =>
+        `<li>${escapeXml(poem.title)} <small>${poem.publishedAt ? new Date(poem.publishedAt).toLocaleDateString('ta-IN') : ''}</small></li>`
+    ).join('');
+    return poems;
+}
+
+function bookDetails() {
+    const user = auth.currentUser;
+    const seriesSelect = document.getElementById('anthology-series');
+    return {
+        title: document.getElementById('anthology-title').value.trim()
+            || (seriesSelect.value ? seriesSelect.selectedOptions[0].textContent : 'எனது கவிதைகள்'),
+        author: user.displayName || user.email
+    };
+}
+
+window.exportAnthologyEpub = async function() {
+    const poems = renderSelection();
+    if (poems.length === 0) {
+        window.showToastNotification("ஏற்றுமதி செய்ய கவிதைகள் இல்லை.", 'warning');
+        return;
+    }
+
+    const status = document.getElementById('anthology-status');
+    status.innerHTML = '<i class="fas fa-spinner fa-spin"></i> EPUB உருவாக்கப்படுகிறது...';
+    try {
+        const [fonts, cover] = await Promise.all([loadEmbeddedFonts(), loadCoverImage().catch(() => null)]);
+        const { title, author } = bookDetails();
+        const epub = buildEpub({ title, author, poems, fonts, cover });
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(epub);
+        link.download = `${title.replace(/[\\/:*?"<>|]/g, '_')}.epub`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+
+        const notes = [];
+        if (fonts.length === 0) notes.push('தமிழ் எழுத்துரு இணைக்கப்படவில்லை (இணைப்பு இல்லை)');
+        if (coverSource && !cover) notes.push('அட்டைப் படம் ஏற்றப்படவில்லை');
+        status.innerHTML = `<i class="fas fa-check-circle"></i> EPUB தயார் (${poems.length} கவிதைகள், ${Math.round(epub.size / 1024)} KB)${notes.length ? ` — ${notes.join('; ')}` : ''}`;
+        window.showToastNotification("EPUB பதிவிறக்கம் தொடங்கியது!", 'success');
+    } catch (error) {
+        console.error("EPUB export failed:", error);
+        status.textContent = 'EPUB உருவாக்குவதில் பிழை ஏற்பட்டது.';
+        window.showToastNotification("EPUB உருவாக்குவதில் பிழை.", 'error');
+    }
+}
+
+window.exportAnthologyPdf = function() {
+    const poems = renderSelection();
+    if (poems.length === 0) {
+        window.showToastNotification("ஏற்றுமதி செய்ய கவிதைகள் இல்லை.", 'warning');
+        return;
+    }
+    const coverUrl = coverSource?.blob ? URL.createObjectURL(coverSource.blob) : coverSource?.url || null;
+    printAnthology({ ...bookDetails(), poems, coverUrl });
+}
+
+window.chooseAnthologyCover = function() {
+    window.openMediaPicker('image', (asset) => {
+        coverSource = { url: asset.url };
+        document.getElementById('anthology-cover-preview').innerHTML = `<img src="${asset.url}" alt="">`;
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (!document.getElementById('anthology-export')) return;
+    registerOfflineShell();
+
+    ['anthology-series', 'anthology-tag', 'anthology-from', 'anthology-to'].forEach(id => {
+        document.getElementById(id).addEventListener('input', renderSelection);
+    });
+
+    document.getElementById('anthology-cover-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        coverSource = { blob: file };
+        document.getElementById('anthology-cover-preview').innerHTML = `<img src="${URL.createObjectURL(file)}" alt="">`;
+    });
+
+    auth.onAuthStateChanged(async (user) => {
+        if (!user) {
+            window.showToastNotification("தொகுப்பை ஏற்றுமதி செய்ய உள்நுழையவும்.", 'error');
+            return;
+        }
+        try {
+            authorSeries = await loadAuthorSeries(user.uid).catch(() => []);
+            const seriesSelect = document.getElementById('anthology-series');
+            authorSeries.forEach(series => seriesSelect.add(new Option(series.title, series.id)));
+
+            authorPoems = await loadApprovedPoems(user.uid);
+            renderSelection();
+        } catch (error) {
+            console.error("Error loading poems for export:", error);
+            window.showToastNotification("கவிதைகளை ஏற்றுவதில் பிழை ஏற்பட்டது.", 'error');
+        }
+    });
+});
+
+// --- 8. EXPORTS ---
+export { filterPoems, buildEpub, createZip, crc32 };
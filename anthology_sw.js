@@ -0,0 +1,81 @@
+/*
+ * File: anthology_sw.js
+ * Description: தொகுப்புப் பக்க சேவைப் பணியாளர் (Anthology Service Worker) - keeps anthology.html usable offline.
+ * Integrates: anthology.js (registers it with scope '/anthology' and sends the URLs the page loaded),
+ *             Cache Storage ('naankavithai-export' holds the poem list and fonts anthology.js caches itself).
+ * Purpose: The export runs in the browser, but without a service worker the page, its modules and the
+ *          Firebase SDK could not load offline. Requests from the anthology page go network first and
+ *          fall back to the cached copy; Firestore, sign-in and upload APIs are never cached.
+ */
+
+// --- 1. CONFIGURATION ---
+
+const SHELL_CACHE_NAME = 'naankavithai-anthology-shell';
+
+// Live APIs: a cached answer would be stale or wrong, so these always go to the network
+const NETWORK_ONLY_HOSTS = [
+    'firestore.googleapis.com',
+    'identitytoolkit.googleapis.com',
+    'securetoken.googleapis.com',
+    'api.cloudinary.com'
+];
+
+function isCacheable(url) {
+    const parsed = new URL(url);
+    return (parsed.protocol === 'https:' || parsed.protocol === 'http:') && !NETWORK_ONLY_HOSTS.includes(parsed.hostname);
+}
+
+
+// --- 2. CACHING ---
+
+/**
+ * Network first; a successful response refreshes the cached copy. Offline, the cached copy
+ * (from this cache or anthology.js's export cache) is returned.
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Stores the URLs the page loaded before this worker controlled it (the first visit).
+ * Failures are skipped; the next online visit fills the gaps.
+ */
+async function cacheUrls(urls) {
+    const cache = await caches.open(SHELL_CACHE_NAME);
+    await Promise.all(urls.filter(isCacheable).map(async (url) => {
+        try {
+            const response = await fetch(url);
+            if (response.ok) await cache.put(url, response);
+        } catch (error) {
+            console.warn(`Could not cache ${url}`, error);
+        }
+    }));
+}
+
+
+// --- 3. LIFECYCLE & EVENTS ---
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || !isCacheable(request.url)) return;
+    event.respondWith(networkFirst(request));
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'cache-urls' && Array.isArray(event.data.urls)) {
+        event.waitUntil(cacheUrls(event.data.urls));
+    }
+});
@@ -0,0 +1,290 @@
+/*
+ * File: autosave.js
+ * Description: create.html படிவத்தின் உள்ளூர் தானியங்கிச் சேமிப்பு (Crash-safe Local Autosave).
+ * Integrates: IndexedDB (browser), window.uploadedMediaUrls (upload.js), draft saving (content.js).
+ * Purpose: Periodically snapshots the poem form per user and draft, offers a recovery banner
+ *          after a crash or closed tab, and hands recovered drafts back to content.js for syncing.
+ * FIX: Closing the tab saves synchronously to localStorage (moved into IndexedDB on the next visit),
+ *      a saved draft cancels the pending autosave, and the recovery banner escapes the title.
+ */
+
+// --- 1. IMPORTS & INDEXEDDB CONFIGURATION ---
+import { escapeHtml } from "./html_escape.js";
+
+const AUTOSAVE_DB_NAME = 'naankavithai_offline';
+const AUTOSAVE_DB_VERSION = 1;
+const AUTOSAVE_STORE = 'drafts';
+const AUTOSAVE_INTERVAL_MS = 15000;
+const AUTOSAVE_DEBOUNCE_MS = 2000;
+// IndexedDB writes are async and may not finish while the page unloads; the last copy goes here
+const UNLOAD_SNAPSHOT_PREFIX = 'naankavithai_autosave:';
+
+let dbPromise = null;
+let autosaveStarted = false;
+let debounceTimer = null;
+let lastSnapshot = null;   // JSON of the form as last saved (locally or to Firestore)
+let collectForm = null;    // initAutosave's collect()
+
+/**
+ * Opens (and creates on first use) the offline drafts database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openAutosaveDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(AUTOSAVE_DB_NAME, AUTOSAVE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                if (!database.objectStoreNames.contains(AUTOSAVE_STORE)) {
+                    const store = database.createObjectStore(AUTOSAVE_STORE, { keyPath: 'key' });
+                    store.createIndex('uid', 'uid', { unique: false });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Runs a single request against the drafts store and resolves with its result.
+ */
+async function runStoreRequest(mode, makeRequest) {
+    const database = await openAutosaveDb();
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(AUTOSAVE_STORE, mode);
+        const request = makeRequest(tx.objectStore(AUTOSAVE_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// --- 2. RECORD STORAGE ---
+
+/**
+ * Builds the storage key for a user's draft. Unsaved poems use 'new'.
+ */
+function autosaveKey(uid, draftId) {
+    return `${uid}:${draftId || 'new'}`;
+}
+
+function putAutosave(record) {
+    return runStoreRequest('readwrite', store => store.put(record));
+}
+
+function getAutosave(key) {
+    return runStoreRequest('readonly', store => store.get(key));
+}
+
+function deleteAutosave(key) {
+    localStorage.removeItem(`${UNLOAD_SNAPSHOT_PREFIX}${key}`);
+    return runStoreRequest('readwrite', store => store.delete(key));
+}
+
+/**
+ * Moves copies written while a page was closing (see initAutosave) into IndexedDB, unless the
+ * IndexedDB copy is newer.
+ */
+async function adoptUnloadSnapshots(uid) {
+    const storageKeys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const storageKey = localStorage.key(i);
+        if (storageKey?.startsWith(`${UNLOAD_SNAPSHOT_PREFIX}${uid}:`)) storageKeys.push(storageKey);
+    }
+    for (const storageKey of storageKeys) {
+        try {
+            const record = JSON.parse(localStorage.getItem(storageKey));
+            const existing = await getAutosave(record.key);
+            if (!existing || existing.savedAt < record.savedAt) {
+                await putAutosave({ ...record, pendingSync: existing?.pendingSync || false });
+            }
+        } catch (error) {
+            console.error("Could not restore the closing-page autosave:", error);
+        }
+        localStorage.removeItem(storageKey);
+    }
+}
+
+/**
+ * Lists every autosaved record of a user that still needs to reach Firestore.
+ */
+async function getPendingSyncRecords(uid) {
+    const records = await runStoreRequest('readonly', store => store.index('uid').getAll(uid));
+    return (records || []).filter(record => record.pendingSync);
+}
+
+/**
+ * Removes the local copies of a draft once Firestore has it (both the 'new' and the ID key).
+ * A pending debounced autosave is cancelled so it cannot write the saved form back.
+ */
+async function clearAutosave(uid, draftId) {
+    if (!uid) return;
+    clearTimeout(debounceTimer);
+    if (collectForm) lastSnapshot = JSON.stringify(collectForm());
+    try {
+        await deleteAutosave(autosaveKey(uid, null));
+        if (draftId) await deleteAutosave(autosaveKey(uid, draftId));
+    } catch (error) {
+        console.error("Autosave cleanup failed:", error);
+    }
+}
+
+/**
+ * Marks the current form state as waiting for a Firestore sync (used when offline).
+ */
+async function markPendingSync(uid, draftId, formData, baseUpdatedAt) {
+    await putAutosave({
+        key: autosaveKey(uid, draftId),
+        uid,
+        draftId: draftId || null,
+        form: formData,
+        savedAt: Date.now(),
+        baseUpdatedAt: baseUpdatedAt || null,
+        pendingSync: true
+    });
+}
+
+
+// --- 3. RECOVERY BANNER ---
+
+function hideRecoveryBanner() {
+    document.getElementById('recovery-banner')?.remove();
+}
+
+/**
+ * Shows a banner above the form offering to recover an autosaved copy.
+ */
+function showRecoveryBanner(record, onRecover, onDiscard) {
+    hideRecoveryBanner();
+    const container = document.querySelector('.post-form-container');
+    if (!container) return;
+
+    const savedAt = new Date(record.savedAt).toLocaleString('ta-IN');
+    const banner = document.createElement('div');
+    banner.id = 'recovery-banner';
+    banner.className = 'recovery-banner';
+    banner.innerHTML = `
+        <span><i class="fas fa-life-ring"></i> ${savedAt} அன்று தானாகச் சேமிக்கப்பட்ட "${escapeHtml(record.form.title) || 'தலைப்பில்லா'}" வரைவு கிடைத்தது. மீட்டெடுக்கவா?</span>
+        <div>
+            <button type="button" id="recovery-accept-btn">மீட்டெடு</button>
+            <button type="button" id="recovery-discard-btn">நிராகரி</button>
+        </div>
+    `;
+    container.insertBefore(banner, container.querySelector('form'));
+
+    document.getElementById('recovery-accept-btn').addEventListener('click', () => {
+        hideRecoveryBanner();
+        onRecover(record);
+    });
+    document.getElementById('recovery-discard-btn').addEventListener('click', () => {
+        hideRecoveryBanner();
+        onDiscard(record);
+    });
+}
+
+
+// --- 4. AUTOSAVE LOOP & INITIALIZATION ---
+
+/**
+ * Starts autosaving the create.html form and checks for a recoverable copy.
+ * @param {object} options
+ * @param {function} options.getUserId - Returns the signed-in user's UID (or null).
+ * @param {function} options.getDraftId - Returns the open draft's ID (or null for a new poem).
+ * @param {function} options.getBaseUpdatedAt - Returns the server updatedAt (ms) the editor started from.
+ * @param {function} options.collect - Returns the current form data (content.js collectFormData).
+ * @param {function} options.restore - Fills the form from saved data (content.js fillForm).
+ * @param {function} options.sync - Pushes a recovered record to Firestore; resolves true on success.
+ */
+async function initAutosave({ getUserId, getDraftId, getBaseUpdatedAt, collect, restore, sync }) {
+    const form = document.getElementById('kavithai-post-form');
+    if (!form || !('indexedDB' in window) || autosaveStarted) return;
+    autosaveStarted = true;
+    collectForm = collect;
+    lastSnapshot = JSON.stringify(collect());
+
+    // The form as a record to store, or null when there is nothing new to save
+    const changedRecord = () => {
+        const uid = getUserId();
+        if (!uid) return null;
+
+        const formData = collect();
+        const snapshot = JSON.stringify(formData);
+        if (snapshot === lastSnapshot) return null;
+        if (!formData.title && !formData.content && !formData.media.imageUrl && !formData.media.audioUrl) return null;
+
+        const draftId = getDraftId();
+        return {
+            snapshot,
+            record: {
+                key: autosaveKey(uid, draftId),
+                uid,
+                draftId: draftId || null,
+                form: formData,
+                savedAt: Date.now(),
+                baseUpdatedAt: getBaseUpdatedAt()
+            }
+        };
+    };
+
+    const saveSnapshot = async () => {
+        const changed = changedRecord();
+        if (!changed) return;
+        const existing = await getAutosave(changed.record.key);
+        await putAutosave({ ...changed.record, pendingSync: existing?.pendingSync || false });
+        lastSnapshot = changed.snapshot;
+        // Nothing typed while saving: a pending debounced save has nothing left to do
+        if (JSON.stringify(collect()) === lastSnapshot) clearTimeout(debounceTimer);
+    };
+
+    // Periodic + debounced autosave
+    setInterval(() => saveSnapshot().catch(error => console.error("Autosave failed:", error)), AUTOSAVE_INTERVAL_MS);
+    form.addEventListener('input', () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => saveSnapshot().catch(error => console.error("Autosave failed:", error)), AUTOSAVE_DEBOUNCE_MS);
+    });
+    window.addEventListener('beforeunload', () => {
+        clearTimeout(debounceTimer);
+        const changed = changedRecord();
+        if (!changed) return;
+        try {
+            localStorage.setItem(`${UNLOAD_SNAPSHOT_PREFIX}${changed.record.key}`, JSON.stringify(changed.record));
+        } catch (error) {
+            // Storage full: the last periodic IndexedDB copy is still there
+        }
+    });
+
+    const syncPending = async () => {
+        const uid = getUserId();
+        if (!uid || !navigator.onLine) return;
+        const pending = await getPendingSyncRecords(uid);
+        for (const record of pending) {
+            const synced = await sync(record);
+            if (synced) await deleteAutosave(record.key);
+        }
+    };
+
+    window.addEventListener('online', () => {
+        window.showToastNotification("இணைப்பு மீண்டும் கிடைத்தது. உள்ளூர் வரைவுகள் ஒத்திசைக்கப்படுகின்றன...", 'info');
+        syncPending().catch(error => console.error("Offline draft sync failed:", error));
+    });
+
+    // Offer recovery for this user/draft if the stored copy differs from what is on screen
+    const uid = getUserId();
+    if (!uid) return;
+    await adoptUnloadSnapshots(uid);
+    const record = await getAutosave(autosaveKey(uid, getDraftId()));
+    if (record && JSON.stringify(record.form) !== JSON.stringify(collect())) {
+        showRecoveryBanner(record, async (accepted) => {
+            restore(accepted.form);
+            lastSnapshot = JSON.stringify(collect());
+            await putAutosave({ ...accepted, pendingSync: true });
+            await syncPending();
+        }, (discarded) => deleteAutosave(discarded.key));
+    } else if (navigator.onLine) {
+        await syncPending();
+    }
+}
+
+// --- 5. EXPORTS ---
+export { initAutosave, clearAutosave, markPendingSync, autosaveKey };
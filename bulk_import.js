@@ -0,0 +1,478 @@
+/*
+ * File: bulk_import.js
+ * Description: மொத்தக் கவிதை இறக்குமதி (Bulk Poem Import) - Markdown front-matter, .txt folders and CSV.
+ * Integrates: import.html wizard, content.js persistKavithai (same save path as create.html),
+ *             series.js (series names are matched to the author's series or created),
+ *             licenses.js (license names such as "cc by-nc" resolve to registry IDs).
+ * Purpose: Lets poets moving from blogs and notebooks bring hundreds of poems in one go.
+ * FIX: File text is escaped in the preview; the import leaves the editor's autosave alone and ends with one toast.
+ */
+
+// --- 1. IMPORTS & CONFIGURATION ---
+import { auth } from "./auth.js";
+import { persistKavithai } from "./content.js";
+import { loadAuthorSeries, createSeries } from "./series.js";
+import { resolveLicenseId, DEFAULT_LICENSE_ID } from "./licenses.js";
+import { escapeHtml } from "./html_escape.js";
+
+const IMPORT_FIELDS = ['title', 'content', 'tags', 'series', 'license'];
+const MAX_TITLE_LENGTH = 150;
+const MAX_CONTENT_LENGTH = 20000;
+
+// Header/front-matter names recognised for each field (English, Tamil and common blog exports)
+const FIELD_ALIASES = {
+    title: ['title', 'name', 'heading', 'தலைப்பு'],
+    content: ['content', 'body', 'poem', 'text', 'kavithai', 'கவிதை', 'உள்ளடக்கம்'],
+    tags: ['tags', 'tag', 'categories', 'keywords', 'குறிச்சொற்கள்'],
+    series: ['series', 'collection', 'தொடர்', 'தொகுப்பு'],
+    license: ['license', 'licence', 'rights', 'உரிமம்']
+};
+
+// --- 2. PARSERS ---
+
+function fieldForKey(key) {
+    const normalized = key.trim().toLowerCase();
+    return IMPORT_FIELDS.find(field => FIELD_ALIASES[field].includes(normalized)) || null;
+}
+
+function stripQuotes(value) {
+    return value.trim().replace(/^(["'])(.*)\1$/, '$2');
+}
+
+function splitTags(value) {
+    if (Array.isArray(value)) return value.map(tag => stripQuotes(String(tag))).filter(tag => tag);
+    return String(value || '').replace(/^\[|\]$/g, '').split(/[,;|]/).map(tag => stripQuotes(tag).replace(/^#/, '')).filter(tag => tag);
+}
+
+/**
+ * Parses a minimal YAML front-matter block (key: value, [a, b] lists and "- item" lists).
+ */
+function parseFrontMatter(lines) {
+    const meta = {};
+    let listKey = null;
+    lines.forEach(line => {
+        const listItem = /^\s+-\s+(.*)$/.exec(line) || (listKey && /^-\s+(.*)$/.exec(line));
+        if (listItem && listKey) {
+            meta[listKey] = [...(Array.isArray(meta[listKey]) ? meta[listKey] : []), stripQuotes(listItem[1])];
+            return;
+        }
+        const pair = /^([^:]+):\s*(.*)$/.exec(line);
+        if (!pair) return;
+        listKey = pair[1].trim();
+        meta[listKey] = pair[2].trim() === '' ? [] : stripQuotes(pair[2]);
+    });
+    return meta;
+}
+
+/**
+ * Maps raw key/value data onto the import fields.
+ */
+function mapRecord(raw) {
+    const item = { title: '', content: '', tags: [], series: '', license: '' };
+    Object.entries(raw).forEach(([key, value]) => {
+        const field = fieldForKey(key);
+        if (!field) return;
+        item[field] = field === 'tags' ? splitTags(value) : (Array.isArray(value) ? value.join(', ') : String(value));
+    });
+    return item;
+}
+
+/**
+ * Cleans Markdown body text into poem text (trailing hard-break spaces and backslashes removed).
+ */
+function cleanMarkdownBody(body) {
+    return body.split('\n').map(line => line.replace(/\s+$/, '').replace(/\\$/, '')).join('\n').trim();
+}
+
+/**
+ * Parses a Markdown file that holds one or more poems, each starting with a front-matter block.
+ * Files without front-matter become one poem titled by the first "# heading" or the file name.
+ * @param {string} text - File contents.
+ * @param {string} fileName - Used as the fallback title.
+ * @returns {Array<object>} - Import items.
+ */
+function parseMarkdownFile(text, fileName) {
+    const lines = text.replace(/^﻿/, '').replace(/\r\n?/g, '\n').split('\n');
+    const isFrontMatterStart = (index) => lines[index]?.trim() === '---'
+        && /^[^\s:][^:]*:/.test(lines[index + 1] || '')
+        && lines.slice(index + 1).some(line => line.trim() === '---');
+
+    const items = [];
+    let index = 0;
+    while (index < lines.length && lines[index].trim() === '') index++;
+
+    if (!isFrontMatterStart(index)) {
+        const body = lines.slice(index);
+        const heading = body.findIndex(line => /^#\s+/.test(line));
+        const title = heading !== -1 ? body[heading].replace(/^#\s+/, '').trim() : fileName.replace(/\.[^.]+$/, '');
+        if (heading !== -1) body.splice(heading, 1);
+        return [{ title, content: cleanMarkdownBody(body.join('\n')), tags: [], series: '', license: '', source: fileName }];
+    }
+
+    while (index < lines.length) {
+        if (!isFrontMatterStart(index)) { index++; continue; }
+        const metaEnd = lines.findIndex((line, i) => i > index && line.trim() === '---');
+        const meta = parseFrontMatter(lines.slice(index + 1, metaEnd));
+
+        let bodyEnd = metaEnd + 1;
+        while (bodyEnd < lines.length && !isFrontMatterStart(bodyEnd)) bodyEnd++;
+
+        const item = mapRecord(meta);
+        item.content = item.content || cleanMarkdownBody(lines.slice(metaEnd + 1, bodyEnd).join('\n'));
+        item.source = `${fileName} #${items.length + 1}`;
+        items.push(item);
+        index = bodyEnd;
+    }
+    return items;
+}
+
+/**
+ * Parses one .txt poem. The parent folder becomes the series when "folder as series" is on.
+ * @param {string} text - File contents.
+ * @param {string} path - webkitRelativePath or file name.
+ * @param {object} options - { firstLineTitle: boolean, folderAsSeries: boolean }
+ */
+function parseTextFile(text, path, { firstLineTitle = true, folderAsSeries = false } = {}) {
+    const lines = text.replace(/^﻿/, '').replace(/\r\n?/g, '\n').split('\n');
+    const parts = path.split('/');
+    const fileName = parts[parts.length - 1];
+
+    let title = fileName.replace(/\.[^.]+$/, '');
+    let bodyLines = lines;
+    if (firstLineTitle) {
+        const first = lines.findIndex(line => line.trim() !== '');
+        if (first !== -1) {
+            title = lines[first].trim();
+            bodyLines = lines.slice(first + 1);
+        }
+    }
+
+    return {
+        title,
+        content: bodyLines.join('\n').trim(),
+        tags: [],
+        series: folderAsSeries && parts.length > 2 ? parts[parts.length - 2] : '',
+        license: '',
+        source: path
+    };
+}
+
+/**
+ * RFC 4180 CSV parser (quoted fields, doubled quotes, newlines inside quotes).
+ * @returns {Array<Array<string>>} - Rows of cells.
+ */
+function parseCsv(text) {
+    const input = text.replace(/^﻿/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else cell += char;
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell); cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell); rows.push(row);
+            row = []; cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) { row.push(cell); rows.push(row); }
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Guesses which CSV column feeds each import field.
+ * @returns {object} - { title: columnIndex|-1, ... }
+ */
+function guessCsvMapping(headers) {
+    return Object.fromEntries(IMPORT_FIELDS.map(field => [field, headers.findIndex(header => fieldForKey(header) === field)]));
+}
+
+/**
+ * Turns CSV rows into import items using a field → column mapping.
+ */
+function csvRowsToItems(rows, mapping) {
+    return rows.map((cells, rowIndex) => {
+        const value = (field) => mapping[field] >= 0 ? (cells[mapping[field]] || '').trim() : '';
+        return {
+            title: value('title'),
+            content: value('content').replace(/\r\n?/g, '\n'),
+            tags: splitTags(value('tags')),
+            series: value('series'),
+            license: value('license'),
+            source: `CSV வரி ${rowIndex + 2}`
+        };
+    });
+}
+
+
+// --- 3. VALIDATION ---
+
+/**
+ * Validates items in place: errors block an item, warnings are informational.
+ * @param {Array<object>} items - Import items.
+ * @param {Array<object>} existingSeries - The author's series (for "will be created" warnings).
+ */
+function validateItems(items, existingSeries = []) {
+    const seenTitles = new Map();
+    const seriesTitles = existingSeries.map(series => series.title.trim().toLowerCase());
+
+    items.forEach(item => {
+        item.errors = [];
+        item.warnings = [];
+
+        if (!item.title) item.errors.push('தலைப்பு இல்லை');
+        if (item.title.length > MAX_TITLE_LENGTH) item.errors.push(`தலைப்பு ${MAX_TITLE_LENGTH} எழுத்துகளுக்கு மேல்`);
+        if (!item.content) item.errors.push('உள்ளடக்கம் இல்லை');
+        if (item.content.length > MAX_CONTENT_LENGTH) item.errors.push(`உள்ளடக்கம் ${MAX_CONTENT_LENGTH} எழுத்துகளுக்கு மேல்`);
+
+        const license = resolveLicenseId(item.license);
+        if (item.license && !license) item.warnings.push(`தெரியாத உரிமம் "${item.license}" → ${DEFAULT_LICENSE_ID}`);
+        item.license = license || DEFAULT_LICENSE_ID;
+
+        if (item.series && !seriesTitles.includes(item.series.trim().toLowerCase())) {
+            item.warnings.push(`புதிய தொடர் "${item.series}" உருவாக்கப்படும்`);
+        }
+
+        const titleKey = item.title.trim().toLowerCase();
+        if (titleKey && seenTitles.has(titleKey)) item.warnings.push(`"${item.title}" தலைப்பு மீண்டும் வருகிறது`);
+        seenTitles.set(titleKey, true);
+
+        item.selected = item.errors.length === 0;
+    });
+    return items;
+}
+
+
+// --- 4. WIZARD UI (import.html) ---
+
+let importItems = [];
+let csvRows = null;
+let authorSeries = [];
+
+function readFileText(file) {
+    return file.text();
+}
+
+/**
+ * Renders the validation preview table.
+ */
+function renderPreview() {
+    const tableBody = document.querySelector('#import-preview-table tbody');
+    const summary = document.getElementById('import-summary');
+    document.getElementById('import-preview-step').style.display = importItems.length ? 'block' : 'none';
+
+    tableBody.innerHTML = importItems.map((item, index) => `
+        <tr class="${item.errors.length ? 'import-row-error' : item.warnings.length ? 'import-row-warning' : ''}">
+            <td><input type="checkbox" data-index="${index}" ${item.selected ? 'checked' : ''} ${item.errors.length ? 'disabled' : ''}></td>
+            <td>${escapeHtml(item.title) || '<em>—</em>'}<br><small>${escapeHtml(item.source)}</small></td>
+            <td><pre>${escapeHtml(item.content.split('\n').slice(0, 3).join('\n'))}${item.content.split('\n').length > 3 ? '\n…' : ''}</pre></td>
+            <td>${escapeHtml(item.tags.map(tag => `#${tag}`).join(' '))}</td>
+            <td>${escapeHtml(item.series)}</td>
+            <td>${escapeHtml(item.license)}</td>
+            <td>${[...item.errors.map(error => `❌ ${escapeHtml(error)}`), ...item.warnings.map(warning => `⚠️ ${escapeHtml(warning)}`)].join('<br>') || '✅'}</td>
+        </tr>
+    `).join('');
+
+    tableBody.querySelectorAll('input[type="checkbox"]').forEach(box => {
+        box.addEventListener('change', () => {
+            importItems[Number(box.dataset.index)].selected = box.checked;
+            updateSummary();
+        });
+    });
+
+    const updateSummary = () => {
+        const valid = importItems.filter(item => item.errors.length === 0).length;
+        const selected = importItems.filter(item => item.selected).length;
+        summary.textContent = `மொத்தம் ${importItems.length} | சரியானவை ${valid} | தேர்ந்தெடுக்கப்பட்டவை ${selected}`;
+    };
+    updateSummary();
+}
+
+function setItems(items) {
+    importItems = validateItems(items, authorSeries);
+    renderPreview();
+}
+
+/**
+ * Shows the CSV column mapping step.
+ */
+function renderCsvMapping(headers) {
+    const mapping = guessCsvMapping(headers);
+    const container = document.getElementById('csv-mapping-fields');
+    const labels = { title: 'தலைப்பு', content: 'உள்ளடக்கம்', tags: 'குறிச்சொற்கள்', series: 'தொடர்', license: 'உரிமம்' };
+
+    container.innerHTML = IMPORT_FIELDS.map(field => `
+        <label>${labels[field]}
+            <select data-field="${field}">
+                <option value="-1">-- இல்லை --</option>
+                ${headers.map((header, index) => `<option value="${index}" ${mapping[field] === index ? 'selected' : ''}>${escapeHtml(header)}</option>`).join('')}
+            </select>
+        </label>
+    `).join('');
+    document.getElementById('csv-mapping-step').style.display = 'block';
+}
+
+function applyCsvMapping() {
+    const mapping = {};
+    document.querySelectorAll('#csv-mapping-fields select').forEach(select => {
+        mapping[select.dataset.field] = Number(select.value);
+    });
+    if (mapping.title < 0 || mapping.content < 0) {
+        window.showToastNotification("தலைப்பு மற்றும் உள்ளடக்கம் நெடுவரிசைகளைத் தேர்ந்தெடுக்கவும்.", 'warning');
+        return;
+    }
+    setItems(csvRowsToItems(csvRows.slice(1), mapping));
+}
+
+/**
+ * Finds or creates the author's series by name; caches created series for later rows.
+ */
+async function resolveSeriesId(name) {
+    if (!name) return { seriesId: null, series: '' };
+    const key = name.trim().toLowerCase();
+    let series = authorSeries.find(candidate => candidate.title.trim().toLowerCase() === key);
+    if (!series) {
+        const id = await createSeries({ title: name.trim() });
+        series = { id, title: name.trim() };
+        authorSeries.push(series);
+    }
+    return { seriesId: series.id, series: series.title };
+}
+
+/**
+ * Creates the selected items one by one through persistKavithai, quietly (one summary toast at
+ * the end). The editor's autosave copy is not touched: it belongs to whatever is open in create.html.
+ */
+async function runImport() {
+    const status = document.getElementById('import-mode').value;
+    const copyrightAgreed = document.getElementById('import-copyright').checked;
+    const selected = importItems.filter(item => item.selected && item.errors.length === 0);
+
+    if (!auth.currentUser) {
+        window.showToastNotification("இறக்குமதி செய்ய உள்நுழையவும்.", 'error');
+        return;
+    }
+    if (selected.length === 0) {
+        window.showToastNotification("இறக்குமதி செய்ய எதுவும் தேர்ந்தெடுக்கப்படவில்லை.", 'warning');
+        return;
+    }
+    if (status !== 'Draft' && !copyrightAgreed) {
+        window.showToastNotification("சமர்ப்பிக்க பதிப்புரிமை ஒப்பந்தத்தை ஏற்கவும்.", 'error');
+        return;
+    }
+
+    const importBtn = document.getElementById('import-run-btn');
+    const progress = document.getElementById('import-progress');
+    importBtn.disabled = true;
+    let succeeded = 0;
+    let sentToReview = 0;
+    const failures = [];
+
+    for (const [index, item] of selected.entries()) {
+        progress.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${index + 1} / ${selected.length}: ${escapeHtml(item.title)}`;
+        try {
+            const { seriesId, series } = await resolveSeriesId(item.series);
+            const saved = await persistKavithai({
+                title: item.title,
+                content: item.content,
+                tags: item.tags,
+                seriesId,
+                series,
+                coAuthors: '',
+                media: { imageUrl: null, audioUrl: null },
+                license: item.license,
+                copyrightAgreed,
+                publishAt: null,
+                publishTimezone: null
+            }, status, null, { quiet: true });
+            item.selected = false;
+            item.imported = true;
+            succeeded++;
+            if (saved.status === 'Pending_Review') sentToReview++;
+        } catch (error) {
+            console.error(`Import failed for "${item.title}":`, error);
+            failures.push(`${escapeHtml(item.title)}: ${escapeHtml(error.message)}`);
+        }
+    }
+
+    importBtn.disabled = false;
+    importItems = importItems.filter(item => !item.imported);
+    renderPreview();
+    progress.innerHTML = `<i class="fas fa-check-circle"></i> ${succeeded} கவிதைகள் ${status === 'Draft' ? 'வரைவுகளாக' : 'ஒப்புதலுக்காக'} இறக்குமதி செய்யப்பட்டன.` +
+        (failures.length ? `<br>❌ ${failures.length} தோல்வி:<br>${failures.join('<br>')}` : '');
+    const summaryParts = [`${succeeded} கவிதைகள் இறக்குமதி செய்யப்பட்டன`];
+    if (sentToReview) summaryParts.push(`${sentToReview} நிர்வாகி மதிப்பாய்வுக்கு அனுப்பப்பட்டன`);
+    if (failures.length) summaryParts.push(`${failures.length} தோல்வி`);
+    window.showToastNotification(`${summaryParts.join(' · ')}.`, failures.length || sentToReview ? 'warning' : 'success');
+}
+
+
+// --- 5. INITIALIZATION ---
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (!document.getElementById('import-wizard')) return;
+
+    auth.onAuthStateChanged(async (user) => {
+        if (!user) {
+            window.showToastNotification("இறக்குமதி செய்ய உள்நுழையவும்.", 'error');
+            return;
+        }
+        try {
+            authorSeries = await loadAuthorSeries(user.uid);
+        } catch (error) {
+            console.error("Error loading series:", error);
+        }
+    });
+
+    document.getElementById('import-markdown').addEventListener('change', async (e) => {
+        const files = [...e.target.files];
+        const items = [];
+        for (const file of files) items.push(...parseMarkdownFile(await readFileText(file), file.name));
+        document.getElementById('csv-mapping-step').style.display = 'none';
+        setItems(items);
+    });
+
+    document.getElementById('import-text-folder').addEventListener('change', async (e) => {
+        const options = {
+            firstLineTitle: document.getElementById('import-first-line-title').checked,
+            folderAsSeries: document.getElementById('import-folder-series').checked
+        };
+        const files = [...e.target.files].filter(file => /\.txt$/i.test(file.name));
+        const items = [];
+        for (const file of files) items.push(parseTextFile(await readFileText(file), file.webkitRelativePath || file.name, options));
+        document.getElementById('csv-mapping-step').style.display = 'none';
+        setItems(items);
+    });
+
+    document.getElementById('import-csv').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        csvRows = parseCsv(await readFileText(file));
+        if (csvRows.length < 2) {
+            window.showToastNotification("CSV கோப்பில் தலைப்பு வரியும் குறைந்தது ஒரு தரவு வரியும் தேவை.", 'error');
+            return;
+        }
+        renderCsvMapping(csvRows[0]);
+    });
+
+    document.getElementById('csv-mapping-apply').addEventListener('click', applyCsvMapping);
+    document.getElementById('import-run-btn').addEventListener('click', runImport);
+    document.getElementById('import-select-all').addEventListener('change', (e) => {
+        importItems.forEach(item => { if (item.errors.length === 0) item.selected = e.target.checked; });
+        renderPreview();
+    });
+});
+
+// --- 6. EXPORTS ---
+export { parseMarkdownFile, parseTextFile, parseCsv, guessCsvMapping, csvRowsToItems, validateItems };
@@ -0,0 +1,291 @@
+/*
+ * File: coauthors.js
+ * Description: கூட்டுப் படைப்பு (Co-authorship) - invitations, acceptance and revenue split.
+ * Integrates: Firestore 'users' (customUrl/email lookup), 'coauthor_invites', 'kavithai' (coAuthors, revenueSplit).
+ * Purpose: Links co-authors to real users; admin.js blocks approval until every invitee accepts,
+ *          and monetize.js credits earnings according to the poem's revenueSplit.
+ * FIX: Plain-string co-authors from older drafts are normalised to the object shape when loaded.
+ * FIX: Invite answers are enforced by firestore.rules and mirrored onto the poem by functions/index.js;
+ *      approval reads the invites, declined co-authors leave the split, and names are escaped.
+ */
+
+// --- 1. FIREBASE IMPORTS ---
+import { auth, db } from "./auth.js";
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    setDoc,
+    updateDoc,
+    deleteDoc,
+    query,
+    where,
+    limit,
+    serverTimestamp
+} from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { escapeHtml } from "./html_escape.js";
+
+// --- 2. PARSING & RESOLUTION ---
+
+/**
+ * Parses the create.html co-author field: "@kavi:30, friend@mail.com:20, @nila".
+ * @param {string} text - Raw field value.
+ * @returns {Array<{handle: string, share: (number|null)}>}
+ */
+function parseCoAuthorInput(text) {
+    return (text || '').split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry.length > 0)
+        .map(entry => {
+            const match = /^(.+?)(?::\s*(\d+(?:\.\d+)?)\s*%?)?$/.exec(entry);
+            return { handle: match[1].trim(), share: match[2] !== undefined ? Number(match[2]) : null };
+        });
+}
+
+/**
+ * Finds the user behind a handle (@customUrl or e-mail).
+ * @returns {Promise<object|null>} - { uid, displayName, customUrl } or null.
+ */
+async function findUserByHandle(handle) {
+    const field = handle.includes('@') && !handle.startsWith('@') ? 'email' : 'customUrl';
+    const value = field === 'customUrl' ? handle.replace(/^@/, '') : handle.toLowerCase();
+    const q = query(collection(db, "users"), where(field, "==", value), limit(1));
+    const querySnapshot = await getDocs(q);
+    if (querySnapshot.empty) return null;
+
+    const userDoc = querySnapshot.docs[0];
+    const data = userDoc.data();
+    return { uid: userDoc.id, displayName: data.displayName || data.email, customUrl: data.customUrl || null };
+}
+
+/**
+ * Resolves parsed entries to users and fills in missing shares.
+ * Entries without a share split whatever the author has not assigned equally with the author.
+ * @param {Array<{handle: string, share: (number|null)}>} entries - From parseCoAuthorInput.
+ * @param {string} ownerId - The poem author's UID (cannot invite themselves).
+ * @returns {Promise<Array<object>>} - [{ uid, displayName, customUrl, share, status: 'Pending' }]
+ * @throws {Error} - With a Tamil message when a handle is unknown or the split is invalid.
+ */
+async function resolveCoAuthors(entries, ownerId) {
+    const resolved = [];
+    for (const entry of entries) {
+        const found = await findUserByHandle(entry.handle);
+        if (!found) throw new Error(`கூட்டுப் படைப்பாளர் "${entry.handle}" கண்டுபிடிக்கப்படவில்லை.`);
+        if (found.uid === ownerId) throw new Error("உங்களையே கூட்டுப் படைப்பாளராகச் சேர்க்க முடியாது.");
+        if (resolved.some(coAuthor => coAuthor.uid === found.uid)) continue;
+        resolved.push({ ...found, share: entry.share, status: 'Pending' });
+    }
+
+    const assigned = resolved.reduce((sum, coAuthor) => sum + (coAuthor.share || 0), 0);
+    if (assigned >= 100) throw new Error("கூட்டுப் படைப்பாளர் பங்குகள் 100%-க்குக் குறைவாக இருக்க வேண்டும்.");
+
+    const unassigned = resolved.filter(coAuthor => coAuthor.share === null);
+    const equalShare = unassigned.length > 0 ? Math.floor(((100 - assigned) / (unassigned.length + 1)) * 100) / 100 : 0;
+    unassigned.forEach(coAuthor => { coAuthor.share = equalShare; });
+
+    return resolved;
+}
+
+/**
+ * Builds the poem's revenue split { uid: percent }. The author keeps the remainder.
+ */
+function buildRevenueSplit(ownerId, coAuthors) {
+    const split = {};
+    let remainder = 100;
+    coAuthors.forEach(coAuthor => {
+        split[coAuthor.uid] = coAuthor.share;
+        remainder -= coAuthor.share;
+    });
+    split[ownerId] = Math.round(remainder * 100) / 100;
+    return split;
+}
+
+/**
+ * Brings co-authors stored by older drafts (plain names, or one comma-separated string) to the
+ * resolved object shape. Names that match a user's handle or e-mail are linked to that user;
+ * the rest are returned with uid null so the editor can ask the author to re-enter them.
+ * @param {Array<string|object>|string} coAuthors - The draft's stored 'coAuthors'.
+ * @returns {Promise<Array<object>>} - [{ uid, displayName, customUrl, share, status }]
+ */
+async function normalizeCoAuthors(coAuthors) {
+    const entries = Array.isArray(coAuthors) ? coAuthors : parseCoAuthorInput(coAuthors).map(entry => entry.handle);
+    const normalized = [];
+    for (const entry of entries) {
+        if (typeof entry !== 'string') {
+            normalized.push(entry);
+            continue;
+        }
+        const name = entry.trim();
+        if (!name) continue;
+        const found = await findUserByHandle(name);
+        normalized.push(found
+            ? { ...found, share: null, status: 'Pending' }
+            : { uid: null, displayName: name, customUrl: null, share: null, status: 'Unlinked' });
+    }
+    return normalized;
+}
+
+/**
+ * Formats stored co-authors back into the create.html field ("@kavi:30, ...").
+ * Older poems stored plain strings, which are returned unchanged. A missing share is left out,
+ * so resolveCoAuthors() splits it equally again.
+ */
+function formatCoAuthorInput(coAuthors) {
+    if (!Array.isArray(coAuthors)) return coAuthors || '';
+    return coAuthors
+        .map(coAuthor => {
+            if (typeof coAuthor === 'string') return coAuthor;
+            const handle = coAuthor.customUrl ? '@' + coAuthor.customUrl : coAuthor.displayName;
+            return coAuthor.share !== null && coAuthor.share !== undefined ? `${handle}:${coAuthor.share}` : handle;
+        })
+        .join(', ');
+}
+
+
+// --- 3. INVITATIONS ---
+
+/**
+ * Creates/refreshes an invite per co-author and removes invites of dropped co-authors.
+ * Acceptances are kept, so re-saving a draft does not reset them; a co-author who declined and
+ * is added again gets a new 'Pending' invite. Only the invitee can answer (firestore.rules).
+ * @param {object} poem - { id, title } of the poem.
+ * @param {Array<object>} coAuthors - Resolved co-authors.
+ * @param {Array<string>} previousIds - coAuthorIds stored on the poem before this save.
+ * @returns {Promise<Array<object>>} - Co-authors with their current invite status.
+ */
+async function syncCoAuthorInvites(poem, coAuthors, previousIds = []) {
+    const user = auth.currentUser;
+    const result = [];
+
+    for (const coAuthor of coAuthors) {
+        const inviteRef = doc(db, "coauthor_invites", `${poem.id}_${coAuthor.uid}`);
+        const inviteSnap = await getDoc(inviteRef);
+        const previousStatus = inviteSnap.exists() ? inviteSnap.data().status : null;
+        const status = previousStatus === 'Accepted' ? 'Accepted' : 'Pending';
+
+        await setDoc(inviteRef, {
+            poemId: poem.id,
+            poemTitle: poem.title,
+            inviterId: user.uid,
+            inviterName: user.displayName || user.email,
+            inviteeId: coAuthor.uid,
+            share: coAuthor.share,
+            status,
+            updatedAt: serverTimestamp(),
+            ...(inviteSnap.exists() ? {} : { createdAt: serverTimestamp() })
+        }, { merge: true });
+
+        result.push({ ...coAuthor, status });
+    }
+
+    const keptIds = coAuthors.map(coAuthor => coAuthor.uid);
+    for (const removedId of previousIds.filter(id => !keptIds.includes(id))) {
+        await deleteDoc(doc(db, "coauthor_invites", `${poem.id}_${removedId}`));
+    }
+
+    return result;
+}
+
+/**
+ * True when every invited co-author has accepted (poems without co-authors pass).
+ * Reads the invites rather than the poem's own 'coAuthors', which its author can write.
+ * @param {string} poemId - The 'kavithai' document ID.
+ * @param {object} poem - The poem ('coAuthorIds').
+ * @returns {Promise<boolean>}
+ */
+async function allCoAuthorsAccepted(poemId, poem) {
+    const invites = await Promise.all((poem.coAuthorIds || []).map(uid => getDoc(doc(db, "coauthor_invites", `${poemId}_${uid}`))));
+    return invites.every(inviteSnap => inviteSnap.exists() && inviteSnap.data().status === 'Accepted');
+}
+
+/**
+ * Profile links for the accepted co-authors of a poem.
+ */
+function coAuthorLinksHtml(poem) {
+    return (poem.coAuthors || [])
+        .filter(coAuthor => coAuthor.status === 'Accepted')
+        .map(coAuthor => `<a href="profile?uid=${encodeURIComponent(coAuthor.uid)}">${escapeHtml(coAuthor.displayName)}</a>`)
+        .join(', ');
+}
+
+/**
+ * Accepts or declines an invite. The invitee can only write the invite itself; the
+ * 'syncCoAuthorAnswer' function (functions/index.js) mirrors the answer onto the poem, and a
+ * decline hands the share back to the author.
+ * @param {string} inviteId - '{poemId}_{inviteeId}'.
+ * @param {boolean} accept - true to accept, false to decline.
+ */
+window.respondToCoAuthorInvite = async function(inviteId, accept) {
+    const user = auth.currentUser;
+    if (!user) return;
+
+    const status = accept ? 'Accepted' : 'Declined';
+    try {
+        const inviteRef = doc(db, "coauthor_invites", inviteId);
+        const inviteSnap = await getDoc(inviteRef);
+        if (!inviteSnap.exists() || inviteSnap.data().inviteeId !== user.uid) return;
+
+        await updateDoc(inviteRef, { status, respondedAt: serverTimestamp() });
+
+        window.showToastNotification(accept ? "கூட்டுப் படைப்பு அழைப்பை ஏற்றுக்கொண்டீர்கள்!" : "அழைப்பு நிராகரிக்கப்பட்டது.", accept ? 'success' : 'info');
+        await loadCoAuthorInvites();
+    } catch (error) {
+        console.error("Error responding to invite:", error);
+        window.showToastNotification("அழைப்புக்குப் பதிலளிப்பதில் பிழை ஏற்பட்டது.", 'error');
+    }
+}
+
+/**
+ * Lists the signed-in user's pending invites in #coauthor-invites (settings.html).
+ */
+async function loadCoAuthorInvites() {
+    const container = document.getElementById('coauthor-invites');
+    const user = auth.currentUser;
+    if (!container || !user) return;
+
+    try {
+        const q = query(collection(db, "coauthor_invites"), where("inviteeId", "==", user.uid), where("status", "==", "Pending"));
+        const querySnapshot = await getDocs(q);
+
+        if (querySnapshot.empty) {
+            container.innerHTML = '<p style="color:#777;">நிலுவையில் உள்ள அழைப்புகள் இல்லை.</p>';
+            return;
+        }
+
+        container.innerHTML = querySnapshot.docs.map(inviteDoc => {
+            const invite = inviteDoc.data();
+            return `
+                <div class="setting-item">
+                    <span class="setting-label">${escapeHtml(invite.inviterName)} உங்களை "${escapeHtml(invite.poemTitle || 'தலைப்பில்லா')}" கவிதைக்கு அழைக்கிறார் (${escapeHtml(invite.share)}% பங்கு)</span>
+                    <div class="setting-control">
+                        <button onclick="respondToCoAuthorInvite('${inviteDoc.id}', true)">ஏற்றுக்கொள்</button>
+                        <button style="background-color: var(--error-color);" onclick="respondToCoAuthorInvite('${inviteDoc.id}', false)">நிராகரி</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error("Error loading co-author invites:", error);
+    }
+}
+
+// --- 4. INITIALIZATION ---
+
+document.addEventListener('DOMContentLoaded', () => {
+    auth.onAuthStateChanged(() => loadCoAuthorInvites());
+});
+
+// --- 5. EXPORTS ---
+export {
+    parseCoAuthorInput,
+    findUserByHandle,
+    resolveCoAuthors,
+    buildRevenueSplit,
+    normalizeCoAuthors,
+    formatCoAuthorInput,
+    syncCoAuthorInvites,
+    allCoAuthorsAccepted,
+    coAuthorLinksHtml,
+    loadCoAuthorInvites
+};
@@ -3,6 +3,15 @@
  * Description: Handles content creation and storage operations (Kavithai Postings) in Firestore.
  * Integrates: Poem Posting Form data, Cloudinary URLs, and basic metadata.
  * FIX: Enhanced to include Licensing and AI Placeholder calls.
+ * FIX: Drafts are edited in place with a revision history (revisions.js).
+ * FIX: Poems belong to real series (series.js) instead of a free-text series name.
+ * FIX: Submissions are fingerprinted (fingerprint.js); close matches go to Pending_Review.
+ * FIX: Every save writes 'searchTokens' (search_index.js) for full-text search.
+ * FIX: 'hasAudio' / 'hasImage' flags are stored for the search facets (search_facets.js).
+ * FIX: persistKavithai leaves the autosave copy to its callers and can run quietly (bulk import).
+ * FIX: New poems store 'isTokenGated: false' so the token facet can filter in Firestore.
+ * FIX: Opening an older draft converts its plain-string co-authors so the draft can be saved again.
+ * FIX: Every save updates the media library's usage, so assets dropped in an edit are released.
  */
 
 // --- 1. FIREBASE IMPORTS ---
@@ -14,50 +23,260 @@ import {
     doc, 
     updateDoc, 
     increment,
-    getDoc // FIX: Added to fetch user data for AI scores
+    getDoc, // FIX: Added to fetch user data for AI scores
+    getDocs,
+    query,
+    where,
+    orderBy,
+    limit,
+    Timestamp
 } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { analyzeYappu } from "./prosody.js";
+import { checkPlagiarism } from "./fingerprint.js";
+import { buildSearchTokens } from "./search_index.js";
+import { saveRevision, renderRevisionPanel } from "./revisions.js";
+import { initAutosave, clearAutosave, markPendingSync } from "./autosave.js";
+import { initScheduleControls, getScheduleFromForm, setScheduleInForm, formatReleaseTime } from "./schedule.js";
+import { attachPoemToSeries, populateSeriesSelect } from "./series.js";
+import { markMediaUsage } from "./media_library.js";
+import { populateLicenseSelect, resolveLicenseId, DEFAULT_LICENSE_ID } from "./licenses.js";
+import { parseCoAuthorInput, resolveCoAuthors, buildRevenueSplit, formatCoAuthorInput, syncCoAuthorInvites, normalizeCoAuthors } from "./coauthors.js";
 
-// --- 2. AI & QUALITY CONTROL PLACEHOLDERS (3. உள்ளடக்க உருவாக்கம் & தரம்) ---
+// --- 2. AI & QUALITY CONTROL (3. உள்ளடக்க உருவாக்கம் & தரம்) ---
+
+const DEFAULT_AI_FILTER_THRESHOLD = 30;
+
+// Keyword stems used to pick a theme tag deterministically (3. AI Content Categorizer)
+const THEME_KEYWORDS = {
+    'காதல்': ['காதல', 'அன்ப', 'இதய', 'முத்தம', 'காதலி', 'கண்ணம்மா', 'நேசம'],
+    'தத்துவம்': ['வாழ்க்கை', 'உண்மை', 'காலம', 'மரணம', 'ஞானம', 'விதி', 'உயிர'],
+    'சோகம்': ['கண்ணீர', 'சோகம', 'வலி', 'பிரிவு', 'தனிமை', 'துயர', 'அழு'],
+    'இயற்கை': ['மழை', 'நிலா', 'கடல', 'மலர', 'காற்ற', 'வானம', 'மரம', 'பூ']
+};
 
 /**
- * MOCK Function: Simulates calling a Firebase Cloud Function for AI analysis.
- * In a final app, this would be an API call to a backend service (Gemini/ML).
+ * Picks the theme whose keywords occur most often in the poem.
  * @param {string} content - The poem text.
- * @returns {object} - Mock analysis results.
+ * @returns {string|null} - Theme tag, or null when no keyword matches.
  */
-async function runAIContentAnalysis(content) {
-    window.showToastNotification("🧠 AI கவிதை தரத்தை பகுப்பாய்வு செய்கிறது...", 'info', 5000);
-    
-    // 3. AI Scoring Placeholder (Grammar/Structure)
-    const mockAIScore = Math.floor(Math.random() * 100) + 1; // 1 to 100
+function detectTheme(content) {
+    let bestTheme = null;
+    let bestCount = 0;
+    for (const [theme, stems] of Object.entries(THEME_KEYWORDS)) {
+        const count = stems.reduce((sum, stem) => sum + content.split(stem).length - 1, 0);
+        if (count > bestCount) {
+            bestTheme = theme;
+            bestCount = count;
+        }
+    }
+    return bestTheme;
+}
+
+/**
+ * Reads the admin-controlled AI review threshold (settings/owner_defaults).
+ * @returns {Promise<number>}
+ */
+async function getAIFilterThreshold() {
+    try {
+        const settingsSnap = await getDoc(doc(db, "settings", "owner_defaults"));
+        return settingsSnap.data()?.aiFilterThreshold ?? DEFAULT_AI_FILTER_THRESHOLD;
+    } catch (error) {
+        console.error("Could not load AI threshold, using default:", error);
+        return DEFAULT_AI_FILTER_THRESHOLD;
+    }
+}
+
+/**
+ * Analyses the poem with the Tamil prosody (யாப்பு) analyser.
+ * The score replaces the old random mock, so the admin threshold is meaningful.
+ * @param {string} content - The poem text.
+ * @param {boolean} [quiet=false] - Skip the progress toast.
+ * @returns {object} - Analysis results stored as aiAnalysis.
+ */
+async function runAIContentAnalysis(content, quiet = false) {
+    if (!quiet) window.showToastNotification("🧠 கவிதையின் யாப்பைப் பகுப்பாய்வு செய்கிறது...", 'info', 5000);
     
-    // 3. Kavithai Theme/Tone Analysis (AI) & AI Content Categorizer
-    const mockAITags = ['காதல்', 'தத்துவம்', 'சோகம்', 'இயற்கை'][Math.floor(Math.random() * 4)];
+    const yappu = analyzeYappu(content);
     
     return {
-        aiScore: mockAIScore,
-        aiTheme: mockAITags,
-        aiSummary: content.substring(0, 30) + "..." // 3. Kavithai Summarizer
+        aiScore: yappu.score,
+        aiTheme: detectTheme(content),
+        aiSummary: content.substring(0, 30) + "...", // 3. Kavithai Summarizer
+        prosody: {
+            form: yappu.form,
+            formName: yappu.formName,
+            letterCount: yappu.letterCount,
+            violations: yappu.violations.slice(0, 20) // Keep the document small
+        }
     };
 }
 
 
-// --- 3. CORE CONTENT SUBMISSION FUNCTION ---
+// --- 3. DRAFT STATE & FORM HELPERS ---
+
+// The draft currently open in the editor (set from ?draft=ID or after the first save)
+let activeDraftId = null;
+// Server updatedAt (ms) of the open draft, used for offline conflict detection
+let activeDraftUpdatedAt = null;
 
 /**
- * கவிதை தரவை Firestore-இல் சேமிக்கிறது.
- * @param {object} data - The collected post data from the form.
- * @param {string} status - 'Draft' or 'Pending_Approval'.
+ * Collects all form data from create.html.
  */
-async function saveKavithaiToFirestore(data, status) {
+function collectFormData() {
+    const schedule = getScheduleFromForm();
+    const seriesSelect = document.getElementById('series-select');
+    return {
+        title: document.getElementById('poem-title').value.trim(),
+        content: document.getElementById('poem-content').value.trim(),
+        tags: document.getElementById('poem-tags').value.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0),
+        // Series (series.js): the ID links the poem, the title is kept for display
+        seriesId: seriesSelect.value || null,
+        series: seriesSelect.value ? seriesSelect.selectedOptions[0].textContent : '',
+        coAuthors: document.getElementById('co-authors').value.trim(),
+        media: window.uploadedMediaUrls || { imageUrl: null, audioUrl: null },
+        // FIX: Collect License and Copyright data
+        license: document.getElementById('content-license').value,
+        copyrightAgreed: document.getElementById('copyright-agree').checked,
+        // Scheduled publishing (schedule.js): UTC instant + the author's chosen timezone
+        publishAt: schedule.publishAt,
+        publishTimezone: schedule.timezone
+    };
+}
+
+/**
+ * Fills the create.html form from a saved poem or revision.
+ * @param {object} data - A 'kavithai' document or a revision snapshot.
+ */
+function fillForm(data) {
+    document.getElementById('poem-title').value = data.title || '';
+    document.getElementById('poem-content').value = data.content || '';
+    document.getElementById('poem-tags').value = (data.tags || []).join(', ');
+    const seriesSelect = document.getElementById('series-select');
+    if (data.seriesId && ![...seriesSelect.options].some(option => option.value === data.seriesId)) {
+        seriesSelect.add(new Option(data.series || data.seriesId, data.seriesId));
+    }
+    seriesSelect.value = data.seriesId || '';
+    document.getElementById('co-authors').value = formatCoAuthorInput(data.coAuthors);
+    // Older poems may hold values from before the license registry (e.g. 'Commercial-NFT')
+    if (data.license) document.getElementById('content-license').value = resolveLicenseId(data.license) || DEFAULT_LICENSE_ID;
+    setScheduleInForm(data.scheduledAt || data.publishAt || null, data.scheduledTimezone || data.publishTimezone);
+
+    window.uploadedMediaUrls = {
+        imageUrl: data.media?.imageUrl || null,
+        audioUrl: data.media?.audioUrl || null
+    };
+    document.getElementById('image-upload-status').innerHTML = window.uploadedMediaUrls.imageUrl ? `<i class="fas fa-check-circle"></i> <a href="${window.uploadedMediaUrls.imageUrl}" target="_blank">சேமித்த படம்</a>` : '';
+    document.getElementById('audio-upload-status').innerHTML = window.uploadedMediaUrls.audioUrl ? `<i class="fas fa-check-circle"></i> <a href="${window.uploadedMediaUrls.audioUrl}" target="_blank">சேமித்த ஆடியோ</a>` : '';
+}
+
+/**
+ * Keeps ?draft=ID in the address bar so a reload reopens the same draft.
+ */
+function setActiveDraft(draftId) {
+    activeDraftId = draftId;
+    const url = new URL(window.location.href);
+    if (draftId) url.searchParams.set('draft', draftId);
+    else url.searchParams.delete('draft');
+    window.history.replaceState(null, '', url);
+}
+
+/**
+ * Opens an existing draft owned by the current user in the editor.
+ * @param {string} draftId - The 'kavithai' document ID.
+ */
+async function openDraft(draftId) {
     const user = auth.currentUser;
-    if (!user) {
-        window.showToastNotification("கவிதையை வெளியிட, நீங்கள் உள்நுழைய வேண்டும்.", 'error');
-        return;
+    if (!user || !draftId) return;
+
+    try {
+        const draftSnap = await getDoc(doc(db, "kavithai", draftId));
+        if (!draftSnap.exists() || draftSnap.data().authorId !== user.uid) {
+            window.showToastNotification("வரைவு காணப்படவில்லை அல்லது அணுக அனுமதி இல்லை.", 'error');
+            setActiveDraft(null);
+            return;
+        }
+        const draft = draftSnap.data();
+        if (draft.status !== 'Draft') {
+            window.showToastNotification("இந்தக் கவிதை ஏற்கனவே சமர்ப்பிக்கப்பட்டுவிட்டது.", 'warning');
+            setActiveDraft(null);
+            return;
+        }
+
+        // Older drafts stored co-authors as plain names, which resolveCoAuthors() cannot save
+        const coAuthors = await normalizeCoAuthors(draft.coAuthors);
+        const unlinked = coAuthors.filter(coAuthor => !coAuthor.uid);
+        draft.coAuthors = coAuthors.filter(coAuthor => coAuthor.uid);
+        if (unlinked.length > 0) {
+            window.showToastNotification(`கூட்டுப் படைப்பாளர்கள் ${unlinked.map(coAuthor => coAuthor.displayName).join(', ')} பயனர்களாகக் கண்டுபிடிக்கப்படவில்லை; அவர்களின் @பயனர்பெயர் அல்லது மின்னஞ்சலை மீண்டும் சேர்க்கவும்.`, 'warning');
+        }
+
+        fillForm(draft);
+        setActiveDraft(draftId);
+        activeDraftUpdatedAt = draft.updatedAt?.toMillis() || null;
+        await renderRevisionPanel(draftId, fillForm);
+    } catch (error) {
+        console.error("Error opening draft:", error);
+        window.showToastNotification("வரைவைத் திறப்பதில் பிழை ஏற்பட்டது.", 'error');
     }
+}
+
+/**
+ * Lists the current user's drafts in the #my-drafts selector.
+ */
+async function loadMyDrafts() {
+    const user = auth.currentUser;
+    const selector = document.getElementById('my-drafts');
+    if (!user || !selector) return;
+
+    try {
+        const q = query(
+            collection(db, "kavithai"),
+            where("authorId", "==", user.uid),
+            where("status", "==", "Draft"),
+            orderBy("updatedAt", "desc"),
+            limit(50)
+        );
+        const querySnapshot = await getDocs(q);
+
+        selector.innerHTML = '<option value="">-- புதிய கவிதை --</option>';
+        querySnapshot.forEach((draftDoc) => {
+            const draft = draftDoc.data();
+            const option = document.createElement('option');
+            option.value = draftDoc.id;
+            option.textContent = draft.title || '(தலைப்பு இல்லை)';
+            selector.appendChild(option);
+        });
+        selector.value = activeDraftId || '';
+    } catch (error) {
+        console.error("Error loading drafts:", error);
+    }
+}
+
+
+// --- 4. CORE CONTENT SUBMISSION FUNCTION ---
+
+/**
+ * Writes a poem to Firestore without touching the form (shared by the editor, offline sync and
+ * bulk import). Drafts are updated in place; every save also stores an immutable revision.
+ * The local autosave copy is left alone: only the editor's callers know which copy was saved.
+ * @param {object} data - Collected post data (see collectFormData).
+ * @param {string} status - 'Draft' or 'Pending_Approval' ('Scheduled' is set by the admin on approval).
+ * @param {string|null} poemId - Existing draft ID to update, or null to create a new poem.
+ * @param {object} [options]
+ * @param {boolean} [options.quiet=false] - No progress toasts (bulk_import.js shows one summary).
+ * @returns {Promise<{poemId: string, status: string, plagiarismCheck: (object|null)}>}
+ */
+async function persistKavithai(data, status, poemId = null, { quiet = false } = {}) {
+    const user = auth.currentUser;
+
+    // Co-authors must be real users (coauthors.js); unknown handles abort the save
+    const coAuthors = await resolveCoAuthors(parseCoAuthorInput(data.coAuthors), user.uid);
     
     // Run AI analysis only for publishing (not drafts)
-    const aiResults = status !== 'Draft' ? await runAIContentAnalysis(data.content) : {};
+    const aiResults = status !== 'Draft' ? await runAIContentAnalysis(data.content, quiet) : {};
+    const aiThreshold = status !== 'Draft' ? await getAIFilterThreshold() : 0;
+    // Duplicate / plagiarism check against approved poems and the public-domain corpus
+    const originality = status !== 'Draft' ? await checkPlagiarism(data.content, poemId) : null;
 
     // --- Content Structure ---
     const kavithaiData = {
@@ -66,42 +285,122 @@ async function saveKavithaiToFirestore(data, status) {
         authorId: user.uid, 
         authorName: user.displayName || user.email,
         tags: [...new Set([...data.tags, aiResults.aiTheme].filter(t => t))], // FIX: Merge user tags with AI tags
-        series: data.series,
-        coAuthors: data.coAuthors.split(',').map(a => a.trim()).filter(a => a.length > 0), 
+        seriesId: data.seriesId || null,
+        series: data.series || '',
+        coAuthors,
+        coAuthorIds: coAuthors.map(coAuthor => coAuthor.uid),
+        revenueSplit: buildRevenueSplit(user.uid, coAuthors),
         
         media: data.media, 
+        // Media flags for the search facets and filters (search_facets.js)
+        hasAudio: !!data.media?.audioUrl,
+        hasImage: !!data.media?.imageUrl,
         
         timestamp: serverTimestamp(),
+        updatedAt: serverTimestamp(),
         // FIX: Store License and Copyright
-        license: data.license, 
+        license: resolveLicenseId(data.license) || DEFAULT_LICENSE_ID, 
         copyrightAgreed: data.copyrightAgreed,
         
         // FIX: Store AI Results
         aiAnalysis: aiResults,
+        fingerprint: originality?.fingerprint || null,
+        fingerprintBands: originality?.fingerprintBands || [],
+        plagiarismCheck: originality?.plagiarismCheck || null,
+
+        // Scheduled publishing: approved posts become 'Scheduled' and a server job releases them
+        scheduledAt: data.publishAt ? Timestamp.fromDate(new Date(data.publishAt)) : null,
+        scheduledTimezone: data.publishAt ? data.publishTimezone : null,
         
-        // Set initial status based on admin/AI rules (Simplified here)
-        // If AI score is very low, force it to Pending_Review (even if publishing)
-        status: (aiResults.aiScore < 30 && status !== 'Draft') ? 'Pending_Review' : status,
-        
-        views: 0,
-        likes: 0,
-        earnings: 0,
+        // Set initial status based on admin/AI rules
+        // If the prosody score is below the admin threshold or the text matches an existing work, force it to Pending_Review
+        status: (status !== 'Draft' && (aiResults.aiScore < aiThreshold || originality.plagiarismCheck?.flagged)) ? 'Pending_Review' : status,
     };
+    // Full-text index over title, content, merged tags and author (search_index.js)
+    kavithaiData.searchTokens = buildSearchTokens(kavithaiData);
 
-    try {
-        const docRef = await addDoc(collection(db, "kavithai"), kavithaiData);
-        
-        // Update the user's post count (Gamification)
-        const userRef = doc(db, "users", user.uid);
-        await updateDoc(userRef, {
+    let previousSeriesId = null;
+    if (poemId) {
+        // Existing draft: update in place (keeps views/likes/earnings untouched)
+        const existingSnap = await getDoc(doc(db, "kavithai", poemId));
+        const existing = existingSnap.exists() ? existingSnap.data() : {};
+        previousSeriesId = existing.seriesId || null;
+        // Keep co-authors' earlier answers so re-saving does not reset acceptances
+        kavithaiData.coAuthors = await syncCoAuthorInvites({ id: poemId, title: data.title }, coAuthors, existing.coAuthorIds || []);
+        await updateDoc(doc(db, "kavithai", poemId), kavithaiData);
+    } else {
+        const docRef = await addDoc(collection(db, "kavithai"), {
+            ...kavithaiData,
+            createdAt: serverTimestamp(),
+            views: 0,
+            likes: 0,
+            earnings: 0,
+            // Token gating is set by admins later; stored so the 'open' search facet can filter on it
+            isTokenGated: false,
+        });
+        poemId = docRef.id;
+        await syncCoAuthorInvites({ id: poemId, title: data.title }, coAuthors);
+    }
+
+    // Keep the series' ordered part list in step with the poem
+    await attachPoemToSeries(poemId, kavithaiData.seriesId, previousSeriesId);
+
+    // Immutable revision snapshot for the history panel
+    await saveRevision(poemId, { ...data, coAuthors: kavithaiData.coAuthors }, kavithaiData.status);
+
+    // Only the final publish counts toward the user's post count (Gamification)
+    if (status !== 'Draft') {
+        await updateDoc(doc(db, "users", user.uid), {
             postCount: increment(1)
         });
+    }
+    // Library assets attached to a submitted poem can no longer be deleted (media_library.js);
+    // assets an edit dropped are released again
+    await markMediaUsage(poemId, status !== 'Draft' ? kavithaiData.media : null);
+
+    return { poemId, status: kavithaiData.status, plagiarismCheck: kavithaiData.plagiarismCheck };
+}
+
+/**
+ * கவிதை தரவை Firestore-இல் சேமிக்கிறது (create.html form).
+ * @param {object} data - The collected post data from the form.
+ * @param {string} status - 'Draft' or 'Pending_Approval'.
+ * @returns {Promise<string|undefined>} - The poem ID on success.
+ */
+async function saveKavithaiToFirestore(data, status) {
+    const user = auth.currentUser;
+    if (!user) {
+        window.showToastNotification("கவிதையை வெளியிட, நீங்கள் உள்நுழைய வேண்டும்.", 'error');
+        return;
+    }
+
+    try {
+        const { poemId, plagiarismCheck } = await persistKavithai(data, status, activeDraftId);
+        // Firestore has the poem now, so the local crash-recovery copy is no longer needed
+        await clearAutosave(user.uid, poemId);
+        
+        if (status === 'Draft') {
+            setActiveDraft(poemId);
+            await refreshDraftBaseline(poemId);
+            window.showToastNotification("கவிதை வெற்றிகரமாக வரைவாகச் சேமிக்கப்பட்டது!", 'success');
+            await renderRevisionPanel(poemId, fillForm);
+            await loadMyDrafts();
+            return poemId;
+        }
         
         // Success Actions
-        window.showToastNotification(`கவிதை வெற்றிகரமாக ${status === 'Draft' ? 'வரைவாகச் சேமிக்கப்பட்டது' : 'சமர்ப்பிக்கப்பட்டது'}!`, 'success');
+        const releaseNote = data.publishAt ? ` ஒப்புதலுக்குப் பின் ${formatReleaseTime(new Date(data.publishAt), data.publishTimezone)} அன்று வெளியாகும்.` : '';
+        window.showToastNotification(`கவிதை வெற்றிகரமாக சமர்ப்பிக்கப்பட்டது!${releaseNote}`, 'success');
+        if (plagiarismCheck?.flagged) {
+            window.showToastNotification(`இந்தக் கவிதை "${plagiarismCheck.title}" (${plagiarismCheck.authorName}) படைப்புடன் ${Math.round(plagiarismCheck.similarity * 100)}% ஒத்துப்போவதால் நிர்வாகி மதிப்பாய்வுக்கு அனுப்பப்பட்டது.`, 'warning');
+        }
         
-        // Clear the form and media URLs after success
+        // Clear the form, draft state and media URLs after success
         document.getElementById('kavithai-post-form').reset();
+        setActiveDraft(null);
+        activeDraftUpdatedAt = null;
+        await renderRevisionPanel(null);
+        await loadMyDrafts();
         
         if (window.uploadedMediaUrls) {
             window.uploadedMediaUrls = { imageUrl: null, audioUrl: null };
@@ -109,9 +408,10 @@ async function saveKavithaiToFirestore(data, status) {
         
         document.getElementById('image-upload-status').innerHTML = '';
         document.getElementById('audio-upload-status').innerHTML = '';
+        return poemId;
 
     } catch (error) {
-        console.error("Error adding document: ", error);
+        console.error("Error saving document: ", error);
         
         let displayMessage = `கவிதை சேமிப்பில் பிழை ஏற்பட்டது.`;
         
@@ -125,31 +425,88 @@ async function saveKavithaiToFirestore(data, status) {
     }
 }
 
-// --- 4. FORM EVENT LISTENERS ---
+/**
+ * Re-reads the saved draft so conflict detection compares against the real server time.
+ */
+async function refreshDraftBaseline(poemId) {
+    try {
+        const savedSnap = await getDoc(doc(db, "kavithai", poemId));
+        activeDraftUpdatedAt = savedSnap.data()?.updatedAt?.toMillis() || null;
+    } catch (error) {
+        console.error("Could not refresh draft baseline:", error);
+    }
+}
+
+/**
+ * Pushes an autosaved (recovered or offline) draft to Firestore.
+ * If the server copy changed after the local copy was started, the user chooses which one wins.
+ * @param {object} record - Autosave record from autosave.js.
+ * @returns {Promise<boolean>} - true when the local record can be discarded.
+ */
+async function syncRecoveredDraft(record) {
+    const user = auth.currentUser;
+    if (!user || user.uid !== record.uid) return false;
+
+    let targetId = record.draftId;
+
+    try {
+        if (targetId) {
+            const serverSnap = await getDoc(doc(db, "kavithai", targetId));
+            const server = serverSnap.exists() ? serverSnap.data() : null;
+
+            if (!server || server.status !== 'Draft') {
+                // The draft was deleted or already submitted: keep the local work as a new draft
+                targetId = null;
+            } else {
+                const serverUpdatedAt = server.updatedAt?.toMillis() || 0;
+                if (record.baseUpdatedAt && serverUpdatedAt > record.baseUpdatedAt) {
+                    const serverDate = new Date(serverUpdatedAt).toLocaleString('ta-IN');
+                    const keepLocal = confirm(`"${server.title || 'தலைப்பில்லா'}" வரைவு ${serverDate} அன்று வேறு இடத்தில் மாற்றப்பட்டுள்ளது.\n\nஉள்ளூர் பதிப்பைச் சேமிக்க 'சரி', சர்வர் பதிப்பை வைத்துக்கொள்ள 'ரத்து' அழுத்தவும்.`);
+                    if (!keepLocal) {
+                        if (activeDraftId === targetId) {
+                            fillForm(server);
+                            activeDraftUpdatedAt = serverUpdatedAt;
+                        }
+                        window.showToastNotification("சர்வர் பதிப்பு வைக்கப்பட்டது.", 'info');
+                        return true;
+                    }
+                }
+            }
+        }
+
+        const { poemId } = await persistKavithai(record.form, 'Draft', targetId);
+        await clearAutosave(user.uid, poemId);
+
+        if (activeDraftId === record.draftId) {
+            setActiveDraft(poemId);
+            await refreshDraftBaseline(poemId);
+            await renderRevisionPanel(poemId, fillForm);
+        }
+        await loadMyDrafts();
+        window.showToastNotification(`"${record.form.title || 'தலைப்பில்லா'}" வரைவு ஒத்திசைக்கப்பட்டது!`, 'success');
+        return true;
+
+    } catch (error) {
+        console.error("Offline draft sync failed:", error);
+        window.showToastNotification("வரைவை ஒத்திசைக்க முடியவில்லை. பின்னர் மீண்டும் முயற்சிக்கப்படும்.", 'warning');
+        return false;
+    }
+}
+
+// --- 5. FORM EVENT LISTENERS ---
 
 document.addEventListener('DOMContentLoaded', () => {
     const form = document.getElementById('kavithai-post-form');
     const publishBtn = document.getElementById('publish-btn');
     const draftBtn = document.getElementById('draft-btn');
+    const draftSelector = document.getElementById('my-drafts');
 
     if (!form) return;
-    
-    // Function to collect all form data
-    const collectFormData = () => {
-        return {
-            title: document.getElementById('poem-title').value.trim(),
-            content: document.getElementById('poem-content').value.trim(),
-            tags: document.getElementById('poem-tags').value.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0),
-            series: document.getElementById('series-name').value.trim(),
-            coAuthors: document.getElementById('co-authors').value.trim(),
-            media: window.uploadedMediaUrls || { imageUrl: null, audioUrl: null },
-            // FIX: Collect License and Copyright data
-            license: document.getElementById('content-license').value,
-            copyrightAgreed: document.getElementById('copyright-agree').checked 
-        };
-    };
 
-    // 4.1. Handle Publish Submission
+    initScheduleControls();
+    populateLicenseSelect('content-license');
+
+    // 5.1. Handle Publish Submission
     publishBtn.addEventListener('click', async (e) => {
         e.preventDefault();
         
@@ -169,11 +526,18 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         const data = collectFormData();
+
+        // Scheduled release must be in the future
+        if (data.publishAt && data.publishAt.getTime() <= Date.now()) {
+            window.showToastNotification("வெளியீட்டு நேரம் எதிர்காலத்தில் இருக்க வேண்டும்.", 'warning');
+            return;
+        }
+
         // FIX: Submitting for approval
         await saveKavithaiToFirestore(data, 'Pending_Approval'); 
     });
 
-    // 4.2. Handle Draft Saving (Version History)
+    // 5.2. Handle Draft Saving (Version History)
     draftBtn.addEventListener('click', async (e) => {
         e.preventDefault();
         
@@ -183,21 +547,53 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
         
+        // Offline: keep the draft locally; autosave.js syncs it when the connection returns
+        if (!navigator.onLine) {
+            await markPendingSync(auth.currentUser.uid, activeDraftId, data, activeDraftUpdatedAt);
+            window.showToastNotification("இணைப்பு இல்லை. வரைவு உள்ளூரில் சேமிக்கப்பட்டது; இணைந்ததும் ஒத்திசைக்கப்படும்.", 'warning');
+            return;
+        }
+        
         // FIX: Saving as Draft (No need for Copyright check)
         await saveKavithaiToFirestore(data, 'Draft'); 
     });
+
+    // 5.3. Switch between drafts (reopens create.html with ?draft=ID)
+    if (draftSelector) {
+        draftSelector.addEventListener('change', () => {
+            const url = new URL(window.location.href);
+            if (draftSelector.value) url.searchParams.set('draft', draftSelector.value);
+            else url.searchParams.delete('draft');
+            window.location.href = url.toString();
+        });
+    }
     
-    // 4.3. Ensure Auth check runs
-    auth.onAuthStateChanged((user) => {
+    // 5.4. Ensure Auth check runs, then reopen the requested draft
+    auth.onAuthStateChanged(async (user) => {
         if (!user) {
             publishBtn.disabled = true;
             draftBtn.disabled = true;
         } else {
              publishBtn.disabled = false;
              draftBtn.disabled = false;
+
+             await populateSeriesSelect();
+             const requestedDraft = new URLSearchParams(window.location.search).get('draft');
+             if (requestedDraft) await openDraft(requestedDraft);
+             await loadMyDrafts();
+
+             // 5.5. Crash-safe local autosave & recovery (autosave.js)
+             await initAutosave({
+                 getUserId: () => auth.currentUser?.uid || null,
+                 getDraftId: () => activeDraftId,
+                 getBaseUpdatedAt: () => activeDraftUpdatedAt,
+                 collect: collectFormData,
+                 restore: fillForm,
+                 sync: syncRecoveredDraft
+             });
         }
     });
 
 });
 
-export { saveKavithaiToFirestore };
+export { saveKavithaiToFirestore, persistKavithai, collectFormData, fillForm };
@@ -0,0 +1,224 @@
+/*
+ * File: fingerprint.js
+ * Description: கவிதைக் கைரேகை (Poem Fingerprinting) - MinHash over normalised Tamil character shingles.
+ * Integrates: content.js (fingerprint + check on submission), public_domain_corpus.js,
+ *             Firestore 'kavithai' (fingerprintBands for LSH lookups), admin.js (comparison view, backfill).
+ * Purpose: Catches reposts of members' poems and of classics before approval. Spacing, punctuation
+ *          and sandhi splits ("அச்சமென்ப தில்லையே" / "அச்சமென்பதில்லையே") do not change the fingerprint.
+ * FIX: Candidates are scored on their actual shingle sets (containment is no longer derived from the
+ *      MinHash estimate), and only flagged poems carry a 'plagiarismCheck'.
+ */
+
+// --- 1. FIREBASE IMPORTS & CONFIGURATION ---
+import { db } from "./auth.js";
+import {
+    collection,
+    getDocs,
+    query,
+    where,
+    limit
+} from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { PUBLIC_DOMAIN_CORPUS } from "./public_domain_corpus.js";
+
+const SHINGLE_SIZE = 5;          // code points per shingle (about 3 Tamil letters)
+const NUM_HASHES = 64;
+const LSH_BANDS = 16;            // 16 bands × 4 rows; array-contains-any allows up to 30 values
+const LSH_ROWS = NUM_HASHES / LSH_BANDS;
+const PLAGIARISM_THRESHOLD = 0.6;
+const MAX_CANDIDATES = 10;
+const MIN_CONTAINED_SHINGLES = 20; // a smaller text needs this many shingles before containment counts
+
+
+// --- 2. NORMALISATION & HASHING ---
+
+/**
+ * Keeps only Tamil letters, Latin letters and digits, lowercased, without any spacing.
+ */
+function normalizeForFingerprint(text) {
+    return (text || '')
+        .normalize('NFC')
+        .toLowerCase()
+        .replace(/[\u200B-\u200D\uFEFF]/g, '')
+        .replace(/[^\u0B80-\u0BFFa-z0-9]/g, '');
+}
+
+function fnv1a(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// MurmurHash3 finaliser: spreads one 32-bit hash into NUM_HASHES independent-looking ones
+function mix32(value) {
+    let h = value;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85EBCA6B);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xC2B2AE35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+const HASH_SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mix32(0x9E3779B9 + i * 0x632BE5AB));
+
+/**
+ * Distinct character shingles of the normalised text (short texts give one shingle).
+ */
+function shingles(text) {
+    const chars = [...normalizeForFingerprint(text)];
+    const set = new Set();
+    if (chars.length === 0) return set;
+    if (chars.length <= SHINGLE_SIZE) {
+        set.add(chars.join(''));
+        return set;
+    }
+    for (let i = 0; i <= chars.length - SHINGLE_SIZE; i++) set.add(chars.slice(i, i + SHINGLE_SIZE).join(''));
+    return set;
+}
+
+
+// --- 3. MINHASH & LSH ---
+
+/**
+ * Computes the MinHash fingerprint of a poem.
+ * @param {string} text - Poem text.
+ * @returns {{signature: Array<number>, shingleCount: number}}
+ */
+function computeFingerprint(text) {
+    const shingleSet = shingles(text);
+    const signature = new Array(NUM_HASHES).fill(0xFFFFFFFF);
+    shingleSet.forEach(shingle => {
+        const base = fnv1a(shingle);
+        for (let i = 0; i < NUM_HASHES; i++) {
+            const value = mix32(base ^ HASH_SEEDS[i]);
+            if (value < signature[i]) signature[i] = value;
+        }
+    });
+    return { signature, shingleCount: shingleSet.size };
+}
+
+/**
+ * LSH band keys stored as 'fingerprintBands'; two poems sharing any band are candidates.
+ */
+function fingerprintBands(signature) {
+    return Array.from({ length: LSH_BANDS }, (_, band) =>
+        `${band}-${fnv1a(signature.slice(band * LSH_ROWS, (band + 1) * LSH_ROWS).join(',')).toString(36)}`
+    );
+}
+
+/**
+ * Estimated Jaccard index of two fingerprints (share of equal MinHash rows).
+ * @returns {number} - 0..1
+ */
+function compareFingerprints(a, b) {
+    if (!a?.signature || !b?.signature || !a.shingleCount || !b.shingleCount) return 0;
+    const equal = a.signature.reduce((count, value, i) => count + (value === b.signature[i] ? 1 : 0), 0);
+    return equal / NUM_HASHES;
+}
+
+/**
+ * Exact similarity of two shingle sets (see shingles): the larger of the Jaccard index and the
+ * share of the smaller text found in the larger one, so a Kural pasted inside a long poem still
+ * scores high. Containment only counts when the smaller text has MIN_CONTAINED_SHINGLES shingles;
+ * a line or two is found inside many long poems by chance.
+ * @returns {number} - 0..1
+ */
+function compareShingles(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    let shared = 0;
+    small.forEach(shingle => { if (large.has(shingle)) shared++; });
+    const jaccard = shared / (a.size + b.size - shared);
+    const containment = small.size >= MIN_CONTAINED_SHINGLES ? shared / small.size : 0;
+    return Math.max(jaccard, containment);
+}
+
+
+// --- 4. PLAGIARISM CHECK ---
+
+let corpusFingerprints = null;
+
+function getCorpusFingerprints() {
+    if (!corpusFingerprints) {
+        corpusFingerprints = PUBLIC_DOMAIN_CORPUS.map(entry => ({ ...entry, shingleSet: shingles(entry.text) }));
+    }
+    return corpusFingerprints;
+}
+
+/**
+ * Fingerprints a submission and compares it with the public-domain corpus and with
+ * approved poems that share an LSH band. Both are scored on their actual text (compareShingles).
+ * @param {string} content - Poem text.
+ * @param {string|null} poemId - The poem being saved (excluded from its own matches).
+ * @returns {Promise<{fingerprint: object, fingerprintBands: Array<string>, plagiarismCheck: (object|null)}>}
+ *          plagiarismCheck - the closest match, only when it reaches PLAGIARISM_THRESHOLD.
+ */
+async function checkPlagiarism(content, poemId = null) {
+    const fingerprint = computeFingerprint(content);
+    const bands = fingerprintBands(fingerprint.signature);
+    const shingleSet = shingles(content);
+    let best = { similarity: 0 };
+
+    getCorpusFingerprints().forEach(entry => {
+        const similarity = compareShingles(shingleSet, entry.shingleSet);
+        if (similarity > best.similarity) {
+            best = { similarity, source: 'corpus', corpusId: entry.id, title: entry.title, authorName: entry.author };
+        }
+    });
+
+    try {
+        const q = query(
+            collection(db, "kavithai"),
+            where("status", "==", "Approved"),
+            where("fingerprintBands", "array-contains-any", bands),
+            limit(MAX_CANDIDATES)
+        );
+        const querySnapshot = await getDocs(q);
+        querySnapshot.forEach(poemDoc => {
+            if (poemDoc.id === poemId) return;
+            const poem = poemDoc.data();
+            const similarity = compareShingles(shingleSet, shingles(poem.content));
+            if (similarity > best.similarity) {
+                best = { similarity, source: 'poem', poemId: poemDoc.id, title: poem.title, authorName: poem.authorName, authorId: poem.authorId };
+            }
+        });
+    } catch (error) {
+        // The corpus check still counts; a missing index or offline read should not block submission
+        console.error("Fingerprint lookup failed:", error);
+    }
+
+    return {
+        fingerprint,
+        fingerprintBands: bands,
+        plagiarismCheck: best.similarity >= PLAGIARISM_THRESHOLD ? {
+            ...best,
+            similarity: Math.round(best.similarity * 100) / 100,
+            flagged: true,
+            checkedAt: new Date().toISOString()
+        } : null
+    };
+}
+
+/**
+ * Looks up a corpus entry for the admin comparison view.
+ * @param {string} corpusId - plagiarismCheck.corpusId as stored on the poem.
+ * @returns {{id: string, title: string, author: string, text: string}|null}
+ */
+function getCorpusEntry(corpusId) {
+    return PUBLIC_DOMAIN_CORPUS.find(entry => entry.id === corpusId) || null;
+}
+
+// --- 5. EXPORTS ---
+export {
+    normalizeForFingerprint,
+    computeFingerprint,
+    fingerprintBands,
+    compareFingerprints,
+    compareShingles,
+    checkPlagiarism,
+    getCorpusEntry,
+    PLAGIARISM_THRESHOLD
+};
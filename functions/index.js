@@ -0,0 +1,590 @@
+/*
+ * File: functions/index.js
+ * Description: நான் கவிதை சர்வர் பணிகள் (Firebase Cloud Functions).
+ * Integrates: Firestore 'kavithai' collection via the Admin SDK; 'users/{uid}/saved_searches' and
+ *             'users/{uid}/notifications' (saved_searches.js, notifications.js); 'mail' (read by the
+ *             Firebase "Trigger Email" extension, which sends the daily digests); 'bookmarks', 'ratings'
+ *             and 'reactions' (comments.js) feeding 'recommendations' and 'user_recommendations'
+ *             (scored in recommendations.js, shown by the site's recommendations.js); 'media' (media_library.js);
+ *             'coauthor_invites' (coauthors.js).
+ * Purpose: Releases approved 'Scheduled' poems at their publish time, alerts users whose saved
+ *          searches match a newly approved poem, and precomputes "read next" / "for you" lists.
+ *          Runs locally with `npm run serve` (Firebase emulator, see firebase.json).
+ * FIX: The "...Now" manual triggers only answer in the emulator.
+ * FIX: Saved-search alerts read only searches indexed under the poem's 'alertKeys' and write in
+ *      bulk; digests commit one email per batch, escape poem titles and drain the whole backlog.
+ * FIX: The recommendation rebuild pages through poems and signals and deletes empty or stale
+ *      lists; refreshes after a signal are capped and skipped when the signal's weight is unchanged.
+ * FIX: Deleting a poem removes it from the 'usedIn' list of its media library assets.
+ * FIX: Co-author answers are copied onto the poem here; a declined co-author's share returns to the author.
+ */
+
+// --- 1. FIREBASE ADMIN IMPORTS ---
+import { initializeApp } from "firebase-admin/app";
+import { getFirestore, FieldValue, FieldPath, Timestamp } from "firebase-admin/firestore";
+import { onSchedule } from "firebase-functions/v2/scheduler";
+import { onRequest } from "firebase-functions/v2/https";
+import { onDocumentWritten, onDocumentDeleted } from "firebase-functions/v2/firestore";
+import { defineString } from "firebase-functions/params";
+import { logger } from "firebase-functions";
+import {
+    signalWeight,
+    buildReaderIndex,
+    buildPoemIndex,
+    recommendForPoem,
+    recommendForUser
+} from "./recommendations.js";
+
+initializeApp();
+const db = getFirestore();
+
+const MAX_BATCH_WRITES = 500;   // Firestore limit per batch
+const IN_QUERY_SIZE = 30;       // Firestore 'in' / 'array-contains-any' filters take at most 30 values
+
+function chunk(values, size) {
+    const chunks = [];
+    for (let i = 0; i < values.length; i += size) chunks.push(values.slice(i, i + size));
+    return chunks;
+}
+
+function escapeHtml(text) {
+    return String(text ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * HTTP trigger that runs a job by hand in the emulator (scheduled functions do not fire there on
+ * their own). Deployed, it answers 404, so nobody can run the job on demand.
+ * @param {string} label - Job name for the error log.
+ * @param {function(): Promise<object>} job - Its result is sent back as JSON.
+ */
+function emulatorTrigger(label, job) {
+    return onRequest(async (req, res) => {
+        if (process.env.FUNCTIONS_EMULATOR !== "true") {
+            res.status(404).send("Not found");
+            return;
+        }
+        try {
+            res.json(await job());
+        } catch (error) {
+            logger.error(`${label} failed:`, error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+}
+
+// --- 2. SCHEDULED PUBLISHING (Release Queue) ---
+
+const RELEASE_BATCH_SIZE = 200;
+
+/**
+ * Flips every 'Scheduled' poem whose scheduledAt has passed to 'Approved'.
+ * 'timestamp' is reset to the release time so the poem appears at the top of the feed.
+ * @returns {Promise<number>} - Number of poems released.
+ */
+async function releaseDuePosts() {
+    const now = Timestamp.now();
+    const dueSnapshot = await db.collection("kavithai")
+        .where("status", "==", "Scheduled")
+        .where("scheduledAt", "<=", now)
+        .orderBy("scheduledAt", "asc")
+        .limit(RELEASE_BATCH_SIZE)
+        .get();
+
+    if (dueSnapshot.empty) return 0;
+
+    const batch = db.batch();
+    dueSnapshot.forEach((postDoc) => {
+        batch.update(postDoc.ref, {
+            status: "Approved",
+            publishedAt: FieldValue.serverTimestamp(),
+            timestamp: FieldValue.serverTimestamp()
+        });
+    });
+    await batch.commit();
+
+    logger.info(`Released ${dueSnapshot.size} scheduled poems.`);
+    return dueSnapshot.size;
+}
+
+/**
+ * Production trigger: checks the release queue every five minutes.
+ */
+export const releaseScheduledPosts = onSchedule({ schedule: "every 5 minutes", timeZone: "Asia/Colombo" }, async () => {
+    await releaseDuePosts();
+});
+
+/**
+ * Manual trigger, emulator only:
+ * curl http://127.0.0.1:5001/<project-id>/<region>/releaseScheduledPostsNow
+ */
+export const releaseScheduledPostsNow = emulatorTrigger("Release queue", async () => ({ released: await releaseDuePosts() }));
+
+
+// --- 3. SAVED SEARCH ALERTS ---
+
+const DIGEST_BATCH_SIZE = 500;
+const SITE_URL = defineString("SITE_URL", { description: "Public site address used in digest email links, e.g. https://example.org" });
+
+// Facet values of a poem, kept in step with FACETS in search_facets.js (the site's modules are
+// not bundled with the functions). License values are stored as registry IDs by content.js.
+const FACET_VALUES = {
+    tag: (poem) => poem.tags || [],
+    author: (poem) => (poem.authorName ? [poem.authorName] : []),
+    license: (poem) => [poem.license || "Standard"],
+    media: (poem) => [
+        ...((poem.hasAudio ?? !!poem.media?.audioUrl) ? ["audio"] : []),
+        ...((poem.hasImage ?? !!poem.media?.imageUrl) ? ["image"] : [])
+    ],
+    gated: (poem) => [poem.isTokenGated ? "gated" : "open"],
+    location: (poem) => (poem.location ? [poem.location] : [])
+};
+const FACETS_MATCHING_ALL = ["media"];
+
+/**
+ * Same rules as the search page: every chosen facet must match (any chosen value, or all of them
+ * for media), searches saved before facets keep their theme / place / gating filters, author,
+ * series and audio filters must match, and every query word must have one of its alternatives
+ * (saved as 'matchGroups' by saved_searches.js) among the poem's 'searchTokens'. A search without
+ * words matches on its filters alone. The 'unlocked' token filter depends on the reader's wallet,
+ * and a newly approved poem has no ratings yet, so neither is checked here; nor is the date range,
+ * which describes past poems.
+ */
+function matchesSavedSearch(poem, savedSearch) {
+    const filters = savedSearch.filters || {};
+    if (filters.theme && filters.theme !== "all" && !(poem.tags || []).includes(filters.theme)) return false;
+    if (filters.geo && filters.geo !== "global" && poem.location !== filters.geo) return false;
+    if (filters.token === "gated" && !poem.isTokenGated) return false;
+    if (filters.authorId && poem.authorId !== filters.authorId) return false;
+    if (filters.seriesId && poem.seriesId !== filters.seriesId) return false;
+    if (filters.hasAudio && !(poem.hasAudio ?? !!poem.media?.audioUrl)) return false;
+
+    const facetsMatch = Object.entries(filters.facets || {}).every(([facetId, chosen]) => {
+        if (!FACET_VALUES[facetId] || !chosen?.length) return true;
+        const values = FACET_VALUES[facetId](poem);
+        return FACETS_MATCHING_ALL.includes(facetId)
+            ? chosen.every((value) => values.includes(value))
+            : chosen.some((value) => values.includes(value));
+    });
+    if (!facetsMatch) return false;
+
+    const poemTokens = new Set(poem.searchTokens || []);
+    return (savedSearch.matchGroups || []).every((group) => (group.tokens || []).some((token) => poemTokens.has(token)));
+}
+
+/**
+ * Keys under which a saved search could match this poem, in the form saved_searches.js writes
+ * to 'alertKeys': 'word:<token>', 'tag:<tag>', 'author:<uid>', or '*' for searches on other filters only.
+ */
+function poemAlertKeys(poem) {
+    return [
+        "*",
+        ...(poem.authorId ? [`author:${poem.authorId}`] : []),
+        ...[...new Set(poem.tags || [])].map((tag) => `tag:${tag}`),
+        ...[...new Set(poem.searchTokens || [])].map((token) => `word:${token}`)
+    ];
+}
+
+/**
+ * Writes an in-app notification for every saved search (other than the author's own) that the
+ * poem matches. Notifications for searches with 'digest' on are also queued for the daily email.
+ * Only searches indexed under one of the poem's alert keys are read.
+ * @returns {Promise<number>} - Number of notifications written.
+ */
+async function notifySavedSearches(poemId, poem) {
+    const candidates = new Map();
+    for (const keyChunk of chunk(poemAlertKeys(poem), IN_QUERY_SIZE)) {
+        const snapshot = await db.collectionGroup("saved_searches").where("alertKeys", "array-contains-any", keyChunk).get();
+        snapshot.forEach((searchDoc) => candidates.set(searchDoc.ref.path, searchDoc));
+    }
+
+    const writer = db.bulkWriter();
+    let count = 0;
+    candidates.forEach((searchDoc) => {
+        const ownerId = searchDoc.ref.parent.parent.id;
+        const savedSearch = searchDoc.data();
+        if (ownerId === poem.authorId || !matchesSavedSearch(poem, savedSearch)) return;
+
+        // One notification per search and poem, so re-approving does not alert twice
+        const notificationRef = db.collection("users").doc(ownerId).collection("notifications").doc(`${searchDoc.id}_${poemId}`);
+        writer.set(notificationRef, {
+            type: "saved_search_match",
+            savedSearchId: searchDoc.id,
+            savedSearchName: savedSearch.name,
+            poemId,
+            poemTitle: poem.title,
+            authorName: poem.authorName || "",
+            read: false,
+            digest: !!savedSearch.digest,
+            digestSent: false,
+            createdAt: FieldValue.serverTimestamp()
+        });
+        count++;
+    });
+
+    await writer.close();
+    return count;
+}
+
+/**
+ * Runs when a poem becomes 'Approved' (admin approval or the release queue above).
+ */
+export const notifySavedSearchMatches = onDocumentWritten("kavithai/{poemId}", async (event) => {
+    const before = event.data.before.exists ? event.data.before.data() : null;
+    const after = event.data.after.exists ? event.data.after.data() : null;
+    if (!after || after.status !== "Approved" || before?.status === "Approved") return;
+
+    const count = await notifySavedSearches(event.params.poemId, after);
+    if (count > 0) logger.info(`Poem ${event.params.poemId} matched ${count} saved searches.`);
+});
+
+function digestMail(email, notificationDocs) {
+    const items = notificationDocs.map((notificationDoc) => {
+        const notification = notificationDoc.data();
+        const link = `${SITE_URL.value()}/poem_view?id=${encodeURIComponent(notification.poemId)}`;
+        return `<li><a href="${escapeHtml(link)}">${escapeHtml(notification.poemTitle)}</a> — ${escapeHtml(notification.authorName)} (${escapeHtml(notification.savedSearchName)})</li>`;
+    }).join("");
+    return {
+        to: email,
+        message: {
+            subject: `நான் கவிதை: உங்கள் சேமித்த தேடல்களுக்கு ${notificationDocs.length} புதிய கவிதைகள்`,
+            html: `<p>உங்கள் சேமித்த தேடல்களுடன் பொருந்தும் புதிய கவிதைகள்:</p><ul>${items}</ul>`
+        }
+    };
+}
+
+/**
+ * Emails each user the saved-search matches queued since the last digest, then marks them sent.
+ * Pending notifications are read DIGEST_BATCH_SIZE at a time until none are left. Each email is
+ * committed in one batch together with the notifications it lists (at most MAX_BATCH_WRITES writes),
+ * so a notification is never marked sent without its email.
+ * @returns {Promise<number>} - Number of digests queued.
+ */
+async function sendSavedSearchDigests() {
+    let digests = 0;
+    let pendingSnapshot;
+    do {
+        pendingSnapshot = await db.collectionGroup("notifications")
+            .where("digest", "==", true)
+            .where("digestSent", "==", false)
+            .limit(DIGEST_BATCH_SIZE)
+            .get();
+
+        const byUser = new Map();
+        pendingSnapshot.forEach((notificationDoc) => {
+            const uid = notificationDoc.ref.parent.parent.id;
+            if (!byUser.has(uid)) byUser.set(uid, []);
+            byUser.get(uid).push(notificationDoc);
+        });
+
+        for (const [uid, userNotifications] of byUser) {
+            const userSnap = await db.collection("users").doc(uid).get();
+            const email = userSnap.exists ? userSnap.data().email : null;
+
+            for (const notificationDocs of chunk(userNotifications, MAX_BATCH_WRITES - 1)) {
+                const batch = db.batch();
+                if (email) batch.set(db.collection("mail").doc(), digestMail(email, notificationDocs));
+                notificationDocs.forEach((notificationDoc) => batch.update(notificationDoc.ref, { digestSent: true }));
+                await batch.commit();
+                if (email) digests++;
+            }
+        }
+    } while (pendingSnapshot.size === DIGEST_BATCH_SIZE);
+
+    logger.info(`Queued ${digests} saved-search digests.`);
+    return digests;
+}
+
+/**
+ * Production trigger: one digest per user each morning.
+ */
+export const sendSavedSearchDigest = onSchedule({ schedule: "every day 07:00", timeZone: "Asia/Colombo" }, async () => {
+    await sendSavedSearchDigests();
+});
+
+/**
+ * Manual trigger, emulator only:
+ * curl http://127.0.0.1:5001/<project-id>/<region>/sendSavedSearchDigestNow
+ */
+export const sendSavedSearchDigestNow = emulatorTrigger("Saved-search digest", async () => ({ digests: await sendSavedSearchDigests() }));
+
+
+// --- 4. RECOMMENDATIONS ---
+
+const SIGNAL_COLLECTIONS = ["bookmarks", "ratings", "reactions"];
+const SIGNAL_FIELDS = ["userId", "poemId", "rating"];
+const POEM_FIELDS = ["status", "title", "authorId", "authorName", "tags", "seriesId", "aiAnalysis.aiTheme"];
+const QUERY_PAGE_SIZE = 1000;      // documents per page in the full rebuild
+const NEIGHBOURHOOD_LIMIT = 100;   // poems fetched per shared author / theme / tags when refreshing one poem
+const CO_READER_LIMIT = 90;        // readers followed to their other poems when refreshing one poem
+const CO_READ_POEM_LIMIT = 100;    // other poems of those readers taken into the refresh
+const SIGNAL_QUERY_LIMIT = 200;    // signals read per query when refreshing one poem
+const POEM_REFRESH_INTERVAL_MS = 10 * 60 * 1000; // a poem's list is rebuilt at most this often by signals
+
+/**
+ * Runs a query page by page (in document ID order), so no single read returns a whole collection.
+ * @param {object} baseQuery - Collection or query without ordering.
+ * @param {function(object): (void|Promise<void>)} onPage - Called with each page's QuerySnapshot.
+ */
+async function forEachPage(baseQuery, onPage) {
+    let lastDoc = null;
+    for (;;) {
+        let pageQuery = baseQuery.orderBy(FieldPath.documentId()).limit(QUERY_PAGE_SIZE);
+        if (lastDoc) pageQuery = pageQuery.startAfter(lastDoc);
+        const snapshot = await pageQuery.get();
+        if (snapshot.empty) return;
+        await onPage(snapshot);
+        if (snapshot.size < QUERY_PAGE_SIZE) return;
+        lastDoc = snapshot.docs[snapshot.size - 1];
+    }
+}
+
+function signalsFromSnapshot(collectionName, snapshot) {
+    return snapshot.docs.map((signalDoc) => {
+        const data = signalDoc.data();
+        return { userId: data.userId, poemId: data.poemId, weight: signalWeight(collectionName, data) };
+    });
+}
+
+/**
+ * Reader signals from all three collections: all of them page by page, or only those matching one
+ * field filter (at most SIGNAL_QUERY_LIMIT per query).
+ */
+async function loadSignals(field = null, values = null) {
+    const signals = [];
+    for (const collectionName of SIGNAL_COLLECTIONS) {
+        const signalQuery = db.collection(collectionName).select(...SIGNAL_FIELDS);
+        if (!field) {
+            await forEachPage(signalQuery, (snapshot) => signals.push(...signalsFromSnapshot(collectionName, snapshot)));
+            continue;
+        }
+        for (const valueChunk of chunk(values, IN_QUERY_SIZE)) {
+            const snapshot = await signalQuery.where(field, "in", valueChunk).limit(SIGNAL_QUERY_LIMIT).get();
+            signals.push(...signalsFromSnapshot(collectionName, snapshot));
+        }
+    }
+    return signals;
+}
+
+function approvedPoemsFromSnapshot(snapshot, poems = new Map()) {
+    snapshot.docs.forEach((poemDoc) => {
+        if (poemDoc.exists && poemDoc.data().status === "Approved") poems.set(poemDoc.id, poemDoc.data());
+    });
+    return poems;
+}
+
+/**
+ * Saves the lists; an empty list deletes the document, so nothing stale is shown.
+ * @param {object} [writer] - BulkWriter to add to (closed by the caller).
+ */
+async function writeRecommendations(poemItems, userItems, writer = null) {
+    const bulkWriter = writer || db.bulkWriter();
+    const save = (ref, data) => (data.items.length ? bulkWriter.set(ref, { ...data, updatedAt: FieldValue.serverTimestamp() }) : bulkWriter.delete(ref));
+    poemItems.forEach((items, poemId) => save(db.collection("recommendations").doc(poemId), { poemId, items }));
+    userItems.forEach((items, userId) => save(db.collection("user_recommendations").doc(userId), { userId, items }));
+    if (!writer) await bulkWriter.close();
+}
+
+/**
+ * Deletes the lists of poems and readers the rebuild no longer has (unapproved or deleted poems,
+ * readers whose signals are all gone).
+ */
+async function deleteStaleRecommendations(collectionName, keepIds, writer) {
+    await forEachPage(db.collection(collectionName).select(), (snapshot) => {
+        snapshot.docs.forEach((recommendationDoc) => {
+            if (!keepIds.has(recommendationDoc.id)) writer.delete(recommendationDoc.ref);
+        });
+    });
+}
+
+/**
+ * Full rebuild: every approved poem's read-next list, then every reader's "for you" list.
+ * Poems and signals are read page by page, and only the fields the scoring uses.
+ * @returns {Promise<{poems: number, users: number}>}
+ */
+async function refreshAllRecommendations() {
+    const poems = new Map();
+    const approvedQuery = db.collection("kavithai").where("status", "==", "Approved").select(...POEM_FIELDS);
+    await forEachPage(approvedQuery, (snapshot) => approvedPoemsFromSnapshot(snapshot, poems));
+    const readerIndex = buildReaderIndex(await loadSignals());
+    const poemIndex = buildPoemIndex(poems);
+
+    const poemItems = new Map();
+    poems.forEach((poem, poemId) => poemItems.set(poemId, recommendForPoem({ id: poemId, ...poem }, poems, poemIndex, readerIndex)));
+
+    const userItems = new Map();
+    readerIndex.byUser.forEach((likedPoems, userId) => {
+        userItems.set(userId, recommendForUser(userId, likedPoems, poemItems));
+    });
+
+    const writer = db.bulkWriter();
+    await writeRecommendations(poemItems, userItems, writer);
+    await deleteStaleRecommendations("recommendations", poemItems, writer);
+    await deleteStaleRecommendations("user_recommendations", userItems, writer);
+    await writer.close();
+    logger.info(`Recommendations refreshed for ${poemItems.size} poems and ${userItems.size} readers.`);
+    return { poems: poemItems.size, users: userItems.size };
+}
+
+/**
+ * Incremental refresh after one reader signal: the poem's read-next list is rebuilt from its
+ * neighbourhood (same author, series, theme or tags, and the other poems of its readers), and the
+ * reader's "for you" list from the stored lists of the poems they like. Other poems' lists pick up
+ * the change at the next full rebuild. Reads are capped (NEIGHBOURHOOD_LIMIT, CO_READ_POEM_LIMIT,
+ * SIGNAL_QUERY_LIMIT), and a poem rebuilt within POEM_REFRESH_INTERVAL_MS keeps its list.
+ */
+async function refreshRecommendationsFor(poemId, userId) {
+    const [poemSnap, storedSnap] = await db.getAll(db.collection("kavithai").doc(poemId), db.collection("recommendations").doc(poemId));
+    const poemItems = new Map();
+    const refreshedAt = storedSnap.exists ? storedSnap.data().updatedAt?.toMillis() : 0;
+    const recentlyRefreshed = Date.now() - (refreshedAt || 0) < POEM_REFRESH_INTERVAL_MS;
+
+    if (!poemSnap.exists || poemSnap.data().status !== "Approved") {
+        poemItems.set(poemId, []);
+    } else if (!recentlyRefreshed) {
+        const poem = { id: poemId, ...poemSnap.data() };
+        const approved = db.collection("kavithai").where("status", "==", "Approved").select(...POEM_FIELDS);
+        const neighbourQueries = [approved.where("authorId", "==", poem.authorId).limit(NEIGHBOURHOOD_LIMIT)];
+        if (poem.seriesId) neighbourQueries.push(approved.where("seriesId", "==", poem.seriesId).limit(NEIGHBOURHOOD_LIMIT));
+        if (poem.aiAnalysis?.aiTheme) neighbourQueries.push(approved.where("aiAnalysis.aiTheme", "==", poem.aiAnalysis.aiTheme).limit(NEIGHBOURHOOD_LIMIT));
+        if (poem.tags?.length) neighbourQueries.push(approved.where("tags", "array-contains-any", poem.tags.slice(0, IN_QUERY_SIZE)).limit(NEIGHBOURHOOD_LIMIT));
+
+        const poems = new Map([[poemId, poemSnap.data()]]);
+        for (const neighbourQuery of neighbourQueries) approvedPoemsFromSnapshot(await neighbourQuery.get(), poems);
+
+        // Co-reading: the poem's readers and everything else they liked
+        const poemReaders = [...new Set((await loadSignals("poemId", [poemId])).map((signal) => signal.userId))].slice(0, CO_READER_LIMIT);
+        const coReadIds = [...new Set((await loadSignals("userId", poemReaders)).map((signal) => signal.poemId))]
+            .filter((id) => !poems.has(id))
+            .slice(0, CO_READ_POEM_LIMIT);
+        for (const idChunk of chunk(coReadIds, IN_QUERY_SIZE)) {
+            approvedPoemsFromSnapshot({ docs: await db.getAll(...idChunk.map((id) => db.collection("kavithai").doc(id))) }, poems);
+        }
+
+        // Every candidate's readers are needed for the co-reading cosine
+        const readerIndex = buildReaderIndex(await loadSignals("poemId", [...poems.keys()]));
+        poemItems.set(poemId, recommendForPoem(poem, poems, buildPoemIndex(poems), readerIndex));
+    }
+
+    const likedPoems = buildReaderIndex(await loadSignals("userId", [userId])).byUser.get(userId) || new Map();
+    const storedItems = new Map(poemItems);
+    const missing = [...likedPoems.keys()].filter((id) => !storedItems.has(id));
+    for (const idChunk of chunk(missing, IN_QUERY_SIZE)) {
+        const snapshots = await db.getAll(...idChunk.map((id) => db.collection("recommendations").doc(id)));
+        snapshots.forEach((recommendationSnap) => {
+            if (recommendationSnap.exists) storedItems.set(recommendationSnap.id, recommendationSnap.data().items || []);
+        });
+    }
+
+    await writeRecommendations(poemItems, new Map([[userId, recommendForUser(userId, likedPoems, storedItems)]]));
+}
+
+/**
+ * Production trigger: full rebuild every night.
+ */
+export const refreshRecommendations = onSchedule({ schedule: "every day 03:00", timeZone: "Asia/Colombo", timeoutSeconds: 540 }, async () => {
+    await refreshAllRecommendations();
+});
+
+/**
+ * Manual trigger, emulator only:
+ * curl http://127.0.0.1:5001/<project-id>/<region>/refreshRecommendationsNow
+ */
+export const refreshRecommendationsNow = emulatorTrigger("Recommendation refresh", refreshAllRecommendations);
+
+/**
+ * A bookmark, rating or reaction was added, changed or removed (comments.js). Changes that leave
+ * the signal's weight as it was (a reaction swapped for another, a rating of 2 changed to 3) are skipped.
+ */
+function refreshOnSignal(collectionName) {
+    return onDocumentWritten(`${collectionName}/{signalId}`, async (event) => {
+        const before = event.data.before.exists ? event.data.before.data() : null;
+        const after = event.data.after.exists ? event.data.after.data() : null;
+        const { poemId, userId } = after || before || {};
+        if (!poemId || !userId) return;
+
+        const weight = (data) => (data ? signalWeight(collectionName, data) : 0);
+        if (weight(before) === weight(after)) return;
+        await refreshRecommendationsFor(poemId, userId);
+    });
+}
+
+export const refreshRecommendationsOnBookmark = refreshOnSignal("bookmarks");
+export const refreshRecommendationsOnRating = refreshOnSignal("ratings");
+export const refreshRecommendationsOnReaction = refreshOnSignal("reactions");
+
+
+// --- 5. MEDIA LIBRARY USAGE ---
+
+/**
+ * A poem was deleted (from the console or an admin tool; the site has no delete button). Its ID is
+ * removed from the 'usedIn' list of every library asset, so the owner can delete those assets again
+ * (media_library.js). Edits that drop an asset are released by the site when the poem is saved.
+ */
+export const releaseMediaOnPoemDelete = onDocumentDeleted("kavithai/{poemId}", async (event) => {
+    const { poemId } = event.params;
+    const mediaSnap = await db.collection("media").where("usedIn", "array-contains", poemId).get();
+
+    for (const docs of chunk(mediaSnap.docs, MAX_BATCH_WRITES)) {
+        const batch = db.batch();
+        docs.forEach((mediaDoc) => batch.update(mediaDoc.ref, { usedIn: FieldValue.arrayRemove(poemId) }));
+        await batch.commit();
+    }
+    if (mediaSnap.size > 0) logger.info(`Poem ${poemId} deleted; released ${mediaSnap.size} media assets.`);
+});
+
+
+// --- 6. CO-AUTHOR ANSWERS ---
+
+/**
+ * An invitee answered a co-author invite (coauthors.js; firestore.rules lets only the invitee set
+ * 'Accepted' or 'Declined'). The answer is copied onto the poem's 'coAuthors', since invitees
+ * cannot write other people's poems. A co-author who declined is taken off the poem and their
+ * share goes back to the author, who gets a notification, so the poem can still be approved.
+ */
+export const syncCoAuthorAnswer = onDocumentWritten("coauthor_invites/{inviteId}", async (event) => {
+    const before = event.data.before.exists ? event.data.before.data() : null;
+    const after = event.data.after.exists ? event.data.after.data() : null;
+    if (!after || before?.status === after.status) return;
+
+    const poemRef = db.collection("kavithai").doc(after.poemId);
+    const declined = await db.runTransaction(async (transaction) => {
+        const poemSnap = await transaction.get(poemRef);
+        if (!poemSnap.exists) return null;
+        const poem = poemSnap.data();
+        const coAuthor = (poem.coAuthors || []).find((entry) => entry.uid === after.inviteeId);
+        if (!coAuthor) return null;
+
+        if (after.status !== "Declined") {
+            if (coAuthor.status === after.status) return null;
+            transaction.update(poemRef, {
+                coAuthors: poem.coAuthors.map((entry) => (entry.uid === after.inviteeId ? { ...entry, status: after.status } : entry))
+            });
+            return null;
+        }
+
+        const revenueSplit = { ...(poem.revenueSplit || {}) };
+        const share = revenueSplit[after.inviteeId] || 0;
+        delete revenueSplit[after.inviteeId];
+        revenueSplit[poem.authorId] = Math.round(((revenueSplit[poem.authorId] || 0) + share) * 100) / 100;
+        transaction.update(poemRef, {
+            coAuthors: poem.coAuthors.filter((entry) => entry.uid !== after.inviteeId),
+            coAuthorIds: (poem.coAuthorIds || []).filter((uid) => uid !== after.inviteeId),
+            revenueSplit
+        });
+        return { poem, coAuthor };
+    });
+    if (!declined) return;
+
+    // One notification per invite, so answering twice does not notify twice
+    const { poem, coAuthor } = declined;
+    await db.collection("users").doc(poem.authorId).collection("notifications").doc(`coauthor_${event.params.inviteId}`).set({
+        type: "coauthor_declined",
+        poemId: after.poemId,
+        poemTitle: poem.title || "",
+        coAuthorName: coAuthor.displayName || "",
+        share: coAuthor.share || 0,
+        read: false,
+        createdAt: FieldValue.serverTimestamp()
+    });
+    logger.info(`Co-author ${after.inviteeId} declined poem ${after.poemId}; share returned to the author.`);
+});
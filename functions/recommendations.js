@@ -0,0 +1,198 @@
+/*
+ * File: functions/recommendations.js
+ * Description: பரிந்துரைகள் (Poem Recommender) - similarity scoring shared by the nightly job and the triggers.
+ * Integrates: functions/index.js (loads poems and reader signals from 'bookmarks', 'ratings' and 'reactions',
+ *             writes 'recommendations/{poemId}' and 'user_recommendations/{uid}'),
+ *             recommendations.js on the site (shows "read next" and "for you").
+ * Purpose: Poems are similar when they share tags, AI theme, author or series, or when the same
+ *          readers bookmarked, rated highly or reacted to both. Plain data in, plain data out, so the
+ *          same code ranks the whole collection or one poem's neighbourhood.
+ */
+
+// --- 1. WEIGHTS ---
+
+// Points for each kind of similarity (the co-reading part is a cosine between 0 and 1)
+export const SIMILARITY_WEIGHTS = { tags: 3, theme: 2, author: 1.5, series: 2.5, coread: 4 };
+
+// How strongly one reader's action says they liked a poem
+const SIGNAL_WEIGHTS = { bookmarks: 1, reactions: 0.7 };
+const MIN_LIKED_RATING = 4;
+
+export const MAX_RECOMMENDATIONS = 20;
+const MAX_SHARED_CANDIDATES = 300; // poems pulled in through one very common tag / theme / author
+
+
+// --- 2. READER SIGNALS ---
+
+/**
+ * Weight of one signal document, or 0 when it does not show liking (ratings below 4).
+ * @param {'bookmarks'|'ratings'|'reactions'} collectionName
+ * @param {object} data - The signal document.
+ */
+export function signalWeight(collectionName, data) {
+    if (collectionName === "ratings") return data.rating >= MIN_LIKED_RATING ? (data.rating - 3) / 2 : 0;
+    return SIGNAL_WEIGHTS[collectionName] || 0;
+}
+
+/**
+ * Indexes signals both ways; a reader's strongest signal for a poem counts once.
+ * @param {Array<{userId: string, poemId: string, weight: number}>} signals
+ * @returns {{byPoem: Map<string, Map<string, number>>, byUser: Map<string, Map<string, number>>}}
+ */
+export function buildReaderIndex(signals) {
+    const byPoem = new Map();
+    const byUser = new Map();
+    signals.forEach(({ userId, poemId, weight }) => {
+        if (!userId || !poemId || weight <= 0) return;
+        if (!byPoem.has(poemId)) byPoem.set(poemId, new Map());
+        if (!byUser.has(userId)) byUser.set(userId, new Map());
+        const strongest = Math.max(weight, byPoem.get(poemId).get(userId) || 0);
+        byPoem.get(poemId).set(userId, strongest);
+        byUser.get(userId).set(poemId, strongest);
+    });
+    return { byPoem, byUser };
+}
+
+
+// --- 3. POEM-TO-POEM ---
+
+/**
+ * Poems grouped by tag, theme, author and series, for finding candidates without comparing every pair.
+ * @param {Map<string, object>} poems - Approved poems by ID.
+ */
+export function buildPoemIndex(poems) {
+    const index = { tag: new Map(), theme: new Map(), author: new Map(), series: new Map() };
+    const add = (group, key, poemId) => {
+        if (!key) return;
+        if (!index[group].has(key)) index[group].set(key, []);
+        index[group].get(key).push(poemId);
+    };
+    poems.forEach((poem, poemId) => {
+        new Set(poem.tags || []).forEach((tag) => add("tag", tag, poemId));
+        add("theme", poem.aiAnalysis?.aiTheme, poemId);
+        add("author", poem.authorId, poemId);
+        add("series", poem.seriesId, poemId);
+    });
+    return index;
+}
+
+function coReadingScore(readersA, readersB) {
+    if (!readersA || !readersB) return 0;
+    let dot = 0;
+    readersA.forEach((weight, userId) => {
+        if (readersB.has(userId)) dot += weight * readersB.get(userId);
+    });
+    if (dot === 0) return 0;
+    const norm = (readers) => Math.sqrt([...readers.values()].reduce((sum, weight) => sum + weight * weight, 0));
+    return dot / (norm(readersA) * norm(readersB));
+}
+
+/**
+ * @returns {{score: number, reasons: Array<string>}} - reasons: 'tags', 'theme', 'author', 'series', 'coread'.
+ */
+export function poemSimilarity(poemA, poemB, readerIndex) {
+    const reasons = [];
+    let score = 0;
+
+    const tagsA = new Set(poemA.tags || []);
+    const tagsB = new Set(poemB.tags || []);
+    const sharedTags = [...tagsA].filter((tag) => tagsB.has(tag)).length;
+    if (sharedTags > 0) {
+        score += SIMILARITY_WEIGHTS.tags * sharedTags / new Set([...tagsA, ...tagsB]).size;
+        reasons.push("tags");
+    }
+    if (poemA.aiAnalysis?.aiTheme && poemA.aiAnalysis.aiTheme === poemB.aiAnalysis?.aiTheme) {
+        score += SIMILARITY_WEIGHTS.theme;
+        reasons.push("theme");
+    }
+    if (poemA.authorId && poemA.authorId === poemB.authorId) {
+        score += SIMILARITY_WEIGHTS.author;
+        reasons.push("author");
+    }
+    if (poemA.seriesId && poemA.seriesId === poemB.seriesId) {
+        score += SIMILARITY_WEIGHTS.series;
+        reasons.push("series");
+    }
+    const coread = coReadingScore(readerIndex.byPoem.get(poemA.id), readerIndex.byPoem.get(poemB.id));
+    if (coread > 0) {
+        score += SIMILARITY_WEIGHTS.coread * coread;
+        reasons.push("coread");
+    }
+    return { score, reasons };
+}
+
+function recommendationItem(poem, score, reasons) {
+    return {
+        poemId: poem.id,
+        title: poem.title || "",
+        authorId: poem.authorId || "",
+        authorName: poem.authorName || "",
+        score: Math.round(score * 1000) / 1000,
+        reasons
+    };
+}
+
+/**
+ * Ranked "read next" list for one poem.
+ * @param {object} poem - With 'id'.
+ * @param {Map<string, object>} poems - Approved poems by ID (the poem itself may be included).
+ * @param {object} poemIndex - From buildPoemIndex(poems).
+ * @param {object} readerIndex - From buildReaderIndex.
+ * @returns {Array<object>} - Up to MAX_RECOMMENDATIONS items, best first.
+ */
+export function recommendForPoem(poem, poems, poemIndex, readerIndex) {
+    const candidates = new Set();
+    const addAll = (ids = []) => ids.slice(0, MAX_SHARED_CANDIDATES).forEach((id) => candidates.add(id));
+    new Set(poem.tags || []).forEach((tag) => addAll(poemIndex.tag.get(tag)));
+    addAll(poemIndex.theme.get(poem.aiAnalysis?.aiTheme));
+    addAll(poemIndex.author.get(poem.authorId));
+    addAll(poemIndex.series.get(poem.seriesId));
+    (readerIndex.byPoem.get(poem.id) || new Map()).forEach((weight, userId) => {
+        addAll([...(readerIndex.byUser.get(userId) || new Map()).keys()]);
+    });
+    candidates.delete(poem.id);
+
+    return [...candidates]
+        .filter((id) => poems.has(id))
+        .map((id) => {
+            const candidate = { id, ...poems.get(id) };
+            const { score, reasons } = poemSimilarity(poem, candidate, readerIndex);
+            return recommendationItem(candidate, score, reasons);
+        })
+        .filter((item) => item.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_RECOMMENDATIONS);
+}
+
+
+// --- 4. FOR YOU ---
+
+/**
+ * "For you": the read-next lists of the poems a reader liked, weighted by how much they liked each.
+ * Poems the reader already interacted with, and their own poems, are left out.
+ * @param {string} userId
+ * @param {Map<string, number>} likedPoems - poemId -> signal weight (readerIndex.byUser.get(userId)).
+ * @param {Map<string, Array<object>>} poemRecommendations - poemId -> recommendForPoem items.
+ * @returns {Array<object>} - Up to MAX_RECOMMENDATIONS items; 'because' is the liked poem that contributed most.
+ */
+export function recommendForUser(userId, likedPoems, poemRecommendations) {
+    const totals = new Map();
+    (likedPoems || new Map()).forEach((weight, likedId) => {
+        (poemRecommendations.get(likedId) || []).forEach((item) => {
+            if (likedPoems.has(item.poemId) || item.authorId === userId) return;
+            const contribution = weight * item.score;
+            const total = totals.get(item.poemId) || { item, score: 0, best: 0, because: likedId };
+            total.score += contribution;
+            if (contribution > total.best) {
+                total.best = contribution;
+                total.because = likedId;
+            }
+            totals.set(item.poemId, total);
+        });
+    });
+
+    return [...totals.values()]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_RECOMMENDATIONS)
+        .map(({ item, score, because }) => ({ ...item, score: Math.round(score * 1000) / 1000, because }));
+}
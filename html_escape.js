@@ -0,0 +1,28 @@
+/*
+ * File: html_escape.js
+ * Description: HTML எஸ்கேப் (HTML escaping) - the one helper for putting user text into markup.
+ * Integrates: Every module that builds innerHTML or attribute values from Firestore data
+ *             (admin.js, autosave.js, bulk_import.js, coauthors.js, recommendations.js, revisions.js,
+ *             series.js, translation.js) and anthology.js for EPUB XHTML.
+ * Purpose: Titles, names and poem text are written by users; escaped here they cannot add tags or
+ *          break out of a quoted attribute (double or single quotes).
+ */
+
+// --- 1. ESCAPING ---
+
+/**
+ * Escapes text for HTML/XML element content and quoted attribute values.
+ * @param {*} text - Any value; null and undefined become an empty string.
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// --- 2. EXPORTS ---
+export { escapeHtml };
@@ -60,7 +60,7 @@ async function loadEarningsLedger() {
                 tableBody.innerHTML += `
                     <tr>
                         <td>${date}</td>
-                        <td>${record.description || type}</td>
+                        <td>${record.description || type}${record.sharePercent !== undefined && record.sharePercent < 100 ? ` <small>(${record.sharePercent}% பங்கு)</small>` : ''}</td>
                         <td>${record.type === 'earning' ? '+' : '-'}${amount}</td>
                         <td>${status}</td>
                     </tr>
@@ -0,0 +1,203 @@
+/*
+ * File: license_sales.js
+ * Description: வணிக உரிமக் கோரிக்கைகள் (Commercial License Requests) - license_sales.html?poem=POEM_ID.
+ * Integrates: Firestore 'kavithai' and 'license_requests' collections, licenses.js (registry and badge).
+ * Purpose: Readers ask for commercial rights on poems whose license requires it; authors accept or decline.
+ */
+
+// --- 1. FIREBASE IMPORTS ---
+import { auth, db } from "./auth.js";
+import {
+    collection,
+    addDoc,
+    doc,
+    getDoc,
+    getDocs,
+    updateDoc,
+    query,
+    where,
+    orderBy,
+    serverTimestamp
+} from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { getLicense, licenseBadgeHtml } from "./licenses.js";
+
+const USE_TYPES = {
+    print: 'அச்சு / புத்தகம்',
+    music: 'இசை / பாடல் வரிகள்',
+    film: 'திரைப்படம் / காணொளி',
+    advertising: 'விளம்பரம்',
+    other: 'பிற'
+};
+
+const REQUEST_STATUS_LABELS = {
+    Pending: 'நிலுவையில்',
+    Accepted: 'ஏற்கப்பட்டது',
+    Declined: 'நிராகரிக்கப்பட்டது'
+};
+
+// --- 2. REQUEST FORM ---
+
+/**
+ * Shows the requested poem with its license and the request form.
+ */
+async function renderRequestForm(poemId) {
+    const container = document.getElementById('license-request');
+    if (!container) return;
+
+    const poemSnap = await getDoc(doc(db, "kavithai", poemId));
+    if (!poemSnap.exists() || poemSnap.data().status !== 'Approved') {
+        container.innerHTML = '<p>இந்தக் கவிதை கிடைக்கவில்லை.</p>';
+        return;
+    }
+
+    const poem = { id: poemSnap.id, ...poemSnap.data() };
+    const license = getLicense(poem.license);
+    const alreadyAllowed = license.permissions.commercial === 'allowed';
+
+    container.innerHTML = `
+        <h3>உரிமக் கோரிக்கை: "${poem.title}"</h3>
+        <p>ஆசிரியர்: ${poem.authorName}</p>
+        ${licenseBadgeHtml(poem)}
+        ${alreadyAllowed
+            ? `<p><i class="fas fa-info-circle"></i> இந்த உரிமம் (${license.shortName}) பண்புக்கூறலுடன் வணிகப் பயன்பாட்டை ஏற்கனவே அனுமதிக்கிறது. கோரிக்கை தேவையில்லை.</p>`
+            : `
+            <form id="license-request-form">
+                <label for="license-use">பயன்பாட்டு வகை:</label>
+                <select id="license-use">
+                    ${Object.entries(USE_TYPES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+                <label for="license-message">பயன்பாட்டு விவரம் (எங்கு, எவ்வளவு காலம், எத்தனை பிரதிகள்):</label>
+                <textarea id="license-message" rows="4" required></textarea>
+                <label for="license-offer">முன்மொழியும் தொகை (NKT):</label>
+                <input type="number" id="license-offer" min="0" step="1">
+                <label for="license-contact">தொடர்பு மின்னஞ்சல்:</label>
+                <input type="email" id="license-contact" required>
+                <button type="submit" class="escrow-btn"><i class="fas fa-paper-plane"></i> கோரிக்கை அனுப்பு</button>
+            </form>`}
+    `;
+
+    const form = document.getElementById('license-request-form');
+    if (!form) return;
+    if (auth.currentUser?.email) document.getElementById('license-contact').value = auth.currentUser.email;
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const user = auth.currentUser;
+        if (!user) {
+            window.showToastNotification("உரிமம் கோர உள்நுழையவும்.", 'error');
+            return;
+        }
+        if (user.uid === poem.authorId) {
+            window.showToastNotification("உங்கள் சொந்தக் கவிதைக்கு உரிமம் கோர முடியாது.", 'warning');
+            return;
+        }
+
+        try {
+            await addDoc(collection(db, "license_requests"), {
+                poemId: poem.id,
+                poemTitle: poem.title,
+                license: license.id,
+                authorId: poem.authorId,
+                requesterId: user.uid,
+                requesterName: user.displayName || user.email,
+                useType: document.getElementById('license-use').value,
+                message: document.getElementById('license-message').value.trim(),
+                offerNkt: Number(document.getElementById('license-offer').value) || null,
+                contactEmail: document.getElementById('license-contact').value.trim(),
+                status: 'Pending',
+                createdAt: serverTimestamp()
+            });
+            form.reset();
+            window.showToastNotification("உரிமக் கோரிக்கை ஆசிரியருக்கு அனுப்பப்பட்டது!", 'success');
+            await loadLicenseRequests();
+        } catch (error) {
+            console.error("Error sending license request:", error);
+            window.showToastNotification("கோரிக்கையை அனுப்புவதில் பிழை.", 'error');
+        }
+    });
+}
+
+
+// --- 3. REQUEST LISTS ---
+
+function requestRowHtml(request, incoming) {
+    const actions = incoming && request.status === 'Pending'
+        ? `<div>
+               <button class="escrow-btn" onclick="respondToLicenseRequest('${request.id}', 'Accepted')">ஏற்கவும்</button>
+               <button class="escrow-btn" style="background-color: var(--error-color);" onclick="respondToLicenseRequest('${request.id}', 'Declined')">நிராகரி</button>
+           </div>`
+        : request.status === 'Accepted' && !incoming
+            ? `<button class="escrow-btn" onclick="initiateEscrow('${request.id}')">எஸ்க்ரோவைத் தொடங்கு</button>`
+            : '';
+
+    return `
+        <div class="sale-item">
+            <div>
+                <strong>உரிமம்: கவிதை "${request.poemTitle}"</strong>
+                <small style="display:block; color:#777;">
+                    ${incoming ? `கோருபவர்: ${request.requesterName} (${request.contactEmail}) | ` : ''}${USE_TYPES[request.useType] || request.useType}
+                    ${request.offerNkt ? ` | ${request.offerNkt} NKT` : ''} | ${REQUEST_STATUS_LABELS[request.status] || request.status}
+                </small>
+                <small style="display:block;">${request.message}</small>
+            </div>
+            ${actions}
+        </div>
+    `;
+}
+
+/**
+ * Loads requests the user received (as author) and sent (as requester).
+ */
+async function loadLicenseRequests() {
+    const user = auth.currentUser;
+    const incomingList = document.getElementById('license-requests-incoming');
+    const outgoingList = document.getElementById('license-requests-outgoing');
+    if (!user || !incomingList || !outgoingList) return;
+
+    try {
+        const [incomingSnap, outgoingSnap] = await Promise.all([
+            getDocs(query(collection(db, "license_requests"), where("authorId", "==", user.uid), orderBy("createdAt", "desc"))),
+            getDocs(query(collection(db, "license_requests"), where("requesterId", "==", user.uid), orderBy("createdAt", "desc")))
+        ]);
+        const render = (snapshot, incoming) => snapshot.empty
+            ? '<p style="color:#777;">கோரிக்கைகள் இல்லை.</p>'
+            : snapshot.docs.map(requestDoc => requestRowHtml({ id: requestDoc.id, ...requestDoc.data() }, incoming)).join('');
+        incomingList.innerHTML = render(incomingSnap, true);
+        outgoingList.innerHTML = render(outgoingSnap, false);
+    } catch (error) {
+        console.error("Error loading license requests:", error);
+    }
+}
+
+/**
+ * Author's answer to a commercial license request.
+ * @param {string} requestId - 'license_requests' document ID.
+ * @param {'Accepted'|'Declined'} status
+ */
+window.respondToLicenseRequest = async function(requestId, status) {
+    try {
+        await updateDoc(doc(db, "license_requests", requestId), { status, respondedAt: serverTimestamp() });
+        window.showToastNotification(`கோரிக்கை ${REQUEST_STATUS_LABELS[status]}.`, 'success');
+        await loadLicenseRequests();
+    } catch (error) {
+        console.error("Error updating license request:", error);
+        window.showToastNotification("கோரிக்கையைப் புதுப்பிப்பதில் பிழை.", 'error');
+    }
+}
+
+window.initiateEscrow = function(licenseId) {
+    window.showToastNotification(`உரிமம் ${licenseId} க்கான எஸ்க்ரோ செயல்முறை Web3 வாலட் மூலம் தொடங்குகிறது.`, 'warning');
+}
+
+
+// --- 4. INITIALIZATION ---
+document.addEventListener('DOMContentLoaded', () => {
+    const poemId = new URLSearchParams(window.location.search).get('poem');
+
+    auth.onAuthStateChanged(async () => {
+        if (poemId) await renderRequestForm(poemId);
+        await loadLicenseRequests();
+    });
+});
+
+export { loadLicenseRequests };
@@ -0,0 +1,347 @@
+/*
+ * File: licenses.js
+ * Description: உரிமப் பதிவேடு (License Registry) - CC variants, all-rights-reserved and commercial-on-request.
+ * Integrates: create.html license select (content.js), poem_view.js / index.html (badge, reader actions),
+ *             script.js copy guard (permitted copies), license_sales.html (commercial requests),
+ *             bulk_import.js (license names in imported files),
+ *             translation.js (translatePoem opens the side-by-side translation).
+ * Purpose: One place that says what readers may do with a poem, shown as a machine-readable badge
+ *          (RDFa + schema.org JSON-LD) and enforced on copy, quote, share-as-image and translate.
+ */
+
+// --- 1. LICENSE REGISTRY ---
+
+const CC_NS = 'https://creativecommons.org/licenses';
+const QUOTE_MAX_LINES = 4; // Quotation length readers may take from a restricted poem
+
+/**
+ * Reader permissions per license:
+ *  copy       - select and copy the full text (an attribution line is appended)
+ *  quote      - copy a short quotation (QUOTE_MAX_LINES) with attribution
+ *  shareImage - render the poem as a share card
+ *  translate  - machine or human translation (a derivative work)
+ *  commercial - 'allowed' | 'request' (route to license_sales.html) | 'none'
+ */
+const LICENSES = {
+    'Standard': {
+        name: 'அனைத்து உரிமைகளும் பாதுகாக்கப்பட்டவை',
+        shortName: '© All Rights Reserved',
+        url: null,
+        icon: 'fas fa-copyright',
+        permissions: { copy: false, quote: true, shareImage: false, translate: false, commercial: 'request' }
+    },
+    'CC-BY': {
+        name: 'Creative Commons பண்புக்கூறல் 4.0',
+        shortName: 'CC BY 4.0',
+        url: `${CC_NS}/by/4.0/`,
+        icon: 'fab fa-creative-commons-by',
+        permissions: { copy: true, quote: true, shareImage: true, translate: true, commercial: 'allowed' }
+    },
+    'CC-BY-SA': {
+        name: 'Creative Commons பண்புக்கூறல்-அதே உரிமம் 4.0',
+        shortName: 'CC BY-SA 4.0',
+        url: `${CC_NS}/by-sa/4.0/`,
+        icon: 'fab fa-creative-commons-sa',
+        permissions: { copy: true, quote: true, shareImage: true, translate: true, commercial: 'allowed' }
+    },
+    'CC-BY-ND': {
+        name: 'Creative Commons பண்புக்கூறல்-மாற்றமின்றி 4.0',
+        shortName: 'CC BY-ND 4.0',
+        url: `${CC_NS}/by-nd/4.0/`,
+        icon: 'fab fa-creative-commons-nd',
+        permissions: { copy: true, quote: true, shareImage: true, translate: false, commercial: 'allowed' }
+    },
+    'CC-BY-NC': {
+        name: 'Creative Commons பண்புக்கூறல்-வணிகமற்ற 4.0',
+        shortName: 'CC BY-NC 4.0',
+        url: `${CC_NS}/by-nc/4.0/`,
+        icon: 'fab fa-creative-commons-nc',
+        permissions: { copy: true, quote: true, shareImage: true, translate: true, commercial: 'request' }
+    },
+    'CC-BY-NC-SA': {
+        name: 'Creative Commons பண்புக்கூறல்-வணிகமற்ற-அதே உரிமம் 4.0',
+        shortName: 'CC BY-NC-SA 4.0',
+        url: `${CC_NS}/by-nc-sa/4.0/`,
+        icon: 'fab fa-creative-commons-nc',
+        permissions: { copy: true, quote: true, shareImage: true, translate: true, commercial: 'request' }
+    },
+    'CC-BY-NC-ND': {
+        name: 'Creative Commons பண்புக்கூறல்-வணிகமற்ற-மாற்றமின்றி 4.0',
+        shortName: 'CC BY-NC-ND 4.0',
+        url: `${CC_NS}/by-nc-nd/4.0/`,
+        icon: 'fab fa-creative-commons-nd',
+        permissions: { copy: true, quote: true, shareImage: true, translate: false, commercial: 'request' }
+    },
+    'CC0': {
+        name: 'பொதுக் களம் (CC0 1.0)',
+        shortName: 'CC0 1.0',
+        url: 'https://creativecommons.org/publicdomain/zero/1.0/',
+        icon: 'fab fa-creative-commons-zero',
+        permissions: { copy: true, quote: true, shareImage: true, translate: true, commercial: 'allowed' }
+    },
+    'Commercial-On-Request': {
+        name: 'வணிகப் பயன்பாடு கோரிக்கையின் பேரில்',
+        shortName: 'Commercial on request',
+        url: null,
+        icon: 'fas fa-handshake',
+        permissions: { copy: false, quote: true, shareImage: true, translate: false, commercial: 'request' }
+    }
+};
+
+const DEFAULT_LICENSE_ID = 'Standard';
+
+// Values saved before the registry existed, and common spellings in imported files
+const LICENSE_ALIASES = {
+    'commercial-nft': 'Commercial-On-Request',
+    'commercial': 'Commercial-On-Request',
+    'nft': 'Commercial-On-Request',
+    'all rights reserved': 'Standard',
+    'cc by': 'CC-BY',
+    'cc-by-4.0': 'CC-BY',
+    'creative commons': 'CC-BY',
+    'cc by-sa': 'CC-BY-SA',
+    'cc by-nd': 'CC-BY-ND',
+    'cc by-nc': 'CC-BY-NC',
+    'cc by-nc-sa': 'CC-BY-NC-SA',
+    'cc by-nc-nd': 'CC-BY-NC-ND',
+    'public domain': 'CC0'
+};
+
+
+// --- 2. LOOKUPS ---
+
+/**
+ * Resolves a stored or typed license value to a registry ID.
+ * @param {string} value - e.g. 'CC-BY', 'cc by-nc', 'Commercial-NFT'.
+ * @returns {string|null} - Registry ID, or null when unknown.
+ */
+function resolveLicenseId(value) {
+    if (!value) return null;
+    if (LICENSES[value]) return value;
+    const key = String(value).trim().toLowerCase();
+    return Object.keys(LICENSES).find(id => id.toLowerCase() === key) || LICENSE_ALIASES[key] || null;
+}
+
+/**
+ * Registry entry for a poem's license (unknown or missing values fall back to all-rights-reserved).
+ */
+function getLicense(value) {
+    const id = resolveLicenseId(value) || DEFAULT_LICENSE_ID;
+    return { id, ...LICENSES[id] };
+}
+
+/**
+ * @param {object} poem - Poem with a 'license' field.
+ * @param {'copy'|'quote'|'shareImage'|'translate'} action
+ */
+function isActionAllowed(poem, action) {
+    return getLicense(poem?.license).permissions[action] === true;
+}
+
+/**
+ * Fills a <select> with every registered license.
+ */
+function populateLicenseSelect(selectId, selectedValue = DEFAULT_LICENSE_ID) {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+    select.innerHTML = Object.entries(LICENSES).map(([id, license]) =>
+        `<option value="${id}">${license.shortName}: ${license.name}</option>`
+    ).join('');
+    select.value = resolveLicenseId(selectedValue) || DEFAULT_LICENSE_ID;
+}
+
+
+// --- 3. BADGE & METADATA ---
+
+function poemUrl(poem) {
+    return `${window.location.origin}/poem_view?id=${poem.id}`;
+}
+
+/**
+ * Attribution line appended to permitted copies and quotes.
+ */
+function attributionLine(poem) {
+    const license = getLicense(poem.license);
+    return `— "${poem.title}", ${poem.authorName || 'நான் கவிதை'} · ${license.shortName}${license.url ? ` (${license.url})` : ''} · ${poemUrl(poem)}`;
+}
+
+/**
+ * License badge with RDFa (Creative Commons REL vocabulary) for the poem page.
+ */
+function licenseBadgeHtml(poem) {
+    const license = getLicense(poem.license);
+    const label = `<i class="${license.icon}"></i> ${license.shortName}`;
+    return `
+        <div class="license-badge" vocab="http://creativecommons.org/ns#" about="${poemUrl(poem)}" typeof="Work">
+            <span property="http://purl.org/dc/terms/title" hidden>${poem.title}</span>
+            <span rel="attributionURL" resource="${window.location.origin}/profile?uid=${poem.authorId}"></span>
+            <span property="attributionName" hidden>${poem.authorName || ''}</span>
+            ${license.url
+                ? `<a rel="license" href="${license.url}" target="_blank" title="${license.name}">${label}</a>`
+                : `<span title="${license.name}">${label}</span>`}
+            ${license.permissions.commercial === 'request'
+                ? ` <a href="license_sales.html?poem=${poem.id}" class="license-request-link"><i class="fas fa-briefcase"></i> வணிக உரிமம் கோருக</a>`
+                : ''}
+        </div>
+    `;
+}
+
+/**
+ * Adds schema.org CreativeWork JSON-LD for the poem to <head> (replacing an earlier one).
+ */
+function injectLicenseJsonLd(poem) {
+    const license = getLicense(poem.license);
+    const data = {
+        '@context': 'https://schema.org',
+        '@type': 'CreativeWork',
+        'genre': 'Poetry',
+        'name': poem.title,
+        'inLanguage': 'ta',
+        'url': poemUrl(poem),
+        'author': { '@type': 'Person', 'name': poem.authorName, 'url': `${window.location.origin}/profile?uid=${poem.authorId}` },
+        'license': license.url || `${window.location.origin}/license_sales.html?poem=${poem.id}`,
+        'copyrightHolder': { '@type': 'Person', 'name': poem.authorName },
+        'usageInfo': license.name
+    };
+    if (poem.timestamp?.toDate) data.datePublished = poem.timestamp.toDate().toISOString();
+
+    document.getElementById('license-jsonld')?.remove();
+    const script = document.createElement('script');
+    script.type = 'application/ld+json';
+    script.id = 'license-jsonld';
+    script.textContent = JSON.stringify(data);
+    document.head.appendChild(script);
+}
+
+
+// --- 4. READER ACTIONS ---
+
+// Poems on the page, by ID, for the copy handler
+const registeredPoems = new Map();
+
+/**
+ * Marks a rendered poem container with its license so copies can be checked and attributed.
+ * script.js's copy guard steps aside inside [data-license-poem]; the copy handler below decides.
+ * @param {HTMLElement} container - Element holding the poem text.
+ * @param {object} poem - Poem data (id, title, authorName, authorId, license).
+ */
+function registerPoemLicense(container, poem) {
+    if (!container) return;
+    registeredPoems.set(poem.id, poem);
+    container.dataset.licensePoem = poem.id;
+}
+
+function poemForSelection(selection) {
+    const node = selection?.anchorNode;
+    const element = node?.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    const container = element?.closest?.('[data-license-poem]');
+    return container ? registeredPoems.get(container.dataset.licensePoem) : null;
+}
+
+/**
+ * Permitted copies get the attribution line; blocked licenses only allow short quotes.
+ */
+document.addEventListener('copy', (e) => {
+    const selection = window.getSelection();
+    const poem = poemForSelection(selection);
+    if (!poem) return;
+
+    const text = selection.toString();
+    if (!isActionAllowed(poem, 'copy')) {
+        if (!isActionAllowed(poem, 'quote') || text.trim().split('\n').length > QUOTE_MAX_LINES) {
+            e.preventDefault();
+            window.showToastNotification(`இந்த உரிமம் (${getLicense(poem.license).shortName}) முழு நகலை அனுமதிக்காது. ${QUOTE_MAX_LINES} வரிகள் வரை மேற்கோள் காட்டலாம்.`, 'warning');
+            return;
+        }
+    }
+    e.preventDefault();
+    e.clipboardData.setData('text/plain', `${text}\n\n${attributionLine(poem)}`);
+    window.showToastNotification("பண்புக்கூறலுடன் நகலெடுக்கப்பட்டது.", 'success');
+});
+
+/**
+ * Copies a quotation (the current selection, or the opening lines) with attribution.
+ * @param {string} poemId - A poem registered on this page.
+ */
+window.quotePoem = async function(poemId) {
+    const poem = registeredPoems.get(poemId);
+    if (!poem || !isActionAllowed(poem, 'quote')) {
+        window.showToastNotification("இந்த உரிமம் மேற்கோளை அனுமதிக்காது.", 'warning');
+        return;
+    }
+
+    const selection = window.getSelection();
+    const selected = poemForSelection(selection)?.id === poemId ? selection.toString().trim() : '';
+    const lines = (selected || poem.content.trim()).split('\n');
+    const maxLines = isActionAllowed(poem, 'copy') ? lines.length : QUOTE_MAX_LINES;
+    const quote = lines.slice(0, selected ? maxLines : Math.min(2, maxLines)).join('\n');
+
+    try {
+        await navigator.clipboard.writeText(`“${quote}”\n${attributionLine(poem)}`);
+        window.showToastNotification(lines.length > maxLines ? `முதல் ${maxLines} வரிகள் மேற்கோளாக நகலெடுக்கப்பட்டன.` : "மேற்கோள் நகலெடுக்கப்பட்டது.", 'success');
+    } catch (error) {
+        window.showToastNotification("கிளிப்போர்டை அணுக முடியவில்லை.", 'error');
+    }
+}
+
+/**
+ * Shows the side-by-side translation (English by default) when the license allows derivatives:
+ * in place where translation.js is loaded (poem_view), otherwise by opening the poem's page.
+ */
+window.translatePoem = function(poemId, targetLang = 'en') {
+    const poem = registeredPoems.get(poemId);
+    if (!poem || !isActionAllowed(poem, 'translate')) {
+        window.showToastNotification("இந்த உரிமம் மொழிபெயர்ப்பை அனுமதிக்காது.", 'warning');
+        return;
+    }
+    if (typeof window.openTranslation === 'function') {
+        window.openTranslation(poemId, targetLang);
+        return;
+    }
+    window.location.href = `poem_view?id=${poemId}&lang=${targetLang}`;
+}
+
+/**
+ * Opens license_sales.html for a commercial-use request.
+ */
+window.requestCommercialLicense = function(poemId) {
+    window.location.href = `license_sales.html?poem=${poemId}`;
+}
+
+/**
+ * Buttons for the actions the poem's license allows; blocked actions are shown disabled with the reason.
+ * Share-as-image appears once a share-card renderer (window.openShareCard) is loaded on the page.
+ */
+function readerActionsHtml(poem) {
+    const license = getLicense(poem.license);
+    const blockedTitle = `${license.shortName} உரிமம் இதை அனுமதிக்காது`;
+    const button = (action, icon, label, onclick) => license.permissions[action]
+        ? `<button type="button" class="reader-action-btn" onclick="${onclick}"><i class="${icon}"></i> ${label}</button>`
+        : `<button type="button" class="reader-action-btn" disabled title="${blockedTitle}"><i class="${icon}"></i> ${label}</button>`;
+
+    return `
+        <div class="reader-actions">
+            ${button('quote', 'fas fa-quote-left', 'மேற்கோள்', `quotePoem('${poem.id}')`)}
+            ${typeof window.openShareCard === 'function' ? button('shareImage', 'fas fa-image', 'படமாகப் பகிர்', `openShareCard('${poem.id}')`) : ''}
+            ${button('translate', 'fas fa-language', 'மொழிபெயர்', `translatePoem('${poem.id}')`)}
+            ${license.permissions.commercial === 'request'
+                ? `<button type="button" class="reader-action-btn" onclick="requestCommercialLicense('${poem.id}')"><i class="fas fa-briefcase"></i> வணிகப் பயன்பாடு</button>`
+                : ''}
+        </div>
+    `;
+}
+
+// --- 5. EXPORTS ---
+export {
+    LICENSES,
+    DEFAULT_LICENSE_ID,
+    resolveLicenseId,
+    getLicense,
+    isActionAllowed,
+    populateLicenseSelect,
+    attributionLine,
+    licenseBadgeHtml,
+    injectLicenseJsonLd,
+    registerPoemLicense,
+    readerActionsHtml
+};
@@ -0,0 +1,232 @@
+/*
+ * File: media_library.js
+ * Description: தனிப்பட்ட மீடியா நூலகம் (Personal Media Library) - every uploaded image/audio per user.
+ * Integrates: Firestore 'media' collection, upload.js (records uploads), content.js (usage on publish),
+ *             create.html picker, profile.js avatar selection.
+ * Purpose: Reuse earlier uploads instead of uploading again; assets used by published poems cannot be deleted.
+ * FIX: A poem is removed from an asset's 'usedIn' when an edit drops the asset or the poem is deleted.
+ * FIX: Usage is matched on the asset's base URL, so trimmed recordings (so_/eo_ delivery URLs) count as used.
+ */
+
+// --- 1. FIREBASE IMPORTS ---
+import { auth, db } from "./auth.js";
+import {
+    collection,
+    addDoc,
+    doc,
+    getDoc,
+    getDocs,
+    deleteDoc,
+    updateDoc,
+    query,
+    where,
+    orderBy,
+    arrayUnion,
+    arrayRemove,
+    serverTimestamp
+} from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+
+// --- 2. LIBRARY DATA ACCESS ---
+
+/**
+ * Records an uploaded asset for the signed-in user.
+ * @param {object} asset - { type: 'image'|'audio', url, publicId, width, height, duration, bytes, fileName }
+ * @returns {Promise<string|null>} - Media document ID (null when signed out).
+ */
+async function recordMediaAsset(asset) {
+    const user = auth.currentUser;
+    if (!user) return null;
+
+    const mediaRef = await addDoc(collection(db, "media"), {
+        ownerId: user.uid,
+        type: asset.type,
+        url: asset.url,
+        publicId: asset.publicId || null,
+        width: asset.width || null,
+        height: asset.height || null,
+        duration: asset.duration || null,
+        bytes: asset.bytes || null,
+        fileName: asset.fileName || null,
+        usedIn: [],
+        createdAt: serverTimestamp()
+    });
+    return mediaRef.id;
+}
+
+/**
+ * Loads the user's assets, newest first.
+ * @param {string} ownerId - User UID.
+ * @param {'image'|'audio'|null} type - Optional type filter.
+ */
+async function loadMediaLibrary(ownerId, type = null) {
+    const constraints = [where("ownerId", "==", ownerId)];
+    if (type) constraints.push(where("type", "==", type));
+    const q = query(collection(db, "media"), ...constraints, orderBy("createdAt", "desc"));
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(mediaDoc => ({ id: mediaDoc.id, ...mediaDoc.data() }));
+}
+
+/**
+ * The uploaded asset's own URL behind a Cloudinary delivery URL: transformation segments after
+ * '/upload/' (e.g. the so_/eo_ trim recorder.js adds) are dropped, so a trimmed recitation still
+ * matches the 'url' recorded at upload.
+ */
+function assetBaseUrl(url) {
+    const [head, path] = url.split('/upload/');
+    if (path === undefined) return url;
+    const segments = path.split('/');
+    const versionIndex = segments.findIndex(segment => /^v\d+$/.test(segment));
+    const start = versionIndex >= 0
+        ? versionIndex
+        : segments.findIndex(segment => !/^[a-z]{1,3}_[^,]+(?:,[a-z]{1,3}_[^,]+)*$/.test(segment));
+    return `${head}/upload/${segments.slice(Math.max(start, 0)).join('/')}`;
+}
+
+/**
+ * Keeps the library's 'usedIn' lists in step with a poem's media (called on every save).
+ * Assets behind the poem's media URLs (matched on their base URL, see assetBaseUrl) are marked
+ * as used by it; assets it used before but no longer does (replaced or removed in an edit) are released. Deleted poems are released by the
+ * 'releaseMediaOnPoemDelete' function (functions/index.js).
+ * @param {string} poemId - The 'kavithai' document ID.
+ * @param {object|null} media - { imageUrl, audioUrl } from the poem; null when it holds none (drafts).
+ */
+async function markMediaUsage(poemId, media) {
+    const user = auth.currentUser;
+    if (!user) return;
+    const urls = [media?.imageUrl, media?.audioUrl].filter(url => url).map(assetBaseUrl);
+
+    const usedQuery = query(collection(db, "media"), where("ownerId", "==", user.uid), where("usedIn", "array-contains", poemId));
+    const usedSnapshot = await getDocs(usedQuery);
+    const released = usedSnapshot.docs.filter(mediaDoc => !urls.includes(mediaDoc.data().url));
+    await Promise.all(released.map(mediaDoc => updateDoc(mediaDoc.ref, { usedIn: arrayRemove(poemId) })));
+    if (urls.length === 0) return;
+
+    const q = query(collection(db, "media"), where("ownerId", "==", user.uid), where("url", "in", urls));
+    const querySnapshot = await getDocs(q);
+    await Promise.all(querySnapshot.docs.map(mediaDoc => updateDoc(mediaDoc.ref, { usedIn: arrayUnion(poemId) })));
+}
+
+/**
+ * Removes an asset from the library unless a published poem uses it.
+ * The Cloudinary file itself stays (unsigned uploads cannot delete); only the library entry goes.
+ * @returns {Promise<boolean>} - true when deleted.
+ */
+async function deleteMediaAsset(mediaId) {
+    const mediaRef = doc(db, "media", mediaId);
+    const mediaSnap = await getDoc(mediaRef);
+    if (!mediaSnap.exists()) return false;
+
+    const usedIn = mediaSnap.data().usedIn || [];
+    if (usedIn.length > 0) {
+        window.showToastNotification(`இந்த மீடியா ${usedIn.length} வெளியிடப்பட்ட கவிதைகளில் பயன்படுத்தப்படுவதால் நீக்க முடியாது.`, 'warning');
+        return false;
+    }
+
+    await deleteDoc(mediaRef);
+    window.showToastNotification("மீடியா நூலகத்திலிருந்து நீக்கப்பட்டது.", 'success');
+    return true;
+}
+
+
+// --- 3. PICKER MODAL ---
+
+function describeAsset(asset) {
+    const sizeKb = asset.bytes ? `${Math.round(asset.bytes / 1024)} KB` : '';
+    if (asset.type === 'image') {
+        return [asset.width && asset.height ? `${asset.width}×${asset.height}` : '', sizeKb].filter(part => part).join(' · ');
+    }
+    const duration = asset.duration ? `${Math.floor(asset.duration / 60)}:${String(Math.round(asset.duration % 60)).padStart(2, '0')}` : '';
+    return [duration, sizeKb].filter(part => part).join(' · ');
+}
+
+function closeMediaPicker() {
+    document.getElementById('media-picker-modal')?.remove();
+}
+
+/**
+ * Opens a modal listing the user's assets of one type.
+ * @param {'image'|'audio'} type - Asset type to show.
+ * @param {function(object): void} onSelect - Called with the chosen asset.
+ */
+window.openMediaPicker = async function(type, onSelect) {
+    const user = auth.currentUser;
+    if (!user) {
+        window.showToastNotification("மீடியா நூலகத்தைப் பார்க்க உள்நுழையவும்.", 'error');
+        return;
+    }
+
+    closeMediaPicker();
+    const modal = document.createElement('div');
+    modal.id = 'media-picker-modal';
+    modal.className = 'media-picker-modal';
+    modal.innerHTML = `
+        <div class="media-picker-dialog">
+            <div class="media-picker-header">
+                <h3><i class="fas fa-photo-video"></i> எனது மீடியா நூலகம் (${type === 'image' ? 'படங்கள்' : 'ஆடியோ'})</h3>
+                <button type="button" class="media-picker-close" title="மூடு"><i class="fas fa-times"></i></button>
+            </div>
+            <div class="media-picker-grid"><p><i class="fas fa-spinner fa-spin"></i> ஏற்றுகிறது...</p></div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    modal.querySelector('.media-picker-close').addEventListener('click', closeMediaPicker);
+    modal.addEventListener('click', (e) => { if (e.target === modal) closeMediaPicker(); });
+
+    const grid = modal.querySelector('.media-picker-grid');
+    const render = async () => {
+        try {
+            const assets = await loadMediaLibrary(user.uid, type);
+            if (assets.length === 0) {
+                grid.innerHTML = '<p>நூலகத்தில் இன்னும் எதுவும் இல்லை. பதிவேற்றியவை தானாக இங்கே சேரும்.</p>';
+                return;
+            }
+
+            grid.innerHTML = assets.map(asset => `
+                <div class="media-picker-item" data-id="${asset.id}">
+                    ${asset.type === 'image'
+                        ? `<img src="${asset.url}" alt="${asset.fileName || ''}" loading="lazy">`
+                        : `<audio controls preload="none" src="${asset.url}"></audio><div>${asset.fileName || ''}</div>`}
+                    <small>${describeAsset(asset)}${(asset.usedIn || []).length ? ` · ${asset.usedIn.length} கவிதைகளில்` : ''}</small>
+                    <div>
+                        <button type="button" class="media-select-btn">தேர்ந்தெடு</button>
+                        <button type="button" class="media-delete-btn" ${(asset.usedIn || []).length ? 'disabled title="வெளியிடப்பட்ட கவிதையில் பயன்படுகிறது"' : ''}><i class="fas fa-trash"></i></button>
+                    </div>
+                </div>
+            `).join('');
+
+            grid.querySelectorAll('.media-picker-item').forEach(item => {
+                const asset = assets.find(candidate => candidate.id === item.dataset.id);
+                item.querySelector('.media-select-btn').addEventListener('click', () => {
+                    closeMediaPicker();
+                    onSelect(asset);
+                });
+                item.querySelector('.media-delete-btn').addEventListener('click', async () => {
+                    if (!confirm("இந்த மீடியாவை நூலகத்திலிருந்து நீக்கவா?")) return;
+                    if (await deleteMediaAsset(asset.id)) await render();
+                });
+            });
+        } catch (error) {
+            console.error("Error loading media library:", error);
+            grid.innerHTML = '<p>நூலகத்தை ஏற்றுவதில் பிழை ஏற்பட்டது.</p>';
+        }
+    };
+    await render();
+}
+
+/**
+ * create.html: attaches a library asset to the poem as if it had just been uploaded.
+ * @param {'image'|'audio'} type - Which media slot to fill.
+ */
+window.pickPoemMediaFromLibrary = function(type) {
+    window.openMediaPicker(type, (asset) => {
+        const key = type === 'image' ? 'imageUrl' : 'audioUrl';
+        window.uploadedMediaUrls = { ...(window.uploadedMediaUrls || {}), [key]: asset.url };
+        const status = document.getElementById(`${type}-upload-status`);
+        if (status) {
+            status.innerHTML = `<i class="fas fa-check-circle"></i> நூலகத்திலிருந்து: <a href="${asset.url}" target="_blank">${asset.fileName || 'மீடியா'}</a>`;
+        }
+    });
+}
+
+// --- 4. EXPORTS ---
+export { recordMediaAsset, loadMediaLibrary, assetBaseUrl, markMediaUsage, deleteMediaAsset };
@@ -3,6 +3,7 @@
  * Description: Handles User Earnings Tracking, Withdrawal Requests, and Monetization feature integration.
  * Integrates: Firestore for reading user token/earnings data and submitting requests.
  * FIX: Added Staking/Savings Mechanism logic.
+ * FIX: Poem earnings are split by the poem's revenueSplit (coauthors.js).
  */
 
 // --- 1. FIREBASE IMPORTS ---
@@ -14,7 +15,8 @@ import {
     addDoc, 
     serverTimestamp,
     updateDoc,
-    increment 
+    increment,
+    writeBatch
 } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
 
 // --- 2. DATA RETRIEVAL AND DISPLAY ---
@@ -218,11 +220,63 @@ window.unstakeTokens = async function() {
 }
 
 
-// --- 5. INITIALIZATION ---
+// --- 5. POEM EARNINGS & REVENUE SPLIT ---
+
+/**
+ * Credits earnings for a poem, split between the author and accepted co-authors.
+ * Shares of co-authors who have not accepted stay with the author.
+ * Every credit is written to 'finance_transactions' so ledger.js can show it.
+ * @param {string} poemId - The 'kavithai' document ID.
+ * @param {number} amount - Total TK earned by the poem.
+ * @returns {Promise<Array<{userId: string, sharePercent: number, amount: number}>>}
+ */
+async function creditPoemEarnings(poemId, amount) {
+    const poemRef = doc(db, "kavithai", poemId);
+    const poemSnap = await getDoc(poemRef);
+    if (!poemSnap.exists()) throw new Error(`Poem ${poemId} not found`);
+    const poem = poemSnap.data();
+
+    const split = { ...(poem.revenueSplit || { [poem.authorId]: 100 }) };
+    (poem.coAuthors || []).forEach(coAuthor => {
+        if (coAuthor.uid && coAuthor.status !== 'Accepted' && split[coAuthor.uid]) {
+            split[poem.authorId] = (split[poem.authorId] || 0) + split[coAuthor.uid];
+            delete split[coAuthor.uid];
+        }
+    });
+
+    const credits = Object.entries(split)
+        .filter(([, sharePercent]) => sharePercent > 0)
+        .map(([userId, sharePercent]) => ({ userId, sharePercent, amount: Math.round(amount * sharePercent) / 100 }));
+
+    const batch = writeBatch(db);
+    batch.update(poemRef, { earnings: increment(amount) });
+    credits.forEach(credit => {
+        batch.update(doc(db, "users", credit.userId), { earnings: increment(credit.amount) });
+        batch.set(doc(collection(db, "finance_transactions")), {
+            userId: credit.userId,
+            type: 'earning',
+            amount: credit.amount,
+            poemId,
+            poemTitle: poem.title,
+            sharePercent: credit.sharePercent,
+            description: `"${poem.title}" கவிதை வருமானம்`,
+            status: 'முழுமை பெற்றது',
+            timestamp: serverTimestamp()
+        });
+    });
+    await batch.commit();
+
+    return credits;
+}
+
+
+// --- 6. INITIALIZATION ---
 
 document.addEventListener('DOMContentLoaded', () => {
     // Wait for the auth state to be loaded before performing data load
     auth.onAuthStateChanged((user) => {
+        // Only monetization.html has the earnings widgets (admin.js imports this module too)
+        if (!document.getElementById('available-earnings')) return;
         if (user) {
             loadMonetizationData();
         } else if (window.location.pathname.includes('monetization')) {
@@ -230,3 +284,5 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 });
+
+export { creditPoemEarnings };
@@ -0,0 +1,156 @@
+/*
+ * File: notifications.js
+ * Description: அறிவிப்புகள் (In-app Notifications) - the header bell with unread count and list.
+ * Integrates: Firestore 'users/{uid}/notifications' (written by functions/index.js for saved-search matches),
+ *             any page with a '.notification-icon' bell (index.html header).
+ * Purpose: Tells users about new poems matching their saved searches without leaving the page.
+ * FIX: Also tells authors when a co-author declines (functions/index.js); notification text is escaped.
+ */
+
+// --- 1. FIREBASE IMPORTS & CONFIGURATION ---
+import { auth, db } from "./auth.js";
+import {
+    collection,
+    doc,
+    query,
+    orderBy,
+    limit,
+    onSnapshot,
+    updateDoc,
+    writeBatch
+} from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { escapeHtml } from "./html_escape.js";
+
+const NOTIFICATION_LIMIT = 20;
+
+let unsubscribeNotifications = null;
+let latestNotifications = [];
+
+
+// --- 2. RENDERING ---
+
+function notificationText(notification) {
+    if (notification.type === 'saved_search_match') {
+        return `"${escapeHtml(notification.savedSearchName)}" தேடலுக்குப் புதிய கவிதை: "${escapeHtml(notification.poemTitle)}" — ${escapeHtml(notification.authorName)}`;
+    }
+    if (notification.type === 'coauthor_declined') {
+        return `${escapeHtml(notification.coAuthorName)} "${escapeHtml(notification.poemTitle)}" கவிதைக்கான கூட்டுப் படைப்பு அழைப்பை நிராகரித்தார்; அவரது ${escapeHtml(notification.share)}% பங்கு உங்களுக்குத் திரும்பியது.`;
+    }
+    return escapeHtml(notification.message);
+}
+
+function renderBells() {
+    const unread = latestNotifications.filter(notification => !notification.read).length;
+
+    document.querySelectorAll('.notification-bell').forEach(bell => {
+        const badge = bell.querySelector('.notification-badge');
+        badge.textContent = unread > 9 ? '9+' : unread;
+        badge.style.display = unread ? 'inline-block' : 'none';
+
+        bell.querySelector('.notification-list').innerHTML = latestNotifications.length
+            ? latestNotifications.map(notification => `
+                <a href="#" class="notification-item ${notification.read ? '' : 'unread'}" onclick="openNotification('${notification.id}'); return false;">
+                    ${notificationText(notification)}
+                    <small>${notification.createdAt ? notification.createdAt.toDate().toLocaleString('ta-IN') : ''}</small>
+                </a>`).join('')
+            : '<p class="notification-empty">அறிவிப்புகள் இல்லை.</p>';
+    });
+}
+
+/**
+ * Wraps each '.notification-icon' in a bell with an unread badge and a dropdown panel.
+ */
+function attachBells() {
+    document.querySelectorAll('.notification-icon').forEach(icon => {
+        if (icon.closest('.notification-bell')) return;
+        const bell = document.createElement('span');
+        bell.className = 'notification-bell';
+        icon.replaceWith(bell);
+        bell.appendChild(icon);
+        bell.insertAdjacentHTML('beforeend', `
+            <span class="notification-badge" style="display:none;"></span>
+            <div class="notification-panel" style="display:none;">
+                <div class="notification-panel-header">
+                    <strong>அறிவிப்புகள்</strong>
+                    <a href="#" onclick="markAllNotificationsRead(); return false;">அனைத்தையும் படித்ததாகக் குறி</a>
+                </div>
+                <div class="notification-list"></div>
+                <a href="settings" class="notification-settings-link">சேமித்த தேடல்களை நிர்வகி</a>
+            </div>
+        `);
+        icon.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const panel = bell.querySelector('.notification-panel');
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        });
+    });
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('.notification-panel')) return;
+        document.querySelectorAll('.notification-panel').forEach(panel => { panel.style.display = 'none'; });
+    });
+}
+
+
+// --- 3. ACTIONS ---
+
+/**
+ * Marks one notification read and opens the poem it is about.
+ * @param {string} notificationId - 'notifications' document ID.
+ */
+window.openNotification = async function(notificationId) {
+    const user = auth.currentUser;
+    const notification = latestNotifications.find(item => item.id === notificationId);
+    if (!user || !notification) return;
+
+    try {
+        if (!notification.read) await updateDoc(doc(db, "users", user.uid, "notifications", notificationId), { read: true });
+    } catch (error) {
+        console.error("Error marking notification read:", error);
+    }
+    // A declined invite is about a poem still in review, which poem_view does not show its author
+    if (notification.poemId && notification.type !== 'coauthor_declined') window.location.href = `poem_view?id=${notification.poemId}`;
+}
+
+window.markAllNotificationsRead = async function() {
+    const user = auth.currentUser;
+    const unread = latestNotifications.filter(notification => !notification.read);
+    if (!user || unread.length === 0) return;
+
+    try {
+        const batch = writeBatch(db);
+        unread.forEach(notification => batch.update(doc(db, "users", user.uid, "notifications", notification.id), { read: true }));
+        await batch.commit();
+    } catch (error) {
+        console.error("Error marking notifications read:", error);
+        window.showToastNotification("அறிவிப்புகளைப் புதுப்பிப்பதில் பிழை.", 'error');
+    }
+}
+
+
+// --- 4. INITIALIZATION ---
+
+/**
+ * Listens to the signed-in user's latest notifications (real-time, like chat.js).
+ */
+function watchNotifications(user) {
+    if (unsubscribeNotifications) unsubscribeNotifications();
+    unsubscribeNotifications = null;
+    latestNotifications = [];
+
+    if (user) {
+        const q = query(collection(db, "users", user.uid, "notifications"), orderBy("createdAt", "desc"), limit(NOTIFICATION_LIMIT));
+        unsubscribeNotifications = onSnapshot(q, (snapshot) => {
+            latestNotifications = snapshot.docs.map(notificationDoc => ({ id: notificationDoc.id, ...notificationDoc.data() }));
+            renderBells();
+        }, (error) => console.error("Error listening to notifications:", error));
+    }
+    renderBells();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    attachBells();
+    auth.onAuthStateChanged(watchNotifications);
+});
+
+// --- 5. EXPORTS ---
+export { watchNotifications };
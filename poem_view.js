@@ -0,0 +1,134 @@
+/*
+ * File: poem_view.js
+ * Description: ஒற்றைக் கவிதைப் பக்கம் (Single Poem View) - poem_view.html?id=POEM_ID.
+ * Integrates: Firestore 'kavithai' collection, series.js (part N of M, prev/next), coauthors.js (byline),
+ *             licenses.js (license badge, JSON-LD metadata and license-gated reader actions),
+ *             share_card.js (defines openShareCard, which enables the "share as image" action),
+ *             translation.js (side-by-side translation; poem_view?id=POEM_ID&lang=en opens it directly),
+ *             recommendations.js ("read next" list below the poem).
+ * Purpose: Shareable page for one approved poem, with series navigation for multi-part works.
+ * FIX: Admins can open poems that are not approved yet (the approval queue's preview link).
+ */
+
+// --- 1. FIREBASE IMPORTS ---
+import { auth, db } from "./auth.js";
+import { doc, getDoc } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { getSeriesPosition } from "./series.js";
+import { coAuthorLinksHtml } from "./coauthors.js";
+import { licenseBadgeHtml, injectLicenseJsonLd, registerPoemLicense, readerActionsHtml } from "./licenses.js";
+import "./share_card.js";
+import { registerTranslatablePoem } from "./translation.js";
+import { renderPoemRecommendations } from "./recommendations.js";
+
+// --- 2. SERIES NAVIGATION ---
+
+/**
+ * Renders "பகுதி N / M" with previous/next links into #series-nav.
+ */
+async function renderSeriesNavigation(poem) {
+    const nav = document.getElementById('series-nav');
+    if (!nav || !poem.seriesId) return;
+
+    try {
+        const position = await getSeriesPosition(poem.seriesId, poem.id);
+        if (!position) return;
+
+        const prevLink = position.prev
+            ? `<a href="poem_view?id=${position.prev.id}" class="series-prev"><i class="fas fa-arrow-left"></i> ${position.prev.title}</a>`
+            : '<span></span>';
+        const nextLink = position.next
+            ? `<a href="poem_view?id=${position.next.id}" class="series-next">${position.next.title} <i class="fas fa-arrow-right"></i></a>`
+            : '<span></span>';
+
+        nav.innerHTML = `
+            <div class="series-part">
+                <i class="fas fa-book"></i> <a href="series?id=${poem.seriesId}">${position.series.title}</a> —
+                பகுதி ${position.position} / ${position.total}
+            </div>
+            <div class="series-links">${prevLink}${nextLink}</div>
+        `;
+        nav.style.display = 'block';
+    } catch (error) {
+        console.error("Error loading series navigation:", error);
+    }
+}
+
+// --- 3. POEM RENDERING ---
+
+/**
+ * Owner or 'admin' role (same rule as admin.js). Waits for the sign-in state, which is not
+ * known yet when the page loads.
+ */
+async function isAdminViewer() {
+    const user = await new Promise(resolve => {
+        const unsubscribe = auth.onAuthStateChanged(currentUser => {
+            unsubscribe();
+            resolve(currentUser);
+        });
+    });
+    if (!user) return false;
+    if (user.email === 'naankavithaiweb@gmail.com') return true;
+    const userSnap = await getDoc(doc(db, "users", user.uid));
+    return userSnap.data()?.role === 'admin';
+}
+
+async function loadPoemView() {
+    const container = document.getElementById('poem-view-content');
+    if (!container) return;
+
+    const params = new URLSearchParams(window.location.search);
+    const poemId = params.get('id');
+    if (!poemId) {
+        container.innerHTML = '<p style="text-align:center;">கவிதை குறிப்பிடப்படவில்லை.</p>';
+        return;
+    }
+
+    try {
+        const poemSnap = await getDoc(doc(db, "kavithai", poemId));
+        const preview = poemSnap.exists() && poemSnap.data().status !== 'Approved' && await isAdminViewer();
+        if (!poemSnap.exists() || (poemSnap.data().status !== 'Approved' && !preview)) {
+            container.innerHTML = '<p style="text-align:center;">இந்தக் கவிதை கிடைக்கவில்லை அல்லது இன்னும் வெளியிடப்படவில்லை.</p>';
+            return;
+        }
+
+        const poem = { id: poemSnap.id, ...poemSnap.data() };
+        const postDate = poem.timestamp ? poem.timestamp.toDate().toLocaleDateString('ta-IN') : 'N/A';
+        const tags = (poem.tags || []).map(tag => `#${tag}`).join(' ');
+        const coAuthorLinks = coAuthorLinksHtml(poem);
+        const locked = poem.isTokenGated && !window.canAccessTokenGatedContent?.(poem.id, 100);
+
+        document.title = `${poem.title} - நான் கவிதை`;
+        container.innerHTML = `
+            ${preview ? `<p class="locked-note"><i class="fas fa-eye"></i> நிர்வாகி முன்னோட்டம்: இந்தக் கவிதை இன்னும் வெளியிடப்படவில்லை (${poem.status}).</p>` : ''}
+            <h2>${poem.title}</h2>
+            <div class="poem-meta">
+                ஆசிரியர்: <a href="profile?uid=${poem.authorId}">${poem.authorName || 'அறியப்படாதவர்'}</a>${coAuthorLinks ? `, ${coAuthorLinks}` : ''} | பதிவிட்ட நாள்: ${postDate}
+                ${poem.aiAnalysis?.prosody?.formName ? ` | யாப்பு: ${poem.aiAnalysis.prosody.formName}` : ''}
+            </div>
+            ${poem.media?.imageUrl && !locked ? `<img src="${poem.media.imageUrl}" alt="${poem.title}" class="poem-image">` : ''}
+            ${locked
+                ? `<p class="locked-note"><i class="fas fa-lock"></i> உள்ளடக்கம் பூட்டப்பட்டுள்ளது. <a href="web3">டோக்கன் மூலம் திறக்கவும்.</a></p>`
+                : `<pre id="poem-view-text">${poem.content}</pre>
+                   <div class="translation-panel" data-translation-panel="${poem.id}" style="display:none;"></div>`}
+            ${poem.media?.audioUrl && !locked ? `<audio controls src="${poem.media.audioUrl}"></audio>` : ''}
+            <p style="color: var(--secondary-color);">${tags}</p>
+            ${licenseBadgeHtml(poem)}
+            ${locked ? '' : readerActionsHtml(poem)}
+        `;
+        injectLicenseJsonLd(poem);
+        registerPoemLicense(document.getElementById('poem-view-text'), poem);
+        registerTranslatablePoem(poem);
+        if (params.get('lang') && !locked) window.openTranslation(poem.id, params.get('lang'));
+
+        await renderSeriesNavigation(poem);
+        await renderPoemRecommendations(poem.id, document.getElementById('poem-recommendations'));
+    } catch (error) {
+        console.error("Error loading poem:", error);
+        container.innerHTML = '<p style="text-align:center;">கவிதையை ஏற்றுவதில் பிழை ஏற்பட்டது.</p>';
+    }
+}
+
+// --- 4. INITIALIZATION ---
+document.addEventListener('DOMContentLoaded', loadPoemView);
+
+export { loadPoemView };
@@ -3,11 +3,14 @@
  * Description: Handles user profile data retrieval, display, and updates (Firestore CRUD operations).
  * Integrates: Atomic User Details, Profile Customization Hub (Bio, Custom URL, Avatar).
  * Purpose: Provides the core functionality for the profile.html page.
+ * FIX: Avatars are uploaded through upload.js or picked from the media library (media_library.js).
  */
 
 // --- 1. FIREBASE IMPORTS ---
 import { auth, db } from "./auth.js";
 import { doc, getDoc, updateDoc, collection, query, where, getDocs } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { uploadMedia } from "./upload.js";
+import "./media_library.js"; // Registers window.openMediaPicker
 
 // --- 2. GLOBAL VARIABLES ---
 let currentUserData = null; 
@@ -149,8 +152,26 @@ async function handleBioUpdate(e) {
 }
 
 /**
- * Handles Avatar Upload (Placeholder for Cloudinary upload logic)
- * NOTE: This relies on Cloudinary, which is initialized via upload.js.
+ * Saves a new avatar URL on the user's profile.
+ */
+async function saveAvatarUrl(newAvatarUrl) {
+    const user = auth.currentUser;
+    const userRef = doc(db, "users", user.uid);
+
+    try {
+        await updateDoc(userRef, {
+            avatarUrl: newAvatarUrl
+        });
+        window.showToastNotification("அவதாரம் வெற்றிகரமாகப் புதுப்பிக்கப்பட்டது!", 'success');
+        loadUserProfile();
+    } catch (error) {
+        window.showToastNotification("அவதாரத்தைப் புதுப்பிப்பதில் பிழை ஏற்பட்டது.", 'error');
+        console.error("Avatar update error:", error);
+    }
+}
+
+/**
+ * Handles Avatar Upload through the upload.js pipeline (the image also lands in the media library).
  */
 async function handleAvatarUpload(e) {
     const file = e.target.files[0];
@@ -158,34 +179,21 @@ async function handleAvatarUpload(e) {
 
     window.showToastNotification("அவதாரம் பதிவேற்றப்படுகிறது. இது சிறிது நேரம் எடுக்கும்...", 'info');
 
-    // MOCK URL - In a real application, you would call a function from upload.js here
-    const newAvatarUrl = 'https://res.cloudinary.com/davbdxg0u/image/upload/v1678886400/new_avatar_temp.jpg'; 
-    
-    if (newAvatarUrl) {
-        const user = auth.currentUser;
-        const userRef = doc(db, "users", user.uid);
-        
-        try {
-             // 1. Update Firebase Auth profile
-             // (We skip updateProfile to avoid needing Auth credentials on the front-end)
-            
-            // 2. Update Firestore profile
-            await updateDoc(userRef, {
-                avatarUrl: newAvatarUrl
-            });
-            
-            window.showToastNotification("அவதாரம் வெற்றிகரமாகப் புதுப்பிக்கப்பட்டது!", 'success');
-            loadUserProfile(); 
-            
-        } catch (error) {
-             window.showToastNotification("அவதாரத்தைப் புதுப்பிப்பதில் பிழை ஏற்பட்டது.", 'error');
-             console.error("Avatar update error:", error);
-        }
-    } else {
+    try {
+        const newAvatarUrl = await uploadMedia(file, 'image', 'avatar-upload-status');
+        if (newAvatarUrl) await saveAvatarUrl(newAvatarUrl);
+    } catch (error) {
         window.showToastNotification("அவதாரப் பதிவேற்றம் தோல்வி.", 'error');
     }
 }
 
+/**
+ * Picks an avatar from images already in the user's media library.
+ */
+window.chooseAvatarFromLibrary = function() {
+    window.openMediaPicker('image', (asset) => saveAvatarUrl(asset.url));
+}
+
 
 // --- 5. INITIALIZATION ---
 
@@ -199,6 +207,7 @@ document.addEventListener('DOMContentLoaded', () => {
             document.getElementById('basic-details-form')?.addEventListener('submit', handleBasicDetailsUpdate);
             document.getElementById('bio-form')?.addEventListener('submit', handleBioUpdate);
             document.getElementById('avatar-upload')?.addEventListener('change', handleAvatarUpload);
+            document.getElementById('avatar-library-btn')?.addEventListener('click', window.chooseAvatarFromLibrary);
 
         } else {
             // User is not logged in, redirect them
@@ -0,0 +1,427 @@
+/*
+ * File: prosody.js
+ * Description: தமிழ் யாப்பு (Prosody) பகுப்பாய்வி - எழுத்து, அசை, சீர், தளை.
+ * Integrates: Used by content.js to score poems before they are saved to Firestore.
+ * Purpose: Deterministic replacement for the random AI score. Detects Venba, Asiriyappa and Haiku
+ *          and reports meter violations line by line.
+ * FIX: Haiku is detected by a 5-7-5 syllable count per line instead of by short lines alone.
+ */
+
+// --- 1. TAMIL LETTER (எழுத்து) SEGMENTATION ---
+
+const PULLI = '்';
+const AAYTHAM = 'ஃ';
+const KURIL_VOWELS = ['அ', 'இ', 'உ', 'எ', 'ஒ'];
+const NEDIL_VOWELS = ['ஆ', 'ஈ', 'ஊ', 'ஏ', 'ஐ', 'ஓ', 'ஔ'];
+const KURIL_SIGNS = ['ி', 'ு', 'ெ', 'ொ'];                       // ி ு ெ ொ
+const NEDIL_SIGNS = ['ா', 'ீ', 'ூ', 'ே', 'ை', 'ோ', 'ௌ']; // ா ீ ூ ே ை ோ ௌ
+const VALLINAM = ['க', 'ச', 'ட', 'த', 'ப', 'ற'];
+
+function isConsonant(ch) {
+    return ch >= 'க' && ch <= 'ஹ';
+}
+
+/**
+ * Splits a Tamil word into letters (எழுத்து) and classifies each one.
+ * @param {string} word - A single word (NFC normalised).
+ * @returns {Array<{text: string, type: string, consonant: (string|null), sign: (string|null)}>}
+ *          type is 'kuril', 'nedil', 'mei' or 'aaytham'. Non-Tamil characters are skipped.
+ */
+function segmentLetters(word) {
+    const chars = [...word.normalize('NFC')];
+    const letters = [];
+
+    for (let i = 0; i < chars.length; i++) {
+        const ch = chars[i];
+
+        if (isConsonant(ch)) {
+            const next = chars[i + 1];
+            if (next === PULLI) {
+                letters.push({ text: ch + next, type: 'mei', consonant: ch, sign: PULLI });
+                i++;
+            } else if (KURIL_SIGNS.includes(next)) {
+                letters.push({ text: ch + next, type: 'kuril', consonant: ch, sign: next });
+                i++;
+            } else if (NEDIL_SIGNS.includes(next)) {
+                letters.push({ text: ch + next, type: 'nedil', consonant: ch, sign: next });
+                i++;
+            } else {
+                // Inherent 'அ' - a short uyirmei
+                letters.push({ text: ch, type: 'kuril', consonant: ch, sign: null });
+            }
+        } else if (KURIL_VOWELS.includes(ch)) {
+            letters.push({ text: ch, type: 'kuril', consonant: null, sign: null });
+        } else if (NEDIL_VOWELS.includes(ch)) {
+            letters.push({ text: ch, type: 'nedil', consonant: null, sign: null });
+        } else if (ch === AAYTHAM) {
+            letters.push({ text: ch, type: 'aaytham', consonant: null, sign: null });
+        }
+    }
+    return letters;
+}
+
+
+// --- 2. ASAI (அசை) ---
+
+/**
+ * Groups the letters of a word into asai units.
+ * நேர்: kuril / nedil alone, optionally followed by ottru (mei).
+ * நிரை: kuril followed by kuril or nedil, optionally followed by ottru.
+ * @param {Array} letters - Output of segmentLetters().
+ * @returns {Array<{type: string, text: string}>} - type is 'ner' or 'nirai'.
+ */
+function splitAsai(letters) {
+    const asai = [];
+    let i = 0;
+
+    while (i < letters.length) {
+        const letter = letters[i];
+
+        // A stray ottru (word-initial mei or aaytham) attaches to the previous asai
+        if (letter.type === 'mei' || letter.type === 'aaytham') {
+            if (asai.length > 0) asai[asai.length - 1].text += letter.text;
+            i++;
+            continue;
+        }
+
+        const next = letters[i + 1];
+        let unit;
+        if (letter.type === 'kuril' && next && (next.type === 'kuril' || next.type === 'nedil')) {
+            unit = { type: 'nirai', text: letter.text + next.text };
+            i += 2;
+        } else {
+            unit = { type: 'ner', text: letter.text };
+            i += 1;
+        }
+
+        while (i < letters.length && (letters[i].type === 'mei' || letters[i].type === 'aaytham')) {
+            unit.text += letters[i].text;
+            i++;
+        }
+        asai.push(unit);
+    }
+    return asai;
+}
+
+
+// --- 3. SEER (சீர்) & THALAI (தளை) ---
+
+const SEER_NAMES = {
+    'ner': 'நாள்',
+    'nirai': 'மலர்',
+    'ner ner': 'தேமா',
+    'nirai ner': 'புளிமா',
+    'nirai nirai': 'கருவிளம்',
+    'ner nirai': 'கூவிளம்',
+    'ner ner ner': 'தேமாங்காய்',
+    'nirai ner ner': 'புளிமாங்காய்',
+    'nirai nirai ner': 'கருவிளங்காய்',
+    'ner nirai ner': 'கூவிளங்காய்',
+    'ner ner nirai': 'தேமாங்கனி',
+    'nirai ner nirai': 'புளிமாங்கனி',
+    'nirai nirai nirai': 'கருவிளங்கனி',
+    'ner nirai nirai': 'கூவிளங்கனி'
+};
+
+/**
+ * Classifies a word as a seer based on its asai pattern.
+ * @param {string} word - The word.
+ * @returns {object} - { word, letters, asai, pattern, name, category }
+ *          category: 'asai' (1), 'iyar' (மா/விளம்), 'venseer' (காய்), 'vanji' (கனி), 'pothu' (4+).
+ */
+function classifySeer(word) {
+    const letters = segmentLetters(word);
+    const asai = splitAsai(letters);
+    const pattern = asai.map(a => a.type).join(' ');
+
+    let category = 'pothu';
+    if (asai.length === 1) category = 'asai';
+    else if (asai.length === 2) category = 'iyar';
+    else if (asai.length === 3) category = asai[2].type === 'ner' ? 'venseer' : 'vanji';
+
+    return {
+        word,
+        letters,
+        asai,
+        pattern,
+        name: SEER_NAMES[pattern] || 'பொதுச்சீர்',
+        category
+    };
+}
+
+/**
+ * Determines the thalai (linkage) between a seer and the one that follows it.
+ * @returns {{name: string, kind: string}} - kind: 'venba', 'asiriyam', 'kali', 'vanji' or 'other'.
+ */
+function classifyThalai(current, next) {
+    const last = current.asai[current.asai.length - 1]?.type;
+    const first = next.asai[0]?.type;
+
+    if (!last || !first) return { name: 'தளை இல்லை', kind: 'other' };
+
+    if (current.category === 'iyar') {
+        if (last === first) {
+            return { name: last === 'ner' ? 'நேரொன்றாசிரியத்தளை' : 'நிரையொன்றாசிரியத்தளை', kind: 'asiriyam' };
+        }
+        return { name: 'இயற்சீர் வெண்டளை', kind: 'venba' };
+    }
+    if (current.category === 'venseer') {
+        return first === 'ner'
+            ? { name: 'வெண்சீர் வெண்டளை', kind: 'venba' }
+            : { name: 'கலித்தளை', kind: 'kali' };
+    }
+    if (current.category === 'vanji') {
+        return first === 'nirai'
+            ? { name: 'ஒன்றிய வஞ்சித்தளை', kind: 'vanji' }
+            : { name: 'ஒன்றா வஞ்சித்தளை', kind: 'vanji' };
+    }
+    return { name: 'பொதுத்தளை', kind: 'other' };
+}
+
+
+// --- 4. LINE PARSING ---
+
+/**
+ * Splits poem text into lines (அடி) of seers. Blank lines and non-Tamil words are ignored.
+ */
+function parseLines(text) {
+    return text.normalize('NFC')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line.length > 0)
+        .map((line, index) => {
+            const seers = line
+                .split(/[\s,.;:!?'"()\-–—…]+/)
+                .filter(word => word.length > 0)
+                .map(classifySeer)
+                .filter(seer => seer.asai.length > 0);
+            return { number: index + 1, text: line, seers };
+        })
+        .filter(line => line.seers.length > 0);
+}
+
+/**
+ * Flattens all seers of the poem and attaches the thalai between each consecutive pair.
+ * Linkage continues across line breaks, as in classical prosody.
+ */
+function collectThalai(lines) {
+    const flat = [];
+    lines.forEach(line => line.seers.forEach(seer => flat.push({ seer, line: line.number })));
+
+    const links = [];
+    for (let i = 0; i < flat.length - 1; i++) {
+        links.push({
+            line: flat[i].line,
+            from: flat[i].seer.word,
+            to: flat[i + 1].seer.word,
+            ...classifyThalai(flat[i].seer, flat[i + 1].seer)
+        });
+    }
+    return links;
+}
+
+/**
+ * Kutriyalukaram ending (காசு / பிறப்பு): last letter is a vallinam consonant + ு.
+ */
+function endsInKutriyalukaram(seer) {
+    const lastLetter = seer.letters[seer.letters.length - 1];
+    return !!lastLetter && lastLetter.sign === 'ு' && VALLINAM.includes(lastLetter.consonant);
+}
+
+
+// --- 5. FORM CHECKS (வெண்பா, ஆசிரியப்பா, ஹைக்கூ) ---
+
+function checkVenba(lines, links) {
+    const violations = [];
+    if (lines.length < 2) {
+        violations.push({ line: 1, message: 'வெண்பாவுக்குக் குறைந்தது இரண்டு அடிகள் தேவை.' });
+    }
+
+    lines.forEach((line, index) => {
+        const isLast = index === lines.length - 1;
+        const expected = isLast ? 3 : 4;
+        if (line.seers.length !== expected) {
+            violations.push({ line: line.number, message: `${expected} சீர்கள் தேவை; ${line.seers.length} உள்ளன.` });
+        }
+        line.seers.forEach((seer, seerIndex) => {
+            const isFinalSeer = isLast && seerIndex === line.seers.length - 1;
+            if (seer.category === 'vanji') {
+                violations.push({ line: line.number, message: `"${seer.word}" (${seer.name}) - கனிச்சீர் வெண்பாவில் வராது.` });
+            } else if (seer.category === 'pothu') {
+                violations.push({ line: line.number, message: `"${seer.word}" - நான்கசைச் சீர் வெண்பாவில் வராது.` });
+            } else if (seer.category === 'asai' && !isFinalSeer) {
+                violations.push({ line: line.number, message: `"${seer.word}" - ஓரசைச் சீர் ஈற்றுச்சீராக மட்டுமே வரும்.` });
+            }
+        });
+    });
+
+    links.filter(link => link.kind !== 'venba').forEach(link => {
+        violations.push({ line: link.line, message: `"${link.from}" → "${link.to}": ${link.name} (வெண்டளை அல்ல).` });
+    });
+
+    const lastLine = lines[lines.length - 1];
+    const finalSeer = lastLine?.seers[lastLine.seers.length - 1];
+    if (finalSeer) {
+        const validEnding = finalSeer.category === 'asai' ||
+            (finalSeer.category === 'iyar' && finalSeer.asai[1].type === 'ner' && endsInKutriyalukaram(finalSeer));
+        if (!validEnding) {
+            violations.push({ line: lastLine.number, message: `ஈற்றுச்சீர் "${finalSeer.word}" நாள், மலர், காசு அல்லது பிறப்பு வாய்பாட்டில் முடிய வேண்டும்.` });
+        }
+    }
+    return violations;
+}
+
+function checkAsiriyappa(lines, links) {
+    const violations = [];
+    if (lines.length < 3) {
+        violations.push({ line: 1, message: 'ஆசிரியப்பாவுக்குக் குறைந்தது மூன்று அடிகள் தேவை.' });
+    }
+
+    lines.forEach((line, index) => {
+        // நேரிசை ஆசிரியப்பா: the penultimate line may have three seers
+        const isPenultimate = index === lines.length - 2;
+        const valid = line.seers.length === 4 || (isPenultimate && line.seers.length === 3);
+        if (!valid) {
+            violations.push({ line: line.number, message: `4 சீர்கள் தேவை; ${line.seers.length} உள்ளன.` });
+        }
+        line.seers.forEach(seer => {
+            if (seer.category === 'vanji') {
+                violations.push({ line: line.number, message: `"${seer.word}" (${seer.name}) - கனிச்சீர் ஆசிரியப்பாவில் வராது.` });
+            }
+        });
+    });
+
+    const asiriyamLinks = links.filter(link => link.kind === 'asiriyam').length;
+    if (links.length > 0 && asiriyamLinks / links.length < 0.5) {
+        violations.push({ line: 1, message: `ஆசிரியத்தளை மிகுதியாக வர வேண்டும் (${asiriyamLinks}/${links.length}).` });
+    }
+
+    const lastLine = lines[lines.length - 1];
+    const lastLetter = lastLine?.seers[lastLine.seers.length - 1]?.letters.slice(-1)[0];
+    if (lastLetter && lastLetter.text !== 'ஏ' && lastLetter.sign !== 'ே') {
+        violations.push({ line: lastLine.number, message: 'ஆசிரியப்பா ஏகாரத்தில் முடிவது மரபு.' });
+    }
+    return violations;
+}
+
+const HAIKU_SYLLABLES = [5, 7, 5];
+const HAIKU_SYLLABLE_TOLERANCE = 1;
+
+/**
+ * Syllables in a line: each uyir or uyirmei letter is one; mei and aaytham add none.
+ */
+function countSyllables(line) {
+    return line.seers.reduce((sum, seer) =>
+        sum + seer.letters.filter(letter => letter.type === 'kuril' || letter.type === 'nedil').length, 0);
+}
+
+function checkHaiku(lines) {
+    const violations = [];
+    if (lines.length !== 3) {
+        violations.push({ line: 1, message: `ஹைக்கூவுக்கு மூன்று அடிகள் தேவை; ${lines.length} உள்ளன.` });
+    }
+    lines.slice(0, 3).forEach((line, index) => {
+        const expected = HAIKU_SYLLABLES[index];
+        const syllables = countSyllables(line);
+        if (Math.abs(syllables - expected) > HAIKU_SYLLABLE_TOLERANCE) {
+            violations.push({ line: line.number, message: `ஹைக்கூ அடிக்கு ஏறத்தாழ ${expected} உயிர்/உயிர்மெய் எழுத்துகள் (syllables) தேவை; ${syllables} உள்ளன.` });
+        }
+    });
+    return violations;
+}
+
+const FORMS = {
+    venba: { name: 'வெண்பா', check: checkVenba },
+    asiriyappa: { name: 'ஆசிரியப்பா', check: checkAsiriyappa },
+    haiku: { name: 'ஹைக்கூ', check: checkHaiku }
+};
+
+function venbaSubType(lineCount) {
+    if (lineCount === 2) return 'குறள் வெண்பா';
+    if (lineCount === 3) return 'சிந்தியல் வெண்பா';
+    if (lineCount === 4) return 'அளவியல் வெண்பா';
+    return 'பஃறொடை வெண்பா';
+}
+
+
+// --- 6. SCORING & PUBLIC ANALYSER ---
+
+/**
+ * Score for free verse: rewards line structure and vocabulary variety, penalises repetition.
+ */
+function scoreFreeVerse(lines) {
+    const words = lines.flatMap(line => line.seers.map(seer => seer.word));
+    if (words.length < 3) return 25;
+
+    const diversity = new Set(words).size / words.length;
+    let score = 55 + Math.round(diversity * 20);
+    if (lines.length >= 4) score += 10;
+    else if (lines.length >= 2) score += 5;
+    if (diversity < 0.4) score -= 20;
+
+    return Math.max(40, Math.min(85, score));
+}
+
+/**
+ * Analyses a poem's prosody and produces a deterministic quality score (1-100).
+ * @param {string} text - The poem text.
+ * @returns {object} - { score, form, formName, letterCount, lines, thalai, violations }
+ */
+function analyzeYappu(text) {
+    const source = (text || '').normalize('NFC');
+    const tamilChars = (source.match(/[஀-௿]/g) || []).length;
+    const latinChars = (source.match(/[A-Za-z]/g) || []).length;
+    const tamilRatio = tamilChars + latinChars > 0 ? tamilChars / (tamilChars + latinChars) : 0;
+
+    const lines = parseLines(source);
+    const links = collectThalai(lines);
+    const seerCount = lines.reduce((sum, line) => sum + line.seers.length, 0);
+    const letterCount = lines.reduce((sum, line) => sum + line.seers.reduce((s, seer) => s + seer.letters.length, 0), 0);
+
+    const result = {
+        score: 1,
+        form: 'pudhukavithai',
+        formName: 'புதுக்கவிதை',
+        letterCount,
+        lines: lines.map(line => ({
+            number: line.number,
+            seers: line.seers.map(seer => ({ word: seer.word, name: seer.name, asai: seer.asai.map(a => a.type) }))
+        })),
+        thalai: links,
+        violations: []
+    };
+
+    // Mostly non-Tamil or empty content always goes to manual review
+    if (tamilRatio < 0.5 || seerCount === 0) {
+        result.score = Math.max(1, Math.round(tamilRatio * 40));
+        return result;
+    }
+
+    // Evaluate each classical form and keep the closest match
+    let best = null;
+    for (const [id, form] of Object.entries(FORMS)) {
+        if (id === 'haiku' && lines.length !== 3) continue;
+        const violations = form.check(lines, links);
+        // A haiku is recognised only by its 5-7-5 count, so a line off the count rules it out
+        if (id === 'haiku' && violations.length > 0) continue;
+        if (!best || violations.length < best.violations.length) {
+            best = { id, name: form.name, violations };
+        }
+    }
+
+    const tolerance = Math.max(2, Math.round(seerCount * 0.2));
+    if (best && best.violations.length <= tolerance) {
+        result.form = best.id;
+        result.formName = best.id === 'venba' ? venbaSubType(lines.length) : best.name;
+        result.violations = best.violations;
+        const base = best.id === 'haiku' ? 90 : 100;
+        result.score = Math.max(45, base - best.violations.length * 6);
+    } else {
+        result.score = scoreFreeVerse(lines);
+    }
+
+    return result;
+}
+
+// --- 7. EXPORTS ---
+export { segmentLetters, splitAsai, classifySeer, classifyThalai, analyzeYappu };
@@ -0,0 +1,91 @@
+/*
+ * File: public_domain_corpus.js
+ * Description: பொதுக் களக் கவிதைகள் (Public-Domain Reference Corpus) for plagiarism checks.
+ * Integrates: fingerprint.js (fingerprinted on first use), admin.js (side-by-side comparison).
+ * Purpose: Well-known classics that are often reposted as "original" work. Extend by appending entries;
+ *          each entry needs a stable id because flagged poems store it in plagiarismCheck.corpusId.
+ */
+
+const PUBLIC_DOMAIN_CORPUS = [
+    {
+        id: 'kural-001',
+        title: 'திருக்குறள் 1 (கடவுள் வாழ்த்து)',
+        author: 'திருவள்ளுவர்',
+        text: `அகர முதல எழுத்தெல்லாம் ஆதி
+பகவன் முதற்றே உலகு`
+    },
+    {
+        id: 'kural-002',
+        title: 'திருக்குறள் 2 (கடவுள் வாழ்த்து)',
+        author: 'திருவள்ளுவர்',
+        text: `கற்றதனால் ஆய பயனென்கொல் வாலறிவன்
+நற்றாள் தொழாஅர் எனின்`
+    },
+    {
+        id: 'kural-391',
+        title: 'திருக்குறள் 391 (கல்வி)',
+        author: 'திருவள்ளுவர்',
+        text: `கற்க கசடறக் கற்பவை கற்றபின்
+நிற்க அதற்குத் தக`
+    },
+    {
+        id: 'aathichoodi',
+        title: 'ஆத்திசூடி (உயிர் வருக்கம்)',
+        author: 'ஔவையார்',
+        text: `அறம் செய விரும்பு
+ஆறுவது சினம்
+இயல்வது கரவேல்
+ஈவது விலக்கேல்
+உடையது விளம்பேல்
+ஊக்கமது கைவிடேல்
+எண் எழுத்து இகழேல்
+ஏற்பது இகழ்ச்சி
+ஐயம் இட்டு உண்
+ஒப்புரவு ஒழுகு
+ஓதுவது ஒழியேல்
+ஔவியம் பேசேல்
+அஃகம் சுருக்கேல்`
+    },
+    {
+        id: 'purananooru-192',
+        title: 'யாதும் ஊரே (புறநானூறு 192)',
+        author: 'கணியன் பூங்குன்றனார்',
+        text: `யாதும் ஊரே யாவரும் கேளிர்
+தீதும் நன்றும் பிறர்தர வாரா`
+    },
+    {
+        id: 'bharathiyar-achamillai',
+        title: 'அச்சமில்லை',
+        author: 'மகாகவி பாரதியார்',
+        text: `அச்சமில்லை அச்சமில்லை அச்சமென்ப தில்லையே
+இச்சகத்து ளோரெலாம் எதிர்த்து நின்ற போதிலும்
+அச்சமில்லை அச்சமில்லை அச்சமென்ப தில்லையே`
+    },
+    {
+        id: 'bharathiyar-chinnanchiru-kiliye',
+        title: 'சின்னஞ் சிறு கிளியே',
+        author: 'மகாகவி பாரதியார்',
+        text: `சின்னஞ் சிறு கிளியே கண்ணம்மா
+செல்வக் களஞ்சியமே
+என்னைக் கலிதீர்த்தே உலகில்
+ஏற்றம் புரியவந்தாய்`
+    },
+    {
+        id: 'bharathiyar-yaamarindha',
+        title: 'யாமறிந்த மொழிகளிலே',
+        author: 'மகாகவி பாரதியார்',
+        text: `யாமறிந்த மொழிகளிலே தமிழ்மொழி போல்
+இனிதாவது எங்கும் காணோம்`
+    },
+    {
+        id: 'bharathiyar-kaani-nilam',
+        title: 'காணி நிலம் வேண்டும்',
+        author: 'மகாகவி பாரதியார்',
+        text: `காணி நிலம் வேண்டும் பராசக்தி
+காணி நிலம் வேண்டும் அங்கு
+தூணில் அழகியதாய் நன்மாடங்கள்
+துய்ய நிறத்தினதாய்`
+    }
+];
+
+export { PUBLIC_DOMAIN_CORPUS };
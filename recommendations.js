@@ -0,0 +1,89 @@
+/*
+ * File: recommendations.js
+ * Description: அடுத்து வாசிக்க (Recommendations) - "read next" under a poem and "for you" on the home page.
+ * Integrates: Firestore 'recommendations/{poemId}' and 'user_recommendations/{uid}' (precomputed by
+ *             functions/index.js from tags, AI theme, author, series and reader bookmarks / ratings / reactions),
+ *             poem_view.js (#poem-recommendations), index.html (#for-you-section).
+ * Purpose: Gives readers something to read after a poem, and a personal list when they come back.
+ */
+
+// --- 1. FIREBASE IMPORTS & CONFIGURATION ---
+import { auth, db } from "./auth.js";
+import { doc, getDoc } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { escapeHtml } from "./html_escape.js";
+
+const READ_NEXT_COUNT = 6;
+const FOR_YOU_COUNT = 8;
+
+const REASON_LABELS = {
+    series: 'அதே தொடர்',
+    author: 'அதே கவிஞர்',
+    theme: 'ஒத்த கருப்பொருள்',
+    tags: 'பொதுவான குறிச்சொற்கள்',
+    coread: 'இதை விரும்பியவர்கள் இதையும் விரும்பினர்'
+};
+
+
+// --- 2. RENDERING ---
+
+function recommendationListHtml(items) {
+    return `<ul class="recommendation-list">
+        ${items.map(item => `
+            <li class="recommendation-item">
+                <a href="poem_view?id=${item.poemId}">${escapeHtml(item.title) || 'தலைப்பில்லா'}</a>
+                <span class="recommendation-author">${escapeHtml(item.authorName)}</span>
+                <small class="recommendation-reason">${(item.reasons || []).map(reason => REASON_LABELS[reason]).filter(label => label).join(' · ')}</small>
+            </li>`).join('')}
+    </ul>`;
+}
+
+/**
+ * "அடுத்து வாசிக்க" list under a poem. The container stays hidden when nothing is precomputed yet.
+ * @param {string} poemId
+ * @param {HTMLElement} container
+ */
+async function renderPoemRecommendations(poemId, container) {
+    if (!container) return;
+    try {
+        const recommendationSnap = await getDoc(doc(db, "recommendations", poemId));
+        const items = (recommendationSnap.data()?.items || []).slice(0, READ_NEXT_COUNT);
+        if (items.length === 0) return;
+
+        container.innerHTML = `<h3><i class="fas fa-book-reader"></i> அடுத்து வாசிக்க</h3>${recommendationListHtml(items)}`;
+        container.style.display = 'block';
+    } catch (error) {
+        console.error("Error loading recommendations:", error);
+    }
+}
+
+/**
+ * "உங்களுக்காக" list for the signed-in reader (built from the poems they bookmarked, rated 4+ or reacted to).
+ * @param {object|null} user - Firebase user.
+ * @param {HTMLElement} container
+ */
+async function renderUserRecommendations(user, container) {
+    if (!container) return;
+    container.style.display = 'none';
+    if (!user) return;
+
+    try {
+        const recommendationSnap = await getDoc(doc(db, "user_recommendations", user.uid));
+        const items = (recommendationSnap.data()?.items || []).slice(0, FOR_YOU_COUNT);
+        if (items.length === 0) return;
+
+        container.querySelector('.for-you-list').innerHTML = recommendationListHtml(items);
+        container.style.display = 'block';
+    } catch (error) {
+        console.error("Error loading personal recommendations:", error);
+    }
+}
+
+
+// --- 3. INITIALIZATION ---
+document.addEventListener('DOMContentLoaded', () => {
+    const forYouSection = document.getElementById('for-you-section');
+    if (forYouSection) auth.onAuthStateChanged(user => renderUserRecommendations(user, forYouSection));
+});
+
+// --- 4. EXPORTS ---
+export { renderPoemRecommendations, renderUserRecommendations };
@@ -0,0 +1,333 @@
+/*
+ * File: recorder.js
+ * Description: கவிதை வாசிப்புப் பதிவி (In-browser Recitation Recorder) for create.html.
+ * Integrates: MediaRecorder + Web Audio (level meter, waveform), upload.js handleAudioFile.
+ * Purpose: Record, trim leading/trailing silence, preview, and upload as if the file had been picked,
+ *          so window.uploadedMediaUrls.audioUrl is set the same way.
+ * FIX: The compressed recording (opus/webm or AAC/mp4) is uploaded as recorded; the trim is applied by
+ *      Cloudinary on delivery and the decoded copy used for the waveform is kept at a low sample rate.
+ */
+
+// --- 1. IMPORTS & CONFIGURATION ---
+import { handleAudioFile } from "./upload.js";
+
+const ANALYSIS_SAMPLE_RATE = 8000;  // Decoded copy for the waveform and silence detection only (~2 MB per minute)
+const SILENCE_FRAME_SEC = 0.02;     // 20 ms analysis frames
+const SILENCE_PADDING_SEC = 0.15;   // Keep a little breath before/after the voice
+const SILENCE_MIN_THRESHOLD = 0.01; // RMS floor for very quiet rooms
+
+const RECORDER_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4', 'audio/ogg;codecs=opus'];
+
+// --- 2. RECORDER STATE ---
+const recorderState = {
+    stream: null,
+    mediaRecorder: null,
+    chunks: [],
+    meterContext: null,
+    meterFrame: null,
+    startedAt: 0,
+    recording: null,     // The recorded blob, uploaded as it is
+    audioBuffer: null,   // Decoded recording at ANALYSIS_SAMPLE_RATE
+    peaks: null,         // Waveform min/max per pixel column
+    trimStart: 0,
+    trimEnd: 0,
+    previewUrl: null
+};
+
+// --- 3. DECODING, TRIM URLS & SILENCE DETECTION ---
+
+/**
+ * Decodes the recording for analysis. decodeAudioData resamples to the context's rate, so a low
+ * rate keeps long recitations small in memory; browsers that refuse the rate use their default.
+ */
+async function decodeForAnalysis(recording) {
+    const data = await recording.arrayBuffer();
+    let context;
+    try {
+        context = new OfflineAudioContext(1, 1, ANALYSIS_SAMPLE_RATE);
+    } catch (error) {
+        context = new AudioContext();
+    }
+    try {
+        return await context.decodeAudioData(data);
+    } finally {
+        if (context.close) context.close();
+    }
+}
+
+/**
+ * Cloudinary delivery URL that plays only start..end seconds (so_/eo_ transformation), leaving
+ * the uploaded original untouched.
+ */
+function trimmedDeliveryUrl(url, start, end) {
+    return url.replace('/upload/', `/upload/so_${start.toFixed(2)},eo_${end.toFixed(2)}/`);
+}
+
+/**
+ * Averages all channels of an AudioBuffer into one Float32Array.
+ */
+function mixToMono(audioBuffer) {
+    const mono = new Float32Array(audioBuffer.length);
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+        const data = audioBuffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) mono[i] += data[i] / audioBuffer.numberOfChannels;
+    }
+    return mono;
+}
+
+/**
+ * Finds where the voice starts and ends, using 20 ms RMS frames against an adaptive noise floor.
+ * @returns {{start: number, end: number}} - Seconds.
+ */
+function detectSilenceBounds(audioBuffer) {
+    const samples = mixToMono(audioBuffer);
+    const frameSize = Math.max(1, Math.round(audioBuffer.sampleRate * SILENCE_FRAME_SEC));
+    const frameRms = [];
+    for (let offset = 0; offset < samples.length; offset += frameSize) {
+        let sum = 0;
+        const end = Math.min(offset + frameSize, samples.length);
+        for (let i = offset; i < end; i++) sum += samples[i] * samples[i];
+        frameRms.push(Math.sqrt(sum / (end - offset)));
+    }
+
+    // Noise floor = 10th percentile frame; voice = clearly above it
+    const sorted = [...frameRms].sort((a, b) => a - b);
+    const noiseFloor = sorted[Math.floor(sorted.length * 0.1)] || 0;
+    const threshold = Math.max(SILENCE_MIN_THRESHOLD, noiseFloor * 3);
+
+    const first = frameRms.findIndex(rms => rms > threshold);
+    if (first === -1) return { start: 0, end: audioBuffer.duration };
+    let last = frameRms.length - 1;
+    while (last > first && frameRms[last] <= threshold) last--;
+
+    return {
+        start: Math.max(0, first * SILENCE_FRAME_SEC - SILENCE_PADDING_SEC),
+        end: Math.min(audioBuffer.duration, (last + 1) * SILENCE_FRAME_SEC + SILENCE_PADDING_SEC)
+    };
+}
+
+
+// --- 4. DRAWING (Level Meter & Waveform) ---
+
+function drawLevelMeter(analyser, canvas) {
+    const ctx = canvas.getContext('2d');
+    const data = new Float32Array(analyser.fftSize);
+
+    const draw = () => {
+        analyser.getFloatTimeDomainData(data);
+        const rms = Math.sqrt(data.reduce((sum, value) => sum + value * value, 0) / data.length);
+        const level = Math.min(1, rms * 4);
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = level > 0.85 ? '#e74c3c' : level > 0.5 ? '#f39c12' : '#2ecc71';
+        ctx.fillRect(0, 0, canvas.width * level, canvas.height);
+
+        const elapsed = Math.floor((Date.now() - recorderState.startedAt) / 1000);
+        document.getElementById('recorder-timer').textContent =
+            `${String(Math.floor(elapsed / 60)).padStart(2, '0')}:${String(elapsed % 60).padStart(2, '0')}`;
+
+        recorderState.meterFrame = requestAnimationFrame(draw);
+    };
+    draw();
+}
+
+/**
+ * Precomputes min/max per pixel column so redraws while dragging the trim handles stay cheap.
+ */
+function computePeaks(audioBuffer, columns) {
+    const samples = mixToMono(audioBuffer);
+    const step = Math.max(1, Math.floor(samples.length / columns));
+    const peaks = [];
+    for (let column = 0; column < columns; column++) {
+        let min = 1;
+        let max = -1;
+        const end = Math.min((column + 1) * step, samples.length);
+        for (let i = column * step; i < end; i++) {
+            if (samples[i] < min) min = samples[i];
+            if (samples[i] > max) max = samples[i];
+        }
+        peaks.push([min, max]);
+    }
+    return peaks;
+}
+
+function drawWaveform() {
+    const canvas = document.getElementById('recorder-waveform');
+    const { peaks, audioBuffer, trimStart, trimEnd } = recorderState;
+    if (!canvas || !peaks) return;
+
+    const ctx = canvas.getContext('2d');
+    const middle = canvas.height / 2;
+    const startX = (trimStart / audioBuffer.duration) * canvas.width;
+    const endX = (trimEnd / audioBuffer.duration) * canvas.width;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    peaks.forEach(([min, max], x) => {
+        ctx.fillStyle = x >= startX && x <= endX ? '#1a4f72' : '#c8c8c8';
+        ctx.fillRect(x, middle + min * middle, 1, Math.max(1, (max - min) * middle));
+    });
+
+    // Trim handles
+    ctx.fillStyle = '#e74c3c';
+    ctx.fillRect(startX, 0, 2, canvas.height);
+    ctx.fillRect(endX - 2, 0, 2, canvas.height);
+}
+
+
+// --- 5. RECORDING FLOW ---
+
+function setRecorderStatus(message) {
+    document.getElementById('recorder-status').innerHTML = message;
+}
+
+async function startRecording() {
+    if (!navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === 'undefined') {
+        window.showToastNotification("இந்த உலாவியில் நேரடிப் பதிவு ஆதரிக்கப்படவில்லை. கோப்பைப் பதிவேற்றவும்.", 'error');
+        return;
+    }
+
+    try {
+        recorderState.stream = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } });
+    } catch (error) {
+        console.error("Microphone access denied:", error);
+        window.showToastNotification("மைக்ரோஃபோன் அனுமதி மறுக்கப்பட்டது.", 'error');
+        return;
+    }
+
+    const mimeType = RECORDER_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    recorderState.mediaRecorder = new MediaRecorder(recorderState.stream, mimeType ? { mimeType } : undefined);
+    recorderState.chunks = [];
+    recorderState.mediaRecorder.ondataavailable = (e) => {
+        if (e.data.size > 0) recorderState.chunks.push(e.data);
+    };
+    recorderState.mediaRecorder.onstop = finishRecording;
+
+    // Live level meter
+    recorderState.meterContext = new AudioContext();
+    const analyser = recorderState.meterContext.createAnalyser();
+    analyser.fftSize = 2048;
+    recorderState.meterContext.createMediaStreamSource(recorderState.stream).connect(analyser);
+
+    recorderState.startedAt = Date.now();
+    recorderState.mediaRecorder.start(1000);
+    drawLevelMeter(analyser, document.getElementById('recorder-level'));
+
+    document.getElementById('recorder-start-btn').disabled = true;
+    document.getElementById('recorder-stop-btn').disabled = false;
+    document.getElementById('recorder-editor').style.display = 'none';
+    setRecorderStatus('<i class="fas fa-circle" style="color:#e74c3c;"></i> பதிவு செய்யப்படுகிறது...');
+}
+
+function stopRecording() {
+    if (recorderState.mediaRecorder?.state === 'recording') {
+        recorderState.mediaRecorder.stop();
+    }
+    cancelAnimationFrame(recorderState.meterFrame);
+    recorderState.stream?.getTracks().forEach(track => track.stop());
+    recorderState.meterContext?.close();
+    document.getElementById('recorder-start-btn').disabled = false;
+    document.getElementById('recorder-stop-btn').disabled = true;
+}
+
+async function finishRecording() {
+    setRecorderStatus('<i class="fas fa-spinner fa-spin"></i> பதிவு செயலாக்கப்படுகிறது...');
+    const recording = new Blob(recorderState.chunks, { type: recorderState.mediaRecorder.mimeType });
+    recorderState.chunks = [];
+
+    try {
+        recorderState.audioBuffer = await decodeForAnalysis(recording);
+        recorderState.recording = recording;
+        if (recorderState.previewUrl) URL.revokeObjectURL(recorderState.previewUrl);
+        recorderState.previewUrl = URL.createObjectURL(recording);
+    } catch (error) {
+        console.error("Could not decode recording:", error);
+        setRecorderStatus('<i class="fas fa-times-circle"></i> பதிவைப் படிக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.');
+        return;
+    }
+
+    const canvas = document.getElementById('recorder-waveform');
+    recorderState.peaks = computePeaks(recorderState.audioBuffer, canvas.width);
+
+    const bounds = detectSilenceBounds(recorderState.audioBuffer);
+    setTrim(bounds.start, bounds.end);
+
+    document.getElementById('recorder-editor').style.display = 'block';
+    setRecorderStatus(`<i class="fas fa-check-circle"></i> பதிவு முடிந்தது (${recorderState.audioBuffer.duration.toFixed(1)} வி). தொடக்க/இறுதி அமைதி தானாக வெட்டப்பட்டது.`);
+    updatePreview();
+}
+
+
+// --- 6. TRIMMING, PREVIEW & UPLOAD ---
+
+/**
+ * Applies a trim range (seconds) to the sliders, labels and waveform.
+ */
+function setTrim(start, end) {
+    const duration = recorderState.audioBuffer.duration;
+    recorderState.trimStart = Math.max(0, Math.min(start, duration));
+    recorderState.trimEnd = Math.max(recorderState.trimStart + 0.1, Math.min(end, duration));
+
+    const startInput = document.getElementById('recorder-trim-start');
+    const endInput = document.getElementById('recorder-trim-end');
+    startInput.max = endInput.max = duration.toFixed(2);
+    startInput.value = recorderState.trimStart.toFixed(2);
+    endInput.value = recorderState.trimEnd.toFixed(2);
+    document.getElementById('recorder-trim-label').textContent =
+        `${recorderState.trimStart.toFixed(1)} வி – ${recorderState.trimEnd.toFixed(1)} வி (${(recorderState.trimEnd - recorderState.trimStart).toFixed(1)} வி)`;
+
+    drawWaveform();
+}
+
+/**
+ * Plays the trimmed range of the recording (media fragment, no re-encoding).
+ */
+function updatePreview() {
+    if (!recorderState.previewUrl) return;
+    document.getElementById('recorder-preview').src =
+        `${recorderState.previewUrl}#t=${recorderState.trimStart.toFixed(2)},${recorderState.trimEnd.toFixed(2)}`;
+}
+
+async function uploadRecording() {
+    if (!recorderState.recording) return;
+
+    const type = recorderState.recording.type.split(';')[0] || 'audio/webm';
+    const extension = { 'audio/mp4': 'm4a', 'audio/ogg': 'ogg' }[type] || 'webm';
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-');
+    const file = new File([recorderState.recording], `recitation-${stamp}.${extension}`, { type, lastModified: Date.now() });
+
+    const url = await handleAudioFile(file);
+    if (url) {
+        const { trimStart, trimEnd, audioBuffer } = recorderState;
+        const trimmed = trimStart > 0 || trimEnd < audioBuffer.duration;
+        // The library keeps the untrimmed URL; markMediaUsage() matches the two on their base URL
+        if (trimmed) window.uploadedMediaUrls.audioUrl = trimmedDeliveryUrl(url, trimStart, trimEnd);
+        setRecorderStatus('<i class="fas fa-check-circle"></i> வாசிப்பு கவிதையுடன் இணைக்கப்பட்டது.');
+    }
+}
+
+
+// --- 7. INITIALIZATION ---
+
+document.addEventListener('DOMContentLoaded', () => {
+    const recorder = document.getElementById('recorder');
+    if (!recorder) return;
+
+    document.getElementById('recorder-start-btn').addEventListener('click', startRecording);
+    document.getElementById('recorder-stop-btn').addEventListener('click', stopRecording);
+    document.getElementById('recorder-upload-btn').addEventListener('click', uploadRecording);
+    document.getElementById('recorder-autotrim-btn').addEventListener('click', () => {
+        const bounds = detectSilenceBounds(recorderState.audioBuffer);
+        setTrim(bounds.start, bounds.end);
+        updatePreview();
+    });
+
+    // Manual trim: redraw while dragging, re-render the preview on release
+    const startInput = document.getElementById('recorder-trim-start');
+    const endInput = document.getElementById('recorder-trim-end');
+    startInput.addEventListener('input', () => setTrim(parseFloat(startInput.value), recorderState.trimEnd));
+    endInput.addEventListener('input', () => setTrim(recorderState.trimStart, parseFloat(endInput.value)));
+    startInput.addEventListener('change', updatePreview);
+    endInput.addEventListener('change', updatePreview);
+});
+
+export { detectSilenceBounds, trimmedDeliveryUrl };
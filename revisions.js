@@ -0,0 +1,214 @@
+/*
+ * File: revisions.js
+ * Description: வரைவு திருத்த வரலாறு (Draft Revision History) - save, list, diff and restore.
+ * Integrates: Firestore subcollection 'kavithai/{poemId}/revisions' (immutable snapshots).
+ * Purpose: Used by content.js on create.html to show side-by-side line diffs between revisions.
+ */
+
+// --- 1. FIREBASE IMPORTS ---
+import { db } from "./auth.js";
+import {
+    collection,
+    addDoc,
+    getDocs,
+    query,
+    orderBy,
+    serverTimestamp
+} from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { escapeHtml } from "./html_escape.js";
+
+// --- 2. REVISION STORAGE ---
+
+/**
+ * Stores an immutable snapshot of the poem in its revisions subcollection.
+ * @param {string} poemId - The 'kavithai' document ID.
+ * @param {object} data - The collected form data.
+ * @param {string} status - Status the poem was saved with.
+ * @returns {Promise<string>} - The revision document ID.
+ */
+async function saveRevision(poemId, data, status) {
+    const revisionRef = await addDoc(collection(db, "kavithai", poemId, "revisions"), {
+        title: data.title,
+        content: data.content,
+        tags: data.tags,
+        seriesId: data.seriesId || null,
+        series: data.series,
+        coAuthors: data.coAuthors,
+        license: data.license,
+        media: data.media,
+        status: status,
+        savedAt: serverTimestamp()
+    });
+    return revisionRef.id;
+}
+
+/**
+ * Loads all revisions of a poem, newest first.
+ * @param {string} poemId - The 'kavithai' document ID.
+ * @returns {Promise<Array<object>>}
+ */
+async function loadRevisions(poemId) {
+    const q = query(collection(db, "kavithai", poemId, "revisions"), orderBy("savedAt", "desc"));
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+
+// --- 3. LINE DIFF (LCS) ---
+
+/**
+ * Computes a line-based diff between two texts using the longest common subsequence.
+ * Adjacent removed/added lines are paired so they render on the same row.
+ * @param {string} oldText - Left side (older revision).
+ * @param {string} newText - Right side (newer revision).
+ * @returns {Array<{type: string, left: (string|null), right: (string|null)}>}
+ *          type is 'same', 'removed', 'added' or 'changed'.
+ */
+function diffLines(oldText, newText) {
+    const a = (oldText || '').split(/\r?\n/);
+    const b = (newText || '').split(/\r?\n/);
+
+    // LCS length table (from the end, so we can walk forwards)
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            ops.push({ type: 'same', left: a[i++], right: b[j++] });
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            ops.push({ type: 'removed', left: a[i++], right: null });
+        } else {
+            ops.push({ type: 'added', left: null, right: b[j++] });
+        }
+    }
+    while (i < a.length) ops.push({ type: 'removed', left: a[i++], right: null });
+    while (j < b.length) ops.push({ type: 'added', left: null, right: b[j++] });
+
+    // Pair a run of removals with the following run of additions as 'changed' rows
+    const rows = [];
+    for (let k = 0; k < ops.length; k++) {
+        if (ops[k].type !== 'removed') {
+            rows.push(ops[k]);
+            continue;
+        }
+        const removed = [];
+        while (k < ops.length && ops[k].type === 'removed') removed.push(ops[k++].left);
+        const added = [];
+        while (k < ops.length && ops[k].type === 'added') added.push(ops[k++].right);
+        k--;
+
+        const pairs = Math.max(removed.length, added.length);
+        for (let p = 0; p < pairs; p++) {
+            const left = removed[p] ?? null;
+            const right = added[p] ?? null;
+            rows.push({ type: left !== null && right !== null ? 'changed' : (left !== null ? 'removed' : 'added'), left, right });
+        }
+    }
+    return rows;
+}
+
+
+// --- 4. REVISION PANEL UI (create.html) ---
+
+let loadedRevisions = [];
+
+function formatRevisionLabel(revision, index) {
+    const date = revision.savedAt ? new Date(revision.savedAt.toDate()).toLocaleString('ta-IN') : 'சேமிக்கிறது...';
+    return `#${loadedRevisions.length - index} - ${date} (${revision.status})`;
+}
+
+/**
+ * Renders the side-by-side diff of two loaded revisions into #revision-diff.
+ */
+function renderRevisionDiff(olderId, newerId) {
+    const diffContainer = document.getElementById('revision-diff');
+    const older = loadedRevisions.find(r => r.id === olderId);
+    const newer = loadedRevisions.find(r => r.id === newerId);
+    if (!diffContainer || !older || !newer) return;
+
+    const titleRow = older.title !== newer.title
+        ? `<tr class="diff-changed"><td>${escapeHtml(older.title)}</td><td>${escapeHtml(newer.title)}</td></tr>`
+        : `<tr class="diff-same"><td colspan="2"><strong>${escapeHtml(newer.title)}</strong></td></tr>`;
+
+    const rows = diffLines(older.content, newer.content).map(row => `
+        <tr class="diff-${row.type}">
+            <td>${row.left !== null ? escapeHtml(row.left) : ''}</td>
+            <td>${row.right !== null ? escapeHtml(row.right) : ''}</td>
+        </tr>
+    `).join('');
+
+    diffContainer.innerHTML = `
+        <table class="diff-table">
+            <thead><tr><th>${formatRevisionLabel(older, loadedRevisions.indexOf(older))}</th><th>${formatRevisionLabel(newer, loadedRevisions.indexOf(newer))}</th></tr></thead>
+            <tbody>${titleRow}${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Loads and renders the revision list for a poem into #revision-history.
+ * @param {string} poemId - The 'kavithai' document ID.
+ * @param {function} onRestore - Called with the revision data when the user restores one.
+ */
+async function renderRevisionPanel(poemId, onRestore) {
+    const panel = document.getElementById('revision-history');
+    if (!panel) return;
+
+    if (!poemId) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    try {
+        loadedRevisions = await loadRevisions(poemId);
+    } catch (error) {
+        console.error("Error loading revisions:", error);
+        window.showToastNotification("திருத்த வரலாற்றை ஏற்ற முடியவில்லை.", 'error');
+        return;
+    }
+
+    panel.style.display = 'block';
+    const options = loadedRevisions.map((revision, index) => `<option value="${revision.id}">${formatRevisionLabel(revision, index)}</option>`).join('');
+
+    panel.innerHTML = `
+        <h3><i class="fas fa-history"></i> திருத்த வரலாறு (${loadedRevisions.length})</h3>
+        <div class="revision-controls">
+            <select id="revision-left">${options}</select>
+            <span>↔</span>
+            <select id="revision-right">${options}</select>
+            <button type="button" id="revision-compare-btn">ஒப்பிடு</button>
+            <button type="button" id="revision-restore-btn">இடப்பக்கப் பதிப்பை மீட்டமை</button>
+        </div>
+        <div id="revision-diff"></div>
+    `;
+
+    const leftSelect = document.getElementById('revision-left');
+    const rightSelect = document.getElementById('revision-right');
+
+    // Default: previous revision on the left, latest on the right
+    if (loadedRevisions.length > 1) leftSelect.value = loadedRevisions[1].id;
+
+    document.getElementById('revision-compare-btn').addEventListener('click', () => {
+        renderRevisionDiff(leftSelect.value, rightSelect.value);
+    });
+
+    document.getElementById('revision-restore-btn').addEventListener('click', () => {
+        const revision = loadedRevisions.find(r => r.id === leftSelect.value);
+        if (!revision) return;
+        if (!confirm("இந்தப் பதிப்பை படிவத்தில் மீட்டமைக்கவா? (சேமித்த பின் புதிய பதிப்பாகப் பதியப்படும்)")) return;
+        onRestore(revision);
+        window.showToastNotification("பதிப்பு மீட்டமைக்கப்பட்டது. வைத்துக்கொள்ள வரைவைச் சேமிக்கவும்.", 'info');
+    });
+
+    if (loadedRevisions.length > 0) renderRevisionDiff(leftSelect.value, rightSelect.value);
+}
+
+// --- 5. EXPORTS ---
+export { saveRevision, loadRevisions, diffLines, renderRevisionPanel };
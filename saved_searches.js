@@ -0,0 +1,254 @@
+/*
+ * File: saved_searches.js
+ * Description: சேமித்த தேடல்கள் (Saved Searches) - a query plus filters kept under the user's profile.
+ * Integrates: Firestore 'users/{uid}/saved_searches', search.js ("save this search" on search.html),
+ *             search_spelling.js (the query's word alternatives, stored for server-side matching),
+ *             search_facets.js (chosen facet chips are saved with the search),
+ *             search_url.js (opening a saved search as a search.html link),
+ *             settings.html (#saved-searches: edit, digest toggle, delete),
+ *             functions/index.js (alerts when a newly approved poem matches, optional daily digest).
+ * Purpose: Editors following a theme or place get told about new poems instead of re-running searches.
+ * FIX: Each search stores 'alertKeys' so the alert job reads only searches a new poem could match.
+ */
+
+// --- 1. FIREBASE IMPORTS & CONFIGURATION ---
+import { auth, db } from "./auth.js";
+import {
+    collection,
+    addDoc,
+    doc,
+    getDocs,
+    updateDoc,
+    deleteDoc,
+    query,
+    orderBy,
+    serverTimestamp
+} from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { expandSearchQuery } from "./search_spelling.js";
+import { facetSelections, facetSummary } from "./search_facets.js";
+import { searchUrl } from "./search_url.js";
+
+// Same choices as the dropdowns on search.html (theme, place and gating are facet chips there)
+const FILTER_OPTIONS = {
+    token: { none: 'அனைத்து உள்ளடக்கங்கள்', unlocked: 'எனக்கு திறக்கப்பட்டவை' },
+    sort: { 'relevance-desc': 'பொருத்தம்', 'date-desc': 'சமீபத்தியது', 'views-desc': 'அதிக பார்வைகள்', 'rating-desc': 'சிறந்த மதிப்பீடு', 'author-desc': 'பிரபல கவிஞர்' }
+};
+
+const loadedSearches = new Map(); // id -> saved search shown in settings
+
+function savedSearchesRef(uid) {
+    return collection(db, "users", uid, "saved_searches");
+}
+
+
+// --- 2. SAVE / UPDATE / DELETE ---
+
+/**
+ * The filters kept with a saved search: dropdowns, facet chips and the advanced filters (search.js).
+ */
+function storedFilters(filters = {}) {
+    return {
+        token: filters.token === 'unlocked' ? 'unlocked' : 'none',
+        sort: filters.sort || 'relevance-desc',
+        facets: facetSelections(filters),
+        authorId: filters.authorId || '',
+        authorHandle: filters.authorHandle || '',
+        seriesId: filters.seriesId || '',
+        dateFrom: filters.dateFrom || '',
+        dateTo: filters.dateTo || '',
+        hasAudio: !!filters.hasAudio,
+        minRating: Number(filters.minRating) || 0,
+        minRatings: Number(filters.minRatings) || 0
+    };
+}
+
+/**
+ * Keys the alert job looks the search up by (functions/index.js, poemAlertKeys): a poem can only
+ * match when it has one of these. The alternatives of the query word with the fewest, else the
+ * chosen themes, else the author, else '*' (the search is read for every new poem).
+ */
+function alertKeys(groups, filters) {
+    if (groups.length) {
+        const narrowest = groups.reduce((best, tokens) => tokens.length < best.length ? tokens : best);
+        return narrowest.map(token => `word:${token}`);
+    }
+    if (filters.facets.tag?.length) return filters.facets.tag.map(tag => `tag:${tag}`);
+    if (filters.authorId) return [`author:${filters.authorId}`];
+    return ['*'];
+}
+
+/**
+ * Fields written for a saved search. 'matchGroups' holds one list of alternative index tokens per
+ * query word (Firestore cannot store nested arrays); a new poem matches when every word matches.
+ */
+async function savedSearchData({ name, searchTerm, filters, digest }) {
+    const plan = await expandSearchQuery(searchTerm);
+    const stored = storedFilters(filters);
+    return {
+        name,
+        searchTerm,
+        filters: stored,
+        digest: !!digest,
+        matchGroups: plan.groups.map(tokens => ({ tokens })),
+        alertKeys: alertKeys(plan.groups, stored),
+        updatedAt: serverTimestamp()
+    };
+}
+
+/**
+ * Saves the search currently shown on search.html.
+ * @param {string} searchTerm - Search box text.
+ * @param {object} filters - { token, sort, facets, authorId, seriesId, dateFrom, dateTo, hasAudio, minRating, minRatings }
+ * @returns {Promise<string|null>} - New saved search ID, or null if cancelled / signed out.
+ */
+async function saveSearch(searchTerm, filters) {
+    const user = auth.currentUser;
+    if (!user) {
+        window.showToastNotification("தேடலைச் சேமிக்க உள்நுழையவும்.", 'error');
+        return null;
+    }
+
+    const defaultName = [searchTerm, filters.authorHandle, facetSummary(facetSelections(filters))]
+        .filter(part => part).join(' · ') || 'அனைத்துக் கவிதைகள்';
+    const name = prompt("இந்தத் தேடலுக்குப் பெயர் இடுக:", defaultName)?.trim();
+    if (!name) return null;
+
+    try {
+        const docRef = await addDoc(savedSearchesRef(user.uid), {
+            ...await savedSearchData({ name, searchTerm, filters, digest: false }),
+            createdAt: serverTimestamp()
+        });
+        window.showToastNotification("தேடல் சேமிக்கப்பட்டது. புதிய பொருத்தங்கள் வந்தால் அறிவிப்பு வரும்.", 'success');
+        return docRef.id;
+    } catch (error) {
+        console.error("Error saving search:", error);
+        window.showToastNotification("தேடலைச் சேமிப்பதில் பிழை.", 'error');
+        return null;
+    }
+}
+
+/**
+ * Loads the signed-in user's saved searches, newest first.
+ * @returns {Promise<Array<object>>}
+ */
+async function loadSavedSearches() {
+    const user = auth.currentUser;
+    if (!user) return [];
+    const querySnapshot = await getDocs(query(savedSearchesRef(user.uid), orderBy("createdAt", "desc")));
+    return querySnapshot.docs.map(searchDoc => ({ id: searchDoc.id, ...searchDoc.data() }));
+}
+
+/**
+ * Saves the edited row from settings.html.
+ * @param {string} searchId - 'saved_searches' document ID.
+ */
+window.updateSavedSearch = async function(searchId) {
+    const user = auth.currentUser;
+    const row = document.querySelector(`[data-saved-search="${searchId}"]`);
+    if (!user || !row) return;
+    const saved = loadedSearches.get(searchId);
+
+    const field = (name) => row.querySelector(`[data-field="${name}"]`);
+    const name = field('name').value.trim();
+    if (!name) {
+        window.showToastNotification("பெயர் காலியாக இருக்கக்கூடாது.", 'warning');
+        return;
+    }
+
+    try {
+        await updateDoc(doc(db, "users", user.uid, "saved_searches", searchId), await savedSearchData({
+            name,
+            searchTerm: field('searchTerm').value.trim(),
+            filters: { ...saved?.filters, token: field('token').value, sort: field('sort').value },
+            digest: field('digest').checked
+        }));
+        window.showToastNotification("சேமித்த தேடல் புதுப்பிக்கப்பட்டது.", 'success');
+    } catch (error) {
+        console.error("Error updating saved search:", error);
+        window.showToastNotification("புதுப்பிப்பதில் பிழை.", 'error');
+    }
+}
+
+window.deleteSavedSearch = async function(searchId) {
+    const user = auth.currentUser;
+    if (!user || !confirm("இந்தச் சேமித்த தேடலை நீக்கவா?")) return;
+
+    try {
+        await deleteDoc(doc(db, "users", user.uid, "saved_searches", searchId));
+        window.showToastNotification("சேமித்த தேடல் நீக்கப்பட்டது.", 'info');
+        await renderSavedSearchSettings();
+    } catch (error) {
+        console.error("Error deleting saved search:", error);
+        window.showToastNotification("நீக்குவதில் பிழை.", 'error');
+    }
+}
+
+
+// --- 3. SETTINGS LIST ---
+
+function attributeValue(text) {
+    return (text || '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function selectHtml(field, value) {
+    return `<select data-field="${field}">
+        ${Object.entries(FILTER_OPTIONS[field]).map(([optionValue, label]) =>
+            `<option value="${optionValue}" ${optionValue === value ? 'selected' : ''}>${label}</option>`).join('')}
+    </select>`;
+}
+
+/**
+ * Lists saved searches in #saved-searches (settings.html) with inline editing.
+ */
+async function renderSavedSearchSettings() {
+    const container = document.getElementById('saved-searches');
+    if (!container || !auth.currentUser) return;
+
+    try {
+        const searches = await loadSavedSearches();
+        loadedSearches.clear();
+        searches.forEach(search => loadedSearches.set(search.id, search));
+        if (searches.length === 0) {
+            container.innerHTML = '<p style="color:#777;">சேமித்த தேடல்கள் இல்லை. <a href="search">தேடல் பக்கத்தில்</a> ஒரு தேடலைச் சேமிக்கலாம்.</p>';
+            return;
+        }
+
+        container.innerHTML = searches.map(search => `
+            <div class="saved-search-item" data-saved-search="${search.id}">
+                <div class="saved-search-fields">
+                    <input type="text" data-field="name" value="${attributeValue(search.name)}" placeholder="பெயர்">
+                    <input type="text" data-field="searchTerm" value="${attributeValue(search.searchTerm)}" placeholder="தேடல் சொற்கள்">
+                    ${selectHtml('token', search.filters?.token)}
+                    ${selectHtml('sort', search.filters?.sort)}
+                    <label><input type="checkbox" data-field="digest" ${search.digest ? 'checked' : ''}> தினசரி மின்னஞ்சல் சுருக்கம்</label>
+                    <span class="saved-search-facets">${attributeValue(facetSummary(facetSelections(search.filters))) || 'வடிகட்டிகள் இல்லை'}</span>
+                </div>
+                <div class="setting-control">
+                    <button onclick="openSavedSearch('${search.id}')">திற</button>
+                    <button onclick="updateSavedSearch('${search.id}')">சேமி</button>
+                    <button style="background-color: var(--error-color);" onclick="deleteSavedSearch('${search.id}')">நீக்கு</button>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error("Error loading saved searches:", error);
+    }
+}
+
+/**
+ * Opens a saved search on search.html; the whole search is carried in the link's query string.
+ */
+window.openSavedSearch = function(searchId) {
+    const row = document.querySelector(`[data-saved-search="${searchId}"]`);
+    const field = (name) => row.querySelector(`[data-field="${name}"]`);
+    const filters = storedFilters({ ...loadedSearches.get(searchId)?.filters, token: field('token').value, sort: field('sort').value });
+    window.location.href = searchUrl(field('searchTerm').value.trim(), filters);
+}
+
+// --- 4. INITIALIZATION ---
+document.addEventListener('DOMContentLoaded', () => {
+    auth.onAuthStateChanged(() => renderSavedSearchSettings());
+});
+
+// --- 5. EXPORTS ---
+export { saveSearch, loadSavedSearches, renderSavedSearchSettings, FILTER_OPTIONS };
@@ -0,0 +1,126 @@
+/*
+ * File: schedule.js
+ * Description: திட்டமிட்ட வெளியீடு (Scheduled Publishing) - timezone-aware publish date controls.
+ * Integrates: create.html schedule inputs; content.js stores the result as 'scheduledAt' (UTC).
+ * Purpose: Lets authors release festival poems (பொங்கல், தீபாவளி) at a chosen local time.
+ */
+
+// --- 1. TIMEZONE CONFIGURATION ---
+
+// Common zones for our readers; the browser's own zone is always added first
+const COMMON_TIMEZONES = [
+    { id: 'Asia/Colombo', label: 'இலங்கை (Colombo)' },
+    { id: 'Asia/Kolkata', label: 'இந்தியா (Chennai)' },
+    { id: 'Asia/Singapore', label: 'சிங்கப்பூர்' },
+    { id: 'Asia/Kuala_Lumpur', label: 'மலேசியா' },
+    { id: 'Asia/Dubai', label: 'துபாய்' },
+    { id: 'Europe/London', label: 'இங்கிலாந்து (London)' },
+    { id: 'Europe/Paris', label: 'ஐரோப்பா (Paris)' },
+    { id: 'America/Toronto', label: 'கனடா (Toronto)' },
+    { id: 'Australia/Sydney', label: 'ஆஸ்திரேலியா (Sydney)' }
+];
+
+// --- 2. TIMEZONE CONVERSION ---
+
+/**
+ * Returns the UTC offset (ms) of a timezone at a given instant.
+ */
+function getTimezoneOffset(instant, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(instant);
+    const value = type => Number(parts.find(p => p.type === type).value);
+    const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+    return asUtc - (instant.getTime() - instant.getMilliseconds());
+}
+
+/**
+ * Converts a wall-clock time in a timezone to a UTC Date.
+ * @param {string} localValue - 'YYYY-MM-DDTHH:mm' from <input type="datetime-local">.
+ * @param {string} timeZone - IANA timezone, e.g. 'Asia/Colombo'.
+ * @returns {Date|null}
+ */
+function zonedTimeToUtc(localValue, timeZone) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(localValue || '');
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute] = match.map(Number);
+    const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Two passes handle DST transitions where the offset differs on either side
+    let utc = wallClockAsUtc - getTimezoneOffset(new Date(wallClockAsUtc), timeZone);
+    utc = wallClockAsUtc - getTimezoneOffset(new Date(utc), timeZone);
+    return new Date(utc);
+}
+
+/**
+ * Converts a UTC Date back to a 'YYYY-MM-DDTHH:mm' value in the given timezone.
+ */
+function utcToZonedInputValue(date, timeZone) {
+    const shifted = new Date(date.getTime() + getTimezoneOffset(date, timeZone));
+    return shifted.toISOString().substring(0, 16);
+}
+
+/**
+ * Formats a release time for display (e.g. in the admin queue).
+ */
+function formatReleaseTime(date, timeZone) {
+    return new Intl.DateTimeFormat('ta-IN', {
+        timeZone: timeZone || undefined,
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    }).format(date) + (timeZone ? ` (${timeZone})` : '');
+}
+
+
+// --- 3. CREATE FORM CONTROLS ---
+
+/**
+ * Populates the timezone selector on create.html.
+ */
+function initScheduleControls() {
+    const zoneSelect = document.getElementById('publish-timezone');
+    if (!zoneSelect) return;
+
+    const browserZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const zones = COMMON_TIMEZONES.some(zone => zone.id === browserZone)
+        ? COMMON_TIMEZONES
+        : [{ id: browserZone, label: browserZone }, ...COMMON_TIMEZONES];
+
+    zoneSelect.innerHTML = zones.map(zone => `<option value="${zone.id}">${zone.label}</option>`).join('');
+    zoneSelect.value = browserZone;
+}
+
+/**
+ * Reads the schedule inputs.
+ * @returns {{publishAt: (Date|null), timezone: string}}
+ */
+function getScheduleFromForm() {
+    const localValue = document.getElementById('publish-at')?.value;
+    const timezone = document.getElementById('publish-timezone')?.value || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return { publishAt: localValue ? zonedTimeToUtc(localValue, timezone) : null, timezone };
+}
+
+/**
+ * Restores the schedule inputs from a saved poem (scheduledAt is a Firestore Timestamp or Date).
+ */
+function setScheduleInForm(scheduledAt, timezone) {
+    const dateInput = document.getElementById('publish-at');
+    const zoneSelect = document.getElementById('publish-timezone');
+    if (!dateInput || !zoneSelect) return;
+
+    if (timezone) {
+        if (![...zoneSelect.options].some(option => option.value === timezone)) {
+            zoneSelect.add(new Option(timezone, timezone));
+        }
+        zoneSelect.value = timezone;
+    }
+    const date = scheduledAt?.toDate ? scheduledAt.toDate() : scheduledAt;
+    dateInput.value = date ? utcToZonedInputValue(new Date(date), zoneSelect.value) : '';
+}
+
+// --- 4. EXPORTS ---
+export { zonedTimeToUtc, formatReleaseTime, initScheduleControls, getScheduleFromForm, setScheduleInForm };
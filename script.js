@@ -7,6 +7,7 @@
 
 // --- 1. FIREBASE IMPORTS ---
 import { auth } from "./auth.js"; 
+import { initTanglishInput } from "./tanglish_ime.js";
 
 // --- 2. GLOBAL UI FUNCTIONS (5. தேடல், பார்வை & UX) ---
 
@@ -151,6 +152,33 @@ window.toggleTamilFont = function(fontClass) {
 };
 
 
+/**
+ * 1.15 Phonetic Tanglish Input (ஒலிப்பு தமிழ் உள்ளீடு) - on/off per field, saved next to tamilFont.
+ * Field keys: 'poem-content', 'comment-input', 'message-input', 'search-input' (see tanglish_ime.js).
+ */
+function getTanglishInputPreferences() {
+    try {
+        return JSON.parse(localStorage.getItem('tanglishInput') || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+window.isTanglishInputEnabled = function(fieldKey) {
+    return getTanglishInputPreferences()[fieldKey] === true;
+};
+
+window.setTanglishInput = function(fieldKey, enabled) {
+    const preferences = getTanglishInputPreferences();
+    preferences[fieldKey] = enabled;
+    localStorage.setItem('tanglishInput', JSON.stringify(preferences));
+
+    const settingsToggle = document.querySelector(`[data-tanglish-field="${fieldKey}"]`);
+    if (settingsToggle) settingsToggle.checked = enabled;
+
+    window.showToastNotification(enabled ? 'ஒலிப்பு தமிழ் உள்ளீடு இயக்கப்பட்டது (amma → அம்மா).' : 'ஒலிப்பு தமிழ் உள்ளீடு நிறுத்தப்பட்டது.', 'info');
+};
+
 /**
  * 1.14 Dyslexia-Friendly Mode Toggle
  * This function is attached to the toggle button in settings.html
@@ -188,11 +216,25 @@ function initializeAccessibility() {
     if (localStorage.getItem('dyslexiaMode') === 'on') {
         document.body.classList.add('dyslexia-mode');
     }
+
+    // 5. Phonetic Tanglish Input (settings.html checkboxes reflect the saved choice)
+    document.querySelectorAll('[data-tanglish-field]').forEach(toggle => {
+        toggle.checked = window.isTanglishInputEnabled(toggle.dataset.tanglishField);
+    });
 }
 
 
 // --- 4. CONTENT PROTECTION & INCOGNITO (2. உள்ளடக்க உருவாக்கம் & 1. அடிப்படை கட்டுப்பாடு) ---
 
+/**
+ * True when the target (or the current text selection) is inside a poem registered by licenses.js.
+ */
+function isLicensedSelection(target = null) {
+    const anchor = window.getSelection()?.anchorNode;
+    const element = target || (anchor?.nodeType === Node.TEXT_NODE ? anchor.parentElement : anchor);
+    return Boolean(element?.closest?.('[data-license-poem]'));
+}
+
 /**
  * Content Protection (Simulated DRM/Right-click disable)
  * Disables right-click and copy shortcuts unless in Incognito Mode.
@@ -203,12 +245,15 @@ function disableContentCopy() {
     }
     
     document.addEventListener('contextmenu', (e) => {
+        if (isLicensedSelection(e.target)) return;
         e.preventDefault();
         window.showToastNotification("உள்ளடக்கம் பாதுகாக்கப்பட்டு உள்ளது. நகலெடுக்க முடியாது.", 'warning');
     });
     
     document.addEventListener('keydown', (e) => {
         // Disable Ctrl+C / Cmd+C (Copy), F12 (Inspect), Ctrl+Shift+I (Inspect)
+        // Copying from a licensed poem is decided by licenses.js (permitted copies get attribution)
+        if ((e.ctrlKey || e.metaKey) && (e.key === 'c' || e.key === 'C') && isLicensedSelection()) return;
         if ((e.ctrlKey || e.metaKey) && (e.key === 'c' || e.key === 'C' || e.key === 'u' || e.key === 'I' || e.key === 'i') || e.key === 'F12') {
             e.preventDefault();
             window.showToastNotification("உள்ளடக்கம் நகலெடுக்க அனுமதிக்கப்படவில்லை.", 'warning');
@@ -248,6 +293,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // 3. Content Protection (Must run after Incognito check)
     disableContentCopy();
 
+    // 3b. Phonetic Tanglish → Tamil input on poem, comment, chat and search fields
+    initTanglishInput();
+
     // 4. Sticky Header logic (5. தேடல், பார்வை & UX)
     const header = document.querySelector('header');
     if (header) {
@@ -3,6 +3,17 @@
  * Description: Handles Search, Filtering, and Personalized Feed Logic.
  * Integrates: Firestore for querying 'kavithai' collection based on user inputs.
  * FIX: Added Token Gated Content check and Real-time Translation Placeholder.
+ * FIX: Search terms match any indexed word of title, content or tags (search_index.js), ranked by relevance.
+ * FIX: Cursor pagination with infinite scroll; loaded pages and scroll position survive a visit to a poem.
+ * FIX: Tanglish and misspelt queries are expanded (search_spelling.js) with "showing results for" / "did you mean".
+ * FIX: The current query and filters can be saved for new-match alerts (saved_searches.js).
+ * FIX: Facet chips with live counts (theme, author, license, media, token, place) replace the static dropdowns.
+ * FIX: realTimeTranslate uses the configured translation provider (translation.js) instead of a mock.
+ * FIX: Advanced filters (author, series, date range, audio recitation, rating 4+ with N ratings).
+ * FIX: The search, filters, sort and loaded pages live in the URL (search_url.js); Back / Forward restore them.
+ * FIX: Term searches rank every match together; filtered lists page in Firestore's order for the chosen sort.
+ * FIX: Facet chips filter in Firestore where an index allows it and are counted there (getCountFromServer).
+ * FIX: Only the chips shown are counted, not at all once every match is loaded, and counts are cached per query.
  */
 
 // --- 1. FIREBASE IMPORTS ---
@@ -14,65 +25,209 @@ import {
     orderBy, 
     limit, 
     getDocs,
-    startAt,
-    endAt
+    startAfter,
+    getCountFromServer,
+    Timestamp
 } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
 // FIX: Import the Web3 access function
 import { canAccessTokenGatedContent } from "./web3_wallet.js"; 
+import { scorePoem } from "./search_index.js";
+import { expandSearchQuery } from "./search_spelling.js";
+import { saveSearch } from "./saved_searches.js";
+import { FACETS, facetSelections, filterByFacets, computeFacetCounts, facetChipValues, buildFacetGroups } from "./search_facets.js";
+import { translateLines } from "./translation.js";
+import { findUserByHandle } from "./coauthors.js";
+import { loadAuthorSeries } from "./series.js";
+import { searchStateToParams, searchStateFromParams, hasSearchParams } from "./search_url.js";
 
 // --- 2. GLOBAL ELEMENTS ---
 const poemResultsList = document.getElementById('poem-results-list');
 const resultsCountDisplay = document.getElementById('results-count');
 const searchInput = document.getElementById('search-input');
-const filterTheme = document.getElementById('filter-theme');
 const filterSort = document.getElementById('filter-sort');
-const filterGeo = document.getElementById('filter-geo');
 const filterToken = document.getElementById('filter-token');
+const searchInterpretation = document.getElementById('search-interpretation');
+const searchFacets = document.getElementById('search-facets');
+const filterAuthor = document.getElementById('filter-author');
+const filterSeries = document.getElementById('filter-series');
+const filterDateFrom = document.getElementById('filter-date-from');
+const filterDateTo = document.getElementById('filter-date-to');
+const filterAudio = document.getElementById('filter-audio');
+const filterMinRating = document.getElementById('filter-min-rating');
+const filterMinRatings = document.getElementById('filter-min-ratings');
+
+const SEARCH_CANDIDATE_LIMIT = 200; // documents per Firestore read while collecting matches
+const MAX_RANKED_MATCHES = 1000;    // matches read and ranked together ('ranked' mode, see searchMode)
+const MAX_QUERY_DISJUNCTIONS = 30;  // Firestore's limit on 'in' / 'array-contains-any' combinations
+const SEARCH_PAGE_SIZE = 20;
+const FEED_STATE_PREFIX = 'feedState:';
+const FACET_COUNTS_PREFIX = 'facetCounts:';
+const FACET_COUNTS_TTL_MS = 10 * 60 * 1000; // Firestore chip counts are reused this long in a session
 
 // --- 3. SEARCH AND FILTERING LOGIC (KEEPING CORE LOGIC) ---
 
+function sortValue(poem, field) {
+    if (field === 'date') return poem.timestamp?.toMillis?.() || 0;
+    if (field === 'views') return poem.views || 0;
+    if (field === 'rating') return poem.averageRating || 0;
+    if (field === 'author') return poem.authorName || '';
+    return poem.relevance?.score || 0;
+}
+
 /**
- * Performs the core search and filtering operation against Firestore.
- * This function is exported for use in index.html.
+ * Orders term matches: poems containing more of the query words first, then the chosen
+ * sort option ('relevance' uses the score), then the score as a tie-breaker.
  */
-async function executeSearchQuery(searchTerm, filters, resultLimit = 10) {
+function rankSearchResults(poems, sort) {
+    const [field, direction] = sort ? sort.split('-') : ['relevance', 'desc'];
+    const sign = direction === 'asc' ? 1 : -1;
+    return poems.sort((a, b) => {
+        if (a.relevance.matched !== b.relevance.matched) return b.relevance.matched - a.relevance.matched;
+        const valueA = sortValue(a, field);
+        const valueB = sortValue(b, field);
+        const order = typeof valueA === 'string' ? valueA.localeCompare(valueB, 'ta') : valueA - valueB;
+        return order !== 0 ? sign * order : b.relevance.score - a.relevance.score;
+    });
+}
+
+/**
+ * Advanced filters ('filters' fields, all optional):
+ *  authorId / authorHandle - one author (the handle is only kept to refill the search box)
+ *  seriesId                - one series (series.js)
+ *  dateFrom / dateTo       - 'YYYY-MM-DD', both days included
+ *  hasAudio                - only poems with an audio recitation (flag written by content.js)
+ *  minRating / minRatings  - average rating of at least minRating from at least minRatings readers
+ *
+ * Composite indexes (firestore.indexes.json). Author, series and audio are equality filters and
+ * the date range is the only range filter Firestore sees. Without a term the query is ordered by
+ * the chosen sort (see searchMode), so each filter F needs, for each sort field S (timestamp,
+ * views, averageRating, authorName):
+ *  status + S DESC      status + F + S DESC      status + F + searchTokens (CONTAINS)
+ * plus status + searchTokens (CONTAINS) + timestamp DESC. The facet fields pushed by facetQuery
+ * (authorName, license, location, hasImage, isTokenGated, and tags CONTAINS without a term) need
+ * the same pair. Several equality filters at once are served by merging these indexes. The
+ * rating thresholds would be a second and third range field, so they are checked on the fetched
+ * candidates.
+ */
+function hasAdvancedFilters(filters) {
+    return !!(filters.authorId || filters.seriesId || filters.dateFrom || filters.dateTo ||
+        filters.hasAudio || filters.minRating || filters.minRatings);
+}
+
+function matchesRatingFilters(poem, filters) {
+    if (filters.minRating && (poem.averageRating || 0) < filters.minRating) return false;
+    if (filters.minRatings && (poem.totalRatings || 0) < filters.minRatings) return false;
+    return true;
+}
+
+/**
+ * How a search is paged:
+ *  'ordered' - Firestore returns the poems in their final order (orderBy on the query); pages
+ *              are read with startAfter and checked in the browser where needed. Every search
+ *              without a term, except a date range with a non-date sort.
+ *  'ranked'  - the order needs every match: term searches (the relevance score, or the chosen
+ *              sort after the number of words matched), and a date range sorted by views, rating
+ *              or author (Firestore would have to order by 'timestamp' first). Up to
+ *              MAX_RANKED_MATCHES matches are read, ranked once and paged from memory.
+ */
+function searchMode(tokens, filters) {
+    if (tokens.length > 0) return 'ranked';
+    const [field] = (filters.sort || 'date-desc').split('-');
+    const dateRange = filters.dateFrom || filters.dateTo;
+    return dateRange && field !== 'date' && field !== 'relevance' ? 'ranked' : 'ordered';
+}
+
+/**
+ * Firestore clauses for one facet's chosen values, or null when the facet has to be checked in
+ * the browser. Returns the clauses and how many disjunctions they add ('in' / 'array-contains-any'
+ * values multiply). The fields are written by content.js; rebuildSearchIndex (admin.js) fills
+ * them in on older poems.
+ */
+function facetQuery(facetId, values, tokens, filters) {
+    switch (facetId) {
+        case 'tag':
+            // Only one array-contains-any per query: with a term the tags are checked in the browser
+            return tokens.length > 0 ? null : { clauses: [where("tags", "array-contains-any", values)], disjunctions: values.length };
+        case 'author':
+            return { clauses: [where("authorName", "in", values)], disjunctions: values.length };
+        case 'license':
+            return { clauses: [where("license", "in", values)], disjunctions: values.length };
+        case 'location':
+            return { clauses: [where("location", "in", values)], disjunctions: values.length };
+        case 'gated':
+            // Both values chosen matches every poem
+            return { clauses: values.length === 1 ? [where("isTokenGated", "==", values[0] === 'gated')] : [], disjunctions: 1 };
+        case 'media':
+            return {
+                clauses: values
+                    .filter(value => !(value === 'audio' && filters.hasAudio))
+                    .map(value => where(value === 'audio' ? "hasAudio" : "hasImage", "==", true)),
+                disjunctions: 1
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Splits the chosen facets into Firestore clauses and the selections left for the browser
+ * (facets facetQuery cannot express, or that would take the query past MAX_QUERY_DISJUNCTIONS).
+ * @returns {{clauses: Array<object>, remaining: Object<string, Array<string>>}}
+ */
+function pushFacetsToQuery(tokens, filters, selections) {
+    let disjunctions = Math.max(tokens.length, 1);
+    const clauses = [];
+    const remaining = {};
+    Object.entries(selections).forEach(([facetId, values]) => {
+        const pushed = facetQuery(facetId, values, tokens, filters);
+        if (!pushed || disjunctions * pushed.disjunctions > MAX_QUERY_DISJUNCTIONS) {
+            remaining[facetId] = values;
+            return;
+        }
+        disjunctions *= pushed.disjunctions;
+        clauses.push(...pushed.clauses);
+    });
+    return { clauses, remaining };
+}
+
+/**
+ * Builds the Firestore query for the filters (without cursor or limit).
+ * A search term is matched against each poem's 'searchTokens' (written by content.js); in
+ * 'ordered' mode the chosen sort becomes the query's orderBy. The legacy theme / geo / token
+ * filters arrive as facet selections (facetSelections), so they are among 'facetClauses'.
+ * @param {Array<object>} facetClauses - From pushFacetsToQuery.
+ */
+function buildSearchQuery(tokens, filters, facetClauses = [], mode = searchMode(tokens, filters)) {
     
     // 1. Base Query: Only show 'Approved' posts
     let q = query(collection(db, "kavithai"), where("status", "==", "Approved"));
     
-    // 2. Apply Theme Filter
-    if (filters.theme && filters.theme !== 'all') {
-        q = query(q, where("tags", "array-contains", filters.theme));
-    }
+    // 2. Apply Facet Filters (theme, author, license, media, token, place; see facetQuery)
+    if (facetClauses.length > 0) q = query(q, ...facetClauses);
     
-    // 3. Apply Geo Filter 
-    if (filters.geo && filters.geo !== 'global') {
-        q = query(q, where("location", "==", filters.geo)); 
+    // 3. Apply Advanced Filters (author, series, audio, date range; see the index list above)
+    if (filters.authorId) q = query(q, where("authorId", "==", filters.authorId));
+    if (filters.seriesId) q = query(q, where("seriesId", "==", filters.seriesId));
+    if (filters.hasAudio) q = query(q, where("hasAudio", "==", true));
+    if (filters.dateFrom) {
+        q = query(q, where("timestamp", ">=", Timestamp.fromDate(new Date(`${filters.dateFrom}T00:00:00`))));
     }
-    
-    // 4. Apply Token Filter (CRITICAL: Can only filter by 'isTokenGated' status)
-    if (filters.token === 'gated') {
-        q = query(q, where("isTokenGated", "==", true));
-        window.showToastNotification("டோக்கன் பூட்டப்பட்ட உள்ளடக்கத்தை தேடுகிறது.", 'info');
-    } else if (filters.token === 'unlocked') {
-        // NOTE: 'Unlocked' filtering must be done client-side after fetching the results,
-        // as Firestore cannot check external wallet status. For now, we fetch all.
+    if (filters.dateTo) {
+        const dayAfter = new Date(`${filters.dateTo}T00:00:00`);
+        dayAfter.setDate(dayAfter.getDate() + 1);
+        q = query(q, where("timestamp", "<", Timestamp.fromDate(dayAfter)));
     }
-    
-    // 5. Apply Search Term (Basic prefix search on title - requires Firestore index)
-    if (searchTerm) {
-        q = query(
-            q, 
-            orderBy("title"), 
-            startAt(searchTerm), 
-            endAt(searchTerm + '\uf8ff')
-        );
+
+    // 4. Apply Search Term (any indexed word; ranked client-side)
+    if (tokens.length > 0) {
+        q = query(q, where("searchTokens", "array-contains-any", tokens));
     }
-    
-    // 6. Apply Sorting (Advanced Dynamic Filtering)
+    if (mode === 'ranked') return q;
+
+    // 5. Apply Sorting (Advanced Dynamic Filtering)
     const [field, direction] = filters.sort ? filters.sort.split('-') : ['date', 'desc']; 
 
-    if (field === 'date') {
+    if (field === 'date' || field === 'relevance') {
         q = query(q, orderBy("timestamp", direction));
     } else if (field === 'views') {
         q = query(q, orderBy("views", direction));
@@ -81,93 +236,555 @@ async function executeSearchQuery(searchTerm, filters, resultLimit = 10) {
     } else if (field === 'author') {
         q = query(q, orderBy("authorName", direction)); 
     }
-    
-    // Limit results
-    q = query(q, limit(resultLimit));
+    return q;
+}
+
+function filterUnlocked(poems, filters) {
+    // NOTE: 'Unlocked' filtering must be done client-side after fetching the results,
+    // as Firestore cannot check external wallet status.
+    if (filters.token !== 'unlocked') return poems;
+    return poems.filter(poem => {
+        if (poem.isTokenGated && poem.tokenRequirement) {
+            return canAccessTokenGatedContent(poem.id, poem.tokenRequirement);
+        }
+        return !poem.isTokenGated; // Show non-gated content too
+    });
+}
+
+/**
+ * True when some fetched poems may still be dropped in the browser (so a Firestore page of
+ * pageSize documents may show fewer poems).
+ * @param {Object<string, Array<string>>} remaining - Facet selections not pushed to Firestore.
+ */
+function needsClientFilter(filters, remaining) {
+    return Object.keys(remaining).length > 0 || filters.token === 'unlocked' || hasClientOnlyFilters(filters);
+}
+
+/**
+ * Filters Firestore cannot check (the rating thresholds); facets cannot be counted there with them.
+ */
+function hasClientOnlyFilters(filters) {
+    return !!(filters.minRating || filters.minRatings);
+}
 
+/**
+ * Checks Firestore cannot make: the rating thresholds. Facet counts are taken after these.
+ */
+function matchesQueryFilters(poems, filters) {
+    return poems.filter(poem => matchesRatingFilters(poem, filters));
+}
+
+/**
+ * Everything checked in the browser: the filters above, facet chips Firestore could not take
+ * ('remaining', see pushFacetsToQuery) and wallet-unlocked content.
+ */
+function clientFilter(poems, filters, remaining) {
+    return filterUnlocked(filterByFacets(matchesQueryFilters(poems, filters), remaining), filters);
+}
+
+function facetCountsKey(tokens, filters, mode) {
+    return FACET_COUNTS_PREFIX + JSON.stringify({ tokens, filters, mode });
+}
+
+/**
+ * Chip counts saved for the same query earlier in the session (sessionStorage), or null.
+ */
+function loadCachedFacetCounts(key) {
+    try {
+        const cached = JSON.parse(sessionStorage.getItem(key));
+        if (!cached || Date.now() - cached.savedAt > FACET_COUNTS_TTL_MS) return null;
+        return Object.fromEntries(Object.entries(cached.counts).map(([facetId, entries]) => [facetId, new Map(entries)]));
+    } catch (e) {
+        return null;
+    }
+}
+
+function saveFacetCounts(key, counted) {
+    const counts = Object.fromEntries(Object.entries(counted).map(([facetId, values]) => [facetId, [...values]]));
     try {
-        const querySnapshot = await getDocs(q);
-        let poems = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        
-        // FIX: Client-side filtering for 'unlocked' content
-        if (filters.token === 'unlocked') {
-            poems = poems.filter(poem => {
-                // Mock: Assuming token gated content requires 10 NKT to unlock
-                if (poem.isTokenGated && poem.tokenRequirement) {
-                    return canAccessTokenGatedContent(poem.id, poem.tokenRequirement);
-                }
-                return !poem.isTokenGated; // Show non-gated content too
-            });
+        sessionStorage.setItem(key, JSON.stringify({ savedAt: Date.now(), counts }));
+    } catch (e) {
+        // Storage full or unavailable: the counts are simply made again next time
+    }
+}
+
+/**
+ * Counts the facet chips in Firestore, one count query per chip value (values from
+ * facetChipValues over the poems read for the first page, i.e. only the chips that are shown).
+ * Counts are billed reads, so they are kept in sessionStorage per query for FACET_COUNTS_TTL_MS:
+ * going back to a search or restoring the feed does not count again. A chip's count is the number of results after clicking
+ * it, as in computeFacetCounts. A facet is skipped when one of its chips needs a facet checked in
+ * the browser (tags with a term), and every facet when the rating or 'unlocked' filters apply;
+ * facetGroups counts those over the fetched candidates instead.
+ * @returns {Promise<Object<string, Map<string, number>>>} Counts of the facets counted in Firestore.
+ */
+async function countFacetsInFirestore(tokens, filters, selections, mode, poems) {
+    if (filters.token === 'unlocked' || hasClientOnlyFilters(filters)) return {};
+    const cacheKey = facetCountsKey(tokens, filters, mode);
+    const cached = loadCachedFacetCounts(cacheKey);
+    if (cached) return cached;
+
+    const values = facetChipValues(poems, selections);
+    const counted = {};
+    await Promise.all(FACETS.map(async facet => {
+        const chosen = selections[facet.id] || [];
+        const chipQueries = values[facet.id].map(value => pushFacetsToQuery(tokens, filters, {
+            ...selections,
+            [facet.id]: facet.combine === 'all' ? [...new Set([...chosen, value])] : [value]
+        }));
+        if (chipQueries.some(pushed => Object.keys(pushed.remaining).length > 0)) return;
+        const snapshots = await Promise.all(chipQueries.map(pushed =>
+            getCountFromServer(buildSearchQuery(tokens, filters, pushed.clauses, mode))));
+        counted[facet.id] = new Map(values[facet.id].map((value, i) => [value, snapshots[i].data().count]));
+    }));
+    if (Object.keys(counted).length > 0) saveFacetCounts(cacheKey, counted);
+    return counted;
+}
+
+/**
+ * Chip groups: the Firestore counts where there are some, otherwise counts over the candidates
+ * fetched so far.
+ */
+function facetGroups(counted, candidates, filters, selections) {
+    const firestoreGroups = buildFacetGroups(counted, selections);
+    const candidateGroups = computeFacetCounts(matchesQueryFilters(candidates, filters), selections);
+    return FACETS
+        .map(facet => (counted[facet.id] ? firestoreGroups : candidateGroups).find(group => group.id === facet.id))
+        .filter(Boolean);
+}
+
+async function fetchBatch(baseQuery, lastDoc, size) {
+    const querySnapshot = await getDocs(lastDoc
+        ? query(baseQuery, startAfter(lastDoc), limit(size))
+        : query(baseQuery, limit(size)));
+    return {
+        poems: querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+        lastDoc: querySnapshot.docs[querySnapshot.size - 1] || lastDoc,
+        exhausted: querySnapshot.size < size
+    };
+}
+
+/**
+ * Fetches one page of results. Pass the returned cursor back in to continue with the same
+ * filters and sort (see searchMode for how each kind of search is paged).
+ * Passing 'filters.facets' (even {}) turns on facet counts (countFacetsInFirestore, made with the first page).
+ * @param {string} searchTerm - Raw search box text ('' for the plain feed).
+ * @param {object} filters - { theme, sort, geo, token, facets } plus the advanced filters (see hasAdvancedFilters)
+ * @param {number} pageSize - Poems per page.
+ * @param {object|null} cursor - From the previous page, or null for the first page.
+ * @returns {Promise<{poems: Array<object>, cursor: object, hasMore: boolean, plan: object, facets: (Array<object>|null), facetsComplete: boolean}>}
+ *          plan - the expanded query (see expandSearchQuery), for "showing results for" / "did you mean";
+ *          facets - computeFacetCounts groups (search_facets.js), null when not requested;
+ *          facetsComplete - false while some facets are counted over only part of the matches
+ *          (see facetGroups; in 'ranked' mode there may be more than MAX_RANKED_MATCHES).
+ */
+async function executeSearchPage(searchTerm, filters, pageSize = 10, cursor = null) {
+    const plan = cursor?.plan || await expandSearchQuery(searchTerm);
+    const { tokens } = plan;
+    const faceted = !!filters.facets;
+    const selections = facetSelections(filters);
+    const { clauses, remaining } = pushFacetsToQuery(tokens, filters, selections);
+    const mode = searchMode(tokens, filters);
+    const baseQuery = buildSearchQuery(tokens, filters, clauses, mode);
+    const state = cursor || { plan, lastDoc: null, candidates: [], buffer: [], ranked: null, offset: 0, exhausted: false, counted: null };
+
+    if (!cursor && filters.token === 'gated') {
+        window.showToastNotification("டோக்கன் பூட்டப்பட்ட உள்ளடக்கத்தை தேடுகிறது.", 'info');
+    }
+
+    try {
+        let { lastDoc, candidates, exhausted, counted } = state;
+        const facetCounts = async () => {
+            if (!faceted) return { facets: null, facetsComplete: false };
+            // Once every match is loaded the candidates give exact counts and Firestore is not asked;
+            // a failed count (e.g. an index still building) also falls back to counting the candidates
+            counted = counted || (exhausted ? {} : await countFacetsInFirestore(tokens, filters, selections, mode, candidates).catch(error => {
+                console.warn("Facet counts failed:", error);
+                return {};
+            }));
+            return {
+                facets: facetGroups(counted, candidates, filters, selections),
+                facetsComplete: exhausted || FACETS.every(facet => counted[facet.id])
+            };
+        };
+
+        if (mode === 'ordered') {
+            // Firestore's order is final: filter each batch and carry what is left over to the next page
+            const batchSize = needsClientFilter(filters, remaining) ? SEARCH_CANDIDATE_LIMIT : pageSize;
+            let { buffer } = state;
+            while (buffer.length < pageSize && !exhausted) {
+                const batch = await fetchBatch(baseQuery, lastDoc, batchSize);
+                if (faceted) candidates = [...candidates, ...batch.poems];
+                buffer = [...buffer, ...clientFilter(batch.poems, filters, remaining)];
+                ({ lastDoc, exhausted } = batch);
+            }
+            const poems = buffer.slice(0, pageSize);
+            const facets = await facetCounts();
+            return {
+                poems,
+                cursor: { ...state, lastDoc, candidates, buffer: buffer.slice(pageSize), exhausted, counted },
+                hasMore: buffer.length > pageSize || !exhausted,
+                plan,
+                ...facets
+            };
+        }
+
+        // 'ranked': every match (up to MAX_RANKED_MATCHES) is read once and ranked together
+        let { ranked } = state;
+        if (!ranked) {
+            while (!exhausted && candidates.length < MAX_RANKED_MATCHES) {
+                const batch = await fetchBatch(baseQuery, lastDoc, SEARCH_CANDIDATE_LIMIT);
+                candidates = [...candidates, ...batch.poems.map(poem => ({ ...poem, relevance: scorePoem(poem, plan.groups) }))];
+                ({ lastDoc, exhausted } = batch);
+            }
+            ranked = rankSearchResults(clientFilter(candidates, filters, remaining), filters.sort);
         }
-        
-        return poems;
+        const offset = state.offset + pageSize;
+        const poems = ranked.slice(state.offset, offset);
+        const facets = await facetCounts();
+        return {
+            poems,
+            cursor: { ...state, lastDoc, candidates, ranked, offset, exhausted, counted },
+            hasMore: offset < ranked.length,
+            plan,
+            ...facets
+        };
 
     } catch (error) {
         console.error("Firestore Search Query Failed:", error);
-        return [];
+        return { poems: [], cursor: state, hasMore: false, plan, facets: null, facetsComplete: false };
     }
 }
 
+/**
+ * First page only (kept for callers that show a fixed number of poems).
+ * @returns {Promise<Array<object>>} - The poems; with 'filters.facets' set the array also carries
+ *          'facets' and 'facetsComplete' (see executeSearchPage).
+ */
+async function executeSearchQuery(searchTerm, filters, resultLimit = 10) {
+    const page = await executeSearchPage(searchTerm, filters, resultLimit);
+    return Object.assign(page.poems, { facets: page.facets, facetsComplete: page.facetsComplete });
+}
+
+function createResultCard(poem) {
+    const card = document.createElement('div');
+    card.className = 'poem-card';
+    card.setAttribute('onclick', `window.location.href='poem_view?id=${poem.id}'`);
+
+    const tags = poem.tags ? poem.tags.map(tag => `#${tag}`).join(' ') : '';
+    const views = poem.views || 0;
+    const rating = (poem.averageRating || 0).toFixed(1);
+    
+    // FIX: Display Token Gated Status
+    const gatedStatus = poem.isTokenGated ? `<span style="color:${poem.isTokenGated ? '#e74c3c' : '#2ecc71'}; margin-left: 10px;"><i class="fas fa-lock"></i> Token Gated</span>` : '';
+
+    card.innerHTML = `
+        <h3>${poem.title} ${gatedStatus}</h3>
+        <p>${poem.content ? poem.content.substring(0, 100) : 'உள்ளடக்கம் இல்லை'}...</p>
+        <div class="poem-meta">
+            ஆசிரியர்: ${poem.authorName || 'அறியப்படாதவர்'} | 
+            பார்வைகள்: ${views} | 
+            மதிப்பீடு: ${rating} <i class="fas fa-star"></i>
+        </div>
+        <p style="font-size: 0.85em; color: var(--secondary-color);">${tags}</p>
+    `;
+    return card;
+}
+
+/**
+ * "Showing results for காதல் கவிதை" for Tanglish queries and "did you mean" when a query word is not
+ * in the index and the first page is short.
+ */
+function renderInterpretation(page) {
+    if (!searchInterpretation) return;
+    const plan = page?.plan;
+    const fewResults = page && !page.hasMore && page.poems.length < 5;
+    const lines = [];
+    if (plan?.interpretedTerm) {
+        lines.push(`<span><i class="fas fa-language"></i> காட்டப்படும் முடிவுகள்: <strong>${plan.interpretedTerm}</strong></span>`);
+    }
+    if (plan?.suggestion && fewResults) {
+        lines.push(`<span><i class="fas fa-spell-check"></i> இதைத் தேடினீர்களா: <a href="#" onclick="searchForSuggestion('${plan.suggestion}'); return false;">${plan.suggestion}</a></span>`);
+    }
+    searchInterpretation.innerHTML = lines.join('');
+    searchInterpretation.style.display = lines.length ? 'flex' : 'none';
+}
+
+window.searchForSuggestion = function(term) {
+    searchInput.value = term;
+    window.performSearch();
+}
+
+let selectedFacets = {};
+
+/**
+ * Facet chips in the sidebar (#search-facets). Counts grow as more candidate batches load.
+ */
+function renderFacets(page) {
+    if (!searchFacets || !page?.facets) return;
+    searchFacets.innerHTML = '';
+    page.facets.forEach(group => {
+        const groupElement = document.createElement('div');
+        groupElement.className = 'filter-group facet-group';
+        groupElement.innerHTML = `<label>${group.title}</label><div class="facet-chips"></div>`;
+        group.chips.forEach(chip => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `facet-chip${chip.selected ? ' selected' : ''}`;
+            button.dataset.facet = group.id;
+            button.dataset.value = chip.value;
+            button.textContent = chip.label;
+            button.insertAdjacentHTML('beforeend', ` <span class="facet-count">${chip.count}</span>`);
+            groupElement.querySelector('.facet-chips').appendChild(button);
+        });
+        searchFacets.appendChild(groupElement);
+    });
+    if (!page.facetsComplete) {
+        searchFacets.insertAdjacentHTML('beforeend', `<p class="facet-note">முதல் ${page.cursor.candidates.length} பொருத்தங்களின் எண்ணிக்கை.</p>`);
+    }
+}
+
+window.toggleFacet = function(facetId, value) {
+    const chosen = selectedFacets[facetId] || [];
+    const next = chosen.includes(value) ? chosen.filter(item => item !== value) : [...chosen, value];
+    selectedFacets = facetSelections({ facets: { ...selectedFacets, [facetId]: next } });
+    window.performSearch();
+}
+
 /**
  * Renders the search results specifically for the search.html page.
+ * @param {Array<object>} poems - Poems of the page just loaded.
+ * @param {boolean} append - Add below the loaded pages instead of replacing them.
+ * @param {object} [page] - The executeSearchPage result (first page: query interpretation).
  */
-function renderResults(poems) {
+function renderResults(poems, append = false, page = null) {
     if (!poemResultsList) return; 
 
-    poemResultsList.innerHTML = '';
-    resultsCountDisplay.textContent = `தேடல் முடிவுகள்: ${poems.length} கவிதைகள்`;
+    if (!append) renderInterpretation(page);
+    renderFacets(page);
+
+    if (!append) poemResultsList.innerHTML = '';
+    poems.forEach(poem => poemResultsList.appendChild(createResultCard(poem)));
+
+    const loaded = poemResultsList.querySelectorAll('.poem-card').length;
+    resultsCountDisplay.textContent = `தேடல் முடிவுகள்: ${loaded} கவிதைகள்`;
     
-    if (poems.length === 0) {
+    if (loaded === 0) {
         poemResultsList.innerHTML = '<p style="text-align:center; padding: 20px;">உங்கள் தேடலுக்குப் பொருத்தமான கவிதைகள் எதுவும் இல்லை.</p>';
-        return;
-    }
-
-    poems.forEach(poem => {
-        const card = document.createElement('div');
-        card.className = 'poem-card';
-        card.setAttribute('onclick', `window.location.href='poem_view?id=${poem.id}'`);
-
-        const tags = poem.tags ? poem.tags.map(tag => `#${tag}`).join(' ') : '';
-        const views = poem.views || 0;
-        const rating = (poem.averageRating || 0).toFixed(1);
-        
-        // FIX: Display Token Gated Status
-        const gatedStatus = poem.isTokenGated ? `<span style="color:${poem.isTokenGated ? '#e74c3c' : '#2ecc71'}; margin-left: 10px;"><i class="fas fa-lock"></i> Token Gated</span>` : '';
-
-        card.innerHTML = `
-            <h3>${poem.title} ${gatedStatus}</h3>
-            <p>${poem.content ? poem.content.substring(0, 100) : 'உள்ளடக்கம் இல்லை'}...</p>
-            <div class="poem-meta">
-                ஆசிரியர்: ${poem.authorName || 'அறியப்படாதவர்'} | 
-                பார்வைகள்: ${views} | 
-                மதிப்பீடு: ${rating} <i class="fas fa-star"></i>
-            </div>
-            <p style="font-size: 0.85em; color: var(--secondary-color);">${tags}</p>
-        `;
-        poemResultsList.appendChild(card);
-    });
+    }
+}
+
+
+// --- 4. PAGINATION, INFINITE SCROLL & RESTORE ---
+
+/**
+ * Connects a poem list to cursor pagination: the next page loads when the sentinel below the
+ * list nears the viewport, and the number of loaded poems plus the scroll position are kept in
+ * sessionStorage so coming back from a poem shows the same list at the same place.
+ * @param {object} options
+ * @param {string} options.feedId - sessionStorage key suffix ('search', 'home').
+ * @param {function(string, object, number, object|null): Promise<object>} [options.fetchPage] - Defaults to executeSearchPage.
+ * @param {function(Array<object>, boolean, object): void} options.render - Renders a page (append = true after the first).
+ * @param {HTMLElement} options.sentinel - Element placed after the list.
+ * @param {HTMLElement} [options.statusElement] - Shows "loading" / "no more poems".
+ * @param {number} [options.pageSize]
+ * @param {function(number): void} [options.onLoad] - Called with the number of loaded poems after each page.
+ * @returns {{start: function(string, object, number=): Promise<void>, loadMore: function(): Promise<void>, savedSearch: function(): (object|null)}}
+ */
+function createInfiniteFeed({ feedId, fetchPage = executeSearchPage, render, sentinel, statusElement = null, pageSize = SEARCH_PAGE_SIZE, onLoad = null }) {
+    const storageKey = FEED_STATE_PREFIX + feedId;
+    let search = null;
+    let cursor = null;
+    let hasMore = false;
+    let loading = false;
+    let loadedCount = 0;
+    let generation = 0;
+
+    const readState = () => {
+        try { return JSON.parse(sessionStorage.getItem(storageKey)); } catch (e) { return null; }
+    };
+    const saveState = () => {
+        if (!search || loading) return; // a half-loaded list would overwrite the state being restored
+        sessionStorage.setItem(storageKey, JSON.stringify({ ...search, loadedCount, scrollY: window.scrollY }));
+    };
+    const showStatus = () => {
+        if (!statusElement) return;
+        statusElement.innerHTML = loading
+            ? '<i class="fas fa-spinner fa-spin"></i> மேலும் கவிதைகள் ஏற்றப்படுகின்றன...'
+            : (!hasMore && loadedCount > 0 ? 'மேலும் கவிதைகள் இல்லை.' : '');
+    };
+    const nearEnd = () => sentinel && sentinel.getBoundingClientRect().top < window.innerHeight + 600;
+
+    async function loadPage(size, append) {
+        const run = generation;
+        loading = true;
+        showStatus();
+        const page = await fetchPage(search.searchTerm, search.filters, size, cursor);
+        if (run !== generation) return false; // a newer search started meanwhile
+        cursor = page.cursor;
+        hasMore = page.hasMore;
+        loadedCount += page.poems.length;
+        render(page.poems, append, page);
+        loading = false;
+        showStatus();
+        if (onLoad) onLoad(loadedCount);
+        return true;
+    }
+
+    async function loadMore() {
+        if (!search || loading || !hasMore) return;
+        if (await loadPage(pageSize, true)) {
+            saveState();
+            if (nearEnd()) await loadMore();
+        }
+    }
+
+    /**
+     * Starts a new result list (first page), or restores the saved one when the search matches.
+     * @param {number} [minCount=0] - Load at least this many poems at once (a page number from the URL).
+     */
+    async function start(searchTerm, filters, minCount = 0) {
+        generation++;
+        search = { searchTerm, filters };
+        cursor = null;
+        hasMore = false;
+        loading = false;
+        loadedCount = 0;
+
+        const saved = readState();
+        const restoring = saved && saved.searchTerm === searchTerm && JSON.stringify(saved.filters) === JSON.stringify(filters);
+        const firstPageSize = Math.max(pageSize, restoring ? saved.loadedCount : 0, minCount);
+        if (!await loadPage(firstPageSize, false)) return;
+
+        if (restoring && saved.scrollY) window.scrollTo(0, saved.scrollY);
+        saveState();
+        if (nearEnd()) await loadMore();
+    }
+
+    if (sentinel && 'IntersectionObserver' in window) {
+        new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) loadMore();
+        }, { rootMargin: '600px 0px' }).observe(sentinel);
+    }
+    let scrollTimer = null;
+    window.addEventListener('scroll', () => {
+        clearTimeout(scrollTimer);
+        scrollTimer = setTimeout(saveState, 200);
+    }, { passive: true });
+    window.addEventListener('pagehide', saveState);
+    if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+
+    return { start, loadMore, savedSearch: readState };
+}
+
+let searchFeed = null;
+
+let selectedAuthor = null; // { uid, handle } resolved from #filter-author
+
+function currentFilters() {
+    return {
+        sort: filterSort.value,
+        token: filterToken.value,
+        facets: selectedFacets,
+        authorId: selectedAuthor?.uid || '',
+        authorHandle: selectedAuthor?.handle || '',
+        seriesId: filterSeries?.value || '',
+        dateFrom: filterDateFrom?.value || '',
+        dateTo: filterDateTo?.value || '',
+        hasAudio: !!filterAudio?.checked,
+        minRating: Number(filterMinRating?.value) || 0,
+        minRatings: Number(filterMinRatings?.value) || 0
+    };
+}
+
+/**
+ * Fills the series dropdown with the chosen author's series (a series filter needs an author first).
+ */
+async function populateSeriesFilter(authorId, selectedId = '') {
+    if (!filterSeries) return;
+    const firstOption = `<option value="">${authorId ? 'அனைத்துத் தொடர்களும்' : 'முதலில் ஆசிரியரைத் தேர்ந்தெடுக்கவும்'}</option>`;
+    // A restored series stays selected while the author's list loads
+    filterSeries.innerHTML = firstOption + (selectedId ? `<option value="${selectedId}" selected>...</option>` : '');
+    filterSeries.disabled = !authorId;
+    if (!authorId) return;
+    try {
+        const seriesList = await loadAuthorSeries(authorId);
+        filterSeries.innerHTML = firstOption + seriesList.map(series => `<option value="${series.id}">${series.title}</option>`).join('');
+        filterSeries.value = selectedId;
+    } catch (error) {
+        console.error("Error loading series for filter:", error);
+    }
+}
+
+/**
+ * Resolves the author box (@handle or e-mail, as in the co-author field) and searches.
+ */
+window.applyAuthorFilter = async function() {
+    const handle = filterAuthor.value.trim();
+    if (!handle) {
+        selectedAuthor = null;
+    } else {
+        const user = await findUserByHandle(handle);
+        if (!user) {
+            window.showToastNotification(`"${handle}" என்ற கவிஞர் கிடைக்கவில்லை.`, 'warning');
+            return;
+        }
+        selectedAuthor = { uid: user.uid, handle };
+    }
+    await populateSeriesFilter(selectedAuthor?.uid);
+    window.performSearch();
+}
+
+/**
+ * Writes the search into the address bar. New searches and filter changes add a history entry
+ * ('push'); the initial load and further pages only rewrite the current one ('replace').
+ * @param {'push'|'replace'|'none'} mode
+ */
+function syncSearchUrl(searchTerm, filters, loadedCount, mode) {
+    if (mode === 'none') return;
+    const page = Math.max(1, Math.ceil(loadedCount / SEARCH_PAGE_SIZE));
+    const query = searchStateToParams(searchTerm, filters, page).toString();
+    if (`?${query}` === window.location.search || (!query && !window.location.search)) return;
+
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}`;
+    if (mode === 'push') history.pushState(null, '', url);
+    else history.replaceState(null, '', url);
+}
+
+/**
+ * Puts a search back into the box, dropdowns, chips and advanced filters.
+ * @param {{searchTerm: string, filters: object}} state - From the URL or the saved feed state.
+ */
+function applySearchState({ searchTerm, filters }) {
+    searchInput.value = searchTerm || '';
+    filterSort.value = filters.sort || 'relevance-desc';
+    filterToken.value = filters.token === 'unlocked' ? 'unlocked' : 'none';
+    selectedFacets = facetSelections(filters);
+    restoreAdvancedFilters(filters);
 }
 
 /**
  * Collects filters and initiates the search (Used by search.html).
+ * @param {object} [options]
+ * @param {'push'|'replace'|'none'} [options.historyMode='push'] - How the URL is updated (see syncSearchUrl).
+ * @param {number} [options.page=1] - Pages to load at once (restoring a URL's 'page').
  */
-window.performSearch = async function() {
-    if (!searchInput) return; 
+window.performSearch = async function({ historyMode = 'push', page = 1 } = {}) {
+    if (!searchInput || !searchFeed) return; 
 
     poemResultsList.innerHTML = '<p style="text-align:center; padding: 20px;"><i class="fas fa-spinner fa-spin"></i> கவிதைகளைத் தேடுகிறது...</p>';
     resultsCountDisplay.textContent = `தேடல் முடிவுகள்: ஏற்றுகிறது...`;
     
-    const searchTerm = searchInput.value.trim().toLowerCase();
-    
-    const filters = {
-        theme: filterTheme.value,
-        sort: filterSort.value,
-        geo: filterGeo.value,
-        token: filterToken.value
-    };
-    
-    const results = await executeSearchQuery(searchTerm, filters, 50); // Limit 50 for search page
-    renderResults(results);
+    // Case and punctuation are normalised by search_index.js
+    const searchTerm = searchInput.value.trim();
+    const filters = currentFilters();
+    syncSearchUrl(searchTerm, filters, page * SEARCH_PAGE_SIZE, historyMode);
+    await searchFeed.start(searchTerm, filters, page * SEARCH_PAGE_SIZE);
+}
+
+window.saveCurrentSearch = async function() {
+    if (!searchInput) return;
+    await saveSearch(searchInput.value.trim(), currentFilters());
 }
 
 window.applyFilters = function() {
@@ -176,40 +793,94 @@ window.applyFilters = function() {
 
 window.resetFilters = function() {
     searchInput.value = '';
-    if (filterTheme) filterTheme.value = 'all';
-    if (filterSort) filterSort.value = 'date-desc';
-    if (filterGeo) filterGeo.value = 'global';
+    if (filterSort) filterSort.value = 'relevance-desc';
     if (filterToken) filterToken.value = 'none';
+    selectedFacets = {};
+    selectedAuthor = null;
+    if (filterAuthor) filterAuthor.value = '';
+    populateSeriesFilter(null);
+    [filterDateFrom, filterDateTo, filterMinRating, filterMinRatings].forEach(input => { if (input) input.value = ''; });
+    if (filterAudio) filterAudio.checked = false;
     window.performSearch();
 }
 
 
-// --- 4. NEW UX/UTILITY FUNCTIONS ---
+function restoreAdvancedFilters(filters) {
+    selectedAuthor = filters.authorId ? { uid: filters.authorId, handle: filters.authorHandle || '' } : null;
+    if (filterAuthor) filterAuthor.value = filters.authorHandle || '';
+    populateSeriesFilter(filters.authorId, filters.seriesId || '');
+    if (filterDateFrom) filterDateFrom.value = filters.dateFrom || '';
+    if (filterDateTo) filterDateTo.value = filters.dateTo || '';
+    if (filterAudio) filterAudio.checked = !!filters.hasAudio;
+    if (filterMinRating) filterMinRating.value = filters.minRating || '';
+    if (filterMinRatings) filterMinRatings.value = filters.minRatings || '';
+}
+
+
+// --- 5. NEW UX/UTILITY FUNCTIONS ---
 
 /**
- * 5. Real-time Translation (Placeholder)
+ * 5. Real-time Translation of free text with the active provider (translation.js).
+ * Poems should use translatePoem instead, which caches the result and prefers human translations.
  * @param {string} text - The text to translate.
  * @param {string} targetLang - The target language (e.g., 'en', 'ta').
+ * @returns {Promise<string>} - Translated text, line for line (the original text if translation fails).
  */
-window.realTimeTranslate = async function(text, targetLang) {
+async function realTimeTranslate(text, targetLang) {
     if (targetLang === 'ta') {
         window.showToastNotification("மொழிபெயர்ப்புத் தேவை இல்லை. (ஏற்கனவே தமிழில் உள்ளது)", 'info');
         return text;
     }
-    
-    window.showToastNotification(`API மூலம் '${targetLang}' மொழியில் மொழிபெயர்க்கிறது... (Backend API Call Required)`, 'info');
-    
-    // MOCK Translation:
-    return `[மொழிபெயர்க்கப்பட்டது: ${text.substring(0, 20)}... in ${targetLang}]`;
+
+    try {
+        const translation = await translateLines(text.split('\n'), targetLang);
+        return translation.lines.join('\n');
+    } catch (error) {
+        console.error("Translation failed:", error);
+        window.showToastNotification("மொழிபெயர்ப்பு சேவையை அணுக முடியவில்லை.", 'error');
+        return text;
+    }
 }
+window.realTimeTranslate = realTimeTranslate;
 
 
-// --- 5. INITIALIZATION ---
+// --- 6. INITIALIZATION ---
 
 document.addEventListener('DOMContentLoaded', () => {
-    if (window.location.pathname.includes('search.html')) {
+    if (poemResultsList && searchInput) {
+        searchFeed = createInfiniteFeed({
+            feedId: 'search',
+            render: renderResults,
+            sentinel: document.getElementById('search-results-sentinel'),
+            statusElement: document.getElementById('search-results-status'),
+            // Keep the URL's page number in step with the loaded list
+            onLoad: (loadedCount) => syncSearchUrl(searchInput.value.trim(), currentFilters(), loadedCount, 'replace')
+        });
+
+        // A shared or reloaded link wins; otherwise refill the box and filters with the search
+        // that was showing before a visit to a poem
+        const params = new URLSearchParams(window.location.search);
+        const initial = hasSearchParams(params) ? searchStateFromParams(params) : searchFeed.savedSearch();
+        if (initial?.filters) {
+            applySearchState(initial);
+        } else {
+            populateSeriesFilter(null);
+        }
+
+        // Back / Forward between searches
+        window.addEventListener('popstate', () => {
+            const state = searchStateFromParams(new URLSearchParams(window.location.search));
+            applySearchState(state);
+            window.performSearch({ historyMode: 'none', page: state.page });
+        });
+
+        searchFacets?.addEventListener('click', (e) => {
+            const chip = e.target.closest('.facet-chip');
+            if (chip) window.toggleFacet(chip.dataset.facet, chip.dataset.value);
+        });
+
         auth.onAuthStateChanged(() => {
-            window.performSearch();
+            window.performSearch({ historyMode: 'replace', page: initial?.page || 1 });
         });
     }
     
@@ -224,5 +895,5 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 
-// --- 6. EXPORTS (CRUCIAL for index.html) ---
-export { executeSearchQuery, renderResults, realTimeTranslate };
+// --- 7. EXPORTS (CRUCIAL for index.html) ---
+export { executeSearchQuery, executeSearchPage, createInfiniteFeed, renderResults, realTimeTranslate };
@@ -0,0 +1,199 @@
+/*
+ * File: search_facets.js
+ * Description: தேடல் முகப்புகள் (Search Facets) - theme, author, license, media, token and place counts.
+ * Integrates: search.js (counts over the fetched matches, chip selection on search.html),
+ *             licenses.js (license names), saved_searches.js (selected facets saved with a search),
+ *             functions/index.js (applies the same matching rules to saved-search alerts).
+ * Purpose: Shows how many poems each filter choice returns before the user clicks it.
+ * FIX: search.js can count the chips in Firestore (facetChipValues, buildFacetGroups).
+ * FIX: Only chips found on the loaded poems are counted; a fixed list of known values per facet cost a query each.
+ */
+
+// --- 1. IMPORTS & FACET DEFINITIONS ---
+import { LICENSES, resolveLicenseId, getLicense, DEFAULT_LICENSE_ID } from "./licenses.js";
+
+const THEME_LABELS = { love: 'காதல்', nature: 'இயற்கை', social: 'சமூகம்', web3: 'Web3' };
+const GEO_LABELS = { global: 'உலகளாவிய', tamilnadu: 'தமிழ்நாடு', srilanka: 'இலங்கை' };
+const MEDIA_LABELS = { audio: 'ஒலி வாசிப்பு உள்ளது', image: 'படம் உள்ளது' };
+const TOKEN_LABELS = { gated: 'டோக்கன் பூட்டப்பட்டது', open: 'திறந்த உள்ளடக்கம்' };
+
+/**
+ * Facets shown on search.html, in display order.
+ *  values  - the facet values a poem has (a poem may have several tags)
+ *  label   - chip text for a value
+ *  combine - 'any': choosing several values widens the results (love OR nature);
+ *            'all': every chosen value is required (audio AND image)
+ *  maxChips - most common values shown (chosen values are always shown)
+ */
+const FACETS = [
+    {
+        id: 'tag',
+        title: 'தலைப்பு / தீம்',
+        values: poem => poem.tags || [],
+        label: value => THEME_LABELS[value] || `#${value}`,
+        combine: 'any',
+        maxChips: 12
+    },
+    {
+        id: 'author',
+        title: 'ஆசிரியர்',
+        values: poem => poem.authorName ? [poem.authorName] : [],
+        label: value => value,
+        combine: 'any',
+        maxChips: 8
+    },
+    {
+        id: 'license',
+        title: 'உரிமம்',
+        values: poem => [resolveLicenseId(poem.license) || DEFAULT_LICENSE_ID],
+        label: value => getLicense(value).shortName,
+        combine: 'any'
+    },
+    {
+        id: 'media',
+        title: 'ஊடகம்',
+        values: poem => Object.keys(MEDIA_LABELS).filter(value => hasMedia(poem, value)),
+        label: value => MEDIA_LABELS[value] || value,
+        combine: 'all'
+    },
+    {
+        id: 'gated',
+        title: 'டோக்கன் கட்டுப்பாடு',
+        values: poem => [poem.isTokenGated ? 'gated' : 'open'],
+        label: value => TOKEN_LABELS[value] || value,
+        combine: 'any'
+    },
+    {
+        id: 'location',
+        title: 'புவியியல் இலக்கு',
+        values: poem => poem.location ? [poem.location] : [],
+        label: value => GEO_LABELS[value] || value,
+        combine: 'any'
+    }
+];
+
+/**
+ * 'hasAudio' / 'hasImage' are written by content.js; older poems only have the media URLs.
+ */
+function hasMedia(poem, kind) {
+    if (kind === 'audio') return poem.hasAudio ?? !!poem.media?.audioUrl;
+    if (kind === 'image') return poem.hasImage ?? !!poem.media?.imageUrl;
+    return false;
+}
+
+
+// --- 2. SELECTION & MATCHING ---
+
+/**
+ * Chosen facet values from a filters object, in FACETS order with empty facets dropped.
+ * Filters saved before facets existed (theme, geo, token 'gated') are read as the matching facets.
+ * @param {object} filters - { facets: { tag: ['love'], media: ['audio'], ... }, theme, geo, token }
+ * @returns {Object<string, Array<string>>}
+ */
+function facetSelections(filters = {}) {
+    const chosen = { ...(filters.facets || {}) };
+    if (filters.theme && filters.theme !== 'all') chosen.tag = [...new Set([...(chosen.tag || []), filters.theme])];
+    if (filters.geo && filters.geo !== 'global') chosen.location = [...new Set([...(chosen.location || []), filters.geo])];
+    if (filters.token === 'gated') chosen.gated = ['gated'];
+
+    const selections = {};
+    FACETS.forEach(facet => {
+        if (chosen[facet.id]?.length) selections[facet.id] = [...chosen[facet.id]];
+    });
+    return selections;
+}
+
+/**
+ * @param {object} poem
+ * @param {Object<string, Array<string>>} selections - From facetSelections.
+ * @param {string|null} exceptFacet - Ignore this facet's selection (used for its own counts).
+ */
+function matchesFacets(poem, selections, exceptFacet = null) {
+    return FACETS.every(facet => {
+        const chosen = selections[facet.id];
+        if (!chosen?.length || facet.id === exceptFacet) return true;
+        const values = facet.values(poem);
+        return facet.combine === 'all'
+            ? chosen.every(value => values.includes(value))
+            : chosen.some(value => values.includes(value));
+    });
+}
+
+function filterByFacets(poems, selections) {
+    return poems.filter(poem => matchesFacets(poem, selections));
+}
+
+
+// --- 3. COUNTS ---
+
+/**
+ * Counts each facet value over the poems. A value's count is the number of results the user
+ * would see after clicking it: for 'any' facets the facet's own selection is left out (so other
+ * themes still show what they would add), for 'all' facets it is kept.
+ * @param {Array<object>} poems - Every fetched match (before facet filtering).
+ * @param {Object<string, Array<string>>} selections - From facetSelections.
+ * @returns {Array<{id: string, title: string, chips: Array<{value: string, label: string, count: number, selected: boolean}>}>}
+ */
+function computeFacetCounts(poems, selections) {
+    const counts = {};
+    FACETS.forEach(facet => {
+        const pool = poems.filter(poem => matchesFacets(poem, selections, facet.combine === 'all' ? null : facet.id));
+        counts[facet.id] = new Map();
+        pool.forEach(poem => {
+            new Set(facet.values(poem)).forEach(value => counts[facet.id].set(value, (counts[facet.id].get(value) || 0) + 1));
+        });
+    });
+    return buildFacetGroups(counts, selections);
+}
+
+/**
+ * The chips search.html will show for each facet, which search.js counts in Firestore: the chosen
+ * values and the values found on the poems already loaded (most frequent first, up to maxChips).
+ * Values no loaded poem has are not offered, so they cost no count queries.
+ * @param {Array<object>} poems - A loaded page of results.
+ * @param {Object<string, Array<string>>} selections - From facetSelections.
+ * @returns {Object<string, Array<string>>}
+ */
+function facetChipValues(poems, selections) {
+    const values = {};
+    FACETS.forEach(facet => {
+        const seen = new Map();
+        poems.forEach(poem => facet.values(poem).forEach(value => seen.set(value, (seen.get(value) || 0) + 1)));
+        const found = [...seen.keys()].sort((a, b) => seen.get(b) - seen.get(a));
+        const all = [...new Set([...(selections[facet.id] || []), ...found])];
+        values[facet.id] = facet.maxChips ? all.slice(0, Math.max(facet.maxChips, (selections[facet.id] || []).length)) : all;
+    });
+    return values;
+}
+
+/**
+ * Chip groups for search.html from per-facet counts (computed here or counted in Firestore).
+ * Values with no results are dropped unless chosen.
+ * @param {Object<string, Map<string, number>>} counts - Facet id -> value -> count.
+ * @param {Object<string, Array<string>>} selections - From facetSelections.
+ * @returns {Array<{id: string, title: string, chips: Array<{value: string, label: string, count: number, selected: boolean}>}>}
+ */
+function buildFacetGroups(counts, selections) {
+    return FACETS.map(facet => {
+        const chosen = selections[facet.id] || [];
+        const facetCounts = new Map(chosen.map(value => [value, 0]));
+        (counts[facet.id] || new Map()).forEach((count, value) => facetCounts.set(value, count));
+
+        const chips = [...facetCounts.entries()]
+            .map(([value, count]) => ({ value, label: facet.label(value), count, selected: chosen.includes(value) }))
+            .filter(chip => chip.count > 0 || chip.selected)
+            .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label, 'ta'));
+        const shown = facet.maxChips ? chips.filter((chip, i) => i < facet.maxChips || chip.selected) : chips;
+        return { id: facet.id, title: facet.title, chips: shown };
+    }).filter(group => group.chips.length > 0);
+}
+
+/**
+ * Short text for the chosen facets, e.g. "காதல் · இலங்கை" (saved search names and settings).
+ */
+function facetSummary(selections) {
+    return FACETS.flatMap(facet => (selections[facet.id] || []).map(facet.label)).join(' · ');
+}
+
+// --- 4. EXPORTS ---
+export { FACETS, facetSelections, matchesFacets, filterByFacets, computeFacetCounts, facetChipValues, buildFacetGroups, facetSummary };
@@ -0,0 +1,192 @@
+/*
+ * File: search_index.js
+ * Description: தமிழ்த் தேடல் அட்டவணை (Tamil-aware Search Index) - tokens written with each poem.
+ * Integrates: content.js (searchTokens at save time), search.js (array-contains-any query + ranking),
+ *             admin.js (rebuild the index for older poems), search_spelling.js (phonetic keys for
+ *             Tanglish and misspelt queries).
+ * Purpose: Any word of the title, content or tags finds the poem, regardless of case, punctuation,
+ *          decomposed vowel signs or a prefix typed mid-word.
+ */
+
+const MIN_TOKEN_LENGTH = 2;      // code points; drops lone letters and stray vowel signs
+const MIN_PREFIX_GRAPHEMES = 2;
+const MAX_SEARCH_TOKENS = 600;   // keeps long poems well inside Firestore's per-document index limits
+const MAX_QUERY_TOKENS = 30;     // array-contains-any limit
+
+// Alternative spellings of the same letters, folded before tokenising
+const VARIANT_FOLDS = [
+    [/\u0BB6\u0BCD\u0BB0\u0BC0/g, '\u0BB8\u0BCD\u0BB0\u0BC0'],  // ஶ்ரீ -> ஸ்ரீ
+    [/\u0B92\u0BD7/g, '\u0B94']                                  // ஒ + AU length mark -> ஔ
+];
+
+// Letters readers (and Tanglish) confuse, folded to one letter in the phonetic key; vowel length
+// is dropped too because "kadhal" and "kaadhal" are both common spellings of காதல்
+const PHONETIC_FOLDS = [
+    [/[ளழ]/g, 'ல'],
+    [/[ணந]/g, 'ன'],
+    [/ற/g, 'ர'],
+    [/[ஜஸஷ]/g, 'ச'],
+    [/ா/g, ''], [/ீ/g, 'ி'], [/ூ/g, 'ு'], [/ே/g, 'ெ'], [/ோ/g, 'ொ'],
+    [/ஆ/g, 'அ'], [/ஈ/g, 'இ'], [/ஊ/g, 'உ'], [/ஏ/g, 'எ'], [/ஓ/g, 'ஒ']
+];
+const PHONETIC_PREFIX = '~';
+
+
+// --- 1. NORMALISATION ---
+
+/**
+ * Lowercases, folds vowel-sign variants and replaces punctuation with spaces.
+ * A prefix vowel sign typed before its consonant (visual order: "ெக") is moved after it,
+ * and NFC then joins split two-part signs (ெ + ா -> ொ).
+ */
+function normalizeTamilText(text) {
+    let normalized = (text || '')
+        .replace(/[\u200B-\u200D\uFEFF]/g, '')
+        .replace(/(^|[^\u0B95-\u0BB9])([\u0BC6-\u0BC8])([\u0B95-\u0BB9])/g, '$1$3$2')
+        .normalize('NFC')
+        .toLowerCase();
+    VARIANT_FOLDS.forEach(([pattern, replacement]) => { normalized = normalized.replace(pattern, replacement); });
+    return normalized
+        .replace(/[^\u0B80-\u0BFFa-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Splits a word into Tamil grapheme clusters (a letter with its vowel sign or pulli), so prefixes
+ * never separate a consonant from its sign. Done with a fixed rule rather than Intl.Segmenter so the
+ * tokens written by one browser match the queries of another.
+ */
+function splitGraphemes(word) {
+    return word.match(/[^\u0BBE-\u0BCD\u0BD7][\u0BBE-\u0BCD\u0BD7]*|[\u0BBE-\u0BCD\u0BD7]+/g) || [];
+}
+
+/**
+ * Normalised words of a text (duplicates kept, for counting).
+ */
+function tokenize(text) {
+    return normalizeTamilText(text).split(' ').filter(word => word.length >= MIN_TOKEN_LENGTH);
+}
+
+/**
+ * Spelling-insensitive form of a normalised word (ல/ள/ழ, ன/ண/ந, ர/ற and vowel length folded).
+ * Stored in 'searchTokens' as "~key" for Tamil words.
+ */
+function phoneticKey(word) {
+    return PHONETIC_FOLDS.reduce((key, [pattern, replacement]) => key.replace(pattern, replacement), word);
+}
+
+function isTamilWord(word) {
+    return /[\u0B80-\u0BFF]/.test(word);
+}
+
+function prefixesOf(word) {
+    const graphemes = splitGraphemes(word);
+    const prefixes = [];
+    for (let i = MIN_PREFIX_GRAPHEMES; i < graphemes.length; i++) prefixes.push(graphemes.slice(0, i).join(''));
+    return prefixes.filter(prefix => prefix.length >= MIN_TOKEN_LENGTH);
+}
+
+
+// --- 2. INDEX TOKENS ---
+
+/**
+ * Whole normalised words of a poem (title, tags, author, content), without duplicates.
+ * @param {object} poem - { title, content, tags, authorName }
+ * @returns {Array<string>}
+ */
+function poemWords({ title = '', content = '', tags = [], authorName = '' }) {
+    return [...new Set([
+        ...tokenize(title),
+        ...tags.flatMap(tag => tokenize(tag)),
+        ...tokenize(authorName),
+        ...tokenize(content)
+    ])];
+}
+
+/**
+ * Builds the 'searchTokens' array stored on each poem: whole words first (title, tags, author,
+ * content), then "~" phonetic keys of the Tamil words, then grapheme prefixes for search-as-you-type.
+ * @param {object} poem - { title, content, tags, authorName }
+ * @returns {Array<string>}
+ */
+function buildSearchTokens(poem) {
+    const words = poemWords(poem);
+    const keys = words.filter(isTamilWord).map(word => PHONETIC_PREFIX + phoneticKey(word));
+    const prefixes = words.flatMap(prefixesOf);
+    return [...new Set([...words, ...keys, ...prefixes])].slice(0, MAX_SEARCH_TOKENS);
+}
+
+/**
+ * Query words for array-contains-any.
+ * @param {string} term - Raw search box text.
+ * @returns {Array<string>}
+ */
+function searchQueryTokens(term) {
+    return [...new Set(tokenize(term))].slice(0, MAX_QUERY_TOKENS);
+}
+
+
+// --- 3. RELEVANCE ---
+
+function fieldScore(words, token, exactWeight, prefixWeight) {
+    // "~key" tokens match any spelling with the same phonetic key, a little below an exact match
+    if (token.startsWith(PHONETIC_PREFIX)) {
+        const key = token.slice(PHONETIC_PREFIX.length);
+        return words.some(word => phoneticKey(word) === key) ? exactWeight * 0.8 : 0;
+    }
+    let best = 0;
+    for (const word of words) {
+        if (word === token) return exactWeight;
+        if (word.startsWith(token)) best = prefixWeight;
+    }
+    return best;
+}
+
+/**
+ * Scores a fetched poem against the query words. Title matches weigh most, then tags, author and
+ * content; repeated words in the content add a little. 'matched' counts query words found anywhere.
+ * @param {object} poem - Poem document data.
+ * @param {Array<string|Array<string>>} tokens - From searchQueryTokens, or one array of alternative
+ *        spellings per query word (search_spelling.js); a word scores its best alternative.
+ * @returns {{score: number, matched: number}}
+ */
+function scorePoem(poem, tokens) {
+    const titleWords = tokenize(poem.title);
+    const tagWords = (poem.tags || []).flatMap(tag => tokenize(tag));
+    const authorWords = tokenize(poem.authorName);
+    const contentWords = tokenize(poem.content);
+
+    const tokenScore = (token) => {
+        const occurrences = contentWords.filter(word => word === token).length;
+        return fieldScore(titleWords, token, 5, 3) +
+            fieldScore(tagWords, token, 4, 2) +
+            fieldScore(authorWords, token, 2, 1) +
+            fieldScore(contentWords, token, 1, 0.5) + Math.min(occurrences, 5) * 0.2;
+    };
+
+    let score = 0;
+    let matched = 0;
+    tokens.forEach(group => {
+        const alternatives = Array.isArray(group) ? group : [group];
+        const groupScore = Math.max(...alternatives.map(tokenScore));
+        if (groupScore > 0) matched++;
+        score += groupScore;
+    });
+    return { score: Math.round(score * 100) / 100, matched };
+}
+
+// --- 4. EXPORTS ---
+export {
+    normalizeTamilText,
+    splitGraphemes,
+    tokenize,
+    phoneticKey,
+    isTamilWord,
+    poemWords,
+    buildSearchTokens,
+    searchQueryTokens,
+    scorePoem,
+    PHONETIC_PREFIX,
+    MAX_QUERY_TOKENS
+};
+
@@ -0,0 +1,212 @@
+/*
+ * File: search_spelling.js
+ * Description: எழுத்துப்பிழை பொறுக்கும் தேடல் (Phonetic & Typo-tolerant Search) - query expansion.
+ * Integrates: tanglish_ime.js (Tanglish -> Tamil candidates), search_index.js (normalisation, phonetic keys),
+ *             Firestore 'search_vocabulary' (indexed words, sharded by first phonetic letter and key length),
+ *             search.js ("showing results for" / "did you mean"), admin.js (vocabulary upkeep on approval).
+ * Purpose: "kadhal", "amma kavithai" or "காதள்" still find poems about காதல்.
+ * FIX: Shards are keyed by first letter and phonetic key length (a lookup reads only the lengths
+ *      within edit distance), 'words' is exempt from indexing, and vocabulary errors never fail an approval.
+ */
+
+// --- 1. FIREBASE IMPORTS & CONFIGURATION ---
+import { db } from "./auth.js";
+import {
+    doc,
+    getDoc,
+    setDoc,
+    arrayUnion
+} from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { getSuggestions } from "./tanglish_ime.js";
+import { tokenize, phoneticKey, isTamilWord, poemWords, PHONETIC_PREFIX, MAX_QUERY_TOKENS } from "./search_index.js";
+
+const MAX_TANGLISH_CANDIDATES = 3;   // Tamil spellings tried per Latin word
+const MAX_FUZZY_MATCHES = 3;         // vocabulary words within edit distance added per reading
+
+const vocabularyShards = new Map();  // shard id -> Promise<Set<string>> (cached for the session)
+// 'words' is exempt from indexing (firestore.indexes.json), so a shard is bounded only by the
+// 1 MiB document limit; a first letter and key length hold a few thousand words at most.
+
+
+// --- 2. EDIT DISTANCE & VOCABULARY ---
+
+/**
+ * Levenshtein distance over code points.
+ */
+function levenshtein(a, b) {
+    const left = [...a];
+    const right = [...b];
+    let previous = Array.from({ length: right.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= left.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= right.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (left[i - 1] === right[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[right.length];
+}
+
+/**
+ * Edits tolerated for a word: none for very short words (the phonetic key already covers
+ * ல/ள/ழ-style confusions), one for ordinary words, two for long ones.
+ */
+function maxEdits(word) {
+    const length = [...word].length;
+    if (length <= 3) return 0;
+    return length <= 7 ? 1 : 2;
+}
+
+/**
+ * Shard for a phonetic key: its first letter and length, e.g. 'க_5'.
+ */
+function vocabularyShardId(key) {
+    const letters = [...key];
+    return letters.length ? `${letters[0]}_${letters.length}` : null;
+}
+
+/**
+ * Shards that can hold a word within edit distance of this key (the same first letter, and a
+ * length at most maxEdits away).
+ */
+function nearbyShardIds(key) {
+    const letters = [...key];
+    if (!letters.length) return [];
+    const edits = maxEdits(key);
+    const ids = [];
+    for (let length = Math.max(1, letters.length - edits); length <= letters.length + edits; length++) {
+        ids.push(`${letters[0]}_${length}`);
+    }
+    return ids;
+}
+
+function loadVocabularyShard(shardId) {
+    if (!vocabularyShards.has(shardId)) {
+        vocabularyShards.set(shardId, getDoc(doc(db, "search_vocabulary", shardId))
+            .then(shardSnap => new Set(shardSnap.exists() ? shardSnap.data().words || [] : []))
+            .catch(error => {
+                console.error("Error loading search vocabulary:", error);
+                return new Set();
+            }));
+    }
+    return vocabularyShards.get(shardId);
+}
+
+/**
+ * Indexed words closest to a word, compared by phonetic key and then by spelling.
+ * @returns {Promise<{exact: boolean, matches: Array<string>}>}
+ */
+async function closestVocabularyWords(word) {
+    const key = phoneticKey(word);
+    const shardId = vocabularyShardId(key);
+    if (!shardId) return { exact: false, matches: [] };
+    if ((await loadVocabularyShard(shardId)).has(word)) return { exact: true, matches: [] };
+
+    const limit = maxEdits(key);
+    const matches = [];
+    const shards = await Promise.all(nearbyShardIds(key).map(loadVocabularyShard));
+    shards.forEach(vocabulary => vocabulary.forEach(candidate => {
+        const keyDistance = levenshtein(key, phoneticKey(candidate));
+        if (keyDistance <= limit) matches.push({ candidate, keyDistance, distance: levenshtein(word, candidate) });
+    }));
+    matches.sort((a, b) => a.keyDistance - b.keyDistance || a.distance - b.distance);
+    return { exact: false, matches: matches.slice(0, MAX_FUZZY_MATCHES).map(match => match.candidate) };
+}
+
+/**
+ * Adds a newly approved poem's words to the vocabulary shards used for "did you mean".
+ * Failures are logged and reported, never thrown: the vocabulary is a search aid and must not
+ * stop an approval.
+ * @param {object} poem - Poem document data.
+ * @returns {Promise<boolean>} - false when a shard could not be updated.
+ */
+async function updateSearchVocabulary(poem) {
+    const shards = {};
+    poemWords(poem).forEach(word => {
+        const shardId = vocabularyShardId(phoneticKey(word));
+        if (!shardId) return;
+        (shards[shardId] = shards[shardId] || []).push(word);
+    });
+    try {
+        await Promise.all(Object.entries(shards).map(([shardId, words]) =>
+            setDoc(doc(db, "search_vocabulary", shardId), { words: arrayUnion(...words) }, { merge: true })
+        ));
+        return true;
+    } catch (error) {
+        console.error("Error updating search vocabulary:", error);
+        return false;
+    }
+}
+
+
+// --- 3. QUERY EXPANSION ---
+
+/**
+ * Turns the search box text into the tokens to query and the alternatives to score with.
+ * Latin words are read as Tanglish (the IME's top spellings are tried as well as the word itself);
+ * each Tamil reading adds its phonetic key and the closest indexed words.
+ * @param {string} term - Raw search box text.
+ * @returns {Promise<{tokens: Array<string>, groups: Array<Array<string>>, interpretedTerm: (string|null), suggestion: (string|null)}>}
+ *          interpretedTerm - the Tamil reading of a Tanglish query ("showing results for");
+ *          suggestion - the query with unknown words replaced by their closest indexed word ("did you mean").
+ */
+async function expandSearchQuery(term) {
+    const groups = [];
+    const interpreted = [];
+    const suggested = [];
+    let transliterated = false;
+    let corrected = false;
+
+    for (const word of [...new Set(tokenize(term))]) {
+        const isLatin = /^[a-z]+$/.test(word);
+        const readings = isLatin
+            ? [...new Set(getSuggestions(word).slice(0, MAX_TANGLISH_CANDIDATES).flatMap(tokenize))]
+            : [word];
+        const alternatives = new Set([word, ...readings]);
+        readings.filter(isTamilWord).forEach(reading => alternatives.add(PHONETIC_PREFIX + phoneticKey(reading)));
+
+        // Fuzzy matches of every reading are searched
+        const closest = await Promise.all(readings.map(closestVocabularyWords));
+        closest.forEach(({ matches }) => matches.forEach(match => alternatives.add(match)));
+        groups.push([...alternatives]);
+
+        if (isLatin) {
+            // Read as Tanglish only when the Latin word is not itself indexed ("love") and a Tamil
+            // reading, or a close indexed word, is
+            const latinIndexed = (await closestVocabularyWords(word)).exact;
+            const knownReading = readings[closest.findIndex(result => result.exact)];
+            const nearReading = closest.find(result => result.matches.length)?.matches[0];
+            const reading = latinIndexed ? null : knownReading || nearReading;
+            if (reading) transliterated = true;
+            interpreted.push(reading || word);
+            suggested.push(reading || word);
+        } else {
+            const nearWord = closest[0].exact ? null : closest[0].matches[0];
+            if (nearWord) corrected = true;
+            interpreted.push(word);
+            suggested.push(nearWord || word);
+        }
+    }
+
+    // array-contains-any takes at most MAX_QUERY_TOKENS values; share them out word by word
+    const tokens = [];
+    for (let round = 0; tokens.length < MAX_QUERY_TOKENS && groups.some(group => group[round]); round++) {
+        groups.forEach(group => {
+            if (group[round] && tokens.length < MAX_QUERY_TOKENS && !tokens.includes(group[round])) tokens.push(group[round]);
+        });
+    }
+
+    return {
+        tokens,
+        groups,
+        interpretedTerm: transliterated ? interpreted.join(' ') : null,
+        suggestion: corrected ? suggested.join(' ') : null
+    };
+}
+
+// --- 4. EXPORTS ---
+export { expandSearchQuery, updateSearchVocabulary, levenshtein };
@@ -0,0 +1,101 @@
+/*
+ * File: search_url.js
+ * Description: தேடல் முகவரி (Search URL State) - the search term, filters, sort and page as query-string parameters.
+ * Integrates: search.js (history push / restore on search.html), saved_searches.js (opening a saved search),
+ *             search_facets.js (facet selections), _redirects / netlify.toml (/search/<term> → /search?q=<term>).
+ * Purpose: A search survives reload and Back, and can be shared as a link.
+ */
+
+// --- 1. IMPORTS & PARAMETER NAMES ---
+import { FACETS, facetSelections } from "./search_facets.js";
+
+const DEFAULT_SORT = 'relevance-desc';
+
+// Advanced filter fields (search.js) and their query-string names
+const FILTER_PARAMS = {
+    authorHandle: 'poet',
+    authorId: 'poetId',
+    seriesId: 'series',
+    dateFrom: 'from',
+    dateTo: 'to',
+    minRating: 'minRating',
+    minRatings: 'minRatings'
+};
+
+
+// --- 2. ENCODE / DECODE ---
+
+/**
+ * @param {string} searchTerm
+ * @param {object} filters - The search.js filters object.
+ * @param {number} [page=1] - Pages loaded (the list cursor); 1 is left out.
+ * @returns {URLSearchParams} - Only non-default values, facets as repeated parameters (tag=love&tag=nature).
+ */
+function searchStateToParams(searchTerm, filters = {}, page = 1) {
+    const params = new URLSearchParams();
+    if (searchTerm) params.set('q', searchTerm);
+    if (filters.sort && filters.sort !== DEFAULT_SORT) params.set('sort', filters.sort);
+    if (filters.token === 'unlocked') params.set('token', 'unlocked');
+
+    const selections = facetSelections(filters);
+    FACETS.forEach(facet => (selections[facet.id] || []).forEach(value => params.append(facet.id, value)));
+
+    Object.entries(FILTER_PARAMS).forEach(([field, name]) => {
+        if (filters[field]) params.set(name, filters[field]);
+    });
+    if (filters.hasAudio) params.set('audio', '1');
+    if (page > 1) params.set('page', page);
+    return params;
+}
+
+/**
+ * Reads the state written by searchStateToParams. Filters come back in the same shape (and key
+ * order) as search.js builds them, so a restored search compares equal to the one that was saved.
+ * @param {URLSearchParams} params
+ * @returns {{searchTerm: string, filters: object, page: number}}
+ */
+function searchStateFromParams(params) {
+    const facets = {};
+    FACETS.forEach(facet => {
+        const values = params.getAll(facet.id).filter(value => value);
+        if (values.length) facets[facet.id] = values;
+    });
+    const text = (name) => params.get(FILTER_PARAMS[name]) || '';
+
+    return {
+        searchTerm: (params.get('q') || '').trim(),
+        filters: {
+            sort: params.get('sort') || DEFAULT_SORT,
+            token: params.get('token') === 'unlocked' ? 'unlocked' : 'none',
+            facets: facetSelections({ facets }),
+            authorId: text('authorId'),
+            authorHandle: text('authorHandle'),
+            seriesId: text('seriesId'),
+            dateFrom: text('dateFrom'),
+            dateTo: text('dateTo'),
+            hasAudio: params.get('audio') === '1',
+            minRating: Number(text('minRating')) || 0,
+            minRatings: Number(text('minRatings')) || 0
+        },
+        page: Math.max(1, parseInt(params.get('page'), 10) || 1)
+    };
+}
+
+/**
+ * True when the query string holds any search state (otherwise search.js falls back to the
+ * list saved in sessionStorage).
+ */
+function hasSearchParams(params) {
+    return [...params.keys()].length > 0;
+}
+
+/**
+ * Link to search.html showing this search.
+ */
+function searchUrl(searchTerm, filters, page = 1) {
+    const query = searchStateToParams(searchTerm, filters, page).toString();
+    return query ? `search?${query}` : 'search';
+}
+
+// --- 3. EXPORTS ---
+export { searchStateToParams, searchStateFromParams, hasSearchParams, searchUrl };
@@ -0,0 +1,324 @@
+/*
+ * File: series.js
+ * Description: கவிதைத் தொடர்கள் (Poem Series) - ordered collections owned by an author.
+ * Integrates: Firestore 'series' collection (title, description, coverImageUrl, poemIds),
+ *             create.html series picker, poem_view.html navigation, series.html management page.
+ * Purpose: Replaces the free-text series field with real series, "part N of M" and prev/next links.
+ * FIX: Series and part titles are escaped wherever they are written into HTML.
+ */
+
+// --- 1. FIREBASE IMPORTS ---
+import { auth, db } from "./auth.js";
+import {
+    collection,
+    addDoc,
+    doc,
+    getDoc,
+    getDocs,
+    updateDoc,
+    query,
+    where,
+    orderBy,
+    arrayUnion,
+    arrayRemove,
+    serverTimestamp
+} from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { uploadMedia } from "./upload.js";
+import { escapeHtml } from "./html_escape.js";
+
+// --- 2. SERIES DATA ACCESS ---
+
+/**
+ * Loads all series owned by an author, alphabetically.
+ * @param {string} ownerId - Author UID.
+ * @returns {Promise<Array<object>>}
+ */
+async function loadAuthorSeries(ownerId) {
+    const q = query(collection(db, "series"), where("ownerId", "==", ownerId), orderBy("title"));
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(seriesDoc => ({ id: seriesDoc.id, ...seriesDoc.data() }));
+}
+
+/**
+ * Creates a new series for the signed-in author.
+ * @param {object} details - { title, description, coverImageUrl }
+ * @returns {Promise<string>} - New series ID.
+ */
+async function createSeries({ title, description = '', coverImageUrl = null }) {
+    const user = auth.currentUser;
+    const seriesRef = await addDoc(collection(db, "series"), {
+        ownerId: user.uid,
+        ownerName: user.displayName || user.email,
+        title,
+        description,
+        coverImageUrl,
+        poemIds: [],
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+    });
+    return seriesRef.id;
+}
+
+/**
+ * Moves a poem between series (appends to the end of the new series).
+ */
+async function attachPoemToSeries(poemId, newSeriesId, oldSeriesId = null) {
+    if (oldSeriesId === newSeriesId) return;
+    if (oldSeriesId) {
+        await updateDoc(doc(db, "series", oldSeriesId), { poemIds: arrayRemove(poemId), updatedAt: serverTimestamp() });
+    }
+    if (newSeriesId) {
+        await updateDoc(doc(db, "series", newSeriesId), { poemIds: arrayUnion(poemId), updatedAt: serverTimestamp() });
+    }
+}
+
+/**
+ * Loads a series and its approved parts in the author's order.
+ * @param {string} seriesId - Series document ID.
+ * @returns {Promise<{series: object, parts: Array<object>}|null>}
+ */
+async function loadSeriesWithParts(seriesId) {
+    const seriesSnap = await getDoc(doc(db, "series", seriesId));
+    if (!seriesSnap.exists()) return null;
+    const series = { id: seriesSnap.id, ...seriesSnap.data() };
+
+    const q = query(collection(db, "kavithai"), where("seriesId", "==", seriesId), where("status", "==", "Approved"));
+    const querySnapshot = await getDocs(q);
+    const order = series.poemIds || [];
+    const parts = querySnapshot.docs
+        .map(poemDoc => ({ id: poemDoc.id, ...poemDoc.data() }))
+        .sort((a, b) => {
+            const ia = order.indexOf(a.id);
+            const ib = order.indexOf(b.id);
+            return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+        });
+
+    return { series, parts };
+}
+
+/**
+ * Finds where a poem sits in its series for "part N of M" and prev/next links.
+ * @returns {Promise<{series: object, position: number, total: number, prev: (object|null), next: (object|null)}|null>}
+ */
+async function getSeriesPosition(seriesId, poemId) {
+    const result = await loadSeriesWithParts(seriesId);
+    if (!result) return null;
+
+    const index = result.parts.findIndex(part => part.id === poemId);
+    if (index === -1) return null;
+
+    return {
+        series: result.series,
+        position: index + 1,
+        total: result.parts.length,
+        prev: result.parts[index - 1] || null,
+        next: result.parts[index + 1] || null
+    };
+}
+
+
+// --- 3. CREATE FORM SERIES PICKER (create.html) ---
+
+/**
+ * Fills the #series-select dropdown with the author's series.
+ * @param {string|null} selectedId - Series to pre-select.
+ */
+async function populateSeriesSelect(selectedId = null) {
+    const select = document.getElementById('series-select');
+    const user = auth.currentUser;
+    if (!select || !user) return;
+
+    try {
+        const seriesList = await loadAuthorSeries(user.uid);
+        select.innerHTML = '<option value="">-- தொடர் இல்லை --</option>' +
+            seriesList.map(series => `<option value="${series.id}">${escapeHtml(series.title)}</option>`).join('');
+        select.value = selectedId || '';
+    } catch (error) {
+        console.error("Error loading series:", error);
+    }
+}
+
+/**
+ * Prompts for a title and creates a new series from the create form.
+ */
+window.createSeriesFromForm = async function() {
+    if (!auth.currentUser) {
+        window.showToastNotification("தொடர் உருவாக்க உள்நுழையவும்.", 'error');
+        return;
+    }
+    const title = prompt("புதிய தொடரின் பெயர்:")?.trim();
+    if (!title) return;
+
+    try {
+        const seriesId = await createSeries({ title });
+        await populateSeriesSelect(seriesId);
+        window.showToastNotification(`"${title}" தொடர் உருவாக்கப்பட்டது! விவரம்/அட்டைப்படத்தை 'தொடர்கள்' பக்கத்தில் சேர்க்கலாம்.`, 'success');
+    } catch (error) {
+        console.error("Error creating series:", error);
+        window.showToastNotification("தொடரை உருவாக்குவதில் பிழை ஏற்பட்டது.", 'error');
+    }
+}
+
+
+// --- 4. SERIES PAGE (series.html) ---
+
+function renderTableOfContents(container, series, parts) {
+    const cover = series.coverImageUrl ? `<img src="${series.coverImageUrl}" alt="${escapeHtml(series.title)}" class="series-cover">` : '';
+    const items = parts.length > 0
+        ? parts.map((part, index) => `<li><a href="poem_view?id=${part.id}">பகுதி ${index + 1}: ${escapeHtml(part.title)}</a></li>`).join('')
+        : '<li>இந்தத் தொடரில் இன்னும் வெளியிடப்பட்ட கவிதைகள் இல்லை.</li>';
+
+    container.innerHTML = `
+        ${cover}
+        <h2>${escapeHtml(series.title)}</h2>
+        <p class="poem-meta">ஆசிரியர்: <a href="profile?uid=${series.ownerId}">${series.ownerName || 'அறியப்படாதவர்'}</a> | ${parts.length} பகுதிகள்</p>
+        <p>${escapeHtml(series.description)}</p>
+        <h3><i class="fas fa-list-ol"></i> பொருளடக்கம்</h3>
+        <ol class="series-toc">${items}</ol>
+    `;
+}
+
+/**
+ * Enables drag-and-drop reordering on a list of <li draggable="true">.
+ */
+function enableDragReorder(list) {
+    let dragged = null;
+
+    list.addEventListener('dragstart', (e) => {
+        dragged = e.target.closest('li');
+        dragged?.classList.add('dragging');
+    });
+    list.addEventListener('dragend', () => {
+        dragged?.classList.remove('dragging');
+        dragged = null;
+    });
+    list.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        const target = e.target.closest('li');
+        if (!dragged || !target || target === dragged) return;
+        const rect = target.getBoundingClientRect();
+        const after = e.clientY > rect.top + rect.height / 2;
+        list.insertBefore(dragged, after ? target.nextSibling : target);
+    });
+}
+
+/**
+ * Renders the author's management view for one series: details, cover and part order.
+ */
+async function renderSeriesEditor(container, seriesId) {
+    const seriesSnap = await getDoc(doc(db, "series", seriesId));
+    if (!seriesSnap.exists()) return;
+    const series = seriesSnap.data();
+
+    // The owner sees every part (drafts and pending too) so the order is complete
+    const q = query(collection(db, "kavithai"), where("seriesId", "==", seriesId), where("authorId", "==", series.ownerId));
+    const querySnapshot = await getDocs(q);
+    const poems = Object.fromEntries(querySnapshot.docs.map(poemDoc => [poemDoc.id, poemDoc.data()]));
+    const orderedIds = [...(series.poemIds || []).filter(id => poems[id]), ...Object.keys(poems).filter(id => !(series.poemIds || []).includes(id))];
+
+    container.innerHTML = `
+        <div class="series-editor">
+            <label>தொடர் பெயர்: <input type="text" id="series-title-input" value="${escapeHtml(series.title)}"></label>
+            <label>விவரம்: <textarea id="series-description-input">${escapeHtml(series.description)}</textarea></label>
+            <label>அட்டைப்படம்: <input type="file" id="series-cover-input" accept="image/*"></label>
+            <div id="series-cover-status" class="upload-status">${series.coverImageUrl ? `<img src="${series.coverImageUrl}" class="series-cover" alt="cover">` : ''}</div>
+            <h4><i class="fas fa-arrows-alt-v"></i> பகுதிகளின் வரிசை (இழுத்து மாற்றவும்)</h4>
+            <ol id="series-parts-list" class="series-parts">
+                ${orderedIds.map(id => `<li draggable="true" data-poem-id="${id}"><i class="fas fa-grip-lines"></i> ${escapeHtml(poems[id].title) || '(தலைப்பு இல்லை)'} <small>(${poems[id].status})</small></li>`).join('')}
+            </ol>
+            <button type="button" id="series-save-btn" class="approve-btn">சேமி</button>
+            <a href="series?id=${seriesId}" class="approve-btn" style="background-color:#999;">வாசகர் பார்வை</a>
+        </div>
+    `;
+
+    let coverImageUrl = series.coverImageUrl || null;
+    const partsList = document.getElementById('series-parts-list');
+    enableDragReorder(partsList);
+
+    document.getElementById('series-cover-input').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            const url = await uploadMedia(file, 'image', 'series-cover-status');
+            if (url) coverImageUrl = url;
+        } catch (error) {
+            console.error("Series cover upload failed:", error);
+        }
+    });
+
+    document.getElementById('series-save-btn').addEventListener('click', async () => {
+        const title = document.getElementById('series-title-input').value.trim();
+        if (!title) {
+            window.showToastNotification("தொடர் பெயர் காலியாக இருக்கக் கூடாது.", 'warning');
+            return;
+        }
+        try {
+            await updateDoc(doc(db, "series", seriesId), {
+                title,
+                description: document.getElementById('series-description-input').value.trim(),
+                coverImageUrl,
+                poemIds: [...partsList.querySelectorAll('li')].map(li => li.dataset.poemId),
+                updatedAt: serverTimestamp()
+            });
+            window.showToastNotification("தொடர் வெற்றிகரமாகப் புதுப்பிக்கப்பட்டது!", 'success');
+        } catch (error) {
+            console.error("Error saving series:", error);
+            window.showToastNotification("தொடரைச் சேமிப்பதில் பிழை ஏற்பட்டது.", 'error');
+        }
+    });
+}
+
+/**
+ * series.html: ?id=ID shows the reader table of contents; otherwise the author's series manager.
+ */
+async function initSeriesPage() {
+    const container = document.getElementById('series-content');
+    if (!container) return;
+
+    const seriesId = new URLSearchParams(window.location.search).get('id');
+    const manageId = new URLSearchParams(window.location.search).get('manage');
+
+    try {
+        if (seriesId) {
+            const result = await loadSeriesWithParts(seriesId);
+            if (!result) {
+                container.innerHTML = '<p style="text-align:center;">தொடர் காணப்படவில்லை.</p>';
+                return;
+            }
+            renderTableOfContents(container, result.series, result.parts);
+            return;
+        }
+
+        const user = auth.currentUser;
+        if (!user) {
+            container.innerHTML = '<p style="text-align:center;">உங்கள் தொடர்களை நிர்வகிக்க உள்நுழையவும்.</p>';
+            return;
+        }
+
+        const seriesList = await loadAuthorSeries(user.uid);
+        container.innerHTML = `
+            <h2>📚 எனது கவிதைத் தொடர்கள்</h2>
+            <ul class="series-list">
+                ${seriesList.map(series => `<li><a href="series?manage=${series.id}">${escapeHtml(series.title)}</a> <small>(${(series.poemIds || []).length} பகுதிகள்)</small></li>`).join('') || '<li>தொடர்கள் இல்லை. கவிதை உருவாக்கும் பக்கத்தில் புதிய தொடரை உருவாக்கலாம்.</li>'}
+            </ul>
+            <div id="series-editor-container"></div>
+        `;
+        if (manageId && seriesList.some(series => series.id === manageId)) {
+            await renderSeriesEditor(document.getElementById('series-editor-container'), manageId);
+        }
+    } catch (error) {
+        console.error("Error loading series page:", error);
+        container.innerHTML = '<p style="text-align:center;">தொடரை ஏற்றுவதில் பிழை ஏற்பட்டது.</p>';
+    }
+}
+
+
+// --- 5. INITIALIZATION ---
+
+document.addEventListener('DOMContentLoaded', () => {
+    // initSeriesPage() exits early on pages without #series-content (e.g. create.html)
+    auth.onAuthStateChanged(() => initSeriesPage());
+});
+
+// --- 6. EXPORTS ---
+export { loadAuthorSeries, createSeries, attachPoemToSeries, loadSeriesWithParts, getSeriesPosition, populateSeriesSelect };
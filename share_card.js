@@ -0,0 +1,304 @@
+/*
+ * File: share_card.js
+ * Description: கவிதை அட்டை (Shareable Poem Card) - renders a stanza onto a canvas as a PNG.
+ * Integrates: poem_view.js (reader action "படமாகப் பகிர்"), licenses.js (shareImage permission, attribution),
+ *             script.js (the reader's Tamil font preference on <body>), _redirects (/p/:id short links).
+ * Purpose: A clean, attributed image for WhatsApp and Instagram instead of screenshots.
+ * FIX: Long titles wrap on the card, and the share text links with the page's own origin.
+ */
+
+// --- 1. IMPORTS & CONFIGURATION ---
+import { db } from "./auth.js";
+import { doc, getDoc } from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { isActionAllowed, getLicense } from "./licenses.js";
+
+const CARD_SIZES = {
+    square: { width: 1080, height: 1080, label: 'சதுரம் (1080×1080)' },
+    story: { width: 1080, height: 1920, label: 'ஸ்டோரி (1080×1920)' }
+};
+
+const CARD_TEMPLATES = {
+    photo: { label: 'படப் பின்னணி', background: '#2c3e50', text: '#ffffff', accent: '#f1c40f', overlay: 'rgba(0, 0, 0, 0.55)', usesImage: true },
+    paper: { label: 'காகிதம்', background: '#fdf6e3', text: '#3b2f2f', accent: '#b5651d', border: '#b5651d' },
+    night: { label: 'இரவு', gradient: ['#141e30', '#243b55'], text: '#ecf0f1', accent: '#9b59b6' },
+    minimal: { label: 'எளிமை', background: '#ffffff', text: '#222222', accent: '#e74c3c' }
+};
+
+const MAX_CARD_LINES = 12;
+const MAX_TITLE_LINES = 2;
+
+let cardPoem = null;
+
+
+// --- 2. CANVAS RENDERING ---
+
+/**
+ * Splits poem text into stanzas (blank-line separated).
+ */
+function splitStanzas(content) {
+    return (content || '').trim().split(/\n\s*\n/).map(stanza => stanza.trim()).filter(stanza => stanza);
+}
+
+function shortLink(poemId) {
+    return `${window.location.host}/p/${poemId}`;
+}
+
+// Same link with the page's own scheme, for the share text (http on a local server)
+function shortLinkUrl(poemId) {
+    return `${window.location.origin}/p/${poemId}`;
+}
+
+/**
+ * The reader's font from script.js's Tamil font switcher (the class on <body>).
+ */
+function readerFontFamily() {
+    return getComputedStyle(document.body).fontFamily || "'Noto Sans Tamil', sans-serif";
+}
+
+function loadImage(url) {
+    return new Promise((resolve) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous'; // Cloudinary sends CORS headers, so the canvas stays exportable
+        image.onload = () => resolve(image);
+        image.onerror = () => resolve(null);
+        image.src = url;
+    });
+}
+
+/**
+ * Word-wraps one line of poem text to the given width.
+ */
+function wrapLine(ctx, line, maxWidth) {
+    const words = line.split(/\s+/).filter(word => word);
+    const lines = [];
+    let current = '';
+    words.forEach(word => {
+        const candidate = current ? `${current} ${word}` : word;
+        if (ctx.measureText(candidate).width > maxWidth && current) {
+            lines.push(current);
+            current = word;
+        } else {
+            current = candidate;
+        }
+    });
+    if (current) lines.push(current);
+    return lines.length ? lines : [''];
+}
+
+/**
+ * Keeps at most maxLines wrapped lines; the last kept line is cut with "…" until it fits,
+ * which also covers a single word wider than the card.
+ */
+function clampLines(ctx, lines, maxLines, maxWidth) {
+    const kept = lines.slice(0, maxLines);
+    const last = kept.length - 1;
+    if (lines.length <= maxLines && ctx.measureText(kept[last]).width <= maxWidth) return kept;
+
+    let text = kept[last];
+    while (text.length > 1 && ctx.measureText(`${text}…`).width > maxWidth) text = text.slice(0, -1);
+    kept[last] = `${text.trimEnd()}…`;
+    return kept;
+}
+
+function drawCover(ctx, image, width, height) {
+    const scale = Math.max(width / image.width, height / image.height);
+    const drawWidth = image.width * scale;
+    const drawHeight = image.height * scale;
+    ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+/**
+ * Draws the card.
+ * @param {HTMLCanvasElement} canvas
+ * @param {object} options - { poem, stanza, template, size, fontFamily, backgroundImage }
+ */
+function renderCard(canvas, { poem, stanza, template, size, fontFamily, backgroundImage }) {
+    const { width, height } = CARD_SIZES[size];
+    const style = CARD_TEMPLATES[template];
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    // Background
+    if (style.usesImage && backgroundImage) {
+        drawCover(ctx, backgroundImage, width, height);
+        ctx.fillStyle = style.overlay;
+        ctx.fillRect(0, 0, width, height);
+    } else if (style.gradient) {
+        const gradient = ctx.createLinearGradient(0, 0, 0, height);
+        gradient.addColorStop(0, style.gradient[0]);
+        gradient.addColorStop(1, style.gradient[1]);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+    } else {
+        ctx.fillStyle = style.background;
+        ctx.fillRect(0, 0, width, height);
+    }
+    if (style.border) {
+        ctx.strokeStyle = style.border;
+        ctx.lineWidth = 6;
+        ctx.strokeRect(40, 40, width - 80, height - 80);
+    }
+
+    // Stanza, shrinking the font until it fits the text box
+    const padding = 110;
+    const boxWidth = width - padding * 2;
+    const boxHeight = height - padding * 2 - 260;
+    const sourceLines = stanza.split('\n').slice(0, MAX_CARD_LINES);
+    let fontSize = size === 'story' ? 64 : 56;
+    let lines = [];
+    do {
+        ctx.font = `${fontSize}px ${fontFamily}`;
+        lines = sourceLines.flatMap(line => wrapLine(ctx, line.trim(), boxWidth));
+        if (lines.length * fontSize * 1.6 <= boxHeight) break;
+        fontSize -= 4;
+    } while (fontSize > 24);
+
+    const lineHeight = fontSize * 1.6;
+    const textTop = padding + (boxHeight - lines.length * lineHeight) / 2 + 80;
+    ctx.fillStyle = style.text;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    lines.forEach((line, index) => ctx.fillText(line, width / 2, textTop + index * lineHeight));
+
+    // Opening quote mark
+    ctx.fillStyle = style.accent;
+    ctx.font = `bold 140px Georgia, serif`;
+    ctx.fillText('“', width / 2, textTop - 110);
+
+    // Attribution: title, author, license and short link
+    const footerTop = height - padding - 150;
+    ctx.fillStyle = style.accent;
+    ctx.fillRect(width / 2 - 60, footerTop, 120, 4);
+    ctx.fillStyle = style.text;
+    ctx.font = `bold 40px ${fontFamily}`;
+    ctx.fillText(`— ${poem.authorName || 'நான் கவிதை'}`, width / 2, footerTop + 50);
+    // Long titles wrap onto a second line; the link moves down to make room
+    ctx.font = `30px ${fontFamily}`;
+    const titleLines = clampLines(ctx, wrapLine(ctx, `"${poem.title}" · ${getLicense(poem.license).shortName}`, boxWidth), MAX_TITLE_LINES, boxWidth);
+    titleLines.forEach((line, index) => ctx.fillText(line, width / 2, footerTop + 100 + index * 38));
+    ctx.font = `28px ${fontFamily}`;
+    ctx.fillStyle = style.accent;
+    ctx.fillText(`${shortLink(poem.id)} · நான் கவிதை`, width / 2, footerTop + 145 + (titleLines.length - 1) * 38);
+}
+
+
+// --- 3. GENERATOR DIALOG ---
+
+function currentOptions(modal) {
+    return {
+        stanzaIndex: Number(modal.querySelector('#card-stanza').value),
+        template: modal.querySelector('#card-template').value,
+        size: modal.querySelector('input[name="card-size"]:checked').value
+    };
+}
+
+async function redraw(modal, state) {
+    const { stanzaIndex, template, size } = currentOptions(modal);
+    const fontFamily = readerFontFamily();
+    await document.fonts.load(`40px ${fontFamily}`).catch(() => null);
+    renderCard(modal.querySelector('#card-canvas'), {
+        poem: cardPoem,
+        stanza: state.stanzas[stanzaIndex],
+        template,
+        size,
+        fontFamily,
+        backgroundImage: state.backgroundImage
+    });
+}
+
+function canvasBlob(canvas) {
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+/**
+ * Opens the card generator for a poem (only when its license allows share-as-image).
+ * @param {string} poemId - The 'kavithai' document ID.
+ */
+window.openShareCard = async function(poemId) {
+    const poemSnap = await getDoc(doc(db, "kavithai", poemId));
+    if (!poemSnap.exists() || poemSnap.data().status !== 'Approved') {
+        window.showToastNotification("கவிதை கிடைக்கவில்லை.", 'error');
+        return;
+    }
+    cardPoem = { id: poemSnap.id, ...poemSnap.data() };
+    if (!isActionAllowed(cardPoem, 'shareImage')) {
+        window.showToastNotification(`இந்த உரிமம் (${getLicense(cardPoem.license).shortName}) படமாகப் பகிர்வதை அனுமதிக்காது.`, 'warning');
+        return;
+    }
+
+    const state = {
+        stanzas: splitStanzas(cardPoem.content),
+        backgroundImage: cardPoem.media?.imageUrl ? await loadImage(cardPoem.media.imageUrl) : null
+    };
+
+    document.getElementById('share-card-modal')?.remove();
+    const modal = document.createElement('div');
+    modal.id = 'share-card-modal';
+    modal.className = 'share-card-modal';
+    modal.innerHTML = `
+        <div class="share-card-dialog">
+            <div class="share-card-header">
+                <h3><i class="fas fa-image"></i> கவிதை அட்டை</h3>
+                <button type="button" class="share-card-close" title="மூடு"><i class="fas fa-times"></i></button>
+            </div>
+            <div class="share-card-body">
+                <canvas id="card-canvas" class="share-card-preview"></canvas>
+                <div class="share-card-controls">
+                    <label>பத்தி
+                        <select id="card-stanza">
+                            ${state.stanzas.map((stanza, index) => `<option value="${index}">${index + 1}. ${stanza.split('\n')[0].slice(0, 40)}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>வடிவமைப்பு
+                        <select id="card-template">
+                            ${Object.entries(CARD_TEMPLATES).map(([id, template]) =>
+                                `<option value="${id}" ${template.usesImage && !state.backgroundImage ? 'disabled' : ''}>${template.label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <div>
+                        ${Object.entries(CARD_SIZES).map(([id, size], index) =>
+                            `<label><input type="radio" name="card-size" value="${id}" ${index === 0 ? 'checked' : ''}> ${size.label}</label>`).join('')}
+                    </div>
+                    <small>எழுத்துரு: அமைப்புகளில் நீங்கள் தேர்ந்தெடுத்த தமிழ் எழுத்துரு.</small>
+                    <button type="button" id="card-download-btn"><i class="fas fa-download"></i> PNG பதிவிறக்கு</button>
+                    <button type="button" id="card-share-btn"><i class="fas fa-share-alt"></i> பகிர்</button>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    modal.querySelector('#card-template').value = state.backgroundImage ? 'photo' : 'paper';
+
+    const close = () => modal.remove();
+    modal.querySelector('.share-card-close').addEventListener('click', close);
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+    modal.querySelectorAll('select, input').forEach(control => control.addEventListener('change', () => redraw(modal, state)));
+
+    const fileName = () => `${cardPoem.title.replace(/[\\/:*?"<>|]/g, '_')}-${currentOptions(modal).size}.png`;
+
+    modal.querySelector('#card-download-btn').addEventListener('click', async () => {
+        const blob = await canvasBlob(modal.querySelector('#card-canvas'));
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName();
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+    });
+
+    modal.querySelector('#card-share-btn').addEventListener('click', async () => {
+        const blob = await canvasBlob(modal.querySelector('#card-canvas'));
+        const file = new File([blob], fileName(), { type: 'image/png' });
+        const shareData = { files: [file], title: cardPoem.title, text: `${cardPoem.title} — ${cardPoem.authorName}\n${shortLinkUrl(cardPoem.id)}` };
+        if (navigator.canShare?.(shareData)) {
+            await navigator.share(shareData).catch(() => null);
+        } else {
+            window.showToastNotification("இந்த உலாவியில் நேரடிப் பகிர்வு இல்லை. PNG-ஐப் பதிவிறக்கிப் பகிரவும்.", 'info');
+        }
+    });
+
+    await redraw(modal, state);
+}
+
+// --- 4. EXPORTS ---
+export { renderCard, splitStanzas, CARD_SIZES, CARD_TEMPLATES };
@@ -0,0 +1,364 @@
+/*
+ * File: tanglish_ime.js
+ * Description: ஒலிப்பு தமிழ் உள்ளீடு (Phonetic Tanglish → Tamil Input Method).
+ * Integrates: script.js (initialization and the per-field on/off preference in localStorage),
+ *             create.html #poem-content, index.html #comment-input-*, chat.htm #message-input, #search-input.
+ * Purpose: Type Tamil on an English keyboard ("amma" → அம்மா). Each word is converted when it is
+ *          finished (space, punctuation, Enter), with a suggestion dropdown for alternative spellings.
+ * FIX: "ndr" gives ன்ற ("nandri" → நன்றி, "thendral" → தென்றல்) instead of ண்ட்ர.
+ * FIX: "ttr" gives ற்ற ("vettri" → வெற்றி), and capitalised names are read in lower case ("Ravi" → ரவி).
+ */
+
+// --- 1. TRANSLITERATION TABLES ---
+
+// Independent vowel and its vowel sign (uyir / uyirmei marker). Longest keys are matched first.
+const VOWELS = {
+    'aa': ['ஆ', 'ா'], 'A': ['ஆ', 'ா'],
+    'ai': ['ஐ', 'ை'],
+    'au': ['ஔ', 'ௌ'], 'ou': ['ஔ', 'ௌ'],
+    'a': ['அ', ''],
+    'ii': ['ஈ', 'ீ'], 'ee': ['ஈ', 'ீ'], 'I': ['ஈ', 'ீ'],
+    'i': ['இ', 'ி'],
+    'uu': ['ஊ', 'ூ'], 'oo': ['ஊ', 'ூ'], 'U': ['ஊ', 'ூ'],
+    'u': ['உ', 'ு'],
+    'ae': ['ஏ', 'ே'], 'E': ['ஏ', 'ே'],
+    'e': ['எ', 'ெ'],
+    'oa': ['ஓ', 'ோ'], 'O': ['ஓ', 'ோ'],
+    'o': ['ஒ', 'ொ']
+};
+
+const CONSONANTS = {
+    'ksh': 'க்ஷ',
+    'ndr': 'ன்ற', 'ng': 'ங்க', 'nj': 'ஞ்ச', 'gn': 'ஞ',
+    'ch': 'ச', 'sh': 'ஷ', 'zh': 'ழ',
+    'th': 'த', 'dh': 'த',
+    'ttr': 'ற்ற', 'tr': 'ற்ற', 'rr': 'ற',
+    'k': 'க', 'g': 'க', 'c': 'க', 'q': 'க',
+    's': 'ச', 'S': 'ஸ', 'j': 'ஜ', 'h': 'ஹ',
+    't': 'ட', 'd': 'ட', 'T': 'ட', 'D': 'ட',
+    'N': 'ண', 'n': 'ன', 'w': 'ந',
+    'p': 'ப', 'b': 'ப', 'f': 'ஃப',
+    'm': 'ம', 'y': 'ய', 'r': 'ர', 'R': 'ற',
+    'l': 'ல', 'L': 'ள', 'z': 'ழ',
+    'v': 'வ', 'x': 'க்ஸ'
+};
+
+const PULLI = '்';
+const VOWEL_KEYS = Object.keys(VOWELS).sort((a, b) => b.length - a.length);
+const CONSONANT_KEYS = Object.keys(CONSONANTS).sort((a, b) => b.length - a.length);
+
+// Common words whose usual spelling the rules alone do not produce
+const BUILTIN_DICTIONARY = {
+    'amma': 'அம்மா', 'appa': 'அப்பா', 'akka': 'அக்கா', 'anna': 'அண்ணா', 'thambi': 'தம்பி', 'thangai': 'தங்கை',
+    'paatti': 'பாட்டி', 'thaatha': 'தாத்தா', 'kavithai': 'கவிதை', 'kavignar': 'கவிஞர்', 'kaadhal': 'காதல்',
+    'kadhal': 'காதல்', 'tamil': 'தமிழ்', 'thamizh': 'தமிழ்', 'tamizh': 'தமிழ்', 'naan': 'நான்', 'nee': 'நீ',
+    'neengal': 'நீங்கள்', 'avan': 'அவன்', 'aval': 'அவள்', 'avar': 'அவர்', 'ivan': 'இவன்', 'ival': 'இவள்',
+    'naam': 'நாம்', 'naangal': 'நாங்கள்', 'enna': 'என்ன', 'eppadi': 'எப்படி', 'enge': 'எங்கே', 'eppo': 'எப்போ',
+    'yaar': 'யார்', 'vanakkam': 'வணக்கம்', 'nandri': 'நன்றி', 'mazhai': 'மழை', 'malai': 'மலை', 'nilavu': 'நிலவு',
+    'nila': 'நிலா', 'vaanam': 'வானம்', 'kadal': 'கடல்', 'manam': 'மனம்', 'manathu': 'மனது', 'uyir': 'உயிர்',
+    'ulagam': 'உலகம்', 'vaazhkai': 'வாழ்க்கை', 'vazhkai': 'வாழ்க்கை', 'anbu': 'அன்பு', 'kanavu': 'கனவு',
+    'kangal': 'கண்கள்', 'kan': 'கண்', 'nenjam': 'நெஞ்சம்', 'idhayam': 'இதயம்', 'poo': 'பூ', 'pen': 'பெண்',
+    'penn': 'பெண்', 'iravu': 'இரவு', 'pagal': 'பகல்', 'kaalai': 'காலை', 'maalai': 'மாலை', 'kaatru': 'காற்று',
+    'neer': 'நீர்', 'nerupu': 'நெருப்பு', 'mann': 'மண்', 'ooru': 'ஊரு', 'oor': 'ஊர்', 'veedu': 'வீடு',
+    'nanban': 'நண்பன்', 'natpu': 'நட்பு', 'sirippu': 'சிரிப்பு', 'kanneer': 'கண்ணீர்', 'ninaivu': 'நினைவு',
+    'ennai': 'என்னை', 'unnai': 'உன்னை', 'ungal': 'உங்கள்', 'un': 'உன்', 'en': 'என்', 'oru': 'ஒரு', 'illai': 'இல்லை',
+    'sari': 'சரி', 'romba': 'ரொம்ப', 'nalla': 'நல்ல', 'azhagu': 'அழகு', 'alagu': 'அழகு'
+};
+
+const USER_DICTIONARY_KEY = 'tanglishUserWords';
+const MAX_SUGGESTIONS = 5;
+const WORD_BEFORE_CARET = /[A-Za-z]+$/;
+
+
+// --- 2. TRANSLITERATION ENGINE ---
+
+function matchAt(text, index, keys) {
+    return keys.find(key => text.startsWith(key, index)) || null;
+}
+
+/**
+ * Converts one Tanglish word with the phonetic rules (no dictionary).
+ * Word-initial "n" becomes ந, "nth"/"ndh" becomes ந்த and "nd" becomes ண்ட;
+ * "ndr", "ng", "nj" and "tr" / "ttr" give the clusters ன்ற, ங்க, ஞ்ச and ற்ற as in everyday Tanglish.
+ * A capitalised word ("Ravi") is read in lower case: it is a name, not the capital-letter keys (R = ற).
+ * @param {string} typed - Latin letters only.
+ * @returns {string}
+ */
+function transliterateWord(typed) {
+    const word = /^[A-Z][a-z]+$/.test(typed) ? typed.toLowerCase() : typed;
+    let output = '';
+    let index = 0;
+
+    while (index < word.length) {
+        const consonantKey = matchAt(word, index, CONSONANT_KEYS);
+        if (consonantKey) {
+            let consonant = CONSONANTS[consonantKey];
+            if (consonantKey === 'n') {
+                const rest = word.slice(index + 1);
+                if (index === 0 || /^(th|dh)/.test(rest)) consonant = 'ந';
+                else if (/^d(?!h)/.test(rest)) consonant = 'ண';
+            }
+
+            let next = index + consonantKey.length;
+            const vowelKey = matchAt(word, next, VOWEL_KEYS);
+            if (vowelKey) {
+                output += consonant + VOWELS[vowelKey][1];
+                next += vowelKey.length;
+            } else {
+                output += consonant + PULLI;
+            }
+            index = next;
+            continue;
+        }
+
+        const vowelKey = matchAt(word, index, VOWEL_KEYS);
+        if (vowelKey) {
+            output += VOWELS[vowelKey][0];
+            index += vowelKey.length;
+            continue;
+        }
+
+        output += word[index];
+        index++;
+    }
+    return output;
+}
+
+function loadUserDictionary() {
+    try {
+        return JSON.parse(localStorage.getItem(USER_DICTIONARY_KEY) || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Remembers the spelling a user picked so it is offered first next time.
+ */
+function rememberChoice(word, tamil) {
+    const dictionary = loadUserDictionary();
+    dictionary[word.toLowerCase()] = tamil;
+    localStorage.setItem(USER_DICTIONARY_KEY, JSON.stringify(dictionary));
+}
+
+/**
+ * Alternative spellings for the letters Tanglish cannot tell apart (ன/ண/ந, ல/ள/ழ, ர/ற, short/long final vowel).
+ */
+function spellingVariants(tamil) {
+    const variants = new Set();
+    const swaps = [['ன', 'ண'], ['ல', 'ள'], ['ள', 'ழ'], ['ர', 'ற'], ['ட', 'த']];
+    swaps.forEach(([from, to]) => {
+        if (tamil.includes(from)) variants.add(tamil.replace(new RegExp(`${from}(?!.*${from})`), to));
+    });
+    // Word-final consonant + a: offer the long vowel ("amma" → அம்மா)
+    if (/[க-ஹ]$/.test(tamil)) variants.add(`${tamil}ா`);
+    return [...variants];
+}
+
+/**
+ * Ranked suggestions for a Tanglish word: the user's own choice, the built-in dictionary,
+ * the rule-based spelling and its common variants.
+ * @param {string} word - Latin letters.
+ * @returns {Array<string>}
+ */
+function getSuggestions(word) {
+    const key = word.toLowerCase();
+    const ruleBased = transliterateWord(word);
+    const candidates = [
+        loadUserDictionary()[key],
+        BUILTIN_DICTIONARY[key],
+        ruleBased,
+        ...spellingVariants(ruleBased)
+    ].filter(candidate => candidate);
+    return [...new Set(candidates)].slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Converts a whole Tanglish string, word by word, using the top suggestion.
+ */
+function transliterate(text) {
+    return text.replace(/[A-Za-z]+/g, word => getSuggestions(word)[0]);
+}
+
+
+// --- 3. FIELD ATTACHMENT ---
+
+// Field groups share one on/off preference (every comment box is "comment-input")
+const FIELD_GROUPS = [
+    { key: 'poem-content', matches: (el) => el.id === 'poem-content' },
+    { key: 'comment-input', matches: (el) => el.id.startsWith('comment-input-') },
+    { key: 'message-input', matches: (el) => el.id === 'message-input' },
+    { key: 'search-input', matches: (el) => el.id === 'search-input' }
+];
+
+let dropdown = null;
+let activeField = null;
+let activeWord = null;
+let selectedIndex = 0;
+let keepLatinWord = null; // Escape keeps the current word in English
+
+function fieldGroup(el) {
+    if (!el || !('value' in el) || !el.id) return null;
+    return FIELD_GROUPS.find(group => group.matches(el))?.key || null;
+}
+
+function isEnabled(el) {
+    const key = fieldGroup(el);
+    return key !== null && window.isTanglishInputEnabled?.(key) === true;
+}
+
+function closeDropdown() {
+    dropdown?.remove();
+    dropdown = null;
+    activeWord = null;
+}
+
+/**
+ * Replaces the Latin word ending at wordEnd with Tamil text, keeping anything typed after it.
+ */
+function replaceWordBeforeCaret(el, tamil, wordEnd = el.selectionStart) {
+    const match = WORD_BEFORE_CARET.exec(el.value.slice(0, wordEnd));
+    if (!match) return;
+    const start = wordEnd - match[0].length;
+    const typedAfter = el.selectionStart - wordEnd;
+    el.value = el.value.slice(0, start) + tamil + el.value.slice(wordEnd);
+    const caret = start + tamil.length + typedAfter;
+    el.setSelectionRange(caret, caret);
+}
+
+function commitSuggestion(index) {
+    if (!activeField || !activeWord) return;
+    const suggestions = getSuggestions(activeWord);
+    const choice = suggestions[index] ?? suggestions[0];
+    if (index > 0) rememberChoice(activeWord, choice);
+    replaceWordBeforeCaret(activeField, choice);
+    activeField.dispatchEvent(new Event('input', { bubbles: true }));
+    closeDropdown();
+}
+
+function renderDropdown(el, word) {
+    const suggestions = getSuggestions(word);
+    if (!dropdown) {
+        dropdown = document.createElement('ul');
+        dropdown.className = 'tanglish-suggestions';
+        dropdown.setAttribute('role', 'listbox');
+        document.body.appendChild(dropdown);
+    }
+
+    const rect = el.getBoundingClientRect();
+    dropdown.style.left = `${rect.left + window.scrollX}px`;
+    dropdown.style.top = `${rect.bottom + window.scrollY + 2}px`;
+    selectedIndex = Math.min(selectedIndex, suggestions.length - 1);
+
+    dropdown.innerHTML = `<li class="tanglish-source">${word}</li>` + suggestions.map((suggestion, index) =>
+        `<li role="option" data-index="${index}" class="${index === selectedIndex ? 'selected' : ''}">${index + 1}. ${suggestion}</li>`
+    ).join('');
+    dropdown.querySelectorAll('li[data-index]').forEach(item => {
+        // mousedown keeps focus in the field
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            commitSuggestion(Number(item.dataset.index));
+        });
+    });
+}
+
+function handleInput(e) {
+    const el = e.target;
+    if (!isEnabled(el)) return;
+
+    // A finished word (space, punctuation or line break typed after Latin letters) is converted
+    const caret = el.selectionStart;
+    const typed = el.value.slice(caret - 1, caret);
+    if (typed && /[\s.,!?;:'")\]-]/.test(typed) && WORD_BEFORE_CARET.test(el.value.slice(0, caret - 1))) {
+        const word = WORD_BEFORE_CARET.exec(el.value.slice(0, caret - 1))[0];
+        if (word === keepLatinWord) {
+            keepLatinWord = null;
+            return;
+        }
+        const suggestions = getSuggestions(word);
+        replaceWordBeforeCaret(el, suggestions[selectedIndex] ?? suggestions[0], caret - 1);
+        closeDropdown();
+        selectedIndex = 0;
+        return;
+    }
+
+    const match = WORD_BEFORE_CARET.exec(el.value.slice(0, caret));
+    if (!match) {
+        closeDropdown();
+        return;
+    }
+    if (match[0] === keepLatinWord) return;
+    if (activeWord === null) selectedIndex = 0;
+    activeField = el;
+    activeWord = match[0];
+    renderDropdown(el, activeWord);
+}
+
+// Runs in the capture phase so Enter can pick a suggestion before the page's own handlers (chat send)
+function handleKeydown(e) {
+    if (!dropdown || e.target !== activeField) return;
+    const count = dropdown.querySelectorAll('li[data-index]').length;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        selectedIndex = (selectedIndex + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+        renderDropdown(activeField, activeWord);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        e.stopPropagation();
+        commitSuggestion(selectedIndex);
+    } else if (e.key === 'Escape') {
+        keepLatinWord = activeWord;
+        closeDropdown();
+    } else if (/^[1-5]$/.test(e.key) && Number(e.key) <= count && !e.ctrlKey && !e.metaKey) {
+        e.preventDefault();
+        commitSuggestion(Number(e.key) - 1);
+    }
+}
+
+/**
+ * Adds the "அ/A" toggle button after a supported field (once).
+ */
+function ensureToggle(el) {
+    if (el.dataset.tanglishToggle) return;
+    el.dataset.tanglishToggle = 'true';
+
+    const key = fieldGroup(el);
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'tanglish-toggle';
+    button.title = 'ஒலிப்பு தமிழ் உள்ளீடு (Tanglish → தமிழ்)';
+
+    const refresh = () => {
+        const enabled = window.isTanglishInputEnabled?.(key) === true;
+        button.textContent = enabled ? 'அ' : 'A';
+        button.classList.toggle('active', enabled);
+        button.setAttribute('aria-pressed', String(enabled));
+    };
+    button.addEventListener('click', () => {
+        window.setTanglishInput(key, !window.isTanglishInputEnabled(key));
+        document.querySelectorAll('.tanglish-toggle').forEach(other => other.dispatchEvent(new Event('tanglish-refresh')));
+        closeDropdown();
+        el.focus();
+    });
+    button.addEventListener('tanglish-refresh', refresh);
+    refresh();
+    el.insertAdjacentElement('afterend', button);
+}
+
+/**
+ * Starts the IME: supported fields get a toggle as soon as they exist or receive focus
+ * (comment boxes are rendered after the feed loads).
+ */
+function initTanglishInput() {
+    FIELD_GROUPS.forEach(group => {
+        document.querySelectorAll('input, textarea').forEach(el => { if (el.id && group.matches(el)) ensureToggle(el); });
+    });
+    document.addEventListener('focusin', (e) => { if (fieldGroup(e.target)) ensureToggle(e.target); });
+    document.addEventListener('input', handleInput);
+    document.addEventListener('keydown', handleKeydown, true);
+    document.addEventListener('focusout', (e) => { if (e.target === activeField) closeDropdown(); });
+}
+
+// --- 4. EXPORTS ---
+export { initTanglishInput, transliterate, transliterateWord, getSuggestions };
@@ -0,0 +1,176 @@
+/*
+ * File: tools/cloudinary_standin.mjs
+ * Description: உள்ளூர் Cloudinary மாற்று சர்வர் (Local stand-in for the Cloudinary upload endpoint).
+ * Integrates: upload.js (chunked uploads with X-Unique-Upload-Id + Content-Range).
+ * Purpose: Lets resumable uploads, retries and cancel be tested without a Cloudinary account.
+ *
+ * Usage:   node tools/cloudinary_standin.mjs --port=8787 --fail-rate=0.2
+ * Browser: localStorage.setItem('uploadEndpointOverride', 'http://127.0.0.1:8787/upload') (honoured on localhost only)
+ * Tests:   node --test tools/ (upload_chunked.test.mjs starts its own stand-in)
+ * --fail-rate answers that share of requests with HTTP 503 to exercise the retry/backoff path.
+ */
+
+import { createServer } from "node:http";
+import { mkdirSync, openSync, writeSync, closeSync, statSync, createReadStream, existsSync, renameSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join, basename } from "node:path";
+import { randomUUID } from "node:crypto";
+
+// --- 1. CONFIGURATION ---
+const args = Object.fromEntries(process.argv.slice(2).map(arg => arg.replace(/^--/, '').split('=')));
+const PORT = Number(args.port || 8787);
+const FAIL_RATE = Number(args['fail-rate'] || 0);
+const STORAGE_DIR = join(tmpdir(), 'cloudinary-standin');
+mkdirSync(STORAGE_DIR, { recursive: true });
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Content-Range, X-Unique-Upload-Id, X-Requested-With'
+};
+
+// --- 2. HELPERS ---
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Minimal multipart/form-data parser: returns { fields, file: { filename, data } }.
+ */
+function parseMultipart(body, contentType) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '');
+    if (!boundary) throw new Error('Missing multipart boundary');
+    const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+
+    const fields = {};
+    let file = null;
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        const next = body.indexOf(delimiter, start + delimiter.length);
+        if (next === -1) break;
+        const part = body.subarray(start + delimiter.length + 2, next - 2); // strip CRLFs
+        const headerEnd = part.indexOf('\r\n\r\n');
+        const headers = part.subarray(0, headerEnd).toString('utf8');
+        const data = part.subarray(headerEnd + 4);
+        const name = /name="([^"]+)"/.exec(headers)?.[1];
+        const filename = /filename="([^"]*)"/.exec(headers)?.[1];
+        if (filename !== undefined) {
+            file = { filename, data };
+        } else if (name) {
+            fields[name] = data.toString('utf8');
+        }
+        start = next;
+    }
+    return { fields, file };
+}
+
+function finalResponse(storedName, filename, bytes, fields) {
+    const extension = filename.includes('.') ? filename.split('.').pop() : 'bin';
+    return {
+        public_id: `${fields.folder || 'uploads'}/${storedName.replace(/\.[^.]+$/, '')}`,
+        resource_type: fields.folder === 'kavithai_audios' ? 'video' : 'image',
+        format: extension,
+        bytes,
+        original_filename: filename.replace(/\.[^.]+$/, ''),
+        secure_url: `http://127.0.0.1:${PORT}/files/${storedName}`,
+        done: true
+    };
+}
+
+// --- 3. UPLOAD HANDLER ---
+
+async function handleUpload(req, res) {
+    const body = await readBody(req);
+
+    if (FAIL_RATE > 0 && Math.random() < FAIL_RATE) {
+        console.log('-> simulated 503');
+        sendJson(res, 503, { error: { message: 'Simulated outage (stand-in --fail-rate)' } });
+        return;
+    }
+
+    const { fields, file } = parseMultipart(body, req.headers['content-type']);
+    if (!file) {
+        sendJson(res, 400, { error: { message: 'Missing file' } });
+        return;
+    }
+    if (!fields.upload_preset) {
+        sendJson(res, 400, { error: { message: 'Upload preset must be specified when using unsigned upload' } });
+        return;
+    }
+
+    const uploadId = req.headers['x-unique-upload-id'];
+    const range = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(req.headers['content-range'] || '');
+
+    // Single request upload
+    if (!uploadId || !range) {
+        const storedName = `${randomUUID()}-${basename(file.filename) || 'file'}`;
+        const fd = openSync(join(STORAGE_DIR, storedName), 'w');
+        writeSync(fd, file.data);
+        closeSync(fd);
+        console.log(`<- ${file.filename} (${file.data.length} bytes) in one request`);
+        sendJson(res, 200, finalResponse(storedName, file.filename, file.data.length, fields));
+        return;
+    }
+
+    // Chunked upload: write the chunk at its offset into the partial file for this upload ID
+    const [, from, to, total] = range.map(Number);
+    if (to - from + 1 !== file.data.length) {
+        sendJson(res, 400, { error: { message: `Content-Range ${from}-${to} does not match chunk size ${file.data.length}` } });
+        return;
+    }
+    const partialPath = join(STORAGE_DIR, `${basename(uploadId)}.part`);
+    const fd = openSync(partialPath, existsSync(partialPath) ? 'r+' : 'w');
+    writeSync(fd, file.data, 0, file.data.length, from);
+    closeSync(fd);
+    console.log(`<- ${uploadId} bytes ${from}-${to}/${total}`);
+
+    if (to + 1 < total) {
+        sendJson(res, 200, { done: false, upload_id: uploadId, received: to + 1 });
+        return;
+    }
+
+    const storedName = `${basename(uploadId)}-${basename(file.filename) || 'file'}`;
+    renameSync(partialPath, join(STORAGE_DIR, storedName));
+    sendJson(res, 200, finalResponse(storedName, file.filename, statSync(join(STORAGE_DIR, storedName)).size, fields));
+}
+
+// --- 4. SERVER ---
+
+const server = createServer(async (req, res) => {
+    try {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, CORS_HEADERS);
+            res.end();
+        } else if (req.method === 'POST' && req.url.startsWith('/upload')) {
+            await handleUpload(req, res);
+        } else if (req.method === 'GET' && req.url.startsWith('/files/')) {
+            const filePath = join(STORAGE_DIR, basename(decodeURIComponent(req.url.slice('/files/'.length))));
+            if (!existsSync(filePath)) {
+                sendJson(res, 404, { error: { message: 'Not found' } });
+                return;
+            }
+            res.writeHead(200, { ...CORS_HEADERS, 'Content-Length': statSync(filePath).size });
+            createReadStream(filePath).pipe(res);
+        } else {
+            sendJson(res, 404, { error: { message: 'Not found' } });
+        }
+    } catch (error) {
+        console.error(error);
+        sendJson(res, 500, { error: { message: error.message } });
+    }
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+    console.log(`Cloudinary stand-in listening on http://127.0.0.1:${PORT}/upload (files in ${STORAGE_DIR}, fail rate ${FAIL_RATE})`);
+});
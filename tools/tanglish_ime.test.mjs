@@ -0,0 +1,43 @@
+/*
+ * File: tools/tanglish_ime.test.mjs
+ * Description: ஒலிப்பு உள்ளீடு சோதனை (Tanglish IME test) - rule-based spellings from tanglish_ime.js.
+ * Integrates: tanglish_ime.js (transliterateWord, getSuggestions).
+ * Purpose: Keeps the consonant-cluster rules (ன்ற, ற்ற, ண்ட, ந்த) and name handling from regressing.
+ *
+ * Usage:   node --test tools/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// getSuggestions reads the user's own spellings from localStorage
+globalThis.localStorage = { getItem: () => null, setItem: () => {} };
+
+const { transliterateWord, getSuggestions } = await import("../tanglish_ime.js");
+
+test('"ndr" gives ன்ற', () => {
+    assert.equal(transliterateWord('nandri'), 'நன்றி');
+    assert.equal(transliterateWord('thendral'), 'தென்றல்');
+    assert.equal(transliterateWord('kandru'), 'கன்று');
+});
+
+test('"ttr" and "tr" give ற்ற without an extra ட்', () => {
+    assert.equal(transliterateWord('vettri'), 'வெற்றி');
+    assert.equal(transliterateWord('kaatru'), 'காற்று');
+});
+
+test('the generic n + d and n + th rules still apply', () => {
+    assert.equal(transliterateWord('vandi'), 'வண்டி');
+    assert.equal(transliterateWord('manthiram'), 'மந்திரம்');
+});
+
+test('capitalised names are read in lower case', () => {
+    assert.equal(transliterateWord('Ravi'), 'ரவி');
+    assert.equal(transliterateWord('Nila'), 'நில');
+    assert.equal(getSuggestions('Ravi')[0], 'ரவி');
+});
+
+test('capital-letter keys still work inside a word', () => {
+    assert.equal(transliterateWord('maRam'), 'மறம்');
+    assert.equal(transliterateWord('kaNNan'), 'கண்ணன்');
+});
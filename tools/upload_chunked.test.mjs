@@ -0,0 +1,203 @@
+/*
+ * File: tools/upload_chunked.test.mjs
+ * Description: பகுதி பதிவேற்ற சோதனை (Chunked upload test) - upload.js against the local stand-in.
+ * Integrates: upload.js (uploadFileToCloudinary, chunked / resumable path), tools/cloudinary_standin.mjs.
+ * Purpose: Checks that large files go up in ordered chunks, survive a retryable error, resume from the
+ *          saved offset after a failure, and that the endpoint override is ignored off localhost.
+ *
+ * Usage:   node --test tools/
+ * The browser globals upload.js needs (window, document, localStorage, XMLHttpRequest) are small
+ * in-memory versions; XMLHttpRequest forwards to fetch and can answer a request with a set status.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { createServer } from "node:net";
+import { register } from "node:module";
+import { fileURLToPath } from "node:url";
+
+// --- 1. BROWSER GLOBALS ---
+
+// upload.js records assets in the media library (Firestore); not part of this test
+const hooks = `
+export async function resolve(specifier, context, next) {
+    if (specifier === "./media_library.js") {
+        return { url: "data:text/javascript,export async function recordMediaAsset() {}", shortCircuit: true };
+    }
+    return next(specifier, context);
+}`;
+register(`data:text/javascript,${encodeURIComponent(hooks)}`);
+
+const storage = new Map();
+const elements = new Map();
+const toasts = [];
+const requests = [];      // { url, headers } for every upload request sent
+const injected = [];      // statuses to answer the next requests with, instead of sending them
+
+globalThis.window = globalThis;
+window.location = { hostname: 'localhost' };
+window.addEventListener = () => {};
+window.removeEventListener = () => {};
+window.showToastNotification = (message, type) => toasts.push({ message, type });
+console.error = () => {}; // upload.js logs the injected failures
+Object.defineProperty(globalThis, 'navigator', { value: { onLine: true }, configurable: true });
+globalThis.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key),
+    key: index => [...storage.keys()][index] ?? null,
+    get length() { return storage.size; }
+};
+globalThis.document = {
+    getElementById: id => elements.get(id) || null,
+    createElement: () => ({ innerHTML: '' }),
+    addEventListener: () => {}
+};
+
+class TestXMLHttpRequest {
+    constructor() {
+        this.upload = { addEventListener: () => {} };
+        this.headers = {};
+        this.controller = new AbortController();
+    }
+    open(method, url) {
+        this.method = method;
+        this.url = url;
+    }
+    setRequestHeader(name, value) {
+        this.headers[name] = value;
+    }
+    abort() {
+        this.controller.abort();
+    }
+    async send(body) {
+        requests.push({ url: this.url, headers: { ...this.headers } });
+        const status = injected.shift();
+        if (status) {
+            this.status = status;
+            this.responseText = JSON.stringify({ error: { message: `Injected HTTP ${status}` } });
+            this.onload();
+            return;
+        }
+        try {
+            const response = await fetch(this.url, { method: this.method, headers: this.headers, body, signal: this.controller.signal });
+            this.status = response.status;
+            this.responseText = await response.text();
+            this.onload();
+        } catch (error) {
+            if (error.name !== 'AbortError') this.onerror();
+        }
+    }
+}
+globalThis.XMLHttpRequest = TestXMLHttpRequest;
+
+
+// --- 2. STAND-IN SERVER ---
+
+const CHUNK_SIZE = 6 * 1024 * 1024; // upload.js CHUNK_SIZE
+let standin = null;
+let endpoint = null;
+let uploadFileToCloudinary = null;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = createServer();
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+        server.on('error', reject);
+    });
+}
+
+before(async () => {
+    const port = await freePort();
+    standin = spawn(process.execPath, [fileURLToPath(new URL('./cloudinary_standin.mjs', import.meta.url)), `--port=${port}`], { stdio: ['ignore', 'pipe', 'inherit'] });
+    await new Promise((resolve, reject) => {
+        standin.stdout.on('data', data => { if (String(data).includes('listening')) resolve(); });
+        standin.on('exit', code => reject(new Error(`Stand-in exited with ${code}`)));
+    });
+    endpoint = `http://127.0.0.1:${port}/upload`;
+    ({ uploadFileToCloudinary } = await import("../upload.js"));
+});
+
+after(() => {
+    standin?.kill();
+});
+
+/**
+ * A file with recognisable bytes, so a chunk written at the wrong offset shows up.
+ */
+function testFile(name, size) {
+    const bytes = new Uint8Array(size);
+    for (let i = 0; i < size; i++) bytes[i] = (i * 31 + (i >> 12)) & 0xFF;
+    return new File([bytes], name, { type: 'audio/mpeg', lastModified: 1700000000000 });
+}
+
+async function downloaded(url) {
+    return new Uint8Array(await (await fetch(url)).arrayBuffer());
+}
+
+function startRun(hostname = 'localhost') {
+    window.location.hostname = hostname;
+    localStorage.setItem('uploadEndpointOverride', endpoint);
+    requests.length = 0;
+    injected.length = 0;
+    toasts.length = 0;
+    elements.set('status', { innerHTML: '' });
+}
+
+
+// --- 3. TESTS ---
+
+test('a large file goes up in ordered chunks and arrives intact', async () => {
+    startRun();
+    const file = testFile('long-recitation.mp3', 2 * CHUNK_SIZE + 12345);
+    const url = await uploadFileToCloudinary(file, 'naan_kavithai_images', 'status');
+
+    assert.ok(url, 'returns the secure URL');
+    assert.deepEqual(requests.map(request => request.headers['Content-Range']), [
+        `bytes 0-${CHUNK_SIZE - 1}/${file.size}`,
+        `bytes ${CHUNK_SIZE}-${2 * CHUNK_SIZE - 1}/${file.size}`,
+        `bytes ${2 * CHUNK_SIZE}-${file.size - 1}/${file.size}`
+    ]);
+    assert.equal(new Set(requests.map(request => request.headers['X-Unique-Upload-Id'])).size, 1, 'one upload ID for every chunk');
+    assert.deepEqual(await downloaded(url), new Uint8Array(await file.arrayBuffer()));
+    assert.equal([...storage.keys()].filter(key => key.startsWith('naankavithai_upload:')).length, 0, 'saved progress is cleared');
+});
+
+test('a retryable error is retried and the upload completes', async () => {
+    startRun();
+    const file = testFile('retry.mp3', CHUNK_SIZE + 1000);
+    injected.push(null, 503);
+    const url = await uploadFileToCloudinary(file, 'naan_kavithai_images', 'status');
+
+    assert.ok(url);
+    assert.equal(requests.length, 3, 'the second chunk is sent twice');
+    assert.equal(requests[1].headers['Content-Range'], requests[2].headers['Content-Range']);
+    assert.deepEqual(await downloaded(url), new Uint8Array(await file.arrayBuffer()));
+});
+
+test('a failed upload returns null and the next attempt resumes from the saved offset', async () => {
+    startRun();
+    const file = testFile('resume.mp3', 2 * CHUNK_SIZE + 500);
+    injected.push(null, 400); // second chunk rejected (not retryable)
+    assert.equal(await uploadFileToCloudinary(file, 'naan_kavithai_images', 'status'), null);
+    assert.ok(toasts.some(toast => toast.type === 'error'), 'the failure is reported');
+    const uploadId = requests[0].headers['X-Unique-Upload-Id'];
+
+    requests.length = 0;
+    const url = await uploadFileToCloudinary(file, 'naan_kavithai_images', 'status');
+    assert.ok(url);
+    assert.equal(requests[0].headers['Content-Range'], `bytes ${CHUNK_SIZE}-${2 * CHUNK_SIZE - 1}/${file.size}`, 'starts at the second chunk');
+    assert.ok(requests.every(request => request.headers['X-Unique-Upload-Id'] === uploadId), 'keeps the upload ID');
+    assert.deepEqual(await downloaded(url), new Uint8Array(await file.arrayBuffer()));
+});
+
+test('the endpoint override is ignored outside localhost', async () => {
+    startRun('naankavithai.netlify.app');
+    injected.push(400); // never reaches Cloudinary
+    assert.equal(await uploadFileToCloudinary(testFile('live.mp3', 1000), 'naan_kavithai_images', 'status'), null);
+    assert.match(requests[0].url, /^https:\/\/api\.cloudinary\.com\//);
+});
@@ -0,0 +1,420 @@
+/*
+ * File: translation.js
+ * Description: மொழிபெயர்ப்பு (Poem Translation) - pluggable providers, per-poem cache and human overrides.
+ * Integrates: Firestore 'kavithai/{id}/translations/{lang}' (one cached translation per poem and language),
+ *             'translation_glossary/{lang}' (word list for the local glossary provider),
+ *             'settings/owner_defaults' (active provider and server address, set from admin.html),
+ *             licenses.js (translate permission; translatePoem opens the view here),
+ *             poem_view.js (side-by-side view), search.js (realTimeTranslate for free text).
+ * Purpose: Readers see the original and the translation line by line; a poem is machine-translated once,
+ *          and an author-approved human translation replaces the machine one.
+ * FIX: Cached machine translations record their provider and are redone after a provider switch;
+ *      the server address override works on localhost only and its results are never cached;
+ *      openTranslation opens poem_view for poems without a panel on the page (the home feed).
+ */
+
+// --- 1. FIREBASE IMPORTS & CONFIGURATION ---
+import { auth, db } from "./auth.js";
+import {
+    doc,
+    getDoc,
+    setDoc,
+    updateDoc,
+    serverTimestamp
+} from "https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js";
+import { normalizeTamilText } from "./search_index.js";
+import { isActionAllowed } from "./licenses.js";
+import { escapeHtml } from "./html_escape.js";
+
+const SOURCE_LANG = 'ta';
+const DEFAULT_PROVIDER_ID = 'glossary';
+const DEV_HOSTS = ['localhost', '127.0.0.1'];
+
+const TRANSLATION_LANGUAGES = {
+    en: 'English',
+    si: 'සිංහල',
+    hi: 'हिन्दी',
+    ms: 'Bahasa Melayu',
+    fr: 'Français',
+    de: 'Deutsch'
+};
+
+const providers = new Map();
+const shownPoems = new Map();   // poemId -> poem rendered with a translation panel
+let providerSettings = null;    // Promise of the 'settings/owner_defaults' fields used here
+
+
+// --- 2. PROVIDERS ---
+
+/**
+ * A translation provider turns Tamil lines into the same number of lines in the target language.
+ * @typedef {object} TranslationProvider
+ * @property {string} id - Stored with each machine translation.
+ * @property {string} name - Shown under the translation.
+ * @property {function(Array<string>, string, object): Promise<Array<string>>} translateLines
+ *           (lines, targetLang, settings) - never called with blank lines.
+ */
+
+/**
+ * Adds or replaces a provider. Select it with the 'translationProvider' owner setting.
+ * @param {TranslationProvider} provider
+ */
+function registerTranslationProvider(provider) {
+    providers.set(provider.id, provider);
+}
+
+/**
+ * Local glossary: word-for-word lookup in 'translation_glossary/{lang}' ({ entries: { word: meaning } }).
+ * Unknown words are kept as written, so the line still reads in order.
+ */
+const glossaryCache = new Map();
+registerTranslationProvider({
+    id: 'glossary',
+    name: 'உள்ளூர் சொற்களஞ்சியம்',
+    async translateLines(lines, targetLang) {
+        if (!glossaryCache.has(targetLang)) {
+            glossaryCache.set(targetLang, getDoc(doc(db, "translation_glossary", targetLang))
+                .then(glossarySnap => glossarySnap.exists() ? glossarySnap.data().entries || {} : {}));
+        }
+        const entries = await glossaryCache.get(targetLang);
+        return lines.map(line => line.split(/\s+/).filter(word => word).map(word => {
+            const key = normalizeTamilText(word).trim();
+            return entries[key] || word;
+        }).join(' '));
+    }
+});
+
+/**
+ * Server address set in localStorage for local testing; ignored outside localhost.
+ * localStorage.setItem('translationServerOverride', 'http://127.0.0.1:5000')
+ */
+function serverOverride() {
+    return DEV_HOSTS.includes(window.location.hostname) ? localStorage.getItem('translationServerOverride') : null;
+}
+
+/**
+ * Self-hosted server with a LibreTranslate-style API: POST {url}/translate with
+ * { q: [lines], source, target, format: 'text' } answers { translatedText: [lines] }.
+ */
+registerTranslationProvider({
+    id: 'server',
+    name: 'மொழிபெயர்ப்பு சர்வர்',
+    async translateLines(lines, targetLang, settings) {
+        const serverUrl = serverOverride() || settings.translationServerUrl;
+        if (!serverUrl) throw new Error("No translation server configured.");
+
+        const response = await fetch(`${serverUrl.replace(/\/$/, '')}/translate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ q: lines, source: SOURCE_LANG, target: targetLang, format: 'text' })
+        });
+        if (!response.ok) throw new Error(`Translation server answered ${response.status}`);
+        const result = await response.json();
+        return Array.isArray(result.translatedText) ? result.translatedText : [result.translatedText];
+    }
+});
+
+function loadProviderSettings() {
+    if (!providerSettings) {
+        providerSettings = getDoc(doc(db, "settings", "owner_defaults"))
+            .then(settingsSnap => settingsSnap.data() || {})
+            .catch(error => {
+                console.error("Could not load translation settings, using defaults:", error);
+                return {};
+            });
+    }
+    return providerSettings;
+}
+
+async function activeProvider() {
+    const settings = await loadProviderSettings();
+    return { provider: providers.get(settings.translationProvider) || providers.get(DEFAULT_PROVIDER_ID), settings };
+}
+
+/**
+ * Translations from a local test server stay on this device.
+ */
+function isShareableProvider(providerId) {
+    return !(providerId === 'server' && serverOverride());
+}
+
+/**
+ * Translates line by line with the active provider. Blank lines (stanza breaks) stay blank,
+ * and the result always has one line per input line.
+ * @param {Array<string>} lines - Tamil lines.
+ * @param {string} targetLang - e.g. 'en'.
+ * @returns {Promise<{lines: Array<string>, provider: string}>}
+ */
+async function translateLines(lines, targetLang) {
+    const { provider, settings } = await activeProvider();
+    const textLines = lines.filter(line => line.trim());
+    const translated = textLines.length ? await provider.translateLines(textLines.map(line => line.trim()), targetLang, settings) : [];
+    if (translated.length !== textLines.length) throw new Error(`${provider.id} returned ${translated.length} lines for ${textLines.length}`);
+
+    let next = 0;
+    return { lines: lines.map(line => line.trim() ? translated[next++] : ''), provider: provider.id };
+}
+
+
+// --- 3. PER-POEM CACHE & HUMAN TRANSLATIONS ---
+
+function poemLines(poem) {
+    return (poem.content || '').replace(/\r/g, '').trim().split('\n');
+}
+
+/**
+ * Short hash of the poem text; a cached translation of an older text is not shown.
+ */
+function sourceHash(poem) {
+    let hash = 5381;
+    for (const char of poem.content || '') hash = ((hash * 33) ^ char.codePointAt(0)) >>> 0;
+    return hash.toString(16);
+}
+
+function translationRef(poemId, lang) {
+    return doc(db, "kavithai", poemId, "translations", lang);
+}
+
+function canManageTranslations(poem) {
+    return auth.currentUser?.uid === poem.authorId;
+}
+
+/**
+ * The translation to show: an approved human translation if there is one, otherwise the cached
+ * machine translation, made (and stored) on first request. A machine translation of an older text,
+ * or by a provider other than the active one, is made again.
+ * @param {object} poem - Poem with id, content, license, authorId.
+ * @param {string} lang - Target language code.
+ * @returns {Promise<{lines: Array<string>, kind: ('human'|'machine'), provider: (string|null), translatorName: (string|null), pending: (object|null)}>}
+ */
+async function getPoemTranslation(poem, lang) {
+    if (!isActionAllowed(poem, 'translate') && !canManageTranslations(poem)) {
+        throw new Error("License does not allow translation.");
+    }
+
+    const hash = sourceHash(poem);
+    const translationSnap = await getDoc(translationRef(poem.id, lang));
+    const cached = translationSnap.exists() ? translationSnap.data() : {};
+    const pending = cached.pending?.sourceHash === hash ? cached.pending : null;
+
+    if (cached.human?.sourceHash === hash) {
+        return { lines: cached.human.lines, kind: 'human', provider: null, translatorName: cached.human.translatorName, pending };
+    }
+    const { provider } = await activeProvider();
+    if (cached.machine?.sourceHash === hash && cached.machine.provider === provider.id && isShareableProvider(provider.id)) {
+        return { lines: cached.machine.lines, kind: 'machine', provider: cached.machine.provider, translatorName: null, pending };
+    }
+
+    const machine = await translateLines(poemLines(poem), lang);
+    if (!isShareableProvider(machine.provider)) return { ...machine, kind: 'machine', translatorName: null, pending };
+    await setDoc(translationRef(poem.id, lang), {
+        lang,
+        machine: { ...machine, sourceHash: hash, createdAt: serverTimestamp() },
+        updatedAt: serverTimestamp()
+    }, { merge: true });
+    return { ...machine, kind: 'machine', translatorName: null, pending };
+}
+
+/**
+ * Saves a human translation. The author's own translation is used straight away; anyone else's
+ * waits for the author's approval (one pending submission per language, the newest wins).
+ * @param {object} poem
+ * @param {string} lang
+ * @param {Array<string>} lines - One line per original line.
+ * @returns {Promise<('approved'|'pending')>}
+ */
+async function submitHumanTranslation(poem, lang, lines) {
+    const user = auth.currentUser;
+    if (!user) throw new Error("Sign in to submit a translation.");
+    if (lines.length !== poemLines(poem).length) throw new Error("Line count does not match the poem.");
+
+    const entry = {
+        lines,
+        sourceHash: sourceHash(poem),
+        translatorId: user.uid,
+        translatorName: user.displayName || user.email,
+        submittedAt: serverTimestamp()
+    };
+    const approved = canManageTranslations(poem);
+    await setDoc(translationRef(poem.id, lang), {
+        lang,
+        ...(approved ? { human: { ...entry, approvedAt: serverTimestamp() } } : { pending: entry }),
+        updatedAt: serverTimestamp()
+    }, { merge: true });
+    return approved ? 'approved' : 'pending';
+}
+
+/**
+ * Author only: makes the pending submission the shown translation, or discards it.
+ */
+async function reviewPendingTranslation(poem, lang, approve) {
+    if (!canManageTranslations(poem)) throw new Error("Only the author can review translations.");
+    const translationSnap = await getDoc(translationRef(poem.id, lang));
+    const pending = translationSnap.data()?.pending;
+    if (!pending) return;
+
+    await updateDoc(translationRef(poem.id, lang), {
+        ...(approve ? { human: { ...pending, approvedAt: serverTimestamp() } } : {}),
+        pending: null,
+        updatedAt: serverTimestamp()
+    });
+}
+
+
+// --- 4. SIDE-BY-SIDE VIEW ---
+
+function sourceNote(translation) {
+    if (translation.kind === 'human') return `<i class="fas fa-user-check"></i> மனித மொழிபெயர்ப்பு: ${escapeHtml(translation.translatorName)}`;
+    return `<i class="fas fa-robot"></i> இயந்திர மொழிபெயர்ப்பு (${escapeHtml(providers.get(translation.provider)?.name || translation.provider)})`;
+}
+
+/**
+ * Renders the original and the translation in aligned rows into the poem's '.translation-panel'.
+ * @param {object} poem
+ * @param {string} lang
+ */
+async function renderTranslationPanel(poem, lang) {
+    const panel = document.querySelector(`[data-translation-panel="${poem.id}"]`);
+    if (!panel) return;
+    panel.style.display = 'block';
+    panel.innerHTML = '<p><i class="fas fa-spinner fa-spin"></i> மொழிபெயர்க்கப்படுகிறது...</p>';
+
+    let translation;
+    try {
+        translation = await getPoemTranslation(poem, lang);
+    } catch (error) {
+        console.error("Translation failed:", error);
+        panel.innerHTML = '<p class="translation-error">மொழிபெயர்ப்பைப் பெற முடியவில்லை.</p>';
+        return;
+    }
+
+    const original = poemLines(poem);
+    const isAuthor = canManageTranslations(poem);
+    panel.innerHTML = `
+        <div class="translation-toolbar">
+            <select onchange="openTranslation('${poem.id}', this.value)">
+                ${Object.entries(TRANSLATION_LANGUAGES).map(([code, name]) =>
+                    `<option value="${code}" ${code === lang ? 'selected' : ''}>${name}</option>`).join('')}
+            </select>
+            <span class="translation-source">${sourceNote(translation)}</span>
+            <button type="button" class="reader-action-btn" onclick="editTranslation('${poem.id}')"><i class="fas fa-pen"></i> ${isAuthor ? 'மொழிபெயர்ப்பைத் திருத்து' : 'சிறந்த மொழிபெயர்ப்பைப் பரிந்துரை'}</button>
+            <button type="button" class="reader-action-btn" onclick="closeTranslation('${poem.id}')"><i class="fas fa-times"></i> மூடு</button>
+        </div>
+        ${isAuthor && translation.pending ? `
+            <div class="translation-pending">
+                ${escapeHtml(translation.pending.translatorName)} ஒரு மொழிபெயர்ப்பைப் பரிந்துரைத்துள்ளார்.
+                <button type="button" onclick="reviewTranslation('${poem.id}', true)">ஏற்று</button>
+                <button type="button" onclick="reviewTranslation('${poem.id}', false)">நிராகரி</button>
+                <div class="translation-grid">
+                    ${original.map((line, i) => `
+                        <div class="translation-row">
+                            <div class="original-line">${escapeHtml(line)}</div>
+                            <div class="translated-line">${escapeHtml(translation.pending.lines[i])}</div>
+                        </div>`).join('')}
+                </div>
+            </div>` : ''}
+        <div class="translation-grid" lang="${lang}">
+            ${original.map((line, i) => `
+                <div class="translation-row">
+                    <div class="original-line" lang="${SOURCE_LANG}">${escapeHtml(line)}</div>
+                    <div class="translated-line">${escapeHtml(translation.lines[i])}</div>
+                </div>`).join('')}
+        </div>
+        <div class="translation-editor" style="display:none;">
+            <p>ஒவ்வொரு வரியும் மூல வரிக்கு நேராக இருக்க வேண்டும் (${original.length} வரிகள்; பத்தி இடைவெளிகளை வெற்று வரிகளாக விடவும்).</p>
+            <textarea rows="${Math.min(original.length + 1, 20)}">${escapeHtml(translation.lines.join('\n'))}</textarea>
+            <button type="button" class="approve-btn" onclick="submitTranslation('${poem.id}')">${isAuthor ? 'சேமி' : 'ஆசிரியருக்குச் சமர்ப்பி'}</button>
+        </div>
+    `;
+    panel.dataset.lang = lang;
+}
+
+/**
+ * Shows the translation panel for a poem rendered by poem_view.js (the reader action "மொழிபெயர்").
+ * Poems shown elsewhere (the home feed, search results) have no panel: their page is opened instead.
+ * @param {string} poemId
+ * @param {string} [lang='en']
+ */
+window.openTranslation = async function(poemId, lang = 'en') {
+    const poem = shownPoems.get(poemId);
+    if (!poem || !document.querySelector(`[data-translation-panel="${poemId}"]`)) {
+        window.location.href = `poem_view?id=${poemId}&lang=${TRANSLATION_LANGUAGES[lang] ? lang : 'en'}`;
+        return;
+    }
+    if (!isActionAllowed(poem, 'translate') && !canManageTranslations(poem)) {
+        window.showToastNotification("இந்த உரிமம் மொழிபெயர்ப்பை அனுமதிக்காது.", 'warning');
+        return;
+    }
+    await renderTranslationPanel(poem, TRANSLATION_LANGUAGES[lang] ? lang : 'en');
+}
+
+window.closeTranslation = function(poemId) {
+    const panel = document.querySelector(`[data-translation-panel="${poemId}"]`);
+    if (panel) panel.style.display = 'none';
+}
+
+window.editTranslation = function(poemId) {
+    if (!auth.currentUser) {
+        window.showToastNotification("மொழிபெயர்ப்பைச் சமர்ப்பிக்க உள்நுழையவும்.", 'error');
+        return;
+    }
+    const editor = document.querySelector(`[data-translation-panel="${poemId}"] .translation-editor`);
+    if (editor) editor.style.display = editor.style.display === 'none' ? 'block' : 'none';
+}
+
+window.submitTranslation = async function(poemId) {
+    const poem = shownPoems.get(poemId);
+    const panel = document.querySelector(`[data-translation-panel="${poemId}"]`);
+    if (!poem || !panel) return;
+
+    const lines = panel.querySelector('.translation-editor textarea').value.replace(/\r/g, '').replace(/\n+$/, '').split('\n');
+    if (lines.length !== poemLines(poem).length) {
+        window.showToastNotification(`மூலக் கவிதையில் ${poemLines(poem).length} வரிகள் உள்ளன; மொழிபெயர்ப்பில் ${lines.length} வரிகள்.`, 'warning');
+        return;
+    }
+
+    try {
+        const result = await submitHumanTranslation(poem, panel.dataset.lang, lines.map(line => line.trim()));
+        window.showToastNotification(result === 'approved'
+            ? "மொழிபெயர்ப்பு சேமிக்கப்பட்டது."
+            : "மொழிபெயர்ப்பு ஆசிரியரின் ஒப்புதலுக்கு அனுப்பப்பட்டது.", 'success');
+        await renderTranslationPanel(poem, panel.dataset.lang);
+    } catch (error) {
+        console.error("Error submitting translation:", error);
+        window.showToastNotification("மொழிபெயர்ப்பைச் சமர்ப்பிப்பதில் பிழை.", 'error');
+    }
+}
+
+window.reviewTranslation = async function(poemId, approve) {
+    const poem = shownPoems.get(poemId);
+    const panel = document.querySelector(`[data-translation-panel="${poemId}"]`);
+    if (!poem || !panel) return;
+
+    try {
+        await reviewPendingTranslation(poem, panel.dataset.lang, approve);
+        window.showToastNotification(approve ? "மொழிபெயர்ப்பு ஏற்கப்பட்டது." : "பரிந்துரை நிராகரிக்கப்பட்டது.", approve ? 'success' : 'info');
+        await renderTranslationPanel(poem, panel.dataset.lang);
+    } catch (error) {
+        console.error("Error reviewing translation:", error);
+        window.showToastNotification("மொழிபெயர்ப்பைப் புதுப்பிப்பதில் பிழை.", 'error');
+    }
+}
+
+/**
+ * Lets openTranslation find a poem rendered on this page. The page provides an empty element
+ * with data-translation-panel="{poem.id}" where the side-by-side view goes.
+ */
+function registerTranslatablePoem(poem) {
+    shownPoems.set(poem.id, poem);
+}
+
+// --- 5. EXPORTS ---
+export {
+    registerTranslationProvider,
+    translateLines,
+    getPoemTranslation,
+    submitHumanTranslation,
+    reviewPendingTranslation,
+    registerTranslatablePoem,
+    TRANSLATION_LANGUAGES
+};
@@ -3,14 +3,48 @@
  * Description: Cloudinary மூலம் படங்கள் மற்றும் ஆடியோவை பதிவேற்றம் செய்யும் லாஜிக்.
  * Integrates: Cloudinary Unsigned Upload (Unsigned mode is critical for front-end security).
  * Purpose: Handles the file selection, upload process, progress tracking, and returns secure URLs.
+ * FIX: Files pass a per-kind pre-upload pipeline (type/size checks, image downscale + EXIF strip, audio checks).
+ * FIX: Large files upload in resumable chunks with retry/backoff and a cancel button.
+ * FIX: Every pipeline upload is recorded in the user's media library (media_library.js).
+ * FIX: A PNG keeps its original bytes when re-encoding would grow it.
+ * FIX: The stand-in endpoint override only applies on localhost; failed uploads resolve to null again.
+ * FIX: Audio whose header has no duration (in-browser webm recordings) is measured by seeking to its end.
+ * FIX: Measuring audio length times out with an error instead of hanging; audio has its own preset again.
  */
 
+import { recordMediaAsset } from "./media_library.js";
+
 // --- 1. CLOUDINARY CONFIGURATION (Use your provided details) ---
 const CLOUDINARY_CLOUD_NAME = 'davbdxg0u';
 const CLOUDINARY_UPLOAD_PRESET_IMAGE = 'naan_kavithai_images';
-const CLOUDINARY_UPLOAD_PRESET_AUDIO = 'naan_kavithai_images'; 
+// Separate unsigned preset for audio, so Cloudinary enforces the audio limits itself. Create
+// 'naan_kavithai_audio' in the Cloudinary console: resource type video, formats
+// mp3, m4a, aac, ogg, webm, wav, maximum file size 200 MB (MEDIA_RULES.audio.maxInputBytes).
+const CLOUDINARY_UPLOAD_PRESET_AUDIO = 'naan_kavithai_audio';
 const CLOUDINARY_UPLOAD_URL = `https://api.cloudinary.com/v1_1/${CLOUDINARY_CLOUD_NAME}/auto/upload`;
 
+// Pre-upload limits per media kind (see processMediaFile)
+const MEDIA_RULES = {
+    image: {
+        mimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+        maxInputBytes: 25 * 1024 * 1024,
+        maxOutputBytes: 4 * 1024 * 1024,
+        maxDimension: 2048,      // Longest side in pixels after downscaling
+        outputType: 'image/jpeg', // PNG keeps PNG (transparency), GIF is passed through (animation)
+        quality: 0.85,
+        preset: CLOUDINARY_UPLOAD_PRESET_IMAGE
+    },
+    audio: {
+        mimeTypes: ['audio/mpeg', 'audio/mp4', 'audio/x-m4a', 'audio/aac', 'audio/ogg', 'audio/webm', 'audio/wav', 'audio/x-wav'],
+        maxInputBytes: 200 * 1024 * 1024, // Long recitations go up in resumable chunks
+        minDurationSec: 1,
+        maxDurationSec: 90 * 60,
+        maxBitrateKbps: 512,
+        durationTimeoutMs: 15000,        // Give up measuring a file whose length the browser never reports
+        preset: CLOUDINARY_UPLOAD_PRESET_AUDIO
+    }
+};
+
 // --- 2. GLOBAL STATE ---
 // Store uploaded URLs globally in a temporary object until final publish (Used by content.js)
 window.uploadedMediaUrls = {
@@ -18,76 +52,461 @@ window.uploadedMediaUrls = {
     audioUrl: null
 };
 
-// --- 3. CORE UPLOAD FUNCTION ---
+// --- 3. PRE-UPLOAD MEDIA PIPELINE ---
+
+/**
+ * Human-readable file size (KB/MB).
+ */
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/**
+ * Decodes an image with its EXIF orientation applied, so dropping EXIF does not rotate it.
+ */
+async function decodeImage(file) {
+    if ('createImageBitmap' in window) {
+        try {
+            return await createImageBitmap(file, { imageOrientation: 'from-image' });
+        } catch (error) {
+            // Fall through to <img> decoding (older Safari)
+        }
+    }
+    const url = URL.createObjectURL(file);
+    try {
+        const img = new Image();
+        img.src = url;
+        await img.decode();
+        return img;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Draws the image at the target size and re-encodes it. Canvas output never carries EXIF/GPS data.
+ */
+async function encodeImage(source, width, height, type, quality) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        const canvas = new OffscreenCanvas(width, height);
+        canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+        return canvas.convertToBlob({ type, quality });
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('படத்தை மாற்ற முடியவில்லை.')), type, quality);
+    });
+}
+
+/**
+ * True when a PNG carries an 'eXIf' chunk (camera / GPS data). The chunk must come before the
+ * image data, so only the chunk headers up to the first 'IDAT' are read.
+ */
+async function pngHasExif(file) {
+    const bytes = new DataView(await file.arrayBuffer());
+    let offset = 8; // PNG signature
+    while (offset + 8 <= bytes.byteLength) {
+        const type = String.fromCharCode(...[4, 5, 6, 7].map(i => bytes.getUint8(offset + i)));
+        if (type === 'eXIf') return true;
+        if (type === 'IDAT' || type === 'IEND') return false;
+        offset += 12 + bytes.getUint32(offset); // length + type + data + CRC
+    }
+    return false;
+}
+
+/**
+ * Downscales and re-encodes an image (strips EXIF). A PNG that needs no downscaling and has no
+ * EXIF keeps its original bytes when the canvas encoder would make it larger (it does not
+ * compress as well as most PNG tools).
+ */
+async function processImage(file, rules) {
+    if (file.type === 'image/gif') {
+        if (file.size > rules.maxOutputBytes) {
+            throw new Error(`GIF படம் அதிகபட்சம் ${formatBytes(rules.maxOutputBytes)} மட்டுமே இருக்கலாம்.`);
+        }
+        return { file, width: null, height: null };
+    }
+
+    const source = await decodeImage(file);
+    const sourceWidth = source.width || source.naturalWidth;
+    const sourceHeight = source.height || source.naturalHeight;
+    const scale = Math.min(1, rules.maxDimension / Math.max(sourceWidth, sourceHeight));
+    const width = Math.round(sourceWidth * scale);
+    const height = Math.round(sourceHeight * scale);
+
+    const outputType = file.type === 'image/png' ? 'image/png' : rules.outputType;
+    let blob = await encodeImage(source, width, height, outputType, rules.quality);
+    source.close?.();
+    if (outputType === 'image/png' && scale === 1 && blob.size > file.size && !await pngHasExif(file)) {
+        blob = file;
+    }
+
+    if (blob.size > rules.maxOutputBytes) {
+        throw new Error(`படம் சுருக்கிய பின்னும் மிகப் பெரியது (${formatBytes(blob.size)}). அதிகபட்சம் ${formatBytes(rules.maxOutputBytes)}.`);
+    }
+
+    const extension = outputType === 'image/png' ? 'png' : 'jpg';
+    const name = file.name.replace(/\.[^.]+$/, '') + '.' + extension;
+    return { file: new File([blob], name, { type: outputType }), width, height };
+}
+
+/**
+ * Reads audio duration from the browser's decoder and checks duration and bitrate.
+ */
+async function validateAudio(file, rules) {
+    const url = URL.createObjectURL(file);
+    try {
+        const duration = await new Promise((resolve, reject) => {
+            const audio = new Audio();
+            const timer = setTimeout(() => {
+                audio.removeAttribute('src');
+                reject(new Error('ஆடியோ நீளத்தைக் கண்டறிய முடியவில்லை; MP3/M4A ஆக மாற்றி மீண்டும் முயலவும்.'));
+            }, rules.durationTimeoutMs);
+            const done = (value) => {
+                clearTimeout(timer);
+                resolve(value);
+            };
+            audio.preload = 'metadata';
+            audio.onloadedmetadata = () => {
+                if (audio.duration !== Infinity) {
+                    done(audio.duration);
+                    return;
+                }
+                // MediaRecorder webm files have no duration in their header until the end is read;
+                // some browsers never report it, which the timeout above turns into an error
+                audio.ondurationchange = () => {
+                    if (audio.duration !== Infinity) done(audio.duration);
+                };
+                audio.currentTime = Number.MAX_SAFE_INTEGER;
+            };
+            audio.onerror = () => {
+                clearTimeout(timer);
+                reject(new Error('ஆடியோ கோப்பைப் படிக்க முடியவில்லை (சிதைந்த அல்லது ஆதரிக்கப்படாத வடிவம்).'));
+            };
+            audio.src = url;
+        });
+
+        if (!isFinite(duration) || duration < rules.minDurationSec) {
+            throw new Error('ஆடியோ நீளத்தைக் கண்டறிய முடியவில்லை அல்லது மிகக் குறுகியது.');
+        }
+        if (duration > rules.maxDurationSec) {
+            throw new Error(`ஆடியோ அதிகபட்சம் ${Math.round(rules.maxDurationSec / 60)} நிமிடங்கள் மட்டுமே இருக்கலாம்.`);
+        }
+        const bitrateKbps = Math.round((file.size * 8) / duration / 1000);
+        if (bitrateKbps > rules.maxBitrateKbps) {
+            throw new Error(`ஆடியோ பிட்ரேட் மிக அதிகம் (${bitrateKbps} kbps). அதிகபட்சம் ${rules.maxBitrateKbps} kbps; MP3/AAC ஆக மாற்றவும்.`);
+        }
+        return { file, duration, bitrateKbps };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Validates and prepares a file before upload according to MEDIA_RULES.
+ * @param {File} file - User-selected file.
+ * @param {'image'|'audio'} kind - Media kind.
+ * @returns {Promise<{file: File, originalBytes: number, processedBytes: number}>}
+ * @throws {Error} - With a Tamil message when the file is rejected.
+ */
+async function processMediaFile(file, kind) {
+    const rules = MEDIA_RULES[kind];
+    if (!rules.mimeTypes.includes(file.type)) {
+        throw new Error(`ஆதரிக்கப்படாத கோப்பு வகை (${file.type || 'தெரியாதது'}). அனுமதிக்கப்பட்டவை: ${rules.mimeTypes.map(type => type.split('/')[1]).join(', ')}.`);
+    }
+    if (file.size > rules.maxInputBytes) {
+        throw new Error(`கோப்பு மிகப் பெரியது (${formatBytes(file.size)}). அதிகபட்சம் ${formatBytes(rules.maxInputBytes)}.`);
+    }
+
+    const result = kind === 'image' ? await processImage(file, rules) : await validateAudio(file, rules);
+    return { ...result, originalBytes: file.size, processedBytes: result.file.size };
+}
+
+/**
+ * Runs the pipeline and uploads with the kind's preset. Reports the size saved in the status element.
+ * @param {File} file - User-selected file.
+ * @param {'image'|'audio'} kind - Media kind.
+ * @param {string} statusElementId - Status/progress element ID.
+ * @returns {Promise<string|null>} - Secure URL, or null when the file was rejected or the upload cancelled.
+ */
+async function uploadMedia(file, kind, statusElementId) {
+    const statusElement = document.getElementById(statusElementId) || document.createElement('div');
+    statusElement.innerHTML = `<i class="fas fa-cog fa-spin"></i> கோப்பு சரிபார்க்கப்படுகிறது...`;
+
+    let processed;
+    try {
+        processed = await processMediaFile(file, kind);
+    } catch (error) {
+        statusElement.innerHTML = `<i class="fas fa-times-circle"></i> ${error.message}`;
+        window.showToastNotification(error.message, 'error');
+        return null;
+    }
+
+    const saved = processed.originalBytes - processed.processedBytes;
+    const sizeNote = saved > 0
+        ? `${formatBytes(processed.originalBytes)} → ${formatBytes(processed.processedBytes)} (${Math.round((saved / processed.originalBytes) * 100)}% சேமிப்பு)`
+        : formatBytes(processed.processedBytes);
+
+    const response = await uploadToCloudinary(processed.file, MEDIA_RULES[kind].preset, statusElementId, sizeNote);
+    if (!response) return null;
+
+    // Remember the asset in the user's media library (media_library.js) for reuse
+    try {
+        await recordMediaAsset({
+            type: kind,
+            url: response.secure_url,
+            publicId: response.public_id || null,
+            width: processed.width || response.width || null,
+            height: processed.height || response.height || null,
+            duration: processed.duration || response.duration || null,
+            bytes: response.bytes || processed.processedBytes,
+            fileName: processed.file.name
+        });
+    } catch (error) {
+        console.error("Could not record media asset:", error);
+    }
+
+    return response.secure_url;
+}
+
+// --- 4. CORE UPLOAD FUNCTION (Chunked, resumable, cancellable) ---
+
+// Cloudinary's chunk protocol needs every chunk except the last to be at least 5 MB
+const CHUNK_SIZE = 6 * 1024 * 1024;
+const CHUNK_MAX_RETRIES = 5;
+const CHUNK_RETRY_BASE_MS = 1000;
+const UPLOAD_PROGRESS_PREFIX = 'naankavithai_upload:';
+
+// Hosts where the stand-in endpoint override is honoured (never the live site)
+const DEV_HOSTS = ['localhost', '127.0.0.1'];
+
+// In-flight uploads by status element ID, so the cancel button can abort them
+const activeUploads = new Map();
+
+/**
+ * Upload endpoint. For local testing point it at the stand-in server (tools/cloudinary_standin.mjs);
+ * the override is ignored outside DEV_HOSTS:
+ * localStorage.setItem('uploadEndpointOverride', 'http://127.0.0.1:8787/upload')
+ */
+function getUploadEndpoint() {
+    const override = DEV_HOSTS.includes(window.location.hostname) ? localStorage.getItem('uploadEndpointOverride') : null;
+    return override || CLOUDINARY_UPLOAD_URL;
+}
+
+/**
+ * Waits for a delay (or until the browser is back online), unless the upload is cancelled.
+ */
+function waitBeforeRetry(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            window.removeEventListener('online', onOnline);
+            reject(new DOMException('Upload cancelled', 'AbortError'));
+        };
+        const onOnline = () => {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            window.removeEventListener('online', onOnline);
+            signal.removeEventListener('abort', onAbort);
+            if (navigator.onLine) {
+                resolve();
+            } else {
+                window.addEventListener('online', onOnline, { once: true });
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Sends one request (whole file or one chunk) with XHR so byte progress is available.
+ * Rejects with { retryable } so the caller can decide whether to back off and retry.
+ */
+function sendUploadRequest(formData, headers, onProgress, signal) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', getUploadEndpoint(), true);
+        Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+        const onAbort = () => {
+            xhr.abort();
+            reject(new DOMException('Upload cancelled', 'AbortError'));
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        xhr.upload.addEventListener('progress', (e) => {
+            if (e.lengthComputable) onProgress(e.loaded);
+        });
+        xhr.onload = () => {
+            signal.removeEventListener('abort', onAbort);
+            let response = {};
+            try {
+                response = JSON.parse(xhr.responseText || '{}');
+            } catch (error) {
+                // Non-JSON body (proxy error page); handled by the status check below
+            }
+            if (xhr.status >= 200 && xhr.status < 300) {
+                resolve(response);
+            } else {
+                const error = new Error(response.error?.message || `HTTP ${xhr.status}`);
+                error.retryable = xhr.status >= 500 || xhr.status === 429;
+                reject(error);
+            }
+        };
+        xhr.onerror = () => {
+            signal.removeEventListener('abort', onAbort);
+            const error = new Error('Network error');
+            error.retryable = true;
+            reject(error);
+        };
+        xhr.send(formData);
+    });
+}
+
+/**
+ * Cancels an in-flight upload and forgets its saved progress.
+ * @param {string} statusElementId - The status element the upload reports to.
+ */
+window.cancelUpload = function(statusElementId) {
+    activeUploads.get(statusElementId)?.abort();
+}
 
 /**
  * Cloudinary-இல் ஒரு கோப்பைப் பதிவேற்றம் செய்கிறது.
+ * Files larger than CHUNK_SIZE go up in chunks (X-Unique-Upload-Id + Content-Range). Each request is
+ * retried with exponential backoff, and chunk progress is kept in localStorage so selecting the same
+ * file again after a reload resumes where it stopped.
  * @param {File} file - User-selected file object.
  * @param {string} preset - The Cloudinary upload preset name.
  * @param {string} statusElementId - The ID of the HTML element to update status/progress.
- * @returns {Promise<string>} - Returns the secure URL of the uploaded file.
+ * @param {string} sizeNote - Optional size/savings note from the pipeline shown with the status.
+ * @returns {Promise<object|null>} - Cloudinary's response (secure_url, public_id, bytes...), or null if
+ *          cancelled or failed (the error is shown in the status element and a toast).
  */
-async function uploadFileToCloudinary(file, preset, statusElementId) {
-    const statusElement = document.getElementById(statusElementId);
+async function uploadToCloudinary(file, preset, statusElementId, sizeNote = '') {
+    // Pages without a status element (e.g. avatar changes) still get toasts
+    const statusElement = document.getElementById(statusElementId) || document.createElement('div');
     
     if (!file) {
         statusElement.innerHTML = 'கோப்பைத் தேர்ந்தெடுக்கவும்.';
         return null;
     }
 
-    statusElement.innerHTML = `<i class="fas fa-spinner fa-spin"></i> பதிவேற்றம் ஆரம்பிக்கிறது...`;
+    activeUploads.get(statusElementId)?.abort();
+    const controller = new AbortController();
+    activeUploads.set(statusElementId, controller);
+
+    const noteSuffix = sizeNote ? ` <small>(${sizeNote})</small>` : '';
+    const cancelButton = `<button type="button" class="upload-cancel-btn" onclick="cancelUpload('${statusElementId}')"><i class="fas fa-times"></i> ரத்து</button>`;
+    const showStatus = (html, cancellable = true) => {
+        statusElement.innerHTML = `${html}${noteSuffix} ${cancellable ? cancelButton : ''}`;
+    };
 
-    // Create a new FormData object for the POST request
-    const formData = new FormData();
-    formData.append('file', file);
-    formData.append('upload_preset', preset);
-    formData.append('folder', file.type.startsWith('image/') ? 'kavithai_images' : 'kavithai_audios');
+    // Resume state for chunked uploads (same name, size, modification time and preset)
+    const chunked = file.size > CHUNK_SIZE;
+    const progressKey = `${UPLOAD_PROGRESS_PREFIX}${[file.name, file.size, file.lastModified, preset].join('|')}`;
+    const saved = chunked ? JSON.parse(localStorage.getItem(progressKey) || 'null') : null;
+    const uploadId = saved?.uploadId || `nk_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+    let offset = saved?.nextOffset || 0;
+
+    showStatus(offset > 0
+        ? `<i class="fas fa-redo"></i> முந்தைய பதிவேற்றம் ${Math.round((offset * 100) / file.size)}% இலிருந்து தொடர்கிறது...`
+        : `<i class="fas fa-spinner fa-spin"></i> பதிவேற்றம் ஆரம்பிக்கிறது...`);
 
     try {
-        const xhr = new XMLHttpRequest();
-        
-        // Progress tracking 
-        xhr.upload.addEventListener('progress', (e) => {
-            if (e.lengthComputable) {
-                const percent = Math.round((e.loaded * 100) / e.total);
-                statusElement.innerHTML = `<i class="fas fa-upload"></i> பதிவேற்றம்: ${percent}%`;
-            }
-        });
-        
-        // Return a Promise that resolves when the upload is complete
-        return new Promise((resolve, reject) => {
-            xhr.onreadystatechange = function() {
-                if (xhr.readyState === 4) { 
-                    if (xhr.status === 200) {
-                        const response = JSON.parse(xhr.responseText);
-                        const secureUrl = response.secure_url;
-                        
-                        statusElement.innerHTML = `<i class="fas fa-check-circle"></i> வெற்றிகரமாகப் பதிவேற்றப்பட்டது!`;
-                        window.showToastNotification("மீடியா வெற்றிகரமாகப் பதிவேற்றப்பட்டது!", 'success');
-                        resolve(secureUrl);
-                    } else {
-                        const errorResponse = JSON.parse(xhr.responseText);
-                        const errorMessage = `பதிவேற்றத்தில் பிழை: ${errorResponse.error.message || 'தெரியாத பிழை'}`;
-                        statusElement.innerHTML = `<i class="fas fa-times-circle"></i> ${errorMessage}`;
-                        window.showToastNotification(errorMessage, 'error');
-                        reject(errorMessage);
-                    }
-                }
+        let response = null;
+        do {
+            const end = chunked ? Math.min(offset + CHUNK_SIZE, file.size) : file.size;
+            const formData = new FormData();
+            formData.append('file', chunked ? file.slice(offset, end) : file, file.name);
+            formData.append('upload_preset', preset);
+            formData.append('folder', file.type.startsWith('image/') ? 'kavithai_images' : 'kavithai_audios');
+            const headers = chunked
+                ? { 'X-Unique-Upload-Id': uploadId, 'Content-Range': `bytes ${offset}-${end - 1}/${file.size}` }
+                : {};
+
+            // Progress tracking across the whole file
+            const onProgress = (loaded) => {
+                const percent = Math.round(((offset + Math.min(loaded, end - offset)) * 100) / file.size);
+                showStatus(`<i class="fas fa-upload"></i> பதிவேற்றம்: ${percent}%`);
             };
-            
-            xhr.open('POST', CLOUDINARY_UPLOAD_URL, true);
-            xhr.send(formData);
-        });
+
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    response = await sendUploadRequest(formData, headers, onProgress, controller.signal);
+                    break;
+                } catch (error) {
+                    if (error.name === 'AbortError' || !error.retryable || attempt >= CHUNK_MAX_RETRIES) throw error;
+                    const delay = CHUNK_RETRY_BASE_MS * 2 ** attempt + Math.round(Math.random() * 250);
+                    showStatus(`<i class="fas fa-wifi"></i> இணைப்புப் பிழை. ${Math.ceil(delay / 1000)} வினாடிகளில் மீண்டும் முயற்சி (${attempt + 1}/${CHUNK_MAX_RETRIES})...`);
+                    await waitBeforeRetry(delay, controller.signal);
+                }
+            }
+
+            offset = end;
+            if (chunked && offset < file.size) {
+                localStorage.setItem(progressKey, JSON.stringify({ uploadId, nextOffset: offset, savedAt: Date.now() }));
+            }
+        } while (offset < file.size);
+
+        localStorage.removeItem(progressKey);
+        showStatus(`<i class="fas fa-check-circle"></i> வெற்றிகரமாகப் பதிவேற்றப்பட்டது!`, false);
+        window.showToastNotification("மீடியா வெற்றிகரமாகப் பதிவேற்றப்பட்டது!", 'success');
+        return response;
 
     } catch (error) {
+        if (error.name === 'AbortError') {
+            localStorage.removeItem(progressKey);
+            showStatus(`<i class="fas fa-ban"></i> பதிவேற்றம் ரத்து செய்யப்பட்டது.`, false);
+            return null;
+        }
+
         console.error("Cloudinary Upload Error:", error);
-        statusElement.innerHTML = `<i class="fas fa-times-circle"></i> நெட்வொர்க் பிழை ஏற்பட்டது.`;
-        window.showToastNotification("நெட்வொர்க் பிழை அல்லது சர்வர் அணுகல் சிக்கல்.", 'error');
+        const resumeNote = chunked && offset > 0 ? ' அதே கோப்பை மீண்டும் தேர்ந்தெடுத்தால் நின்ற இடத்திலிருந்து தொடரும்.' : '';
+        const errorMessage = `பதிவேற்றத்தில் பிழை: ${error.message || 'தெரியாத பிழை'}.${resumeNote}`;
+        showStatus(`<i class="fas fa-times-circle"></i> ${errorMessage}`, false);
+        window.showToastNotification(errorMessage, 'error');
         return null;
+    } finally {
+        if (activeUploads.get(statusElementId) === controller) activeUploads.delete(statusElementId);
     }
 }
 
-// --- 4. EVENT LISTENERS AND INITIALIZATION (Called on create.html) ---
+/**
+ * Uploads a file and returns only its secure URL (for callers that need nothing else).
+ */
+async function uploadFileToCloudinary(file, preset, statusElementId, sizeNote = '') {
+    const response = await uploadToCloudinary(file, preset, statusElementId, sizeNote);
+    return response ? response.secure_url : null;
+}
+
+// --- 5. EVENT LISTENERS AND INITIALIZATION (Called on create.html) ---
+
+/**
+ * Uploads a narration and stores its URL for content.js, exactly as a picked file would.
+ * Shared by the #audio-upload input and the in-browser recorder (recorder.js).
+ * @param {File} file - Audio file (picked or recorded).
+ * @returns {Promise<string|null>} - The secure URL, or null on rejection/cancel/failure.
+ */
+async function handleAudioFile(file) {
+    try {
+        const url = await uploadMedia(file, 'audio', 'audio-upload-status');
+        if (url) {
+            window.uploadedMediaUrls.audioUrl = url;
+        }
+        return url;
+    } catch (error) {
+        window.uploadedMediaUrls.audioUrl = null;
+        return null;
+    }
+}
 
 document.addEventListener('DOMContentLoaded', () => {
     // 1. Get HTML elements
@@ -100,7 +519,7 @@ document.addEventListener('DOMContentLoaded', () => {
             const file = e.target.files[0];
             if (file) {
                 try {
-                    const url = await uploadFileToCloudinary(file, CLOUDINARY_UPLOAD_PRESET_IMAGE, 'image-upload-status');
+                    const url = await uploadMedia(file, 'image', 'image-upload-status');
                     if (url) {
                         window.uploadedMediaUrls.imageUrl = url;
                     }
@@ -116,17 +535,13 @@ document.addEventListener('DOMContentLoaded', () => {
         audioInput.addEventListener('change', async (e) => {
             const file = e.target.files[0];
             if (file) {
-                try {
-                    const url = await uploadFileToCloudinary(file, CLOUDINARY_UPLOAD_PRESET_AUDIO, 'audio-upload-status');
-                    if (url) {
-                        window.uploadedMediaUrls.audioUrl = url;
-                    }
-                } catch (error) {
-                    window.uploadedMediaUrls.audioUrl = null;
-                }
+                await handleAudioFile(file);
             }
         });
     }
 
     // The final form submission logic is handled by content.js
 });
+
+// --- 6. EXPORTS ---
+export { uploadFileToCloudinary, uploadMedia, handleAudioFile, processMediaFile, MEDIA_RULES, CLOUDINARY_UPLOAD_PRESET_IMAGE, CLOUDINARY_UPLOAD_PRESET_AUDIO };
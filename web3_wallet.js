@@ -131,7 +131,7 @@ window.disconnectExternalWallet = async function() {
  * @param {number} requiredTokens - Tokens needed to unlock this poem.
  * @returns {boolean} - True if access is granted.
  */
-window.canAccessTokenGatedContent = function(poemId, requiredTokens) {
+function canAccessTokenGatedContent(poemId, requiredTokens) {
     if (!currentWalletAddress) {
         window.showToastNotification("உள்ளடக்கத்தைத் திறக்க வாலட்டை இணைக்கவும்.", 'warning');
         return false;
@@ -146,6 +146,7 @@ window.canAccessTokenGatedContent = function(poemId, requiredTokens) {
         return false;
     }
 }
+window.canAccessTokenGatedContent = canAccessTokenGatedContent;
 
 
 /**